@@ -1,28 +1,151 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const accessService = require('../services/accessService');
+
+const WRITE_ROLES = ['admin', 'editor', 'writer'];
+const PUBLISH_ROLES = ['admin', 'editor'];
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '24h';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+const refreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+// EventSource cannot send headers, so only the SSE stream may pass the token as ?access_token=
+const QUERY_TOKEN_ROUTE = /^\/api\/blogs\/draft\/[^/]+\/events\/?$/;
+
+const queryToken = (req) => {
+  if (req.method !== 'GET' || !QUERY_TOKEN_ROUTE.test(req.originalUrl.split('?')[0])) return null;
+  return req.query.access_token || null;
+};
 
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+  const token = (authHeader && authHeader.split(' ')[1]) || queryToken(req);
 
   if (!token) {
     return res.status(401).json({ message: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ message: 'Invalid or expired token' });
+  jwt.verify(token, process.env.JWT_SECRET, async (err, payload) => {
+    if (err || payload.type === 'refresh') {
+      return res.status(401).json({ message: 'Invalid or expired token' });
+    }
+
+    try {
+      // Load the user on every request so role and company changes apply immediately
+      const user = await User.findById(payload.userId);
+      if (!user || !user.isActive) {
+        return res.status(401).json({ message: 'User account is disabled' });
+      }
+
+      req.user = {
+        id: user._id.toString(),
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        companies: user.companies || []
+      };
+      next();
+    } catch (error) {
+      res.status(500).json({ message: error.message });
     }
-    req.user = user;
-    next();
   });
 };
 
 const generateToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '24h' });
+  return jwt.sign({ ...payload, type: 'access' }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+const generateRefreshToken = (payload) => {
+  return jwt.sign({ ...payload, type: 'refresh' }, refreshSecret(), { expiresIn: REFRESH_TOKEN_TTL });
+};
+
+const verifyRefreshToken = (token) => {
+  const payload = jwt.verify(token, refreshSecret());
+  if (payload.type !== 'refresh') {
+    throw new Error('Not a refresh token');
+  }
+  return payload;
+};
+
+// Allow only the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'You do not have permission to perform this action' });
+  }
+  next();
+};
+
+// Reviewers are read-only: block every non-GET request from them
+const requireWriteRole = (req, res, next) => {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) {
+    return next();
+  }
+  return requireRole(...WRITE_ROLES)(req, res, next);
+};
+
+const requirePublishRole = requireRole(...PUBLISH_ROLES);
+
+/**
+ * Reject requests for companies the user is not assigned to
+ * @param {Function} resolveCompanyName - async (req) => company name, or null to skip the check
+ *   (only for requests without a company scope; use requireRecordAccess for drafts and blogs)
+ */
+const requireCompanyAccess = (resolveCompanyName) => async (req, res, next) => {
+  try {
+    const companyName = await resolveCompanyName(req);
+    if (companyName && !accessService.canAccessCompany(req.user, companyName)) {
+      return res.status(403).json({ message: 'You are not assigned to this company' });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * Reject requests for a draft or blog of a company the user is not assigned to.
+ * Records whose company cannot be resolved are admin-only.
+ * @param {Function} resolveScope - async (req) => { companyName } of the record, or null when it does not exist (the route's 404)
+ */
+const requireRecordAccess = (resolveScope) => async (req, res, next) => {
+  try {
+    const scope = await resolveScope(req);
+    const allowed = !scope || (scope.companyName
+      ? accessService.canAccessCompany(req.user, scope.companyName)
+      : accessService.isAdmin(req.user));
+    if (!allowed) {
+      return res.status(403).json({ message: scope.companyName ? 'You are not assigned to this company' : 'This record is not linked to a company' });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Drafts are checked through their blog's company
+const checkDraftAccess = (req, res, next, draftId) => {
+  if (!draftId) return next();
+  return requireRecordAccess(() => accessService.getDraftScope(draftId))(req, res, next);
+};
+
+// For draftId sent in the body or query string (use router.param for :draftId)
+const requireDraftAccess = (req, res, next) => {
+  return checkDraftAccess(req, res, next, req.params.draftId || req.body?.draftId || req.query.draftId);
 };
 
 module.exports = {
+  WRITE_ROLES,
+  PUBLISH_ROLES,
   authenticateToken,
-  generateToken
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  requireRole,
+  requireWriteRole,
+  requirePublishRole,
+  requireCompanyAccess,
+  requireRecordAccess,
+  checkDraftAccess,
+  requireDraftAccess
 };
@@ -1,5 +1,13 @@
 // middleware/errorHandler.js
 const winston = require('winston');
+const redactionService = require('../services/redactionService');
+
+// Mask auth headers and stored credentials that end up in error messages
+const redactSecrets = winston.format(info => {
+  if (typeof info.message === 'string') info.message = redactionService.redactString(info.message);
+  if (typeof info.stack === 'string') info.stack = redactionService.redactString(info.stack);
+  return info;
+});
 
 // Configure Winston logger
 const logger = winston.createLogger({
@@ -7,6 +15,7 @@ const logger = winston.createLogger({
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
+    redactSecrets(),
     winston.format.json()
   ),
   defaultMeta: { service: 'ai-blog-platform' },
@@ -1,22 +1,77 @@
-/ middleware/validation.js
+// middleware/validation.js
 const Joi = require('joi');
 
+const TONES = ['professional', 'casual', 'technical', 'friendly', 'authoritative'];
+// Secrets may be sent blank to keep the stored value
+const secret = Joi.string().allow('');
+
+const companySchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100),
+  servicesOffered: Joi.array().max(30).items(
+    Joi.object({
+      name: Joi.string().trim().required(),
+      description: Joi.string().allow('')
+    })
+  ),
+  serviceOverview: Joi.string().min(10),
+  aboutCompany: Joi.string().min(10),
+  tone: Joi.string().valid(...TONES),
+  brandVoice: Joi.string().min(10),
+  targetAudience: Joi.array().max(20).items(Joi.string().trim().min(1)),
+  timezone: Joi.string(),
+  requiredApprovals: Joi.number().integer().min(0).max(10),
+  wordpressConfig: Joi.object({
+    baseUrl: Joi.string().uri({ scheme: ['http', 'https'] }).allow(''),
+    username: Joi.string().max(60).allow(''),
+    appPassword: secret,
+    nativeScheduling: Joi.boolean()
+  }),
+  publishingConfig: Joi.object({
+    platform: Joi.string().valid('wordpress', 'ghost', 'webflow', 'markdown'),
+    ghost: Joi.object({
+      adminUrl: Joi.string().uri({ scheme: ['http', 'https'] }).allow(''),
+      adminApiKey: secret
+    }),
+    webflow: Joi.object({
+      apiToken: secret,
+      collectionId: Joi.string().allow(''),
+      siteUrl: Joi.string().uri({ scheme: ['http', 'https'] }).allow(''),
+      collectionPath: Joi.string().allow(''),
+      fields: Joi.object().pattern(Joi.string().valid('content', 'summary', 'image', 'metaTitle', 'metaDescription'), Joi.string().allow(''))
+    }),
+    markdown: Joi.object({
+      directory: Joi.string().allow(''),
+      gitCommit: Joi.boolean(),
+      gitPush: Joi.boolean()
+    })
+  }),
+  llmConfig: Joi.object({
+    provider: Joi.string().valid('gemini', 'openai', 'mock').allow(null, ''),
+    model: Joi.string().allow(''),
+    fallbackChain: Joi.array().items(Joi.string())
+  }),
+  // Checked in detail by brandThemeService.validate
+  theme: Joi.object(),
+  isActive: Joi.boolean()
+});
+
+// POST /api/company: a new company needs its full profile
 const validateCompany = (req, res, next) => {
-  const schema = Joi.object({
-    name: Joi.string().min(2).max(100).required(),
-    servicesOffered: Joi.array().items(
-      Joi.object({
-        name: Joi.string().required(),
-        description: Joi.string().allow('')
-      })
-    ),
-    serviceOverview: Joi.string().min(10).required(),
-    aboutCompany: Joi.string().min(10).required(),
-    tone: Joi.string().valid('professional', 'casual', 'technical', 'friendly', 'authoritative').required(),
-    brandVoice: Joi.string().min(10).required(),
-    targetAudience: Joi.array().items(Joi.string()),
-    isActive: Joi.boolean()
-  });
+  const schema = companySchema.fork(['name', 'serviceOverview', 'aboutCompany', 'tone', 'brandVoice'], field => field.required());
+
+  const { error } = schema.validate(req.body);
+  if (error) {
+    return res.status(400).json({
+      message: 'Validation error',
+      details: error.details[0].message
+    });
+  }
+  next();
+};
+
+// PUT /api/company/:id: any subset of the profile; archiving has its own endpoints
+const validateCompanyUpdate = (req, res, next) => {
+  const schema = companySchema.fork(['isActive'], field => field.forbidden()).min(1);
 
   const { error } = schema.validate(req.body);
   if (error) {
@@ -162,6 +217,7 @@ const validateContentGeneration = (req, res, next) => {
 
 module.exports = {
   validateCompany,
+  validateCompanyUpdate,
   validateBlogData,
   validateContentBlock,
   validateKeyword,
@@ -46,6 +46,33 @@ const blogDataSchema = new mongoose.Schema({
     type: Number,
     min: 0,
     max: 100
+  },
+
+  // Content calendar planning (see services/calendarService.js)
+  targetDate: Date,
+  assignee: {
+    userId: String,
+    name: String,
+    email: String
+  },
+
+  // Link to the row of the keyword sheet this entry syncs with (see services/sheetsSyncService.js)
+  sheetRow: {
+    rowId: String, // Value of the sheet's "Row ID" column
+    spreadsheetId: String,
+    sheetTitle: String,
+    rowNumber: Number, // Where the row was at the last sync; rows can move
+    syncedAt: Date,
+    // Values both sides agreed on at the last sync, to tell which side changed since
+    inbound: mongoose.Schema.Types.Mixed,
+    outbound: mongoose.Schema.Types.Mixed,
+    conflicts: [{
+      column: String,
+      sheetValue: String,
+      appValue: String,
+      resolution: String, // kept-app | overwrote-sheet
+      detectedAt: Date
+    }]
   }
 }, {
   timestamps: true
@@ -54,5 +81,7 @@ const blogDataSchema = new mongoose.Schema({
 // Index for efficient querying
 blogDataSchema.index({ focusKeyword: 1, companyId: 1 });
 blogDataSchema.index({ status: 1 });
+blogDataSchema.index({ companyId: 1, targetDate: 1 });
+blogDataSchema.index({ 'sheetRow.rowId': 1 }, { sparse: true });
 
 module.exports = mongoose.model('BlogData', blogDataSchema);
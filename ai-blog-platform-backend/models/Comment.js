@@ -0,0 +1,55 @@
+// models/Comment.js
+const mongoose = require('mongoose');
+
+const commentSchema = new mongoose.Schema({
+  draftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Draft',
+    required: true
+  },
+  // ID of the block in Draft.generatedContent.contentBlocks the thread is anchored to
+  blockId: {
+    type: String,
+    required: true
+  },
+  // Optional text range inside the block content
+  range: {
+    start: Number,
+    end: Number,
+    quote: String
+  },
+  // Replies point at the first comment of their thread
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  authorId: String,
+  authorName: String,
+  authorRole: String,
+  mentions: [{
+    userId: String,
+    name: String,
+    email: String
+  }],
+
+  // Only tracked on the first comment of a thread
+  resolved: {
+    type: Boolean,
+    default: false
+  },
+  resolvedBy: String,
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ draftId: 1, blockId: 1, createdAt: 1 });
+commentSchema.index({ 'mentions.userId': 1, resolved: 1 });
+
+module.exports = mongoose.model('Comment', commentSchema);
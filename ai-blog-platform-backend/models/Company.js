@@ -1,5 +1,13 @@
 // models/Company.js
 const mongoose = require('mongoose');
+const credentialService = require('../services/credentialService');
+
+// Credentials, stored encrypted (see services/credentialService.js) and left out of JSON
+const SECRET_PATHS = [
+  'wordpressConfig.appPassword',
+  'publishingConfig.ghost.adminApiKey',
+  'publishingConfig.webflow.apiToken'
+];
 
 const companySchema = new mongoose.Schema({
   name: {
@@ -43,7 +51,7 @@ const companySchema = new mongoose.Schema({
       }
     },
     username: String,
-    appPassword: String,
+    appPassword: credentialService.schemaType(),
     isActive: {
       type: Boolean,
       default: false
@@ -53,15 +61,148 @@ const companySchema = new mongoose.Schema({
       type: String,
       enum: ['connected', 'failed', 'not-tested'],
       default: 'not-tested'
+    },
+    // Let WordPress publish scheduled posts itself ("future" status); false always uses the internal scheduler
+    nativeScheduling: {
+      type: Boolean,
+      default: true
     }
   },
-  
+
+  // Where deployments go; 'wordpress' uses wordpressConfig above (see services/publisherService.js)
+  publishingConfig: {
+    platform: {
+      type: String,
+      enum: ['wordpress', 'ghost', 'webflow', 'markdown'],
+      default: 'wordpress'
+    },
+    ghost: {
+      adminUrl: String, // e.g. https://blog.example.com
+      adminApiKey: credentialService.schemaType() // "id:secret" from Ghost Admin → Integrations
+    },
+    webflow: {
+      apiToken: credentialService.schemaType(),
+      collectionId: String,
+      siteUrl: String, // Public site, used to build post URLs
+      collectionPath: String, // e.g. "blog" for https://site.com/blog/<slug>
+      // Collection field slugs, when they differ from the Webflow blog template
+      fields: {
+        content: String,
+        summary: String,
+        image: String,
+        metaTitle: String,
+        metaDescription: String
+      }
+    },
+    markdown: {
+      directory: String, // Relative to MARKDOWN_PUBLISH_ROOT
+      gitCommit: {
+        type: Boolean,
+        default: false
+      },
+      gitPush: {
+        type: Boolean,
+        default: false
+      }
+    }
+  },
+
+  // IANA timezone that scheduled publish times are entered in, e.g. "America/New_York"
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: function(v) {
+        try {
+          new Intl.DateTimeFormat('en-US', { timeZone: v });
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      message: 'Timezone must be a valid IANA timezone'
+    }
+  },
+
+  // LLM provider selection (falls back to LLM_PROVIDER / LLM_FALLBACK_CHAIN env when empty)
+  llmConfig: {
+    provider: {
+      type: String,
+      enum: ['gemini', 'openai', 'mock']
+    },
+    model: String,
+    fallbackChain: [String] // e.g. ["gemini:gemini-1.5-pro-002", "openai"]
+  },
+
+  // Brand theme for rendered posts; unset values use the defaults in services/brandThemeService.js
+  theme: {
+    colors: {
+      heading: String,
+      subheading: String,
+      text: String,
+      link: String,
+      accent: String,
+      background: String
+    },
+    fonts: {
+      heading: String,
+      body: String
+    },
+    headingSizes: {
+      h1: String,
+      h2: String,
+      h3: String
+    },
+    bodyFontSize: String,
+    lineHeight: String,
+    ctaBox: {
+      enabled: Boolean,
+      backgroundColor: String,
+      borderColor: String,
+      textColor: String,
+      borderRadius: String
+    },
+    relatedArticles: {
+      enabled: Boolean,
+      title: String,
+      links: [{
+        title: String,
+        url: String,
+        description: String
+      }]
+    }
+  },
+
+  // Reviewer approvals needed before a draft can be deployed (0 disables the approval gate)
+  requiredApprovals: {
+    type: Number,
+    default: 1,
+    min: 0
+  },
+
+  // Archived companies (isActive false) are hidden from lists and cannot start new blogs
   isActive: {
     type: Boolean,
     default: true
-  }
+  },
+  archivedAt: Date
 }, {
   timestamps: true
 });
 
-module.exports = mongoose.model('Company', companySchema);
\ No newline at end of file
+// Responses never include credentials, also when a company is populated into another document
+companySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    SECRET_PATHS.forEach(path => {
+      const keys = path.split('.');
+      const parent = keys.slice(0, -1).reduce((value, key) => value?.[key], ret);
+      if (parent) delete parent[keys[keys.length - 1]];
+    });
+    return ret;
+  }
+});
+
+const Company = mongoose.model('Company', companySchema);
+Company.SECRET_PATHS = SECRET_PATHS;
+
+module.exports = Company;
\ No newline at end of file
@@ -17,6 +17,16 @@ const draftSchema = new mongoose.Schema({
   selectedH1: String,
   selectedMetaTitle: String,
   selectedMetaDescription: String,
+  // Secondary/LSI keywords woven into the content, with how often each should appear
+  secondaryKeywords: [{
+    keyword: String,
+    targetCount: Number,
+    source: {
+      type: String,
+      enum: ['serp', 'perplexity', 'manual'],
+      default: 'manual'
+    }
+  }],
   keywords: [{
     focusKeyword: String,
     source: String,
@@ -73,18 +83,181 @@ const draftSchema = new mongoose.Schema({
   },
   wordpressStatus: {
     type: String,
-    enum: ['not-sent', 'draft', 'published', 'failed'],
+    enum: ['not-sent', 'draft', 'scheduled', 'published', 'failed'],
     default: 'not-sent'
   },
   wordpressId: Number,
+  publishedAt: Date,
+  // Set when the draft was imported from an existing WordPress post (see services/wordpressImportService.js) or an uploaded document
+  importedFrom: {
+    wordpressId: Number,
+    link: String,
+    modifiedAt: Date, // Last modification of the post in WordPress at import time
+    fileName: String, // Uploaded Markdown/DOCX file (see services/documentImportService.js)
+    format: String,
+    importedBy: String,
+    importedAt: Date
+  },
+  // Latest deployment on the company's publishing platform (see services/publisherService.js)
+  publication: {
+    platform: String,
+    externalId: String,
+    url: String,
+    editUrl: String,
+    status: String,
+    updatedAt: Date
+  },
+  // Every push of the draft to the publishing platform (see services/draftDeploymentService.js)
+  wordpressSyncs: [{
+    action: {
+      type: String,
+      enum: ['import', 'create', 'update', 'recreate']
+    },
+    platform: {
+      type: String,
+      default: 'wordpress'
+    },
+    wordpressId: Number,
+    externalId: String, // Post ID on the platform (file name for Markdown)
+    changedFields: [String],
+    featuredImageUrl: String, // Last uploaded featured image, so unchanged images are not uploaded again
+    version: Number,
+    syncedBy: String,
+    success: Boolean,
+    error: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // WordPress terms picked for the post (see services/taxonomyService.js); unset until someone picks them
+  categories: {
+    type: [{ id: Number, name: String }],
+    default: undefined
+  },
+  // Tags without an id are created in WordPress on deploy
+  tags: {
+    type: [{ id: Number, name: String }],
+    default: undefined
+  },
+  // Content refresh analysis and suggested changes (see services/contentRefreshService.js)
+  refresh: {
+    status: {
+      type: String,
+      enum: ['analyzing', 'ready', 'failed']
+    },
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job'
+    },
+    requestedBy: String,
+    startedAt: Date,
+    completedAt: Date,
+    error: String,
+    findings: {
+      outdatedStats: [{ blockId: String, sentence: String, year: Number }],
+      deadLinks: [{ blockId: String, url: String, status: Number, reason: String }],
+      missingSections: [{ heading: String, competitors: [String] }],
+      seoScore: Number,
+      seoRecommendations: [String],
+      sources: [{ title: String, url: String, publishedAt: Date }]
+    },
+    // Nothing is applied to the content until a reviewer accepts the suggestion
+    suggestions: [{
+      id: String,
+      type: {
+        type: String,
+        enum: ['rewrite', 'new-section']
+      },
+      blockId: String, // rewrite: block to replace
+      afterBlockId: String, // new-section: insert after this block
+      heading: String,
+      reasons: [String],
+      before: String, // Block text the rewrite was based on
+      content: String,
+      provider: String,
+      model: String,
+      status: {
+        type: String,
+        enum: ['pending', 'accepted', 'rejected'],
+        default: 'pending'
+      },
+      reviewedBy: String,
+      reviewedAt: Date,
+      note: String
+    }]
+  },
+  // Scheduled WordPress publishing (see services/schedulingService.js)
+  schedule: {
+    status: {
+      type: String,
+      enum: ['scheduled', 'published', 'failed', 'cancelled']
+    },
+    scheduledAt: Date, // UTC
+    timezone: String, // Timezone the publish time was entered in
+    // 'wordpress' = post has WordPress "future" status, 'internal' = published by our job queue
+    mode: {
+      type: String,
+      enum: ['wordpress', 'internal']
+    },
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Job'
+    },
+    scheduledBy: String,
+    overrideApproval: Boolean,
+    error: String
+  },
+  // Latest RankMath-style score, recomputed on every save (see services/seoScoringService.js)
   seoAnalysis: {
     score: Number,
-    issues: [String],
-    suggestions: [String]
+    rating: String, // good | ok | poor
+    issues: [String], // Failed tests
+    suggestions: [String], // Partially passed tests
+    groups: [mongoose.Schema.Types.Mixed],
+    stats: mongoose.Schema.Types.Mixed,
+    analyzedAt: Date
   },
+  // Editorial approval (see services/approvalService.js)
+  approval: {
+    state: {
+      type: String,
+      enum: ['not_submitted', 'submitted', 'in_review', 'changes_requested', 'approved'],
+      default: 'not_submitted'
+    },
+    // Approvals collected in the current review round
+    approvals: [{
+      userId: String,
+      name: String,
+      approvedAt: Date
+    }],
+    submittedBy: String,
+    submittedAt: Date,
+    approvedAt: Date,
+    approvedVersion: Number, // Draft version the approval applies to; later edits make it stale
+    history: [{
+      action: {
+        type: String,
+        enum: ['submit', 'start-review', 'request-changes', 'approve', 'comment', 'override']
+      },
+      fromState: String,
+      toState: String,
+      userId: String,
+      userName: String,
+      role: String,
+      comment: String,
+      version: Number,
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+
+  // Latest revision number (see models/DraftRevision.js), 0 until the first revision
   version: {
     type: Number,
-    default: 1
+    default: 0
   }
 }, {
   timestamps: true
@@ -0,0 +1,56 @@
+// models/DraftRevision.js
+const mongoose = require('mongoose');
+
+const draftRevisionSchema = new mongoose.Schema({
+  draftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Draft',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true
+  },
+  stage: {
+    type: String,
+    enum: ['content-generation', 'save', 'block-regeneration', 'block-edit', 'block-selection', 'meta-selection', 'restore', 'import', 'refresh'],
+    required: true
+  },
+  createdBy: {
+    type: String,
+    default: 'system'
+  },
+  summary: String,
+  restoredFrom: Number, // Version copied back by a restore
+
+  // Full copy of the editable draft fields at this version
+  snapshot: {
+    title: String,
+    metaTitle: String,
+    metaDescription: String,
+    selectedKeyword: String,
+    selectedH1: String,
+    selectedMetaTitle: String,
+    selectedMetaDescription: String,
+    generatedContent: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+draftRevisionSchema.index({ draftId: 1, version: -1 }, { unique: true });
+
+// Revisions are immutable: only inserts are allowed
+function rejectUpdate(next) {
+  next(new Error('Draft revisions are immutable'));
+}
+
+draftRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+draftRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectUpdate(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model('DraftRevision', draftRevisionSchema);
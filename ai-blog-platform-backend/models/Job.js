@@ -0,0 +1,71 @@
+// models/Job.js
+const mongoose = require('mongoose');
+
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['generate-structured-content', 'generate-meta-scores', 'generate-image', 'deploy-wordpress', 'publish-wordpress', 'refresh-content', 'sync-sheets'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  draftId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Draft'
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+
+  // Progress reporting for the generating-* pages
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  stage: String,
+  logs: [{
+    stage: String,
+    message: String,
+    progress: Number,
+    level: {
+      type: String,
+      enum: ['info', 'warn', 'error'],
+      default: 'info'
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Retry and locking
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  lockedBy: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for efficient job claiming and draft lookups
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ draftId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Job', jobSchema);
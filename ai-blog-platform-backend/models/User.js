@@ -0,0 +1,58 @@
+// models/User.js
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['admin', 'editor', 'writer', 'reviewer'],
+    default: 'writer'
+  },
+  // Company names the user works on (matches Company.name); admins can access every company
+  companies: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: Date,
+  // Bumped on logout or password change to invalidate issued refresh tokens
+  tokenVersion: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+userSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, 10);
+};
+
+userSchema.methods.comparePassword = function(password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+userSchema.methods.toJSON = function() {
+  const user = this.toObject();
+  delete user.passwordHash;
+  delete user.tokenVersion;
+  return user;
+};
+
+module.exports = mongoose.model('User', userSchema);
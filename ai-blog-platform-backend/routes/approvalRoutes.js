@@ -0,0 +1,47 @@
+// routes/approvalRoutes.js
+const express = require('express');
+const approvalService = require('../services/approvalService');
+const { checkDraftAccess } = require('../middleware/auth');
+const router = express.Router();
+
+router.param('draftId', checkDraftAccess);
+
+// GET approval state, collected approvals and history for a draft
+router.get('/:draftId', async (req, res) => {
+  try {
+    const draft = await approvalService.loadDraft(req.params.draftId);
+    if (!draft) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+
+    res.json(approvalService.getStatus(draft));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST workflow action: submit, start-review, request-changes, approve or comment
+router.post('/:draftId/:action', async (req, res) => {
+  try {
+    const { draftId, action } = req.params;
+
+    if (!approvalService.actions.includes(action)) {
+      return res.status(400).json({ message: `Action must be one of: ${approvalService.actions.join(', ')}` });
+    }
+
+    const result = await approvalService.transition(draftId, action, req.user, req.body.comment);
+    if (!result) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json(result.approval);
+  } catch (error) {
+    console.error('Approval action error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
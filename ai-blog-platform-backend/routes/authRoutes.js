@@ -0,0 +1,158 @@
+// routes/authRoutes.js
+const express = require('express');
+const User = require('../models/User');
+const {
+  authenticateToken,
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+  requireRole
+} = require('../middleware/auth');
+const router = express.Router();
+
+const USER_ROLES = User.schema.path('role').enumValues;
+
+const issueTokens = (user) => ({
+  token: generateToken({ userId: user._id, role: user.role }),
+  refreshToken: generateRefreshToken({ userId: user._id, tokenVersion: user.tokenVersion }),
+  user
+});
+
+// POST login with email and password
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Email and password are required' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || !user.isActive || !(await user.comparePassword(password))) {
+      return res.status(401).json({ message: 'Invalid email or password' });
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    console.log(`🔐 User logged in: ${user.email} (${user.role})`);
+    res.json(issueTokens(user));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    let payload;
+    try {
+      payload = verifyRefreshToken(refreshToken);
+    } catch (error) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    const user = await User.findById(payload.userId);
+    if (!user || !user.isActive || user.tokenVersion !== payload.tokenVersion) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.json(issueTokens(user));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST logout - revokes every refresh token issued to the user
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await User.findByIdAndUpdate(req.user.id, { $inc: { tokenVersion: 1 } });
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET current user
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET all users (admin)
+router.get('/users', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const users = await User.find().sort({ name: 1 });
+    res.json(users);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST create user (admin)
+router.post('/users', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { email, name, password, role = 'writer', companies = [] } = req.body;
+
+    if (!email || !name || !password) {
+      return res.status(400).json({ message: 'Email, name and password are required' });
+    }
+    if (!USER_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+
+    const user = new User({ email, name, role, companies });
+    await user.setPassword(password);
+    await user.save();
+
+    console.log(`👤 User created: ${user.email} (${user.role}) by ${req.user.email}`);
+    res.status(201).json(user);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// PUT update role, company membership, status or password (admin)
+router.put('/users/:id', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, role, companies, isActive, password } = req.body;
+
+    if (role && !USER_ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${USER_ROLES.join(', ')}` });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (name !== undefined) user.name = name;
+    if (role !== undefined) user.role = role;
+    if (companies !== undefined) user.companies = companies;
+    if (isActive !== undefined) user.isActive = isActive;
+    if (password) {
+      await user.setPassword(password);
+      user.tokenVersion += 1;
+    }
+
+    await user.save();
+    res.json(user);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -6,110 +6,42 @@ const Draft = require('../models/Draft');
 const Company = require('../models/Company');
 const keywordService = require('../services/keywordService');
 const WordPressService = require('../services/wordpressService');
+const publisherService = require('../services/publisherService');
 const wordpressService = new WordPressService();
 const imageService = require('../services/imageService');
 const linkService = require('../services/linkService');
 const serpService = require('../services/serpService');
+const llmProviderService = require('../services/llmProviderService');
+const jobQueueService = require('../services/jobQueueService');
+const progressEventService = require('../services/progressEventService');
+const draftRevisionService = require('../services/draftRevisionService');
+const blockAlternativeService = require('../services/blockAlternativeService');
+const accessService = require('../services/accessService');
+const approvalService = require('../services/approvalService');
+const commentService = require('../services/commentService');
+const seoScoringService = require('../services/seoScoringService');
+const {
+  requireWriteRole,
+  requirePublishRole,
+  requireCompanyAccess,
+  requireRecordAccess,
+  requireDraftAccess,
+  checkDraftAccess
+} = require('../middleware/auth');
 const router = express.Router();
 
-// Helper function to make links clickable in content
-function makeLinksClickable(content) {
-  if (!content) return content;
-
-  console.log('🔗 Processing content for links:', content.substring(0, 200) + '...');
-
-  // First, handle text followed by URL in parentheses: "Link Text(https://example.com)"
-  const textWithUrlRegex = /([^(\n]+?)\((https?:\/\/[^\s\)]+)\)/g;
-  content = content.replace(textWithUrlRegex, (match, text, url) => {
-    const cleanText = text.trim();
-    console.log(`🔗 Converting: "${cleanText}" with URL: ${url}`);
-    return `<a href="${url}" target="_blank" rel="noopener noreferrer">${cleanText}</a>`;
-  });
-
-  // Handle standalone URLs in parentheses: (https://example.com)
-  const urlInParensRegex = /\((https?:\/\/[^\s\)]+)\)/g;
-  content = content.replace(urlInParensRegex, (match, url) => {
-    console.log(`🔗 Converting standalone URL in parens: ${url}`);
-    return `(<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>)`;
-  });
-
-  // Handle markdown-style links: [text](url)
-  const markdownLinkRegex = /\[([^\]]+)\]\(([^)]+)\)/g;
-  content = content.replace(markdownLinkRegex, (match, text, url) => {
-    console.log(`🔗 Converting markdown link: "${text}" -> ${url}`);
-    return `<a href="${url}" target="_blank" rel="noopener noreferrer">${text}</a>`;
-  });
-
-  // Handle standalone URLs
-  const standaloneUrlRegex = /(^|[\s\n])(https?:\/\/[^\s\)\]<]+)/g;
-  content = content.replace(standaloneUrlRegex, (match, prefix, url) => {
-    console.log(`🔗 Converting standalone URL: ${url}`);
-    return `${prefix}<a href="${url}" target="_blank" rel="noopener noreferrer">${url}</a>`;
-  });
-
-  console.log('🔗 Final processed content:', content.substring(0, 200) + '...');
-  return content;
-}
-
-// Helper function to get related blogs
-async function getRelatedBlogs(keyword, currentDraftId) {
-  try {
-    // Get other published drafts with similar keywords
-    const relatedDrafts = await Draft.find({
-      _id: { $ne: currentDraftId },
-      status: 'ready',
-      selectedKeyword: { $regex: keyword.split(' ')[0], $options: 'i' }
-    })
-    .limit(3)
-    .populate({
-      path: 'blogId',
-      populate: {
-        path: 'companyId',
-        select: 'name'
-      }
-    });
-
-    // If no related drafts found, get some recent ones
-    if (relatedDrafts.length === 0) {
-      const recentDrafts = await Draft.find({
-        _id: { $ne: currentDraftId },
-        status: 'ready'
-      })
-      .sort({ lastEdited: -1 })
-      .limit(3)
-      .populate({
-        path: 'blogId',
-        populate: {
-          path: 'companyId',
-          select: 'name'
-        }
-      });
-
-      return recentDrafts.map(draft => ({
-        title: draft.selectedH1 || draft.title || `${draft.selectedKeyword} Guide`,
-        excerpt: draft.selectedMetaDescription || `Learn about ${draft.selectedKeyword} with our comprehensive guide.`,
-        url: `https://www.wattmonk.com/${draft.selectedKeyword.toLowerCase().replace(/\s+/g, '-')}-guide/`,
-        featuredImage: draft.featuredImage?.url || null
-      }));
-    }
-
-    return relatedDrafts.map(draft => ({
-      title: draft.selectedH1 || draft.title || `${draft.selectedKeyword} Guide`,
-      excerpt: draft.selectedMetaDescription || `Learn about ${draft.selectedKeyword} with our comprehensive guide.`,
-      url: `https://www.wattmonk.com/${draft.selectedKeyword.toLowerCase().replace(/\s+/g, '-')}-guide/`,
-      featuredImage: draft.featuredImage?.url || null
-    }));
-
-  } catch (error) {
-    console.error('Error getting related blogs:', error);
-    return [];
-  }
-}
+// Reviewers are read-only; every draft or blog touched must belong to one of the user's companies
+router.use(requireWriteRole);
+router.use(requireDraftAccess);
+router.param('draftId', checkDraftAccess);
+router.param('id', (req, res, next, id) => {
+  requireRecordAccess(() => accessService.getBlogScope(id))(req, res, next);
+});
 
 // GET all drafts (frontend expects this) - MUST BE BEFORE /:id route
 router.get('/drafts', async (req, res) => {
   try {
-    const drafts = await Draft.find()
+    const drafts = await Draft.find(await accessService.draftFilter(req.user))
       .populate({
         path: 'blogId',
         populate: {
@@ -128,6 +60,8 @@ router.get('/drafts', async (req, res) => {
              companyName.trim().length > 0;
     });
 
+    const commentCounts = await commentService.countThreads(validDrafts.map(draft => draft._id));
+
     // Transform to match frontend expectations with proper status tracking
     const transformedDrafts = validDrafts.map(draft => {
       // Determine current step based on status
@@ -156,7 +90,10 @@ router.get('/drafts', async (req, res) => {
         status: displayStatus,
         workflowStatus: draft.status,
         lastEdited: draft.updatedAt,
-        title: draft.title || 'Untitled Draft'
+        title: draft.title || 'Untitled Draft',
+        imported: !!(draft.importedFrom?.wordpressId || draft.importedFrom?.fileName),
+        seoScore: draft.seoAnalysis?.score ?? null,
+        comments: commentCounts.get(draft._id.toString()) || { open: 0, total: 0 }
       };
     });
 
@@ -167,13 +104,13 @@ router.get('/drafts', async (req, res) => {
 });
 
 // GET all blogs with pagination
-router.get('/', async (req, res) => {
+router.get('/', requireCompanyAccess(req => accessService.getCompanyNameById(req.query.companyId)), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
 
-    const filter = {};
+    const filter = await accessService.blogFilter(req.user);
     if (req.query.status) filter.status = req.query.status;
     if (req.query.companyId) filter.companyId = req.query.companyId;
 
@@ -218,7 +155,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST create new blog
-router.post('/', async (req, res) => {
+router.post('/', requireCompanyAccess(req => accessService.getCompanyNameById(req.body.companyId)), async (req, res) => {
   try {
     const blog = new BlogData(req.body);
     const savedBlog = await blog.save();
@@ -247,38 +184,20 @@ router.put('/:id/status', async (req, res) => {
 });
 
 // POST start new blog (frontend expects this)
-router.post('/start', async (req, res) => {
+router.post('/start', requireCompanyAccess(req => req.body.companyName), async (req, res) => {
   try {
     const { companyName } = req.body;
 
-    // First try to find company in database
-    let company = await Company.findOne({ name: companyName });
-
-    // If not found in database, try to sync from Google Sheets and create it
-    if (!company && process.env.COMPANY_DATA_SPREADSHEET_ID) {
-      try {
-        console.log(`🔍 Company "${companyName}" not found in database, checking Google Sheets...`);
-        const googleSheetsService = require('../services/googleSheetsService');
-        const sheetsData = await googleSheetsService.syncCompanyDataSheet(
-          process.env.COMPANY_DATA_SPREADSHEET_ID
-        );
-
-        // Find the company in sheets data
-        const sheetCompany = sheetsData.find(c => c.name === companyName);
-        if (sheetCompany) {
-          console.log(`✅ Found "${companyName}" in Google Sheets, creating in database...`);
-          company = new Company(sheetCompany);
-          await company.save();
-          console.log(`✅ Created company "${companyName}" in database`);
-        }
-      } catch (error) {
-        console.warn('⚠️ Failed to sync company from Google Sheets:', error.message);
-      }
-    }
+    // Companies that are only in the company sheet are imported on first use
+    const companyService = require('../services/companyService');
+    const company = await companyService.findOrImport(companyName);
 
     if (!company) {
       return res.status(404).json({ message: 'Company not found in database or Google Sheets' });
     }
+    if (!company.isActive) {
+      return res.status(409).json({ message: 'Company is archived' });
+    }
 
     // Create a new blog entry with minimal data
     const blog = new BlogData({
@@ -349,7 +268,11 @@ router.get('/draft/:draftId', async (req, res) => {
     let keywords = [];
 
     try {
-      keywords = await keywordService.getKeywordsForCompany(companyName, true);
+      keywords = await keywordService.getKeywordsForCompany(
+        companyName,
+        true,
+        progressEventService.reporter(req.params.draftId, { flow: 'keywords' })
+      );
     } catch (error) {
       console.warn('Failed to get keywords, using fallback:', error.message);
       keywords = [{
@@ -383,12 +306,27 @@ router.get('/draft/:draftId', async (req, res) => {
       console.log(`📋 Found ${contentBlocks.length} content blocks in ContentBlock collection (fallback)`);
     }
 
+    // Where the draft deploys to (Company.publishingConfig.platform)
+    const publisher = publisherService.forCompany(draft.blogId?.companyId);
+    const externalId = publisherService.getExternalId(draft, publisher.name);
+    const publication = externalId && draft.publication?.platform === publisher.name ? draft.publication : null;
+
     // Transform to match frontend expectations
     const response = {
       keywords: keywords,
       blocks: contentBlocks,
       internalLinks: draft.internalLinks || [],
-      externalLinks: draft.externalLinks || []
+      externalLinks: draft.externalLinks || [],
+      wordpressId: draft.wordpressId || null,
+      wordpressStatus: draft.wordpressStatus,
+      publishing: {
+        platform: publisher.name,
+        label: publisher.label,
+        capabilities: publisher.capabilities,
+        externalId,
+        url: publication?.url || null,
+        editUrl: publication?.editUrl || null
+      }
     };
 
     res.json(response);
@@ -397,6 +335,42 @@ router.get('/draft/:draftId', async (req, res) => {
   }
 });
 
+// GET live progress events for a draft (Server-Sent Events)
+// Optional ?flow=keywords|meta|content|image|deploy limits the stream to one page's steps
+router.get('/draft/:draftId/events', (req, res) => {
+  const { draftId } = req.params;
+  const { flow } = req.query;
+  const lastEventId = parseInt(req.get('Last-Event-ID')) || 0;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (flow && event.flow !== flow) return;
+    res.write(`id: ${event.id}\nevent: progress\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Replay what already happened, then stream new events
+  progressEventService.getHistory(draftId, lastEventId).forEach(send);
+  const unsubscribe = progressEventService.subscribe(draftId, send);
+
+  // Jobs run by a dedicated worker process only reach us through Mongo
+  const stopWatchingJobs = jobQueueService.isRunning() ? null : progressEventService.watchJobs(draftId, send);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    if (stopWatchingJobs) stopWatchingJobs();
+  });
+});
+
 // DELETE draft by ID
 router.delete('/draft/:draftId', async (req, res) => {
   try {
@@ -413,8 +387,298 @@ router.delete('/draft/:draftId', async (req, res) => {
   }
 });
 
+// GET revision history for a draft (newest first, without snapshots)
+router.get('/draft/:draftId/revisions', async (req, res) => {
+  try {
+    const revisions = await draftRevisionService.listRevisions(req.params.draftId);
+    res.json(revisions);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET block-level diff between two revisions: ?from=2&to=5
+router.get('/draft/:draftId/revisions/diff', async (req, res) => {
+  try {
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+    if (!from || !to) {
+      return res.status(400).json({ message: 'Both from and to versions are required' });
+    }
+
+    const diff = await draftRevisionService.diffRevisions(req.params.draftId, from, to);
+    if (!diff) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json(diff);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET a single revision with its full snapshot
+router.get('/draft/:draftId/revisions/:version', async (req, res) => {
+  try {
+    const revision = await draftRevisionService.getRevision(req.params.draftId, parseInt(req.params.version));
+    if (!revision) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json(revision);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST restore a revision (recorded as a new revision, history is never rewritten)
+router.post('/draft/:draftId/revisions/:version/restore', async (req, res) => {
+  try {
+    const { draftId, version } = req.params;
+    const result = await draftRevisionService.restoreRevision(draftId, parseInt(version), req.user.email);
+    if (!result) {
+      return res.status(404).json({ message: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      message: `Restored version ${version}`,
+      version: result.revision.version,
+      blocks: result.draft.generatedContent?.contentBlocks || [],
+      uploadedImages: result.draft.generatedContent?.uploadedImages || {},
+      selectedH1: result.draft.selectedH1,
+      selectedMetaTitle: result.draft.selectedMetaTitle,
+      selectedMetaDescription: result.draft.selectedMetaDescription
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET what re-deploying would change on the draft's WordPress post, plus its sync history
+router.get('/draft/:draftId/wordpress-sync', async (req, res) => {
+  try {
+    const draftDeploymentService = require('../services/draftDeploymentService');
+    const preview = await draftDeploymentService.previewSync(req.params.draftId);
+    if (!preview) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+
+    res.json(preview);
+  } catch (error) {
+    console.error('WordPress sync preview error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET a preview page of the post HTML a deploy would send; ?target=gutenberg|classic|amp renders another target
+router.get('/draft/:draftId/preview', async (req, res) => {
+  try {
+    const draftDeploymentService = require('../services/draftDeploymentService');
+    const preview = await draftDeploymentService.renderPreview(req.params.draftId, req.query.target || null);
+    if (!preview) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+    if (preview.error) {
+      return res.status(preview.statusCode).json({ message: preview.error });
+    }
+
+    res.json(preview);
+  } catch (error) {
+    console.error('Draft preview error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET WordPress categories/tags picked for the draft and those available on the company site
+router.get('/draft/:draftId/taxonomy', async (req, res) => {
+  try {
+    const taxonomyService = require('../services/taxonomyService');
+    const result = await taxonomyService.getDraftTaxonomy(req.params.draftId);
+    if (!result) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Taxonomy fetch error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET the draft as a file: format = markdown | html | docx | pdf
+router.get('/draft/:draftId/export/:format', async (req, res) => {
+  try {
+    const draftExportService = require('../services/draftExportService');
+    const result = await draftExportService.exportDraft(req.params.draftId, req.params.format);
+    if (!result) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.set({
+      'Content-Type': result.contentType,
+      'Content-Disposition': `attachment; filename="${result.fileName}"`
+    });
+    res.send(result.body);
+  } catch (error) {
+    console.error('Draft export error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST recompute the draft's SEO score from its saved content
+router.post('/draft/:draftId/seo-score', async (req, res) => {
+  try {
+    const seoAnalysis = await seoScoringService.analyzeDraft(req.params.draftId);
+    if (!seoAnalysis) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+
+    res.json(seoAnalysis);
+  } catch (error) {
+    console.error('SEO scoring error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST readability analysis of the draft's blocks: { contentBlocks } analyzes unsaved editor content
+router.post('/draft/:draftId/readability', async (req, res) => {
+  try {
+    const readabilityService = require('../services/readabilityService');
+    let { contentBlocks } = req.body;
+    if (!Array.isArray(contentBlocks)) {
+      const draft = await Draft.findById(req.params.draftId).select('generatedContent.contentBlocks');
+      if (!draft) {
+        return res.status(404).json({ message: 'Draft not found' });
+      }
+      contentBlocks = draft.generatedContent?.contentBlocks || [];
+    }
+
+    res.json(readabilityService.analyzeBlocks(contentBlocks));
+  } catch (error) {
+    console.error('Readability analysis error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET secondary keywords of a draft with their coverage in the saved content
+router.get('/draft/:draftId/secondary-keywords', async (req, res) => {
+  try {
+    const secondaryKeywordService = require('../services/secondaryKeywordService');
+    const result = await secondaryKeywordService.getForDraft(req.params.draftId);
+    if (!result) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Secondary keywords error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PUT secondary keywords: { secondaryKeywords: [{ keyword, targetCount, source } | "keyword"] }
+router.put('/draft/:draftId/secondary-keywords', async (req, res) => {
+  try {
+    const secondaryKeywordService = require('../services/secondaryKeywordService');
+    const result = await secondaryKeywordService.save(req.params.draftId, req.body.secondaryKeywords);
+    if (!result) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Secondary keywords save error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST suggest secondary keywords from the SERP clusters and Perplexity
+router.post('/draft/:draftId/secondary-keywords/suggestions', async (req, res) => {
+  try {
+    const secondaryKeywordService = require('../services/secondaryKeywordService');
+    const result = await secondaryKeywordService.suggest(req.params.draftId);
+    if (!result) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Secondary keyword suggestion error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST coverage of unsaved editor content: { contentBlocks, secondaryKeywords }
+router.post('/draft/:draftId/secondary-keywords/coverage', async (req, res) => {
+  try {
+    const secondaryKeywordService = require('../services/secondaryKeywordService');
+    let { contentBlocks, secondaryKeywords } = req.body;
+    if (!Array.isArray(contentBlocks) || !Array.isArray(secondaryKeywords)) {
+      const draft = await Draft.findById(req.params.draftId).select('generatedContent.contentBlocks secondaryKeywords');
+      if (!draft) {
+        return res.status(404).json({ message: 'Draft not found' });
+      }
+      contentBlocks = Array.isArray(contentBlocks) ? contentBlocks : draft.generatedContent?.contentBlocks || [];
+      secondaryKeywords = Array.isArray(secondaryKeywords) ? secondaryKeywords : draft.secondaryKeywords || [];
+    }
+
+    res.json(secondaryKeywordService.coverage(contentBlocks, secondaryKeywords));
+  } catch (error) {
+    console.error('Secondary keyword coverage error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST suggest categories and tags from the content and focus keyword: { llmProvider }
+router.post('/draft/:draftId/taxonomy/suggestions', async (req, res) => {
+  try {
+    const taxonomyService = require('../services/taxonomyService');
+    const result = await taxonomyService.suggest(req.params.draftId, { llmProvider: req.body.llmProvider });
+    if (!result) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Taxonomy suggestion error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PUT picked terms: { categories: [categoryId], tags: [{ id, name } | "new tag"] }
+router.put('/draft/:draftId/taxonomy', async (req, res) => {
+  try {
+    const taxonomyService = require('../services/taxonomyService');
+    const result = await taxonomyService.saveSelection(req.params.draftId, req.body.categories, req.body.tags);
+    if (!result) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Taxonomy save error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // GET keywords for a company
-router.get('/keywords/:companyName', async (req, res) => {
+router.get('/keywords/:companyName', requireCompanyAccess(req => req.params.companyName), async (req, res) => {
   try {
     const { companyName } = req.params;
     console.log(`🔍 Fetching keywords for company: ${companyName}`);
@@ -430,9 +694,9 @@ router.get('/keywords/:companyName', async (req, res) => {
 });
 
 // POST select keyword and analyze - FIXED VERSION
-router.post('/select-keyword-analyze', async (req, res) => {
+router.post('/select-keyword-analyze', requireRecordAccess(req => req.body.blogId ? accessService.getBlogScope(req.body.blogId) : null), async (req, res) => {
   try {
-    const { selectedKeyword, blogId, draftId } = req.body;
+    const { selectedKeyword, blogId, draftId, llmProvider } = req.body;
 
     console.log(`🎯 KEYWORD ANALYSIS REQUEST:`);
     console.log(`   selectedKeyword: ${selectedKeyword}`);
@@ -482,6 +746,8 @@ router.post('/select-keyword-analyze', async (req, res) => {
     });
 
     console.log(`✅ Updated blog with keyword: ${selectedKeyword}`);
+    const report = progressEventService.reporter(draftId, { flow: 'meta' });
+    report(5, 'keyword', `Selected keyword "${selectedKeyword}"`);
 
     // Get complete company context for Gemini
     const companyContext = {
@@ -491,7 +757,8 @@ router.post('/select-keyword-analyze', async (req, res) => {
       aboutTheCompany: blog.companyId?.aboutTheCompany || 'WattMonk is a technology-driven solar services company providing end-to-end solar solutions.',
       targetAudience: 'Solar industry professionals',
       brandVoice: 'Professional, authoritative, helpful',
-      tone: 'Expert, trustworthy, solution-focused'
+      tone: 'Expert, trustworthy, solution-focused',
+      llmConfig: llmProviderService.resolveSelection(blog.companyId?.llmConfig, llmProvider)
     };
 
     // Validate company context for company-specific content
@@ -509,6 +776,7 @@ router.post('/select-keyword-analyze', async (req, res) => {
     const metaService = require('../services/metaService');
 
     console.log(`🤖 Generating meta content for SELECTED keyword: "${selectedKeyword}"`);
+    report(10, 'keyword', 'Generating initial H1, meta title and description');
 
     // Create keyword object for meta generation
     const keywordObj = {
@@ -524,11 +792,13 @@ router.post('/select-keyword-analyze', async (req, res) => {
       companyName: companyContext.name,
       servicesOffered: companyContext.servicesOffered,
       serviceOverview: companyContext.serviceOverview,
-      aboutTheCompany: companyContext.aboutTheCompany
+      aboutTheCompany: companyContext.aboutTheCompany,
+      llmConfig: companyContext.llmConfig
     });
 
     // Generate comprehensive competitor analysis
     console.log(`🔍 Performing competitor analysis for keyword: ${selectedKeyword}`);
+    report(15, 'serp', 'Calling SERP for competitor analysis');
 
     let realCompetitors = [];
     let keywordClusters = [];
@@ -556,8 +826,10 @@ router.post('/select-keyword-analyze', async (req, res) => {
       ];
 
       console.log(`✅ Found ${realCompetitors.length} competitors and ${keywordClusters.length} keyword clusters`);
+      report(20, 'serp', `Found ${realCompetitors.length} competitors and ${keywordClusters.length} keyword clusters`);
     } catch (error) {
       console.log('⚠️ Could not fetch SERP data, using fallback competitor analysis');
+      report(20, 'serp', 'SERP unavailable, using fallback competitor analysis');
 
       // Fallback competitor data
       realCompetitors = [
@@ -634,7 +906,7 @@ router.post('/select-keyword-analyze', async (req, res) => {
 });
 
 // POST /api/blogs/competitor-analysis - Dedicated competitor analysis endpoint
-router.post('/competitor-analysis', async (req, res) => {
+router.post('/competitor-analysis', requireCompanyAccess(req => req.body.companyName), async (req, res) => {
   try {
     const { keyword, companyName = 'WattMonk', limit = 10 } = req.body;
 
@@ -769,148 +1041,25 @@ router.post('/keyword-clusters', async (req, res) => {
 // POST generate meta scores (frontend expects this)
 router.post('/generate-meta-scores', async (req, res) => {
   try {
-    const { draftId, selectedKeyword } = req.body;
-
-    const draft = await Draft.findById(draftId).populate({
-      path: 'blogId',
-      populate: {
-        path: 'companyId'
-      }
-    });
+    const { draftId, selectedKeyword, llmProvider, async: runAsJob } = req.body;
 
-    if (!draft) {
-      return res.status(404).json({ message: 'Draft not found' });
+    // Queue as a background job so the generating-meta page can poll progress
+    if (runAsJob) {
+      const job = await jobQueueService.enqueue('generate-meta-scores', { draftId, selectedKeyword, llmProvider }, { draftId });
+      return res.status(202).json({ success: true, jobId: job._id, status: job.status });
     }
 
-    // Use the selected keyword from the request, or from the draft, or fallback
-    const keyword = selectedKeyword || draft.selectedKeyword || draft.blogId.focusKeyword || 'solar energy';
-    const metaService = require('../services/metaService');
-
-    console.log(`🎯 Generating meta options for SELECTED keyword: ${keyword}`);
-    console.log(`   selectedKeyword from request: ${selectedKeyword}`);
-    console.log(`   draft.selectedKeyword: ${draft.selectedKeyword}`);
-    console.log(`   draft.blogId.focusKeyword: ${draft.blogId.focusKeyword}`);
-
-    // Generate 3 different meta variations using Gemini
-    const metaOptions = [];
-
-    for (let i = 0; i < 3; i++) {
-      try {
-        // Create unique prompts for each option to ensure diversity
-        const approaches = [
-          {
-            style: 'comprehensive guide',
-            tone: 'authoritative and educational',
-            focus: 'complete coverage and expertise',
-            format: 'guide'
-          },
-          {
-            style: 'practical how-to',
-            tone: 'helpful and actionable',
-            focus: 'step-by-step solutions',
-            format: 'how-to'
-          },
-          {
-            style: 'comparison and analysis',
-            tone: 'analytical and insightful',
-            focus: 'benefits and comparisons',
-            format: 'comparison'
-          }
-        ];
-
-        const approach = approaches[i];
-        const companyName = draft.blogId?.companyId?.name || 'Solar Company';
-
-        // Generate unique meta content using Gemini directly with diverse prompts
-        const uniquePrompt = `Generate SEO-optimized meta content for "${keyword}" with a ${approach.style} approach.
-
-Style: ${approach.style}
-Tone: ${approach.tone}
-Focus: ${approach.focus}
-Company: ${companyName}
-Target Audience: Solar industry professionals and potential customers
-
-Requirements:
-- H1: 60-70 characters, ${approach.tone}, include "${keyword}"
-- Meta Title: 50-60 characters, include company name and "${keyword}"
-- Meta Description: 150-160 characters, compelling call-to-action
-
-Make this option ${i + 1} distinctly different from other variations.
-
-Return JSON format:
-{
-  "h1": "...",
-  "metaTitle": "...",
-  "metaDescription": "..."
-}`;
-
-        console.log(`🎯 Generating meta option ${i + 1} with ${approach.style} approach`);
-
-        const geminiService = require('../services/geminiService');
-        const response = await geminiService.generateContent(uniquePrompt, {
-          name: companyName,
-          tone: approach.tone,
-          targetAudience: 'Solar professionals'
-        });
-
-        // Parse the JSON response
-        let metaContent;
-        try {
-          const jsonMatch = response.content.match(/\{[\s\S]*\}/);
-          if (jsonMatch) {
-            metaContent = JSON.parse(jsonMatch[0]);
-          } else {
-            throw new Error('No JSON found in response');
-          }
-        } catch (parseError) {
-          console.warn(`Failed to parse meta option ${i + 1}, using structured fallback`);
-          metaContent = {
-            h1: `${keyword.charAt(0).toUpperCase() + keyword.slice(1)} ${['- Complete Guide', '- How-To Guide', '- Comparison & Analysis'][i]}`,
-            metaTitle: `${keyword} | ${companyName} ${['Guide', 'Solutions', 'Analysis'][i]}`,
-            metaDescription: `${['Comprehensive guide to', 'Learn how to implement', 'Compare and analyze'][i]} ${keyword} with expert insights from ${companyName}.`
-          };
-        }
-
-        // Calculate realistic scores based on content
-        const scores = {
-          keywordScore: Math.floor(85 + Math.random() * 15), // 85-100
-          lengthScore: Math.floor(80 + Math.random() * 20),  // 80-100
-          readabilityScore: Math.floor(85 + Math.random() * 15), // 85-100
-          trendScore: Math.floor(80 + Math.random() * 20),   // 80-100
-          totalScore: 0
-        };
-        scores.totalScore = Math.floor((scores.keywordScore + scores.lengthScore + scores.readabilityScore + scores.trendScore) / 4);
-
-        metaOptions.push({
-          h1Title: metaContent.h1,
-          metaTitle: metaContent.metaTitle,
-          metaDescription: metaContent.metaDescription,
-          scores,
-          keywordsIncluded: [keyword, approach.format, 'solar']
-        });
-
-        console.log(`✅ Generated meta option ${i + 1}: "${metaContent.h1}"`);
-      } catch (error) {
-        console.warn(`Failed to generate meta option ${i + 1}, using fallback`);
-        // Fallback option
-        metaOptions.push({
-          h1Title: `${keyword.charAt(0).toUpperCase() + keyword.slice(1)} - Complete Guide`,
-          metaTitle: `${keyword} | Solar Solutions Guide`,
-          metaDescription: `Discover everything about ${keyword} with expert insights and practical solar industry tips.`,
-          scores: {
-            keywordScore: 85,
-            lengthScore: 88,
-            readabilityScore: 90,
-            trendScore: 85,
-            totalScore: 87
-          },
-          keywordsIncluded: [keyword, "guide", "solar"]
-        });
-      }
+    const contentGenerationService = require('../services/contentGenerationService');
+    const result = await contentGenerationService.generateMetaOptions(
+      draftId,
+      { selectedKeyword, llmProvider },
+      progressEventService.reporter(draftId, { flow: 'meta' })
+    );
+    if (!result) {
+      return res.status(404).json({ message: 'Draft not found' });
     }
 
-    console.log(`✅ Generated ${metaOptions.length} meta options for ${keyword}`);
-    res.json({ metaOptions });
+    res.json(result);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -919,7 +1068,7 @@ Return JSON format:
 // POST regenerate meta content (for individual regeneration)
 router.post('/regenerate-meta', async (req, res) => {
   try {
-    const { draftId, blockType } = req.body; // blockType: 'h1', 'metaTitle', 'metaDescription'
+    const { draftId, blockType, llmProvider } = req.body; // blockType: 'h1', 'metaTitle', 'metaDescription'
 
     const draft = await Draft.findById(draftId).populate({
       path: 'blogId',
@@ -966,7 +1115,8 @@ Return only the ${blockType} content, no JSON wrapper.`;
     const response = await geminiService.generateContent(regeneratePrompt, {
       name: companyName,
       tone: randomApproach,
-      targetAudience: 'Solar professionals'
+      targetAudience: 'Solar professionals',
+      llmConfig: llmProviderService.resolveSelection(draft.blogId?.companyId?.llmConfig, llmProvider)
     });
 
     // Clean the response
@@ -1004,6 +1154,16 @@ router.post('/select-meta', async (req, res) => {
     draft.selectedMetaTitle = selectedMeta.metaTitle;
     draft.selectedMetaDescription = selectedMeta.metaDescription;
     draft.status = 'meta_selection'; // Update workflow status
+
+    // Uploaded documents already have their content: the chosen H1 replaces the title block
+    if (draft.importedFrom?.fileName && draft.generatedContent?.contentBlocks?.length) {
+      const titleBlock = draft.generatedContent.contentBlocks.find(block => block.type === 'h1' || block.type === 'title');
+      if (titleBlock && selectedMeta.h1Title) {
+        titleBlock.content = selectedMeta.h1Title;
+        draft.markModified('generatedContent.contentBlocks');
+      }
+      draft.status = 'content_review';
+    }
     await draft.save();
 
     console.log(`✅ Saved selected meta data for draft ${draftId}`);
@@ -1011,7 +1171,13 @@ router.post('/select-meta', async (req, res) => {
     console.log(`   Meta Title: ${selectedMeta.metaTitle}`);
     console.log(`   Meta Description: ${selectedMeta.metaDescription}`);
 
-    res.json({ success: true });
+    const revision = await draftRevisionService.safeRecordRevision(draftId, {
+      stage: 'meta-selection',
+      createdBy: req.user.email,
+      summary: `Selected H1 "${selectedMeta.h1Title}"`
+    });
+
+    res.json({ success: true, version: revision?.version });
   } catch (error) {
     console.error('Error saving selected meta:', error);
     res.status(500).json({ message: error.message });
@@ -1021,376 +1187,232 @@ router.post('/select-meta', async (req, res) => {
 // POST generate structured content (frontend expects this)
 router.post('/generate-structured-content', async (req, res) => {
   try {
-    const { draftId } = req.body;
-
-    const draft = await Draft.findById(draftId).populate({
-      path: 'blogId',
-      populate: {
-        path: 'companyId'
-      }
-    });
-    if (!draft) {
-      return res.status(404).json({ message: 'Draft not found' });
-    }
-
-    // Get the selected data from the draft
-    const selectedKeyword = draft.selectedKeyword || draft.blogId.focusKeyword;
-    const selectedH1 = draft.selectedH1 || `Complete Guide to ${selectedKeyword}`;
-    const selectedMetaTitle = draft.selectedMetaTitle || `${selectedKeyword} | ${draft.blogId?.companyId?.name || 'Solar Company'}`;
-    const selectedMetaDescription = draft.selectedMetaDescription || `Learn everything about ${selectedKeyword} for solar professionals.`;
-    const companyName = draft.blogId?.companyId?.name || 'Solar Company';
-
-    // Get complete company context for content generation
-    const companyContext = {
-      name: draft.blogId?.companyId?.name || 'WattMonk',
-      serviceOverview: draft.blogId?.companyId?.serviceOverview || 'Professional solar design, engineering, permitting, and installation support services',
-      servicesOffered: draft.blogId?.companyId?.servicesOffered || 'Solar Design, Engineering, Permitting, Installation Support',
-      aboutTheCompany: draft.blogId?.companyId?.aboutTheCompany || 'WattMonk is a technology-driven solar services company providing end-to-end solar solutions.',
-      targetAudience: 'Solar industry professionals',
-      tone: 'Professional, authoritative, helpful'
-    };
+    const { draftId, llmProvider, async: runAsJob } = req.body;
 
-    // Get target word count from the keyword data
-    let targetWordCount = 2500; // default
-    try {
-      const keywordService = require('../services/keywordService');
-      const keywords = await keywordService.getKeywordsForCompany(companyName, false);
-      const keywordData = keywords.find(k => k.focusKeyword === selectedKeyword);
-
-      if (keywordData && keywordData.wordCount) {
-        const wordCountRange = keywordData.wordCount.replace(/,/g, "");
-        const minWords = parseInt(wordCountRange.split("-")[0]);
-        targetWordCount = minWords;
-        console.log(`📊 Using target word count ${targetWordCount} from keyword "${selectedKeyword}"`);
-      } else {
-        console.log(`⚠️ No word count found for keyword "${selectedKeyword}", using default ${targetWordCount}`);
-      }
-    } catch (error) {
-      console.log(`⚠️ Error getting word count for keyword, using default: ${error.message}`);
+    // Queue as a background job so the generating-content page can poll progress
+    if (runAsJob) {
+      const job = await jobQueueService.enqueue('generate-structured-content', { draftId, llmProvider }, { draftId });
+      return res.status(202).json({ success: true, jobId: job._id, status: job.status });
     }
 
-    console.log(`🤖 Generating structured content using selected data:`);
-    console.log(`   Keyword: ${selectedKeyword}`);
-    console.log(`   H1: ${selectedH1}`);
-    console.log(`   Meta Title: ${selectedMetaTitle}`);
-    console.log(`   Target Word Count: ${targetWordCount}`);
-
-    const geminiService = require('../services/geminiService');
-    const trendService = require('../services/trendService');
-
-    // Fetch relevant trends from ALL sources for context
-    let trendData = [];
-    try {
-      console.log(`🔍 Fetching trends for "${selectedKeyword}" from ALL news sources...`);
-      trendData = await trendService.fetchTrendData(selectedKeyword, 'all', 5);
-      console.log(`📊 Fetched ${trendData.length} trend articles from multiple sources for context`);
-    } catch (error) {
-      console.log('⚠️ Could not fetch trend data, proceeding without trends');
+    const contentGenerationService = require('../services/contentGenerationService');
+    const result = await contentGenerationService.generateStructuredContent(
+      draftId,
+      { llmProvider },
+      progressEventService.reporter(draftId, { flow: 'content' })
+    );
+    if (!result) {
+      return res.status(404).json({ message: 'Draft not found' });
     }
 
-    console.log(`🎯 GENERATING ALL CONTENT FOR SELECTED KEYWORD: "${selectedKeyword}"`);
-    console.log(`📝 Using SELECTED meta data:`);
-    console.log(`   H1: ${selectedH1}`);
-    console.log(`   Meta Title: ${selectedMetaTitle}`);
-    console.log(`   Meta Description: ${selectedMetaDescription}`);
-    console.log(`   Company: ${companyName}`);
-    console.log(`🔄 Generating 9 content blocks ALL focused on: "${selectedKeyword}"`);
-
-    // Generate SEO-optimized content for RankMath 85-100/100 score
-    const seoOptimizationService = require('../services/seoOptimizationService');
+    res.json(result);
 
-    console.log(`🎯 USING SEO OPTIMIZATION SERVICE FOR RANKMATH COMPLIANCE`);
-
-    const seoOptimizedContent = await seoOptimizationService.generateSEOOptimizedContent({
-      selectedKeyword,
-      selectedH1,
-      selectedMetaTitle,
-      selectedMetaDescription,
-      companyName,
-      companyContext, // Pass full company context
-      targetWordCount
+  } catch (error) {
+    console.error('Content generation error:', error);
+    res.status(500).json({
+      message: 'Failed to generate content',
+      error: error.message
     });
+  }
+});
 
-    console.log(`📊 ESTIMATED RANKMATH SCORE: ${seoOptimizedContent.estimatedRankMathScore}/100`);
-    console.log(`✅ SEO VALIDATION PASSED: ${seoOptimizedContent.seoValidation.checks}`);
-
-    // Use optimized meta data
-    const optimizedMeta = seoOptimizedContent.optimizedMeta;
-
-    // Generate EXACTLY 9 SEO-optimized content blocks using our optimization service
-    const contentBlocks = [];
-    let blockId = 1;
+// POST regenerate block (frontend expects this)
+// The previous text of a stored block is kept in block.alternatives
+router.post('/regenerate-block', async (req, res) => {
+  try {
+    const { draftId, blockId, regenerationType, customPrompt, newContent, llmProvider } = req.body;
 
-    console.log(`🔨 Creating 9 SEO-optimized blocks for RankMath compliance: "${selectedKeyword}"`);
+    if (regenerationType === 'manual' && newContent) {
+      // Manual content update
+      const { block, revision } = await persistBlockContent(draftId, blockId, newContent, { source: 'manual' }, {
+        stage: 'block-edit',
+        createdBy: req.user.email,
+        summary: `Edited block ${blockId}`
+      });
 
-    // Block 1: Feature Image (keyword-specific with dynamic prompt)
-    const imageService = require('../services/imageService');
-    const dynamicFeaturePrompt = imageService.generateDynamicImagePrompt(
-      selectedKeyword,
-      selectedH1,
-      companyName,
-      'feature',
-      [] // Will be populated with content blocks later
-    );
+      res.json({
+        id: blockId,
+        content: newContent,
+        editable: true,
+        wordCount: newContent.split(' ').length,
+        alternatives: block?.alternatives,
+        metadata: block?.metadata,
+        version: revision?.version
+      });
+      return;
+    }
 
-    contentBlocks.push({
-      id: `feature-img-${blockId++}`,
-      type: "image",
-      imageType: "feature",
-      content: "",
-      editable: false,
-      imagePrompt: dynamicFeaturePrompt,
-      altText: `${selectedKeyword} - ${companyName} professional solution`,
-      generated: false,
-      seoOptimized: true
-    });
+    // AI regeneration using Gemini
+    const geminiService = require('../services/geminiService');
 
-    // Block 2: H1 Title (SEO-optimized)
-    contentBlocks.push({
-      id: `title-${blockId++}`,
-      type: "h1",
-      content: optimizedMeta.h1, // Use SEO-optimized H1
-      editable: true,
-      wordCount: optimizedMeta.h1.split(' ').length,
-      seoOptimized: true
-    });
+    const regeneration = await prepareBlockRegeneration(draftId, blockId, customPrompt, llmProvider);
+    if (!regeneration) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+    const { blockType, prompt, companyContext } = regeneration;
 
-    // Block 3: Introduction (keyword in first 100 words for RankMath)
-    const seoIntroBlock = seoOptimizedContent.contentBlocks.find(block =>
-      block.type === 'paragraph' && block.seoNotes && block.seoNotes.includes('first 100 words')
-    );
+    console.log(`🔄 Regenerating ${blockType} block ${blockId} with ${companyContext.llmConfig.provider || llmProviderService.defaultProvider}`);
 
-    contentBlocks.push({
-      id: `intro-${blockId++}`,
-      type: "introduction",
-      content: seoIntroBlock ? seoIntroBlock.content : `Introduction content for ${selectedKeyword}...`,
-      editable: true,
-      wordCount: seoIntroBlock ? seoIntroBlock.content.split(' ').length : 200,
-      seoOptimized: true,
-      seoNote: "Keyword included in first 100 words for RankMath compliance"
-    });
+    const result = await geminiService.generateBlockContent(prompt, blockType, companyContext);
 
-    // Blocks 4-7: Main content sections (SEO-optimized)
-    const seoContentBlocks = seoOptimizedContent.contentBlocks.filter(block =>
-      block.type === 'h2' || (block.type === 'paragraph' && !block.seoNotes.includes('first 100 words'))
-    );
+    // The content is already cleaned in generateBlockContent, but ensure it's properly formatted
+    const finalContent = result.content;
 
-    seoContentBlocks.forEach((seoBlock, index) => {
-      if (seoBlock.type === 'h2') {
-        // Add H2 heading with keyword context
-        contentBlocks.push({
-          id: `h2-${blockId++}`,
-          type: "h2",
-          content: seoBlock.content,
-          editable: true,
-          wordCount: seoBlock.content.split(' ').length,
-          seoOptimized: true
-        });
-      } else if (seoBlock.type === 'paragraph') {
-        // Add section content focused on keyword
-        contentBlocks.push({
-          id: `section-${blockId++}`,
-          type: "section",
-          content: seoBlock.content,
-          editable: true,
-          wordCount: seoBlock.content.split(' ').length,
-          includesKeyword: true,
-          seoOptimized: true,
-          seoNote: seoBlock.seoNotes
-        });
+    console.log(`✅ Generated clean content for ${blockType}: "${finalContent.substring(0, 100)}..."`);
 
-        // Add inline image for second section with dynamic prompt
-        if (index === 3) { // After second content section
-          const dynamicInlinePrompt = imageService.generateDynamicImagePrompt(
-            selectedKeyword,
-            selectedH1,
-            companyName,
-            'content',
-            contentBlocks // Pass existing content for context
-          );
-
-          contentBlocks.push({
-            id: `inline-img-${blockId++}`,
-            type: "image",
-            imageType: "inline",
-            content: "",
-            editable: false,
-            imagePrompt: dynamicInlinePrompt,
-            altText: `${selectedKeyword} - ${companyName} technical solution`,
-            generated: false,
-            seoOptimized: true
-          });
-        }
+    const { block, revision } = await persistBlockContent(
+      draftId,
+      blockId,
+      finalContent,
+      { source: 'ai', provider: result.provider, model: result.model },
+      {
+        stage: 'block-regeneration',
+        createdBy: req.user.email,
+        summary: `Regenerated ${blockType} block ${blockId} with ${result.provider || 'AI'}`
       }
-    });
-
-    // Block 8: Conclusion with CTA (SEO-optimized)
-    const seoConclusionBlock = seoOptimizedContent.contentBlocks.find(block =>
-      block.seoNotes && block.seoNotes.includes('conclusion')
     );
 
-    contentBlocks.push({
-      id: `conclusion-${blockId++}`,
-      type: "conclusion",
-      content: seoConclusionBlock ? seoConclusionBlock.content : `Ready to get started with ${selectedKeyword}? Contact ${companyName} today for professional ${selectedKeyword} services and expert consultation.`,
+    res.json({
+      id: blockId,
+      content: finalContent,
       editable: true,
-      wordCount: seoConclusionBlock ? seoConclusionBlock.content.split(' ').length : 50,
-      seoOptimized: true,
-      seoNote: "Conclusion with keyword and CTA for RankMath compliance"
+      wordCount: finalContent.split(' ').length,
+      blockType: blockType,
+      provider: result.provider,
+      model: result.model,
+      alternatives: block?.alternatives,
+      metadata: block?.metadata,
+      version: revision?.version
     });
 
-    // Block 9: References/Citations (keyword-specific) - REAL authority links
-    const linkService = require('../services/linkService');
-    const keywordLinks = await linkService.generateInboundOutboundLinks(selectedKeyword, companyName);
-
-    let citationsContent = `## References and Further Reading about ${selectedKeyword}\n\n`;
-    citationsContent += `These authority links are automatically embedded within your content above based on your keyword "${selectedKeyword}":\n\n`;
+  } catch (error) {
+    console.error('Block regeneration error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
 
-    keywordLinks.outboundLinks.slice(0, 5).forEach((link, index) => {
-      citationsContent += `${index + 1}. [${link.text}](${link.url}) - ${link.context}\n`;
-    });
+// GET current content and alternatives of a block
+router.get('/draft/:draftId/blocks/:blockId/alternatives', async (req, res) => {
+  try {
+    const found = await blockAlternativeService.loadBlock(req.params.draftId, req.params.blockId);
+    if (!found) {
+      return res.status(404).json({ message: 'Block not found' });
+    }
 
-    contentBlocks.push({
-      id: `citations-${blockId++}`,
-      type: "references",
-      content: citationsContent,
-      editable: false, // Make it non-editable so users can't break the real links
-      wordCount: citationsContent.split(' ').length
-    });
+    res.json(found.block);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
 
-    console.log(`✅ Generated exactly ${contentBlocks.length} blocks for "${selectedKeyword}"`);
+// POST generate N candidate versions of a block without replacing it
+router.post('/draft/:draftId/blocks/:blockId/alternatives', async (req, res) => {
+  try {
+    const { draftId, blockId } = req.params;
+    const { customPrompt, llmProvider } = req.body;
+    const count = Math.min(Math.max(parseInt(req.body.count) || 2, 1), 3);
 
-    // Store the generated content and links in the draft
-    console.log(`💾 Saving ${contentBlocks.length} content blocks to draft ${draftId}`);
-    console.log(`📋 First content block:`, JSON.stringify(contentBlocks[0], null, 2));
+    const regeneration = await prepareBlockRegeneration(draftId, blockId, customPrompt, llmProvider);
+    if (!regeneration) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+    const { blockType, prompt, companyContext } = regeneration;
 
-    const updateResult = await Draft.findByIdAndUpdate(draftId, {
-      generatedContent: {
-        contentBlocks, // SEO-optimized content blocks
-        seoValidation: seoOptimizedContent.seoValidation,
-        estimatedRankMathScore: seoOptimizedContent.estimatedRankMathScore,
-        inboundLinks: [],
-        outboundLinks: [],
-        imagePrompts: [],
-        generatedAt: new Date(),
-        seoOptimized: true
-      },
-      // Store SEO-optimized meta data for WordPress deployment
-      title: optimizedMeta.h1,                    // SEO-optimized H1 for WordPress post title
-      metaTitle: optimizedMeta.metaTitle,         // SEO-optimized meta title for RankMath
-      metaDescription: optimizedMeta.metaDescription, // SEO-optimized meta description for RankMath
-      slug: optimizedMeta.slug,                   // SEO-optimized URL slug
-      selectedKeyword: selectedKeyword,
-      // Store original selections for reference
-      originalSelections: {
-        h1: selectedH1,
-        metaTitle: selectedMetaTitle,
-        metaDescription: selectedMetaDescription
-      },
-      status: 'content_review' // Update workflow status
-    }, { new: true });
+    console.log(`🔀 Generating ${count} alternatives for ${blockType} block ${blockId}`);
 
-    if (updateResult) {
-      console.log(`✅ Successfully saved draft with ${updateResult.generatedContent?.contentBlocks?.length || 0} content blocks`);
-    } else {
-      console.log(`❌ Failed to save draft - updateResult is null`);
+    const geminiService = require('../services/geminiService');
+    const candidates = [];
+    for (let i = 0; i < count; i++) {
+      const result = await geminiService.generateBlockContent(prompt, blockType, companyContext);
+      candidates.push({ content: result.content, source: 'ai', provider: result.provider, model: result.model });
     }
 
-    console.log(`✅ Generated ${contentBlocks.length} content blocks with expert prompt`);
-
-    res.json({
-      success: true,
-      blocks: contentBlocks,
-      draftId,
-      keyword: selectedKeyword,
-      seoOptimized: true,
-      estimatedRankMathScore: seoOptimizedContent.estimatedRankMathScore,
-      seoValidation: seoOptimizedContent.seoValidation,
-      optimizedMeta: optimizedMeta,
-      inboundLinks: [],
-      outboundLinks: [],
-      imagePrompts: []
-    });
+    const block = await blockAlternativeService.addAlternatives(draftId, blockId, candidates);
+    if (!block) {
+      return res.status(404).json({ message: 'Block not found' });
+    }
 
+    res.json(block);
   } catch (error) {
-    console.error('Content generation error:', error);
-    res.status(500).json({
-      message: 'Failed to generate content',
-      error: error.message
-    });
+    console.error('Block alternatives error:', error);
+    res.status(500).json({ message: error.message });
   }
 });
 
-// POST regenerate block (frontend expects this)
-router.post('/regenerate-block', async (req, res) => {
+// POST pick an alternative as the block content
+router.post('/draft/:draftId/blocks/:blockId/select', async (req, res) => {
   try {
-    const { draftId, blockId, regenerationType, customPrompt, newContent } = req.body;
+    const { draftId, blockId } = req.params;
+    const { alternativeId } = req.body;
 
-    if (regenerationType === 'manual' && newContent) {
-      // Manual content update
-      res.json({
-        id: blockId,
-        content: newContent,
-        editable: true,
-        wordCount: newContent.split(' ').length
-      });
-      return;
+    const block = await blockAlternativeService.selectAlternative(draftId, blockId, alternativeId);
+    if (!block) {
+      return res.status(404).json({ message: 'Alternative not found' });
     }
 
-    // AI regeneration using Gemini
-    const geminiService = require('../services/geminiService');
+    const revision = await draftRevisionService.safeRecordRevision(draftId, {
+      stage: 'block-selection',
+      createdBy: req.user.email,
+      summary: `Picked ${block.metadata.source} alternative for block ${blockId}`
+    });
 
-    // Get draft context
-    const draft = await Draft.findById(draftId)
-      .populate({
-        path: 'blogId',
-        populate: {
-          path: 'companyId'
-        }
-      });
+    res.json({ ...block, version: revision?.version });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
 
-    if (!draft) {
-      return res.status(404).json({ message: 'Draft not found' });
-    }
+// POST save text merged from several alternatives
+router.post('/draft/:draftId/blocks/:blockId/merge', async (req, res) => {
+  try {
+    const { draftId, blockId } = req.params;
+    const { content, alternativeIds } = req.body;
 
-    const companyContext = {
-      name: draft.blogId?.companyId?.name || 'Solar Company',
-      targetAudience: 'Solar industry professionals',
-      tone: 'Professional, informative'
-    };
+    if (!content) {
+      return res.status(400).json({ message: 'Merged content is required' });
+    }
 
-    // Get the current blocks from the draft
-    const currentBlocks = await getCurrentBlocks(draftId);
-    const currentBlock = currentBlocks.find(block => block.id === blockId);
-    const blockType = determineBlockType(currentBlock, blockId);
+    const block = await blockAlternativeService.mergeAlternatives(draftId, blockId, content, alternativeIds);
+    if (!block) {
+      return res.status(404).json({ message: 'Block not found' });
+    }
 
-    // Create block-specific regeneration prompt
-    const basePrompt = customPrompt || createBlockSpecificPrompt(
-      blockType,
-      draft.selectedKeyword || draft.blogId.focusKeyword,
-      draft.selectedH1,
-      companyContext
-    );
+    const revision = await draftRevisionService.safeRecordRevision(draftId, {
+      stage: 'block-selection',
+      createdBy: req.user.email,
+      summary: `Merged ${alternativeIds?.length || 0} alternatives into block ${blockId}`
+    });
 
-    console.log(`🔄 Regenerating ${blockType} block ${blockId} with Gemini AI`);
+    res.json({ ...block, version: revision?.version });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
 
-    const result = await geminiService.generateBlockContent(basePrompt, blockType, companyContext);
+// POST revert a block to its originally generated text
+router.post('/draft/:draftId/blocks/:blockId/revert', async (req, res) => {
+  try {
+    const { draftId, blockId } = req.params;
 
-    // The content is already cleaned in generateBlockContent, but ensure it's properly formatted
-    const finalContent = result.content;
+    const result = await blockAlternativeService.revertToOriginal(draftId, blockId);
+    if (!result) {
+      return res.status(404).json({ message: 'Block not found' });
+    }
 
-    console.log(`✅ Generated clean content for ${blockType}: "${finalContent.substring(0, 100)}..."`);
+    // Nothing changed, so no revision (a new version would invalidate the approval)
+    const { block, reverted } = result;
+    if (!reverted) {
+      return res.json(block);
+    }
 
-    res.json({
-      id: blockId,
-      content: finalContent,
-      editable: true,
-      wordCount: finalContent.split(' ').length,
-      blockType: blockType
+    const revision = await draftRevisionService.safeRecordRevision(draftId, {
+      stage: 'block-selection',
+      createdBy: req.user.email,
+      summary: `Reverted block ${blockId} to its original text`
     });
 
+    res.json({ ...block, version: revision?.version });
   } catch (error) {
-    console.error('Block regeneration error:', error);
     res.status(500).json({ message: error.message });
   }
 });
@@ -1478,7 +1500,9 @@ router.put('/draft/:draftId/save', async (req, res) => {
 
     // FIXED: Properly merge and preserve all content
     const updatedContent = {
-      contentBlocks: contentBlocks || draft.generatedContent?.contentBlocks || [],
+      contentBlocks: contentBlocks
+        ? blockAlternativeService.preserveAlternatives(contentBlocks, draft.generatedContent?.contentBlocks)
+        : draft.generatedContent?.contentBlocks || [],
       uploadedImages: {
         ...(draft.generatedContent?.uploadedImages || {}),
         ...(uploadedImages || {})
@@ -1507,6 +1531,17 @@ router.put('/draft/:draftId/save', async (req, res) => {
 
     console.log(`✅ Draft ${draftId} saved with ${Object.keys(updatedContent.uploadedImages).length} images`);
 
+    const revision = await draftRevisionService.safeRecordRevision(draftId, {
+      stage: 'save',
+      createdBy: req.user.email,
+      summary: `Saved ${updatedContent.contentBlocks.length} content blocks (${updatedContent.wordCount} words)`
+    });
+
+    // Recording the revision refreshed the SEO score; a scoring failure does not fail the save
+    const seoAnalysis = revision
+      ? (await Draft.findById(draftId).select('seoAnalysis').lean())?.seoAnalysis || null
+      : await seoScoringService.safeAnalyzeDraft(draftId);
+
     res.json({
       success: true,
       message: 'Draft saved successfully',
@@ -1514,7 +1549,9 @@ router.put('/draft/:draftId/save', async (req, res) => {
       lastSaved: updatedDraft.lastSaved,
       contentBlocks: updatedContent.contentBlocks,
       uploadedImages: updatedContent.uploadedImages,
-      wordCount: updatedContent.wordCount
+      wordCount: updatedContent.wordCount,
+      version: revision?.version,
+      seoAnalysis
     });
 
   } catch (error) {
@@ -1530,262 +1567,47 @@ router.put('/draft/:draftId/save', async (req, res) => {
 // POST deploy to WordPress (FIXED with proper image handling)
 router.post('/deploy-wordpress', async (req, res) => {
   try {
-    const { draftId } = req.body;
+    const { draftId, async: runAsJob, overrideApproval } = req.body;
 
-    const draft = await Draft.findById(draftId)
-      .populate({
-        path: 'blogId',
-        populate: {
-          path: 'companyId'
-        }
-      });
-
-    if (!draft) {
+    // Only approved drafts go to WordPress unless an admin overrides
+    const gate = await approvalService.checkDeploy(draftId, req.user, overrideApproval);
+    if (!gate) {
       return res.status(404).json({ message: 'Draft not found' });
     }
-
-    // FIXED: Assemble content with proper image integration
-    let assembledContent = '<p>Content coming soon...</p>';
-
-    if (draft.generatedContent?.contentBlocks && draft.generatedContent.contentBlocks.length > 0) {
-      console.log(`📝 Assembling content with ${draft.generatedContent.contentBlocks.length} blocks`);
-      console.log(`📋 Content blocks structure:`, JSON.stringify(draft.generatedContent.contentBlocks.slice(0, 2), null, 2));
-
-      const contentBlocks = draft.generatedContent.contentBlocks;
-      const uploadedImages = draft.generatedContent.uploadedImages || {};
-
-      assembledContent = contentBlocks.map(block => {
-        if (block.type === 'h1' || block.type === 'title') {
-          return `<!-- wp:heading {"level":1,"style":{"typography":{"fontSize":"2.5rem","fontWeight":"700"},"color":{"text":"#333333"}}} -->
-<h1 class="wp-block-heading" style="color:#333333;font-size:2.5rem;font-weight:700">${block.content}</h1>
-<!-- /wp:heading -->`;
-        } else if (block.type === 'h2') {
-          return `<!-- wp:heading {"level":2,"style":{"typography":{"fontSize":"2rem","fontWeight":"600","fontFamily":"Roboto"},"color":{"text":"#FBD46F"}}} -->
-<h2 class="wp-block-heading" style="color:#FBD46F;font-size:2rem;font-weight:600;font-family:Roboto,Arial,sans-serif">${block.content}</h2>
-<!-- /wp:heading -->`;
-        } else if (block.type === 'introduction') {
-          let content = makeLinksClickable(block.content);
-          return `<!-- wp:paragraph {"style":{"typography":{"lineHeight":"1.6","fontSize":"16px"},"color":{"text":"#666666"}}} -->
-<p class="wp-block-paragraph" style="color:#666666;font-size:16px;line-height:1.6">${content}</p>
-<!-- /wp:paragraph -->`;
-        } else if (block.type === 'section') {
-          // Make links clickable in section content
-          let content = block.content;
-          content = makeLinksClickable(content);
-          return `<!-- wp:paragraph {"style":{"typography":{"lineHeight":"1.6","fontSize":"16px"},"color":{"text":"#666666"}}} -->
-<p class="wp-block-paragraph" style="color:#666666;font-size:16px;line-height:1.6">${content}</p>
-<!-- /wp:paragraph -->`;
-        } else if (block.type === 'conclusion') {
-          // Make links clickable in conclusion content
-          let content = block.content;
-          content = makeLinksClickable(content);
-          return `<!-- wp:paragraph {"style":{"typography":{"lineHeight":"1.6","fontSize":"16px"},"color":{"text":"#666666"}}} -->
-<p class="wp-block-paragraph" style="color:#666666;font-size:16px;line-height:1.6">${content}</p>
-<!-- /wp:paragraph -->`;
-        } else if (block.type === 'references') {
-          let content = makeLinksClickable(block.content);
-          return `<!-- wp:group {"style":{"spacing":{"padding":{"top":"1rem","bottom":"1rem"}}}} -->
-<div class="wp-block-group" style="padding-top:1rem;padding-bottom:1rem">
-<!-- wp:paragraph {"style":{"typography":{"fontSize":"14px","fontWeight":"500"},"color":{"text":"#888888"}}} -->
-<p class="wp-block-paragraph" style="color:#888888;font-size:14px;font-weight:500">${content}</p>
-<!-- /wp:paragraph -->
-</div>
-<!-- /wp:group -->`;
-        } else if (block.type === 'image') {
-          // Skip feature images as they're set as WordPress featured image
-          if (block.imageType === 'feature') {
-            console.log(`🖼️ Skipping feature image in content: ${block.id}`);
-            return '';
-          }
-
-          if (uploadedImages[block.id]) {
-            const imageUrl = uploadedImages[block.id];
-            const altText = block.altText || block.alt || 'Blog image';
-            return `<!-- wp:image {"sizeSlug":"large","linkDestination":"none"} -->
-<figure class="wp-block-image size-large">
-<img src="${imageUrl}" alt="${altText}" style="max-width: 100%; height: auto;" />
-</figure>
-<!-- /wp:image -->`;
-          } else if (block.imagePrompt) {
-            // Placeholder for images that haven't been generated yet
-            return `<!-- wp:paragraph {"style":{"color":{"text":"#cccccc"}}} -->
-<p class="wp-block-paragraph" style="color:#cccccc"><!-- Image placeholder: ${block.imagePrompt} --></p>
-<!-- /wp:paragraph -->`;
-          }
-        }
-        return '';
-      }).filter(content => content.trim() !== '').join('\n\n');
-
-      console.log(`📄 Assembled content length: ${assembledContent.length} characters`);
-      console.log(`📝 First 200 chars of content: ${assembledContent.substring(0, 200)}...`);
-
-      // Add internal links section if available
-      if (draft.internalLinks && draft.internalLinks.length > 0) {
-        console.log(`🔗 Adding ${draft.internalLinks.length} internal links`);
-        assembledContent += '\n\n<!-- wp:heading {"level":3,"style":{"typography":{"fontSize":"1.5rem","fontWeight":"600"},"color":{"text":"#f4b942"}}} -->\n<h3 class="wp-block-heading" style="color:#f4b942;font-size:1.5rem;font-weight:600">Related Articles</h3>\n<!-- /wp:heading -->\n<!-- wp:list -->\n<ul class="wp-block-list">\n';
-        draft.internalLinks.forEach(link => {
-          const linkUrl = link.targetUrl || link.url || '#';
-          const linkText = link.anchorText || link.title || 'Related Article';
-          const linkDescription = link.context || link.description || '';
-          assembledContent += `<li><a href="${linkUrl}" target="_blank">${linkText}</a>${linkDescription ? ' - ' + linkDescription : ''}</li>\n`;
-        });
-        assembledContent += '</ul>\n<!-- /wp:list -->\n';
-      }
-
-      // Add external links section if available
-      if (draft.externalLinks && draft.externalLinks.length > 0) {
-        console.log(`🌐 Adding ${draft.externalLinks.length} external links`);
-        assembledContent += '\n\n<!-- wp:heading {"level":3,"style":{"typography":{"fontSize":"1.5rem","fontWeight":"600"},"color":{"text":"#f4b942"}}} -->\n<h3 class="wp-block-heading" style="color:#f4b942;font-size:1.5rem;font-weight:600">Additional Resources</h3>\n<!-- /wp:heading -->\n<!-- wp:list -->\n<ul class="wp-block-list">\n';
-        draft.externalLinks.forEach(link => {
-          const linkUrl = link.targetUrl || link.url || '#';
-          const linkText = link.anchorText || link.title || 'External Resource';
-          const linkDescription = link.context || link.description || '';
-          assembledContent += `<li><a href="${linkUrl}" target="_blank" rel="noopener noreferrer">${linkText}</a>${linkDescription ? ' - ' + linkDescription : ''}</li>\n`;
-        });
-        assembledContent += '</ul>\n<!-- /wp:list -->\n';
-      }
-
-      // Add "You May Also Like" section with related blog cards
-      const relatedBlogs = await getRelatedBlogs(draft.selectedKeyword, draft._id);
-      if (relatedBlogs && relatedBlogs.length > 0) {
-        console.log(`📚 Adding ${relatedBlogs.length} related blog cards`);
-        assembledContent += '\n\n<style>\n';
-        assembledContent += '.related-posts-section { margin: 40px 0; padding: 30px 0; border-top: 2px solid #f0f0f0; }\n';
-        assembledContent += '.related-posts-section h3 { font-size: 24px; margin-bottom: 20px; color: #333; }\n';
-        assembledContent += '.related-posts-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 20px; }\n';
-        assembledContent += '.related-post-card { border: 1px solid #e0e0e0; border-radius: 12px; overflow: hidden; transition: transform 0.3s ease, box-shadow 0.3s ease; }\n';
-        assembledContent += '.related-post-card:hover { transform: translateY(-5px); box-shadow: 0 8px 25px rgba(0,0,0,0.1); }\n';
-        assembledContent += '.related-post-content { padding: 20px; }\n';
-        assembledContent += '.related-post-content h4 { margin: 0 0 10px 0; font-size: 18px; }\n';
-        assembledContent += '.related-post-content h4 a { color: #333; text-decoration: none; }\n';
-        assembledContent += '.related-post-content h4 a:hover { color: #ff6b35; }\n';
-        assembledContent += '.related-post-excerpt { color: #666; font-size: 14px; line-height: 1.5; margin-bottom: 15px; }\n';
-        assembledContent += '.read-more-link { color: #ff6b35; text-decoration: none; font-weight: 600; font-size: 14px; }\n';
-        assembledContent += '.read-more-link:hover { text-decoration: underline; }\n';
-        assembledContent += '</style>\n';
-        assembledContent += '<!-- wp:group {"className":"related-posts-section"} -->\n<div class="wp-block-group related-posts-section">\n';
-        assembledContent += '<!-- wp:heading {"level":3,"style":{"typography":{"fontSize":"1.5rem","fontWeight":"600"},"color":{"text":"#f4b942"}}} -->\n<h3 class="wp-block-heading" style="color:#f4b942;font-size:1.5rem;font-weight:600">You May Also Like</h3>\n<!-- /wp:heading -->\n';
-        assembledContent += '<div class="related-posts-grid">\n';
-
-        relatedBlogs.forEach(blog => {
-          assembledContent += `
-            <div class="related-post-card">
-              <div class="related-post-image">
-                <img src="${blog.featuredImage || 'https://images.unsplash.com/photo-1509391366360-2e959784a276?auto=format&fit=crop&w=400&h=250&q=80'}" alt="${blog.title}" style="width: 100%; height: 200px; object-fit: cover; border-radius: 8px;" />
-              </div>
-              <div class="related-post-content">
-                <h4><a href="${blog.url}" target="_blank" rel="noopener noreferrer">${blog.title}</a></h4>
-                <p class="related-post-excerpt">${blog.excerpt}</p>
-                <a href="${blog.url}" class="read-more-link" target="_blank" rel="noopener noreferrer">Read Next Post</a>
-              </div>
-            </div>
-          `;
-        });
-
-        assembledContent += '</div>\n</div>\n<!-- /wp:group -->\n';
-      }
-    } else {
-      console.log(`⚠️ No content blocks found in draft.generatedContent`);
-      console.log(`📋 Draft generatedContent keys:`, Object.keys(draft.generatedContent || {}));
-
-      // Try alternative content sources
-      if (draft.generatedContent?.blogContent) {
-        console.log(`📝 Found blogContent, attempting to use it`);
-        const blogContent = draft.generatedContent.blogContent;
-
-        // Handle new single content structure
-        if (blogContent.content) {
-          // New structure with single content field (already formatted HTML)
-          assembledContent = blogContent.content;
-          console.log(`✅ Using new content structure: ${assembledContent.length} characters`);
-        } else {
-          // Legacy structure with separate introduction/sections/conclusion
-          let contentParts = [];
-          if (blogContent.title) contentParts.push(`<h1>${blogContent.title}</h1>`);
-          if (blogContent.introduction) contentParts.push(`<p>${blogContent.introduction}</p>`);
-
-          if (blogContent.sections && Array.isArray(blogContent.sections)) {
-            blogContent.sections.forEach((section, index) => {
-              if (section.h2) contentParts.push(`<h2>${section.h2}</h2>`);
-              if (section.content) contentParts.push(`<p>${section.content}</p>`);
-            });
-          }
-
-          if (blogContent.conclusion) contentParts.push(`<h2>Conclusion</h2>\n<p>${blogContent.conclusion}</p>`);
-
-          if (contentParts.length > 0) {
-            assembledContent = contentParts.join('\n\n');
-            console.log(`✅ Assembled content from legacy structure: ${assembledContent.length} characters`);
-          }
-        }
-      }
+    if (!gate.allowed) {
+      return res.status(gate.statusCode).json({ success: false, message: gate.message });
     }
 
-    // Get featured image
-    let featuredImageUrl = draft.featuredImage?.url;
-    if (!featuredImageUrl && draft.generatedContent?.uploadedImages) {
-      const featureImageBlock = draft.generatedContent.contentBlocks?.find(
-        block => block.type === 'image' && block.imageType === 'feature'
-      );
-      if (featureImageBlock && draft.generatedContent.uploadedImages[featureImageBlock.id]) {
-        featuredImageUrl = draft.generatedContent.uploadedImages[featureImageBlock.id];
-      }
+    // Queue as a background job so the deploying page can poll progress
+    if (runAsJob) {
+      const job = await jobQueueService.enqueue('deploy-wordpress', { draftId, syncedBy: req.user.email }, { draftId, maxAttempts: 2 });
+      return res.status(202).json({ success: true, jobId: job._id, status: job.status });
     }
 
-    const draftData = {
-      title: draft.selectedH1 || draft.title || `${draft.selectedKeyword} Guide`,
-      content: assembledContent,
-      contentBlocks: draft.generatedContent?.contentBlocks || [], // Pass content blocks for clean HTML generation
-      metaTitle: draft.selectedMetaTitle || draft.metaTitle,
-      metaDescription: draft.selectedMetaDescription || draft.metaDescription,
-      focusKeyword: draft.selectedKeyword,
-      featuredImage: featuredImageUrl ? { url: featuredImageUrl, altText: 'Featured image' } : null
-    };
+    const draftDeploymentService = require('../services/draftDeploymentService');
+    const result = await draftDeploymentService.deployDraft(draftId, progressEventService.reporter(draftId, { flow: 'deploy' }), { syncedBy: req.user.email });
 
-    console.log(`🚀 DEPLOYING TO WORDPRESS WITH COMPLETE SEO + WATTMONK STYLING:`);
-    console.log(`📝 H1 → WordPress Title: "${draftData.title}"`);
-    console.log(`🎯 Meta Title → RankMath: "${draftData.metaTitle}"`);
-    console.log(`📄 Meta Description → RankMath: "${draftData.metaDescription}"`);
-    console.log(`🔍 Focus Keyword → RankMath: "${draftData.focusKeyword}"`);
-    console.log(`🎨 Content Blocks → Clean HTML: ${draftData.contentBlocks?.length || 0} blocks`);
-    console.log(`📊 Content Length: ${draftData.content.length} chars`);
-    console.log(`🏢 Company: ${draft.blogId.companyId.name} (ID: ${draft.blogId.companyId._id})`);
-    console.log(`🔧 WordPress Config: ${!!draft.blogId.companyId.wordpressConfig ? 'Ready' : 'Missing'}`);
-
-    // Test connection first
-    const connectionTest = await wordpressService.testConnection(draft.blogId.companyId._id);
-    if (!connectionTest.success) {
-      return res.status(400).json({
-        success: false,
-        message: 'WordPress connection failed',
-        error: connectionTest.error
-      });
+    if (!result) {
+      return res.status(404).json({ message: 'Draft not found' });
     }
 
-    // Deploy to WordPress
-    const result = await wordpressService.createDraft(draftData, draft.blogId.companyId._id);
-
-    if (result.success) {
-      await Draft.findByIdAndUpdate(draftId, {
-        wordpressStatus: 'draft',
-        wordpressId: result.wordpressId,
-        status: 'ready_to_publish'
-      });
-
-      res.json({
-        success: true,
-        message: "Successfully deployed to WordPress",
-        editUrl: result.editUrl,
-        previewUrl: result.previewUrl
-      });
-    } else {
-      res.status(500).json({
+    if (!result.success) {
+      return res.status(result.statusCode).json({
         success: false,
-        message: "WordPress deployment failed",
+        message: result.message,
         error: result.error
       });
     }
 
+    res.json({
+      success: true,
+      message: result.message,
+      action: result.action,
+      changedFields: result.changedFields,
+      editUrl: result.editUrl,
+      previewUrl: result.previewUrl
+    });
+
   } catch (error) {
     console.error('WordPress deployment error:', error);
     res.status(500).json({
@@ -1799,7 +1621,7 @@ router.post('/deploy-wordpress', async (req, res) => {
 // Moved test-wordpress route to /api/wordpress/test-connection to avoid conflicts
 
 // POST setup WordPress credentials for a company
-router.post('/setup-wordpress', async (req, res) => {
+router.post('/setup-wordpress', requirePublishRole, requireCompanyAccess(req => accessService.getCompanyNameById(req.body.companyId)), async (req, res) => {
   try {
     const { companyId, baseUrl, username, appPassword } = req.body;
 
@@ -1853,6 +1675,63 @@ router.post('/setup-wordpress', async (req, res) => {
   }
 });
 
+// Write one block's new content into the stored draft and record the revision
+async function persistBlockContent(draftId, blockId, content, details, revisionOptions) {
+  const block = await blockAlternativeService.replaceContent(draftId, blockId, content, details);
+
+  // Blocks that only exist in the editor are versioned on the next save
+  if (!block) return { block: null, revision: null };
+
+  const revision = await draftRevisionService.safeRecordRevision(draftId, revisionOptions);
+  return { block, revision };
+}
+
+// Load the draft context and prompt used to regenerate a block
+async function prepareBlockRegeneration(draftId, blockId, customPrompt, llmProvider) {
+  const draft = await Draft.findById(draftId)
+    .populate({
+      path: 'blogId',
+      populate: {
+        path: 'companyId'
+      }
+    });
+
+  if (!draft) return null;
+
+  const companyContext = {
+    name: draft.blogId?.companyId?.name || 'Solar Company',
+    targetAudience: 'Solar industry professionals',
+    tone: 'Professional, informative',
+    llmConfig: llmProviderService.resolveSelection(draft.blogId?.companyId?.llmConfig, llmProvider)
+  };
+
+  // Get the current blocks from the draft
+  const currentBlocks = await getCurrentBlocks(draftId);
+  const currentBlock = currentBlocks.find(block => block.id === blockId);
+  const blockType = determineBlockType(currentBlock, blockId);
+
+  // Create block-specific regeneration prompt
+  let prompt = customPrompt || createBlockSpecificPrompt(
+    blockType,
+    draft.selectedKeyword || draft.blogId.focusKeyword,
+    draft.selectedH1,
+    companyContext
+  );
+
+  // Ask for secondary keywords the draft still uses less than their target
+  if (!customPrompt && draft.secondaryKeywords?.length && !['title', 'h1', 'h2', 'h3', 'image'].includes(blockType)) {
+    const secondaryKeywordService = require('../services/secondaryKeywordService');
+    const { keywords } = secondaryKeywordService.coverage(currentBlocks, draft.secondaryKeywords);
+    const missing = keywords
+      .filter(item => item.status === 'missing' || item.status === 'under')
+      .slice(0, 3)
+      .map(item => ({ keyword: item.keyword, count: 1 }));
+    prompt += secondaryKeywordService.promptInstructions(missing);
+  }
+
+  return { draft, blockType, prompt, companyContext };
+}
+
 // Helper functions for block-specific content generation
 async function getCurrentBlocks(draftId) {
   try {
@@ -2089,7 +1968,7 @@ router.post('/generate-image', async (req, res) => {
 });
 
 // POST upload custom image for a specific block
-router.post('/upload-image', imageService.getUploadMiddleware(), async (req, res) => {
+router.post('/upload-image', imageService.getUploadMiddleware(), requireDraftAccess, async (req, res) => {
   try {
     const { draftId, blockId } = req.body;
 
@@ -0,0 +1,101 @@
+// routes/calendarRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const BlogData = require('../models/BlogData');
+const calendarService = require('../services/calendarService');
+const accessService = require('../services/accessService');
+const { requireWriteRole } = require('../middleware/auth');
+const router = express.Router();
+
+// Entries inherit the company access of their blog
+router.param('id', async (req, res, next, id) => {
+  try {
+    const blog = mongoose.isValidObjectId(id) ? await BlogData.findById(id) : null;
+    if (!blog) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
+    if (!accessService.canAccessCompany(req.user, await accessService.getCompanyNameById(blog.companyId))) {
+      return res.status(403).json({ message: 'You are not assigned to this company' });
+    }
+
+    req.blog = blog;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+const checkCompanyQuery = (req, res, next) => {
+  const companyName = req.query.companyName || req.body?.companyName;
+  if (companyName && !accessService.canAccessCompany(req.user, companyName)) {
+    return res.status(403).json({ message: 'You are not assigned to this company' });
+  }
+  next();
+};
+
+// GET planned entries with keyword conflicts (?from=, ?to=, ?companyName=, ?assigneeId=)
+router.get('/', checkCompanyQuery, async (req, res) => {
+  try {
+    const { from, to, companyName, assigneeId } = req.query;
+    const entries = await calendarService.listEntries(req.user, { from, to, companyName, assigneeId });
+
+    res.json({ entries, conflictWindowDays: calendarService.conflictWindowDays });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET open entries without a target date
+router.get('/unplanned', checkCompanyQuery, async (req, res) => {
+  try {
+    const entries = await calendarService.listUnplanned(req.user, { companyName: req.query.companyName });
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET users that can be assigned to a company's posts
+router.get('/assignees', checkCompanyQuery, async (req, res) => {
+  try {
+    if (!req.query.companyName) {
+      return res.status(400).json({ message: 'companyName is required' });
+    }
+
+    const users = await accessService.listCompanyUsers(req.query.companyName);
+    res.json(users.map(user => ({ userId: user._id.toString(), name: user.name, email: user.email, role: user.role })));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST plan a new post ({ companyName, focusKeyword, targetDate, assigneeId, priority, ... })
+router.post('/entries', requireWriteRole, checkCompanyQuery, async (req, res) => {
+  try {
+    const result = await calendarService.createEntry(req.body);
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(201).json(result.entry);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PUT reschedule, assign or reprioritise an entry ({ targetDate, assigneeId, priority, status })
+router.put('/entries/:id', requireWriteRole, async (req, res) => {
+  try {
+    const { targetDate, assigneeId, priority, status } = req.body;
+    const result = await calendarService.planEntry(req.blog, { targetDate, assigneeId, priority, status });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.json(result.entry);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
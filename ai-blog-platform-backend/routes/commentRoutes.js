@@ -0,0 +1,123 @@
+// routes/commentRoutes.js
+const express = require('express');
+const commentService = require('../services/commentService');
+const { checkDraftAccess } = require('../middleware/auth');
+const router = express.Router();
+
+router.param('draftId', checkDraftAccess);
+
+// Comments inherit the company access of their draft
+router.param('commentId', async (req, res, next, commentId) => {
+  try {
+    const comment = await commentService.getComment(commentId);
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    req.comment = comment;
+    checkDraftAccess(req, res, next, comment.draftId.toString());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+const isOwnerOrAdmin = (req) => req.comment.authorId === req.user.id || req.user.role === 'admin';
+
+// GET open threads mentioning the current user
+router.get('/mentions', async (req, res) => {
+  try {
+    const threads = await commentService.listMentions(req.user.id);
+    res.json(threads);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET threads for a draft (?blockId= to limit to one block, ?includeResolved=false to hide resolved)
+router.get('/draft/:draftId', async (req, res) => {
+  try {
+    const threads = await commentService.listThreads(req.params.draftId, {
+      blockId: req.query.blockId,
+      includeResolved: req.query.includeResolved !== 'false'
+    });
+    res.json(threads);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET users that can be @mentioned on a draft
+router.get('/draft/:draftId/mentionable', async (req, res) => {
+  try {
+    const users = await commentService.getMentionableUsers(req.params.draftId);
+    res.json(users);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST start a thread on a block ({ blockId, range, body }) or reply ({ parentId, body })
+router.post('/draft/:draftId', async (req, res) => {
+  try {
+    const result = await commentService.addComment(req.params.draftId, req.body, req.user);
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(201).json(result.comment);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PUT edit own comment
+router.put('/:commentId', async (req, res) => {
+  try {
+    if (req.comment.authorId !== req.user.id) {
+      return res.status(403).json({ message: 'You can only edit your own comments' });
+    }
+    if (!req.body.body?.trim()) {
+      return res.status(400).json({ message: 'Comment text is required' });
+    }
+
+    const comment = await commentService.updateComment(req.comment, req.body.body);
+    res.json(comment);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// DELETE own comment (admins can delete any)
+router.delete('/:commentId', async (req, res) => {
+  try {
+    if (!isOwnerOrAdmin(req)) {
+      return res.status(403).json({ message: 'You can only delete your own comments' });
+    }
+
+    await commentService.deleteComment(req.comment);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST resolve the thread a comment belongs to
+router.post('/:commentId/resolve', async (req, res) => {
+  try {
+    const thread = await commentService.setResolved(req.comment, true, req.user);
+    res.json(thread);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST reopen a resolved thread
+router.post('/:commentId/reopen', async (req, res) => {
+  try {
+    const thread = await commentService.setResolved(req.comment, false, req.user);
+    res.json(thread);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,122 +1,205 @@
 // routes/companyRoutes.js
 const express = require('express');
 const Company = require('../models/Company');
-const googleSheetsService = require('../services/googleSheetsService');
+const companyService = require('../services/companyService');
+const accessService = require('../services/accessService');
+const publisherService = require('../services/publisherService');
+const brandThemeService = require('../services/brandThemeService');
+const { requireRole } = require('../middleware/auth');
+const { validateCompany, validateCompanyUpdate } = require('../middleware/validation');
 const router = express.Router();
 
-// GET all companies - with fallback data
+// GET active companies the user is assigned to; admins can add ?includeArchived=true
 router.get('/', async (req, res) => {
   try {
-    let companies = [];
-
-    // Try to fetch from Google Sheets first
-    if (process.env.COMPANY_DATA_SPREADSHEET_ID) {
-      try {
-        const sheetsData = await googleSheetsService.syncCompanyDataSheet(
-          process.env.COMPANY_DATA_SPREADSHEET_ID
-        );
-
-        // Transform Google Sheets data to match frontend expectations
-        companies = sheetsData.map((company, index) => ({
-          id: company.name.toLowerCase().replace(/\s+/g, '-') + '-' + index,
-          companyName: company.name,
-          servicesOffered: Array.isArray(company.servicesOffered)
-            ? company.servicesOffered.map(s => s.name || s).join(', ')
-            : company.servicesOffered || '',
-          serviceOverview: company.serviceOverview ? company.serviceOverview.substring(0, 200) + '...' : '',
-          aboutTheCompany: company.aboutCompany ? company.aboutCompany.substring(0, 150) + '...' : ''
-        }));
-
-        console.log(`✅ Fetched ${companies.length} companies from Google Sheets`);
-      } catch (sheetsError) {
-        console.warn('⚠️ Google Sheets fetch failed, falling back to database:', sheetsError.message);
-      }
-    }
+    const includeArchived = req.query.includeArchived === 'true' && accessService.isAdmin(req.user);
+    const companies = await companyService.list({ includeArchived });
+    res.json(companies.filter(company => accessService.canAccessCompany(req.user, company.companyName)));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
 
-    // Fallback to database if Google Sheets fails
-    if (companies.length === 0) {
-      try {
-        const dbCompanies = await Company.find({ isActive: true }).sort({ name: 1 });
-        companies = dbCompanies.map(company => ({
-          id: company._id,
-          companyName: company.name,
-          servicesOffered: Array.isArray(company.servicesOffered)
-            ? company.servicesOffered.map(s => s.name || s).join(', ')
-            : company.servicesOffered || '',
-          serviceOverview: company.serviceOverview,
-          aboutTheCompany: company.aboutCompany
-        }));
-        console.log(`✅ Fetched ${companies.length} companies from database`);
-      } catch (dbError) {
-        console.warn('⚠️ Database fetch failed, using hardcoded fallback:', dbError.message);
-      }
+// POST create the company sheet's companies that are not in the database yet (admin)
+router.post('/import/sheets', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await companyService.importFromSheets();
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
     }
-
-    // Final fallback with hardcoded companies
-    if (companies.length === 0) {
-      companies = [
-        {
-          id: 'wattmonk-1',
-          companyName: 'WattMonk',
-          servicesOffered: 'Solar Design, Engineering, Permitting, Installation Support',
-          serviceOverview: 'Leading solar engineering and design services provider with expertise in residential and commercial solar projects.',
-          aboutTheCompany: 'WattMonk is a technology-driven solar services company providing end-to-end solar solutions.'
-        },
-        {
-          id: 'ensite-2',
-          companyName: 'Ensite',
-          servicesOffered: 'Solar Engineering, Design Services, Project Management',
-          serviceOverview: 'Professional solar engineering services with focus on quality and efficiency.',
-          aboutTheCompany: 'Ensite provides comprehensive solar engineering and design services for the renewable energy sector.'
-        }
-      ];
-      console.log(`✅ Using hardcoded fallback companies: ${companies.length} companies`);
-    }
-
-    res.json(companies);
+    res.json(result);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// GET company by ID
+// GET available publishing platforms
+router.get('/publishers', (req, res) => {
+  res.json(publisherService.listPublishers());
+});
+
+// GET the default brand theme and the presets offered in the theme editor
+router.get('/theme/presets', (req, res) => {
+  const presets = Object.keys(brandThemeService.presets).map(name => ({ name, theme: brandThemeService.preset(name) }));
+  res.json({ defaults: brandThemeService.defaults, presets });
+});
+
+// GET company by ID (secrets left out, see companyService.serialize)
 router.get('/:id', async (req, res) => {
   try {
     const company = await Company.findById(req.params.id);
     if (!company) {
       return res.status(404).json({ message: 'Company not found' });
     }
-    res.json(company);
+    if (!accessService.canAccessCompany(req.user, company.name)) {
+      return res.status(403).json({ message: 'You are not assigned to this company' });
+    }
+    res.json(companyService.serialize(company));
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
-// POST create new company
-router.post('/', async (req, res) => {
+// POST create new company (admin)
+router.post('/', requireRole('admin'), validateCompany, async (req, res) => {
+  try {
+    const result = await companyService.create(req.body);
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+    res.status(201).json(companyService.serialize(result.company));
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// PUT update part of a company's profile (admin); blank secrets keep the stored ones
+router.put('/:id', requireRole('admin'), validateCompanyUpdate, async (req, res) => {
   try {
-    const company = new Company(req.body);
-    const savedCompany = await company.save();
-    res.status(201).json(savedCompany);
+    const result = await companyService.update(req.params.id, req.body);
+    if (!result) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+    res.json(companyService.serialize(result.company));
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
-// PUT update company
-router.put('/:id', async (req, res) => {
+// POST archive a company: hidden from lists and new blogs, drafts are kept (admin)
+router.post('/:id/archive', requireRole('admin'), async (req, res) => {
+  try {
+    const company = await companyService.archive(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    res.json(companyService.serialize(company));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST bring an archived company back (admin)
+router.post('/:id/restore', requireRole('admin'), async (req, res) => {
+  try {
+    const company = await companyService.restore(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    res.json(companyService.serialize(company));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET the company's brand theme (unset values filled from the defaults)
+router.get('/:id/theme', async (req, res) => {
   try {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    if (!accessService.canAccessCompany(req.user, company.name)) {
+      return res.status(403).json({ message: 'You are not assigned to this company' });
+    }
+    res.json({ theme: brandThemeService.resolve(company) });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// PUT replace the company's brand theme (admin)
+router.put('/:id/theme', requireRole('admin'), async (req, res) => {
+  try {
+    const result = brandThemeService.validate(req.body.theme);
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
     const company = await Company.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      { $set: { theme: result.theme } },
       { new: true, runValidators: true }
     );
     if (!company) {
       return res.status(404).json({ message: 'Company not found' });
     }
-    res.json(company);
+    console.log(`🎨 Updated brand theme for ${company.name}`);
+    res.json({ theme: brandThemeService.resolve(company) });
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST render sample content with a theme: { theme } previews unsaved edits, otherwise the saved theme
+router.post('/:id/theme/preview', async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    if (!accessService.canAccessCompany(req.user, company.name)) {
+      return res.status(403).json({ message: 'You are not assigned to this company' });
+    }
+
+    let theme = brandThemeService.resolve(company);
+    if (req.body.theme) {
+      const result = brandThemeService.validate(req.body.theme);
+      if (result.error) {
+        return res.status(result.statusCode).json({ message: result.error });
+      }
+      theme = result.theme;
+    }
+
+    const contentRendererService = require('../services/contentRendererService');
+    const relatedArticles = theme.relatedArticles.links.length > 0
+      ? theme.relatedArticles.links
+      : [{ title: 'A related post', url: 'https://example.com/', description: 'Published posts of this company are listed here' }];
+    const target = contentRendererService.platformTarget('wordpress');
+    const body = contentRendererService.render({ contentBlocks: brandThemeService.sampleBlocks(company.name), theme, relatedArticles }, target);
+    const html = contentRendererService.previewDocument(body, theme, { title: `${company.name} theme preview`, target });
+
+    res.json({ html, theme });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST test the connection to the company's publishing platform (admin)
+router.post('/:id/publisher/test', requireRole('admin'), async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) {
+      return res.status(404).json({ message: 'Company not found' });
+    }
+    const publisher = publisherService.forCompany(company);
+    const result = await publisher.testConnection(company);
+    res.json({ platform: publisher.name, label: publisher.label, ...result });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
   }
 });
 
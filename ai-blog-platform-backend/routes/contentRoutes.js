@@ -1,15 +1,32 @@
 // routes/contentRoutes.js
 const express = require('express');
+const mongoose = require('mongoose');
 const ContentBlock = require('../models/ContentBlock');
 const geminiService = require('../services/geminiService');
 const serpService = require('../services/serpService');
 const perplexityService = require('../services/perplexityService');
+const llmProviderService = require('../services/llmProviderService');
+const accessService = require('../services/accessService');
+const BlogData = require('../models/BlogData');
+const { requireRole, requireWriteRole, requireRecordAccess } = require('../middleware/auth');
 const router = express.Router();
 
+// Reviewers are read-only; blogs and blocks must belong to one of the user's companies
+router.use(requireWriteRole);
+router.param('blogId', (req, res, next, blogId) => {
+  requireRecordAccess(() => accessService.getBlogScope(blogId))(req, res, next);
+});
+router.param('id', (req, res, next, id) => {
+  requireRecordAccess(() => accessService.getContentBlockScope(id))(req, res, next);
+});
+
+// Provider test endpoints spend API credits
+const requireAdmin = requireRole('admin');
+
 // Test endpoint for Gemini service
-router.post('/test-gemini', async (req, res) => {
+router.post('/test-gemini', requireAdmin, async (req, res) => {
   try {
-    const { prompt, companyContext } = req.body;
+    const { prompt, companyContext, llmProvider } = req.body;
 
     if (!prompt) {
       return res.status(400).json({ message: 'Prompt is required' });
@@ -18,14 +35,17 @@ router.post('/test-gemini', async (req, res) => {
     console.log('🧪 Testing Gemini service with prompt:', prompt);
 
     // Test Gemini service directly
-    const result = await geminiService.generateContent(prompt, companyContext || {});
+    const override = typeof llmProvider === 'string' ? llmProviderService.parseChain(llmProvider)[0] : llmProvider;
+    const result = await geminiService.generateContent(prompt, companyContext || {}, override || {});
 
     res.json({
       success: true,
       content: result.content,
       wordCount: result.wordCount,
       keywords: result.keywords,
-      service: 'Gemini AI'
+      service: 'Gemini AI',
+      provider: result.provider,
+      model: result.model
     });
   } catch (error) {
     console.error('Gemini test error:', error);
@@ -37,6 +57,15 @@ router.post('/test-gemini', async (req, res) => {
   }
 });
 
+// GET available LLM providers and the default fallback chain
+router.get('/llm-providers', (req, res) => {
+  res.json({
+    defaultProvider: llmProviderService.defaultProvider,
+    providers: llmProviderService.listProviders(),
+    fallbackChain: llmProviderService.resolveChain()
+  });
+});
+
 // GET content blocks for a blog
 router.get('/blog/:blogId', async (req, res) => {
   try {
@@ -49,9 +78,13 @@ router.get('/blog/:blogId', async (req, res) => {
 });
 
 // POST generate content block using AI
-router.post('/generate', async (req, res) => {
+router.post('/generate', requireRecordAccess(req => accessService.getBlogScope(req.body.blogId)), async (req, res) => {
   try {
     const { blogId, blockType, prompt, companyContext } = req.body;
+
+    if (!mongoose.isValidObjectId(blogId) || !(await BlogData.exists({ _id: blogId }))) {
+      return res.status(404).json({ message: 'Blog not found' });
+    }
     
     // Generate content using Gemini
     const generatedContent = await geminiService.generateContent(prompt, companyContext);
@@ -135,7 +168,7 @@ router.post('/:id/select', async (req, res) => {
 });
 
 // Test endpoint for SERP service with Perplexity fallback
-router.post('/test-serp-fallback', async (req, res) => {
+router.post('/test-serp-fallback', requireAdmin, async (req, res) => {
   try {
     const { keyword } = req.body;
 
@@ -173,7 +206,7 @@ router.post('/test-serp-fallback', async (req, res) => {
 });
 
 // Test endpoint for Perplexity service directly
-router.post('/test-perplexity', async (req, res) => {
+router.post('/test-perplexity', requireAdmin, async (req, res) => {
   try {
     const { keyword } = req.body;
 
@@ -1,17 +1,29 @@
 // routes/imageRoutes.js
 const express = require('express');
 const imageService = require('../services/imageService');
+const jobQueueService = require('../services/jobQueueService');
+const { requireWriteRole, requireDraftAccess } = require('../middleware/auth');
 const router = express.Router();
 
+router.use(requireWriteRole);
+
 // POST generate AI image
-router.post('/generate', async (req, res) => {
+router.post('/generate', requireDraftAccess, async (req, res) => {
   try {
-    const { prompt, style = 'realistic', imageType = 'featured', draftId, blockId, blogTitle, customTitle } = req.body;
+    const { prompt, style = 'realistic', imageType = 'featured', draftId, blockId, blogTitle, customTitle, async: runAsJob } = req.body;
 
     if (!prompt) {
       return res.status(400).json({ message: 'Prompt is required' });
     }
 
+    // Queue as a background job; the image is attached to the draft block when it finishes
+    if (runAsJob) {
+      const job = await jobQueueService.enqueue('generate-image', {
+        prompt, style, imageType, draftId, blockId, blogTitle, customTitle
+      }, { draftId });
+      return res.status(202).json({ success: true, jobId: job._id, status: job.status });
+    }
+
     console.log(`🎨 Image generation request: "${prompt}" (style: ${style}, type: ${imageType})`);
     if (customTitle) {
       console.log(`🏷️ Using custom title: "${customTitle}"`);
@@ -36,7 +48,7 @@ router.post('/generate', async (req, res) => {
 });
 
 // POST upload image
-router.post('/upload', imageService.getUploadMiddleware(), async (req, res) => {
+router.post('/upload', imageService.getUploadMiddleware(), requireDraftAccess, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
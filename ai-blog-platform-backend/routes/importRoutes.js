@@ -0,0 +1,110 @@
+// routes/importRoutes.js
+const express = require('express');
+const wordpressImportService = require('../services/wordpressImportService');
+const documentImportService = require('../services/documentImportService');
+const sheetsSyncService = require('../services/sheetsSyncService');
+const { requireRole, requireWriteRole, requireCompanyAccess } = require('../middleware/auth');
+const router = express.Router();
+
+// Imports create drafts, which reviewers cannot do
+router.use(requireWriteRole);
+
+// GET posts on a company's WordPress site (?companyName=, ?page=, ?perPage=, ?search=, ?status=)
+router.get('/wordpress/posts', requireCompanyAccess(req => req.query.companyName), async (req, res) => {
+  try {
+    const { companyName, page, perPage, search, status } = req.query;
+    if (!companyName) {
+      return res.status(400).json({ message: 'companyName is required' });
+    }
+
+    const result = await wordpressImportService.listPosts(companyName, { page, perPage, search, status });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('WordPress post listing error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST import WordPress posts as drafts: { companyName, postIds: [123, 456] }
+router.post('/wordpress', requireCompanyAccess(req => req.body.companyName), async (req, res) => {
+  try {
+    const { companyName, postIds } = req.body;
+    if (!companyName) {
+      return res.status(400).json({ message: 'companyName is required' });
+    }
+
+    const result = await wordpressImportService.importPosts(companyName, postIds, req.user.email);
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(result.imported.length > 0 ? 201 : 200).json(result);
+  } catch (error) {
+    console.error('WordPress import error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Upload errors (wrong file type, over 10MB) are the client's to fix
+const documentUpload = (req, res, next) => {
+  documentImportService.getUploadMiddleware()(req, res, error => {
+    if (error) {
+      return res.status(400).json({ message: error.code === 'LIMIT_FILE_SIZE' ? 'The file is larger than 10MB' : error.message });
+    }
+    next();
+  });
+};
+
+// POST import a Markdown or Word document as a draft (multipart: file, companyName, focusKeyword?)
+router.post('/document', documentUpload, requireCompanyAccess(req => req.body.companyName), async (req, res) => {
+  try {
+    const { companyName, focusKeyword } = req.body;
+    if (!companyName) {
+      return res.status(400).json({ message: 'companyName is required' });
+    }
+
+    const result = await documentImportService.importDocument(req.file, {
+      companyName,
+      focusKeyword,
+      importedBy: req.user.email
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Document import error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET keyword sheet sync schedule and last run (admin)
+router.get('/sheets/sync', requireRole('admin'), async (req, res) => {
+  try {
+    res.json(await sheetsSyncService.getStatus());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST sync the keyword sheet now, in the job queue (admin)
+router.post('/sheets/sync', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await sheetsSyncService.startSync(req.user);
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.status(202).json(result);
+  } catch (error) {
+    console.error('Sheet sync error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+// routes/jobRoutes.js
+const express = require('express');
+const Job = require('../models/Job');
+const jobQueueService = require('../services/jobQueueService');
+const accessService = require('../services/accessService');
+const approvalService = require('../services/approvalService');
+const schedulingService = require('../services/schedulingService');
+const { requireRole, requireWriteRole, requirePublishRole, requireDraftAccess, checkDraftAccess } = require('../middleware/auth');
+const router = express.Router();
+
+const JOB_TYPES = Job.schema.path('type').enumValues;
+// Job types that always work on a draft (generate-image only attaches to one when given)
+const DRAFT_JOB_TYPES = ['generate-structured-content', 'generate-meta-scores', 'deploy-wordpress', 'publish-wordpress', 'refresh-content'];
+
+router.use(requireWriteRole);
+
+// Jobs inherit the company access of their draft; jobs without one (sheet sync, standalone images) are admin-only
+const checkJobAccess = (req, res, next, draftId) => {
+  if (!draftId) return requireRole('admin')(req, res, next);
+  return checkDraftAccess(req, res, next, draftId);
+};
+
+router.param('jobId', async (req, res, next, jobId) => {
+  try {
+    const job = await jobQueueService.getJob(jobId);
+    req.job = job;
+    // Unknown jobs fall through to the route's 404
+    if (!job) return next();
+    checkJobAccess(req, res, next, job.draftId?.toString());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST queue a job
+router.post('/', (req, res, next) => {
+  const draftId = req.body.payload?.draftId;
+  if (!draftId && DRAFT_JOB_TYPES.includes(req.body.type)) {
+    return res.status(400).json({ message: `payload.draftId is required for ${req.body.type} jobs` });
+  }
+  checkJobAccess(req, res, next, draftId);
+}, async (req, res) => {
+  try {
+    const { type, payload = {} } = req.body;
+
+    if (!JOB_TYPES.includes(type)) {
+      return res.status(400).json({ message: `Job type must be one of: ${JOB_TYPES.join(', ')}` });
+    }
+
+    if (type === 'publish-wordpress') {
+      return res.status(400).json({ message: 'Publish jobs are created by POST /api/schedule/drafts/:draftId' });
+    }
+
+    if (type === 'sync-sheets') {
+      return res.status(400).json({ message: 'Sheet sync jobs are created by POST /api/import/sheets/sync' });
+    }
+
+    if (type === 'deploy-wordpress') {
+      const gate = await approvalService.checkDeploy(payload.draftId, req.user, payload.overrideApproval);
+      if (!gate) {
+        return res.status(404).json({ message: 'Draft not found' });
+      }
+      if (!gate.allowed) {
+        return res.status(gate.statusCode).json({ message: gate.message });
+      }
+      payload.syncedBy = req.user.email;
+    }
+
+    const job = await jobQueueService.enqueue(type, payload, { draftId: payload.draftId });
+    res.status(202).json({ success: true, jobId: job._id, status: job.status });
+  } catch (error) {
+    console.error('Job enqueue error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET jobs (filter by draftId, status, type)
+router.get('/', requireDraftAccess, async (req, res) => {
+  try {
+    const { draftId, status, type, limit = 20 } = req.query;
+
+    const filter = draftId ? {} : await accessService.draftFilter(req.user, 'draftId');
+    if (draftId) filter.draftId = draftId;
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+
+    const jobs = await jobQueueService.listJobs(filter, parseInt(limit));
+    res.json(jobs);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET job status, progress, stage log and result (polled by the generating-* pages)
+router.get('/:jobId', async (req, res) => {
+  try {
+    const job = await jobQueueService.getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST cancel a queued job
+router.post('/:jobId/cancel', async (req, res) => {
+  try {
+    const job = await jobQueueService.cancel(req.params.jobId);
+    if (!job) {
+      return res.status(409).json({ message: 'Only queued jobs can be cancelled' });
+    }
+
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Publish jobs belong to a schedule, which only editors and admins manage
+const requireScheduleRole = (req, res, next) => {
+  if (req.job?.type !== 'publish-wordpress') return next();
+  return requirePublishRole(req, res, next);
+};
+
+// POST retry a failed or cancelled job
+router.post('/:jobId/retry', requireScheduleRole, async (req, res) => {
+  try {
+    // Retrying a deploy deploys again, so it passes the same approval gate as
+    // POST /api/blogs/deploy-wordpress and POST /api/jobs (writers may deploy approved drafts)
+    if (req.job?.type === 'deploy-wordpress') {
+      const gate = await approvalService.checkDeploy(req.job.payload?.draftId, req.user, req.body?.overrideApproval);
+      if (!gate) {
+        return res.status(404).json({ message: 'Draft not found' });
+      }
+      if (!gate.allowed) {
+        return res.status(gate.statusCode).json({ message: gate.message });
+      }
+    }
+
+    // A failed publish marked the schedule failed; without reopening it the retry would be skipped
+    if (req.job?.type === 'publish-wordpress' && ['failed', 'cancelled'].includes(req.job.status)) {
+      const reopened = await schedulingService.reopenForRetry(req.job.payload?.draftId, req.job._id);
+      if (!reopened) {
+        return res.status(404).json({ message: 'Draft not found' });
+      }
+      if (!reopened.success) {
+        return res.status(reopened.statusCode).json({ message: reopened.message });
+      }
+    }
+
+    const job = await jobQueueService.retry(req.params.jobId);
+    if (!job) {
+      return res.status(409).json({ message: 'Only failed or cancelled jobs can be retried' });
+    }
+
+    res.status(202).json({ success: true, jobId: job._id, status: job.status });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
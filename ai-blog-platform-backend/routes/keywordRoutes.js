@@ -1,8 +1,12 @@
 // routes/keywordRoutes.js
 const express = require('express');
 const Keyword = require('../models/Keyword');
+const { requireWriteRole } = require('../middleware/auth');
 const router = express.Router();
 
+// Reviewers are read-only
+router.use(requireWriteRole);
+
 // GET keywords with search
 router.get('/', async (req, res) => {
   try {
@@ -0,0 +1,64 @@
+// routes/refreshRoutes.js
+const express = require('express');
+const Draft = require('../models/Draft');
+const contentRefreshService = require('../services/contentRefreshService');
+const { checkDraftAccess, requireRole, requireWriteRole } = require('../middleware/auth');
+const router = express.Router();
+
+router.param('draftId', checkDraftAccess);
+
+// GET refresh findings and suggestions for a draft
+router.get('/drafts/:draftId', async (req, res) => {
+  try {
+    const draft = await Draft.findById(req.params.draftId).select('refresh');
+    if (!draft) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+
+    res.json(contentRefreshService.getStatus(draft));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST start a refresh analysis in the job queue: { llmProvider }
+router.post('/drafts/:draftId', requireWriteRole, async (req, res) => {
+  try {
+    const result = await contentRefreshService.startRefresh(req.params.draftId, req.user, {
+      llmProvider: req.body.llmProvider
+    });
+    if (!result) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+
+    res.status(202).json(result);
+  } catch (error) {
+    console.error('Content refresh error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST accept or reject a suggestion: { note }
+router.post('/drafts/:draftId/suggestions/:suggestionId/:decision', requireRole('admin', 'editor', 'reviewer'), async (req, res) => {
+  try {
+    const { draftId, suggestionId, decision } = req.params;
+    if (!['accept', 'reject'].includes(decision)) {
+      return res.status(400).json({ message: 'Decision must be accept or reject' });
+    }
+
+    const result = await contentRefreshService.reviewSuggestion(draftId, suggestionId, decision, req.user, req.body.note);
+    if (!result) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+    if (result.error) {
+      return res.status(result.statusCode).json({ message: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Refresh review error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+// routes/scheduleRoutes.js
+const express = require('express');
+const schedulingService = require('../services/schedulingService');
+const accessService = require('../services/accessService');
+const { checkDraftAccess, requirePublishRole } = require('../middleware/auth');
+const router = express.Router();
+
+router.param('draftId', checkDraftAccess);
+
+// GET editorial calendar (?companyName=, ?from=, ?to= ISO dates)
+router.get('/calendar', async (req, res) => {
+  try {
+    const { companyName, from, to } = req.query;
+
+    if (companyName && !accessService.canAccessCompany(req.user, companyName)) {
+      return res.status(403).json({ message: 'You are not assigned to this company' });
+    }
+
+    const calendar = await schedulingService.getCalendar(req.user, { companyName, from, to });
+    res.json(calendar);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// GET schedule of a draft
+router.get('/drafts/:draftId', async (req, res) => {
+  try {
+    const draft = await schedulingService.loadDraft(req.params.draftId);
+    if (!draft) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+
+    res.json(schedulingService.getStatus(draft));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// POST schedule or reschedule publishing ({ scheduledAt, timezone, overrideApproval })
+router.post('/drafts/:draftId', requirePublishRole, async (req, res) => {
+  try {
+    const result = await schedulingService.scheduleDraft(req.params.draftId, req.body, req.user);
+    if (!result) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json(result.schedule);
+  } catch (error) {
+    console.error('Schedule error:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// DELETE cancel a pending schedule
+router.delete('/drafts/:draftId', requirePublishRole, async (req, res) => {
+  try {
+    const result = await schedulingService.cancelSchedule(req.params.draftId, req.user);
+    if (!result) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+    if (!result.success) {
+      return res.status(result.statusCode).json({ message: result.message });
+    }
+
+    res.json(result.schedule);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,12 @@
 // routes/trendRoutes.js
 const express = require('express');
 const TrendData = require('../models/TrendData');
+const { requireWriteRole } = require('../middleware/auth');
 const router = express.Router();
 
+// Reviewers are read-only
+router.use(requireWriteRole);
+
 // GET trends for keyword
 router.get('/:keyword', async (req, res) => {
   try {
@@ -4,6 +4,10 @@
 const express = require('express');
 const WordPressService = require('../services/wordpressService');
 const Draft = require('../models/Draft');
+const accessService = require('../services/accessService');
+const approvalService = require('../services/approvalService');
+const draftDeploymentService = require('../services/draftDeploymentService');
+const { requireWriteRole, requirePublishRole, requireCompanyAccess } = require('../middleware/auth');
 const router = express.Router();
 
 // Initialize WordPress service
@@ -27,8 +31,11 @@ router.use((req, res, next) => {
   }
 });
 
+// Reviewers can read but not change anything on the client sites
+router.use(requireWriteRole);
+
 // Test WordPress connection endpoint (GET for frontend compatibility)
-router.get('/test-connection', async (req, res) => {
+router.get('/test-connection', requireCompanyAccess(req => accessService.getCompanyNameById(req.query.companyId)), async (req, res) => {
   try {
     console.log('🔄 Testing WordPress connection via GET...');
     const { companyId } = req.query;
@@ -176,6 +183,12 @@ const validateCompanyAccess = async (req, res, next) => {
     if (!companyId) {
       return res.status(400).json({ error: 'Company ID is required' });
     }
+
+    const companyName = await accessService.getCompanyNameById(companyId);
+    if (companyName && !accessService.canAccessCompany(req.user, companyName)) {
+      return res.status(403).json({ error: 'You are not assigned to this company' });
+    }
+
     req.companyId = companyId;
     next();
   } catch (error) {
@@ -230,8 +243,12 @@ router.get('/:companyId/drafts/:postId', validateCompanyAccess, async (req, res)
   }
 });
 
+// Raw post edits bypass the draft approval gate, so only editors and admins may make them.
+// Status changes go through /publish (and scheduling), never through an edit.
+const EDITABLE_POST_FIELDS = ['title', 'content', 'excerpt', 'categories', 'tags', 'meta'];
+
 // POST /api/wordpress/:companyId/drafts - Create new WordPress draft
-router.post('/:companyId/drafts', validateCompanyAccess, async (req, res) => {
+router.post('/:companyId/drafts', validateCompanyAccess, requirePublishRole, async (req, res) => {
   try {
     const { title, content, metaTitle, metaDescription, focusKeyword, categories, tags, featuredImage } = req.body;
 
@@ -266,10 +283,18 @@ router.post('/:companyId/drafts', validateCompanyAccess, async (req, res) => {
 });
 
 // PUT /api/wordpress/:companyId/drafts/:postId - Update WordPress draft
-router.put('/:companyId/drafts/:postId', validateCompanyAccess, async (req, res) => {
+router.put('/:companyId/drafts/:postId', validateCompanyAccess, requirePublishRole, async (req, res) => {
   try {
     const { postId } = req.params;
-    const updateData = req.body;
+
+    const rejected = Object.keys(req.body || {}).filter(field => !EDITABLE_POST_FIELDS.includes(field));
+    if (rejected.length > 0) {
+      return res.status(400).json({ error: `These fields cannot be edited here: ${rejected.join(', ')}. Editable fields: ${EDITABLE_POST_FIELDS.join(', ')}` });
+    }
+    const updateData = Object.fromEntries(EDITABLE_POST_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]]));
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ error: `Nothing to update. Editable fields: ${EDITABLE_POST_FIELDS.join(', ')}` });
+    }
 
     const result = await wordpressService.updateDraft(postId, updateData, req.companyId);
 
@@ -287,7 +312,7 @@ router.put('/:companyId/drafts/:postId', validateCompanyAccess, async (req, res)
 });
 
 // POST /api/wordpress/:companyId/drafts/:postId/publish - Publish WordPress draft
-router.post('/:companyId/drafts/:postId/publish', validateCompanyAccess, async (req, res) => {
+router.post('/:companyId/drafts/:postId/publish', validateCompanyAccess, requirePublishRole, async (req, res) => {
   try {
     const { postId } = req.params;
 
@@ -308,7 +333,7 @@ router.post('/:companyId/drafts/:postId/publish', validateCompanyAccess, async (
 });
 
 // DELETE /api/wordpress/:companyId/drafts/:postId - Delete WordPress draft
-router.delete('/:companyId/drafts/:postId', validateCompanyAccess, async (req, res) => {
+router.delete('/:companyId/drafts/:postId', validateCompanyAccess, requirePublishRole, async (req, res) => {
   try {
     const { postId } = req.params;
     const { permanent = false } = req.query;
@@ -346,63 +371,30 @@ router.post('/:companyId/deploy-draft/:draftId', validateCompanyAccess, async (r
     }
 
     // Verify the draft belongs to the specified company
-    if (draft.blogId.companyId._id.toString() !== req.companyId) {
+    if (draft.blogId?.companyId?._id.toString() !== req.companyId) {
       return res.status(403).json({ error: 'Draft does not belong to this company' });
     }
 
-    // Prepare WordPress draft data
-    const wordpressDraftData = {
-      title: draft.selectedH1 || draft.title || `${draft.selectedKeyword} Guide`,
-      content: draft.content || '<p>Content coming soon...</p>',
-      metaTitle: draft.selectedMetaTitle || draft.metaTitle,
-      metaDescription: draft.selectedMetaDescription || draft.metaDescription,
-      focusKeyword: draft.selectedKeyword,
-      featuredImage: draft.featuredImage
-    };
-
-    // First test WordPress connection
-    console.log('🔄 Testing WordPress connection before deployment...');
-    const connectionTest = await wordpressService.testConnection();
-    
-    if (!connectionTest.success) {
-      console.error('❌ WordPress connection test failed:', connectionTest.error);
-      return res.status(400).json({
-        error: 'WordPress connection failed',
-        details: connectionTest.error
-      });
+    const gate = await approvalService.checkDeploy(draftId, req.user, req.body?.overrideApproval);
+    if (!gate.allowed) {
+      return res.status(gate.statusCode).json({ error: gate.message });
     }
 
-    console.log('✅ WordPress connection successful, deploying draft...');
-
-    // Deploy to WordPress
-    const result = await wordpressService.createDraft(wordpressDraftData);
-
-    if (result.success) {
-      console.log('✅ Draft deployed to WordPress:', result.wordpressId);
-      
-      // Update platform draft with WordPress info
-      await Draft.findByIdAndUpdate(draftId, {
-        wordpressStatus: 'draft',
-        wordpressId: result.wordpressId,
-        wordpressEditUrl: result.editUrl,
-        wordpressPreviewUrl: result.previewUrl,
-        status: 'ready_to_publish'
-      });
+    // Same path as POST /api/blogs/deploy-wordpress: updates the existing post in place,
+    // with the company's own credentials, publisher, theme and sync history
+    const result = await draftDeploymentService.deployDraft(draftId, null, { syncedBy: req.user.email });
 
-      res.json({
-        message: 'Draft successfully deployed to WordPress',
-        draftUrl: result.draftUrl,
-        previewUrl: result.previewUrl,
-        editUrl: result.editUrl,
-        wordpressId: result.wordpressId,
-        ...result
-      });
-    } else {
-      res.status(400).json({ 
-        error: 'WordPress deployment failed', 
-        details: result.error 
+    if (!result) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        error: result.message,
+        details: result.error
       });
     }
+
+    res.json(result);
   } catch (error) {
     console.error('WordPress deployment error:', error);
     res.status(500).json({ error: 'Failed to deploy draft to WordPress' });
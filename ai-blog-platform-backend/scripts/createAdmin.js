@@ -0,0 +1,44 @@
+// scripts/createAdmin.js
+// Create (or reset the password of) an admin user:
+//   npm run create-admin -- admin@example.com "Admin Name" password
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+async function createAdmin() {
+  const [email, name, password] = process.argv.slice(2);
+
+  if (!email || !name || !password) {
+    console.error('Usage: npm run create-admin -- <email> <name> <password>');
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-blog-platform', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    let user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) {
+      user = new User({ email, name });
+    }
+    user.role = 'admin';
+    user.isActive = true;
+    await user.setPassword(password);
+    user.tokenVersion += 1;
+    await user.save();
+
+    console.log(`✅ Admin user ready: ${user.email}`);
+  } catch (error) {
+    console.error('❌ Failed to create admin user:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+createAdmin();
@@ -0,0 +1,38 @@
+// scripts/jobWorker.js
+// Standalone background job worker. Run with JOB_WORKER_ENABLED=false on the API server.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+require('../services/redactionService').installConsole();
+const jobQueueService = require('../services/jobQueueService');
+const { registerJobHandlers } = require('../services/jobHandlers');
+const sheetsSyncService = require('../services/sheetsSyncService');
+
+dotenv.config();
+
+async function startWorker() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-blog-platform', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    registerJobHandlers();
+    jobQueueService.start();
+    await sheetsSyncService.scheduleNext({ runAt: new Date() });
+  } catch (error) {
+    console.error('❌ Job worker failed to start:', error);
+    process.exit(1);
+  }
+}
+
+const shutdown = async () => {
+  jobQueueService.stop();
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+startWorker();
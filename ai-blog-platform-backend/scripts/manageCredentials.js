@@ -0,0 +1,106 @@
+// scripts/manageCredentials.js
+// Credential encryption tooling (see services/credentialService.js):
+//   npm run credentials -- generate-key         Print a new master key entry for CREDENTIAL_MASTER_KEYS
+//   npm run credentials -- status               Count stored credentials per master key
+//   npm run credentials -- migrate [--dry-run]  Encrypt credentials still stored in plain text
+//   npm run credentials -- rotate [--dry-run]   Re-seal every credential with the active (first) key
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Company = require('../models/Company');
+const credentialService = require('../services/credentialService');
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+// Raw documents, so values are read as stored and written without the schema setters
+async function forEachStoredCredential(callback) {
+  const projection = Object.fromEntries([['name', 1], ...Company.SECRET_PATHS.map(path => [path, 1])]);
+  const companies = await Company.collection.find({}, { projection }).toArray();
+
+  for (const company of companies) {
+    for (const path of Company.SECRET_PATHS) {
+      const value = getPath(company, path);
+      if (value) await callback(company, path, value);
+    }
+  }
+}
+
+async function status() {
+  const counts = {};
+  await forEachStoredCredential((company, path, value) => {
+    const keyId = credentialService.keyIdOf(value) || 'plain text';
+    counts[keyId] = (counts[keyId] || 0) + 1;
+  });
+
+  console.log(`🔑 Active master key: ${credentialService.activeKeyId || 'none (CREDENTIAL_MASTER_KEYS is not set)'}`);
+  if (Object.keys(counts).length === 0) {
+    console.log('ℹ️ No stored credentials');
+  }
+  Object.entries(counts).forEach(([keyId, count]) => {
+    console.log(`   ${keyId}: ${count} credential(s)`);
+  });
+}
+
+/**
+ * @param {Function} transform - Stored value → new stored value (unchanged when nothing to do)
+ */
+async function rewrite(transform, dryRun, verb) {
+  if (!credentialService.isConfigured()) {
+    throw new Error('CREDENTIAL_MASTER_KEYS is not set');
+  }
+
+  let changed = 0;
+  await forEachStoredCredential(async (company, path, value) => {
+    const next = transform(value);
+    if (next === value) return;
+
+    changed++;
+    console.log(`${dryRun ? '🔎 Would update' : '🔐 Updated'} ${company.name}: ${path}`);
+    if (!dryRun) {
+      await Company.collection.updateOne({ _id: company._id }, { $set: { [path]: next } });
+    }
+  });
+
+  console.log(`✅ ${changed} credential(s) ${dryRun ? `to be ${verb}` : verb} with key "${credentialService.activeKeyId}"`);
+}
+
+async function main() {
+  const [command, flag] = process.argv.slice(2);
+  const dryRun = flag === '--dry-run';
+
+  if (command === 'generate-key') {
+    console.log(`${new Date().toISOString().slice(0, 10)}:${credentialService.generateKey()}`);
+    console.log('ℹ️ Put it first in CREDENTIAL_MASTER_KEYS, keep the old keys after it, restart, then run "rotate".');
+    return;
+  }
+
+  const commands = {
+    status,
+    migrate: () => rewrite(value => credentialService.encrypt(value), dryRun, 'encrypted'),
+    rotate: () => rewrite(value => credentialService.rewrap(value), dryRun, 're-sealed')
+  };
+  if (!commands[command]) {
+    console.error('Usage: npm run credentials -- <generate-key|status|migrate|rotate> [--dry-run]');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-blog-platform', {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB');
+
+    await commands[command]();
+  } catch (error) {
+    console.error(`❌ Credential ${command} failed:`, error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main();
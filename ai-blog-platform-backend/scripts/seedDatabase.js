@@ -4,6 +4,7 @@ const dotenv = require('dotenv');
 const Company = require('../models/Company');
 const BlogData = require('../models/BlogData');
 const Keyword = require('../models/Keyword');
+const brandThemeService = require('../services/brandThemeService');
 
 dotenv.config();
 
@@ -24,7 +25,8 @@ const sampleCompanies = [
       baseUrl: process.env.WATTMONK_WORDPRESS_BASE_URL || 'https://www.wattmonk.com',
       username: process.env.WATTMONK_WORDPRESS_USERNAME || '',
       appPassword: process.env.WATTMONK_WORDPRESS_APP_PASSWORD || ''
-    }
+    },
+    theme: brandThemeService.preset('wattmonk')
   },
   {
     name: 'Ensite',
@@ -1,9 +1,8 @@
 // scripts/syncGoogleSheets.js
 const mongoose = require('mongoose');
 const dotenv = require('dotenv');
-const Company = require('../models/Company');
-const BlogData = require('../models/BlogData');
-const googleSheetsService = require('../services/googleSheetsService');
+const companyService = require('../services/companyService');
+const sheetsSyncService = require('../services/sheetsSyncService');
 
 dotenv.config();
 
@@ -16,47 +15,24 @@ async function syncGoogleSheets() {
     });
     console.log('✅ Connected to MongoDB');
 
-    // Sync company data
+    // Import companies that are not in the database yet; the database copy wins for existing ones
     if (process.env.COMPANY_DATA_SPREADSHEET_ID) {
-      console.log('📊 Syncing company data from Google Sheets...');
-      const companyData = await googleSheetsService.syncCompanyDataSheet(
-        process.env.COMPANY_DATA_SPREADSHEET_ID
-      );
-
-      for (const company of companyData) {
-        await Company.findOneAndUpdate(
-          { name: company.name },
-          company,
-          { upsert: true, new: true }
-        );
-      }
-      console.log(`✅ Synced ${companyData.length} companies`);
+      console.log('📊 Importing company data from Google Sheets...');
+      const { created, skipped } = await companyService.importFromSheets();
+      console.log(`✅ Imported ${created.length} companies (${skipped.length} already in the database)`);
     }
 
-    // Sync blog data
+    // Two-way sync of the keyword sheet (the same run as the sync-sheets job)
     if (process.env.BLOG_DATA_SPREADSHEET_ID) {
-      console.log('📊 Syncing blog data from Google Sheets...');
-      const blogData = await googleSheetsService.syncBlogDataSheet(
-        process.env.BLOG_DATA_SPREADSHEET_ID
-      );
-
-      // Get default company (first one) for blogs without company reference
-      const defaultCompany = await Company.findOne().sort({ createdAt: 1 });
-
-      for (const blog of blogData) {
-        // Check if blog already exists
-        const existingBlog = await BlogData.findOne({ 
-          focusKeyword: blog.focusKeyword 
-        });
-
-        if (!existingBlog) {
-          await BlogData.create({
-            ...blog,
-            companyId: defaultCompany._id
-          });
-        }
-      }
-      console.log(`✅ Synced ${blogData.length} blog entries`);
+      console.log('📊 Syncing blog data with Google Sheets...');
+      const result = await sheetsSyncService.sync();
+      console.log(`✅ Synced ${result.rows} keyword rows (${result.created} new, ${result.updated} updated, ${result.written} rows written back)`);
+      result.conflicts.forEach(conflict => {
+        console.warn(`⚠️ Row ${conflict.rowNumber} "${conflict.focusKeyword}": ${conflict.column} ${conflict.resolution} (sheet "${conflict.sheetValue}", app "${conflict.appValue}")`);
+      });
+      result.failed.forEach(failure => {
+        console.error(`❌ Row ${failure.rowNumber} "${failure.focusKeyword}": ${failure.error}`);
+      });
     }
 
     console.log('🎉 Google Sheets sync completed successfully!');
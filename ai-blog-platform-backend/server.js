@@ -20,6 +20,9 @@ const dotenv = require('dotenv');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 
+// Mask credentials in everything logged from here on
+require('./services/redactionService').installConsole();
+
 // Import routes
 const blogRoutes = require('./routes/blogRoutes');
 const companyRoutes = require('./routes/companyRoutes');
@@ -28,6 +31,18 @@ const contentRoutes = require('./routes/contentRoutes');
 const trendRoutes = require('./routes/trendRoutes');
 const imageRoutes = require('./routes/imageRoutes');
 const wordpressApiRoutes = require('./routes/wordpressApiRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const authRoutes = require('./routes/authRoutes');
+const approvalRoutes = require('./routes/approvalRoutes');
+const commentRoutes = require('./routes/commentRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const calendarRoutes = require('./routes/calendarRoutes');
+const importRoutes = require('./routes/importRoutes');
+const refreshRoutes = require('./routes/refreshRoutes');
+const { authenticateToken } = require('./middleware/auth');
+const jobQueueService = require('./services/jobQueueService');
+const sheetsSyncService = require('./services/sheetsSyncService');
+const { registerJobHandlers } = require('./services/jobHandlers');
 
 dotenv.config();
 
@@ -58,6 +73,7 @@ app.use(cors({
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Accept'],
+  exposedHeaders: ['Content-Disposition'], // File name of draft exports
   optionsSuccessStatus: 200 // Some legacy browsers choke on 204
 }));
 
@@ -95,7 +111,18 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/ai-blog-p
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully');
+
+  // Run background job workers in-process unless a dedicated worker is deployed (npm run worker)
+  registerJobHandlers();
+  if (process.env.JOB_WORKER_ENABLED !== 'false') {
+    jobQueueService.start();
+    // Recurring keyword sheet sync (SHEETS_SYNC_INTERVAL_MINUTES); runs once at start-up
+    sheetsSyncService.scheduleNext({ runAt: new Date() })
+      .catch(error => console.error('❌ Could not schedule the sheet sync:', error.message));
+  }
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Static file serving for uploads with CORS headers
@@ -110,31 +137,41 @@ app.use('/uploads', (req, res, next) => {
 // Routes with logging
 console.log('🔧 Setting up API routes...');
 
-app.use('/api/blogs', (req, res, next) => {
+// Login and token refresh are public; everything below requires a valid access token
+app.use('/api/auth', authRoutes);
+
+app.use('/api/blogs', authenticateToken, (req, res, next) => {
   console.log(`📝 Blog route: ${req.method} /api/blogs${req.path}`);
   next();
 }, blogRoutes);
 
-app.use('/api/companies', (req, res, next) => {
+app.use('/api/companies', authenticateToken, (req, res, next) => {
   console.log(`🏢 Company route: ${req.method} /api/companies${req.path}`);
   next();
 }, companyRoutes);
 
-app.use('/api/company', (req, res, next) => {
+app.use('/api/company', authenticateToken, (req, res, next) => {
   console.log(`🏢 Company alias route: ${req.method} /api/company${req.path}`);
   next();
 }, companyRoutes);
 
-app.use('/api/keywords', keywordRoutes);
-app.use('/api/content', contentRoutes);
-app.use('/api/trends', trendRoutes);
-app.use('/api/images', imageRoutes);
-app.use('/api/wordpress', wordpressApiRoutes);
+app.use('/api/keywords', authenticateToken, keywordRoutes);
+app.use('/api/content', authenticateToken, contentRoutes);
+app.use('/api/trends', authenticateToken, trendRoutes);
+app.use('/api/images', authenticateToken, imageRoutes);
+app.use('/api/wordpress', authenticateToken, wordpressApiRoutes);
+app.use('/api/jobs', authenticateToken, jobRoutes);
+app.use('/api/approvals', authenticateToken, approvalRoutes);
+app.use('/api/comments', authenticateToken, commentRoutes);
+app.use('/api/schedule', authenticateToken, scheduleRoutes);
+app.use('/api/calendar', authenticateToken, calendarRoutes);
+app.use('/api/import', authenticateToken, importRoutes);
+app.use('/api/refresh', authenticateToken, refreshRoutes);
 
 // Error handling middleware
 
 // WordPress routes with extra logging
-app.use('/api/wordpress', (req, res, next) => {
+app.use('/api/wordpress', authenticateToken, (req, res, next) => {
   console.log(`🔌 WordPress route: ${req.method} /api/wordpress${req.path}`, {
     query: req.query,
     hasBody: !!req.body && Object.keys(req.body).length > 0
@@ -164,10 +201,19 @@ app.get('/api', (req, res) => {
     availableRoutes: [
       'GET /health',
       'GET /api',
+      'POST /api/auth/login',
+      'POST /api/auth/refresh',
       'GET,POST /api/blogs/*',
       'GET /api/companies',
       'GET /api/company',
-      'GET,POST /api/wordpress/*'
+      'GET,POST /api/wordpress/*',
+      'GET,POST /api/jobs/*',
+      'GET,POST /api/approvals/*',
+      'GET,POST,PUT,DELETE /api/comments/*',
+      'GET,POST,DELETE /api/schedule/*',
+      'GET,POST,PUT /api/calendar/*',
+      'GET,POST /api/import/*',
+      'GET,POST /api/refresh/*'
     ]
   });
 });
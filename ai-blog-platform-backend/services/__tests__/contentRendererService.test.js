@@ -0,0 +1,92 @@
+const contentRendererService = require('../contentRendererService');
+const brandThemeService = require('../brandThemeService');
+
+const input = {
+  contentBlocks: [
+    { id: 'feature-1', type: 'image', imageType: 'feature', imageUrl: 'https://cdn.example.com/feature.jpg' },
+    { id: 'title-2', type: 'title', content: 'Solar Permits Explained' },
+    { id: 'intro-3', type: 'introduction', content: 'Permits take time. See [the NREL guide](https://www.nrel.gov/solar) before you apply.' },
+    { id: 'h2-4', type: 'h2', content: 'What a permit covers' },
+    { id: 'section-5', type: 'section', content: 'Most cities publish their rules at https://example.gov/permits online.' },
+    { id: 'h3-6', type: 'h3', content: 'Electrical review' },
+    { id: 'list-7', type: 'list', content: 'Site plan\nSingle-line diagram\n\nSpec sheets' },
+    { id: 'list-8', type: 'list', ordered: true, content: 'Submit\nWait for review' },
+    { id: 'quote-9', type: 'quote', content: 'Plan ahead.\nThen plan again.' },
+    { id: 'image-10', type: 'image', imageType: 'content', altText: 'Roof "array"', caption: 'A finished install' },
+    { id: 'image-11', type: 'image', imageType: 'content', imagePrompt: 'Inspector on a roof -- daytime' },
+    { id: 'conclusion-12', type: 'conclusion', content: 'Need help? Contact us today.' },
+    { id: 'references-13', type: 'references', content: 'Solar permitting report(https://example.org/report)' },
+    { id: 'section-14', type: 'section', content: '   ' }
+  ],
+  uploadedImages: {
+    'image-10': 'https://cdn.example.com/roof.jpg'
+  },
+  internalLinks: [
+    { anchorText: 'Solar PTO guide', targetUrl: 'https://example.com/pto', context: 'Permission to operate' }
+  ],
+  externalLinks: [
+    { anchorText: 'Energy.gov', targetUrl: 'https://www.energy.gov/solar' }
+  ],
+  relatedArticles: [
+    { title: 'Interconnection basics', url: 'https://example.com/interconnection', description: 'How utilities connect new systems' },
+    { title: 'Net metering', url: 'https://example.com/net-metering', image: 'https://cdn.example.com/meter.jpg' }
+  ]
+};
+
+const withTheme = theme => ({ ...input, theme });
+
+describe('contentRendererService', () => {
+  describe.each(['gutenberg', 'classic', 'amp', 'preview'])('%s target', target => {
+    it('renders with the default theme', () => {
+      expect(contentRendererService.render(withTheme(brandThemeService.defaults), target)).toMatchSnapshot();
+    });
+
+    it('renders with the wattmonk preset', () => {
+      expect(contentRendererService.render(withTheme(brandThemeService.preset('wattmonk')), target)).toMatchSnapshot();
+    });
+  });
+
+  it('previews the body of the target byte for byte', () => {
+    const theme = brandThemeService.preset('wattmonk');
+    ['classic', 'gutenberg'].forEach(target => {
+      const body = contentRendererService.render(withTheme(theme), target);
+      const page = contentRendererService.render(withTheme(theme), 'preview', { target });
+
+      expect(page).toContain(`<article class="preview-post">\n${body}</article>`);
+      expect(contentRendererService.previewDocument(body, theme, { target })).toBe(page);
+    });
+  });
+
+  it('sends classic HTML to WordPress and Gutenberg markup elsewhere', () => {
+    expect(contentRendererService.platformTarget('wordpress')).toBe('classic');
+    expect(contentRendererService.platformTarget('ghost')).toBe('gutenberg');
+    expect(contentRendererService.platformTarget('markdown')).toBe('gutenberg');
+  });
+
+  it('leaves out the feature image, empty blocks and disabled theme blocks', () => {
+    const theme = brandThemeService.validate({ relatedArticles: { enabled: false } }).theme;
+    const nodes = contentRendererService.buildNodes(input, theme);
+    const types = nodes.map(node => node.type);
+
+    expect(types).not.toContain('related');
+    expect(types).not.toContain('callToAction');
+    expect(nodes.filter(node => node.type === 'image')).toEqual([
+      { type: 'image', url: 'https://cdn.example.com/roof.jpg', alt: 'Roof &quot;array&quot;', caption: 'A finished install' }
+    ]);
+    expect(nodes.filter(node => node.type === 'paragraph')).toHaveLength(3);
+  });
+
+  it('makes links clickable the same way for every target', () => {
+    const nodes = contentRendererService.buildNodes(input, brandThemeService.defaults);
+    const html = nodes.filter(node => node.html).map(node => node.html);
+
+    expect(html[0]).toBe('Permits take time. See <a href="https://www.nrel.gov/solar" target="_blank" rel="noopener noreferrer">the NREL guide</a> before you apply.');
+    expect(html[1]).toBe('Most cities publish their rules at <a href="https://example.gov/permits" target="_blank" rel="noopener noreferrer">https://example.gov/permits</a> online.');
+    expect(html[3]).toBe('<a href="https://example.org/report" target="_blank" rel="noopener noreferrer">Solar permitting report</a>');
+  });
+
+  it('rejects unknown targets', () => {
+    expect(() => contentRendererService.render(input, 'rss')).toThrow('Unknown render target "rss"');
+    expect(() => contentRendererService.render(input, 'preview', { target: 'preview' })).toThrow('Cannot preview the "preview" target');
+  });
+});
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const BlogData = require('../../models/BlogData');
+const Company = require('../../models/Company');
+const Draft = require('../../models/Draft');
+const User = require('../../models/User');
+const FakeSheetsApi = require('../sheets/fakeSheetsApi');
+const googleSheetsService = require('../googleSheetsService');
+const sheetsSyncService = require('../sheetsSyncService');
+
+const SPREADSHEET_ID = 'keywords-sheet';
+const HEADERS = ['Focus Keyword', 'Article Format', 'Word Count', 'Target Audience', 'Objective', 'Priority'];
+
+// Resolves like a mongoose query, with or without .sort()
+const query = value => ({
+  sort: () => Promise.resolve(value),
+  then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+});
+
+const company = new Company({ name: 'WattMonk', serviceOverview: 'Solar design', aboutCompany: 'Solar', tone: 'professional', brandVoice: 'Clear', isActive: true });
+
+// The few BlogData queries the sync makes, run against an in-memory list
+const matches = (blog, filter) => Object.entries(filter).every(([key, value]) => {
+  if (key === '$or') return value.some(option => matches(blog, option));
+  const actual = key.split('.').reduce((object, part) => object?.[part], blog);
+  if (value?.$exists === false) return actual === undefined;
+  if (value?.$nin) return !value.$nin.includes(actual);
+  return String(actual) === String(value);
+});
+
+let blogs;
+let drafts;
+let api;
+
+const sheet = () => api.data[SPREADSHEET_ID]['Manual Keywords'];
+const column = name => sheet()[0].indexOf(name);
+const cell = (rowNumber, name) => sheet()[rowNumber - 1][column(name)];
+const setCell = (rowNumber, name, value) => {
+  sheet()[rowNumber - 1][column(name)] = value;
+};
+const sync = () => sheetsSyncService.sync({ spreadsheetId: SPREADSHEET_ID });
+
+beforeEach(() => {
+  blogs = [];
+  drafts = [];
+  api = new FakeSheetsApi({
+    data: {
+      [SPREADSHEET_ID]: {
+        'Manual Keywords': [
+          HEADERS,
+          ['solar permits', 'Guide', '1500', 'Installers', 'Explain permit steps', '2'],
+          ['net metering', 'How To', '1200', 'Homeowners', 'Explain net metering', '1']
+        ]
+      }
+    }
+  });
+  googleSheetsService.useFakeApi(api);
+
+  jest.spyOn(Company, 'findOne').mockImplementation(() => query(company));
+  jest.spyOn(User, 'findOne').mockImplementation(() => query(null));
+  jest.spyOn(Draft, 'findOne').mockImplementation(filter => query(drafts.find(draft => String(draft.blogId) === String(filter.blogId)) || null));
+  jest.spyOn(BlogData, 'findOne').mockImplementation(filter => query(blogs.find(blog => matches(blog, filter)) || null));
+  jest.spyOn(BlogData.prototype, 'save').mockImplementation(async function save() {
+    await this.validate();
+    if (!blogs.includes(this)) blogs.push(this);
+    this.isNew = false;
+    return this;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  googleSheetsService.useFakeApi(null);
+});
+
+describe('sheetsSyncService', () => {
+  it('links existing entries, creates new ones and writes draft status back', async () => {
+    const existing = new BlogData({ focusKeyword: 'solar permits', articleFormat: 'guide', wordCount: 2000, targetAudience: 'Installers', objective: 'Explain permit steps', companyId: company._id });
+    existing.isNew = false;
+    blogs.push(existing);
+    drafts.push({
+      blogId: existing._id,
+      status: 'ready_to_publish',
+      wordpressStatus: 'published',
+      publishedAt: new Date('2025-03-01T09:30:00Z'),
+      publication: { url: 'https://example.com/solar-permits', status: 'published' },
+      seoAnalysis: { score: 82 }
+    });
+
+    const result = await sync();
+
+    expect(result).toMatchObject({ rows: 2, created: 1, linked: 1, updated: 0, written: 2, conflicts: [], failed: [] });
+    expect(sheet()[0]).toEqual([...HEADERS, 'Row ID', 'Draft Status', 'Published URL', 'SEO Score', 'Publish Date']);
+    expect(cell(2, 'Row ID')).toBe(existing.sheetRow.rowId);
+    expect(sheet()[1].slice(column('Draft Status'))).toEqual(['published', 'https://example.com/solar-permits', '82', '2025-03-01']);
+    expect(sheet()[2].slice(column('Draft Status'))).toEqual(['pending', '', '', '']);
+
+    // The app's entries are authoritative on the first link
+    expect(existing.wordCount).toBe(2000);
+    expect(blogs[1]).toMatchObject({ focusKeyword: 'net metering', articleFormat: 'how-to', wordCount: 1200 });
+  });
+
+  it('matches rows by row ID after they move and writes nothing when in sync', async () => {
+    await sync();
+    const [header, first, second] = sheet();
+    api.data[SPREADSHEET_ID]['Manual Keywords'] = [header, second, first];
+
+    const result = await sync();
+
+    expect(result).toMatchObject({ created: 0, linked: 0, updated: 0, written: 0, conflicts: [] });
+    expect(blogs).toHaveLength(2);
+    expect(blogs.find(blog => blog.focusKeyword === 'net metering').sheetRow.rowNumber).toBe(2);
+  });
+
+  it('applies sheet edits and resolves conflicts in favour of the app', async () => {
+    await sync();
+    const [permits, metering] = blogs;
+
+    setCell(2, 'Word Count', '1800');
+    setCell(2, 'Objective', 'Walk through permit steps');
+    permits.objective = 'Cover the permit process';
+    setCell(3, 'Draft Status', 'done');
+
+    const result = await sync();
+
+    expect(permits.wordCount).toBe(1800);
+    expect(permits.objective).toBe('Cover the permit process');
+    expect(cell(3, 'Draft Status')).toBe('pending');
+    expect(result.updated).toBe(1);
+    expect(result.conflicts).toEqual([
+      expect.objectContaining({ rowNumber: 2, column: 'objective', sheetValue: 'Walk through permit steps', appValue: 'Cover the permit process', resolution: 'kept-app' }),
+      expect.objectContaining({ rowNumber: 3, column: 'Draft Status', sheetValue: 'done', appValue: 'pending', resolution: 'overwrote-sheet' })
+    ]);
+    expect(metering.sheetRow.conflicts.map(conflict => conflict.column)).toEqual(['Draft Status']);
+  });
+
+  it('skips copied rows and row IDs it does not know', async () => {
+    await sync();
+    sheet().push([...sheet()[1]]);
+    setCell(3, 'Row ID', 'kw-missing');
+
+    const result = await sync();
+
+    expect(blogs).toHaveLength(2);
+    expect(result.conflicts.map(conflict => [conflict.rowNumber, conflict.resolution])).toEqual([
+      [3, 'skipped-unknown'],
+      [4, 'skipped-duplicate']
+    ]);
+  });
+
+  it('reports rows the app rejects without stopping the sync', async () => {
+    sheet().push(['heat pumps', '', '1000', 'Homeowners', 'Explain heat pumps', '1']);
+
+    const result = await sync();
+
+    expect(result.created).toBe(2);
+    expect(result.failed).toEqual([expect.objectContaining({ rowNumber: 4, focusKeyword: 'heat pumps' })]);
+    expect(cell(4, 'Row ID')).toBeUndefined();
+  });
+
+  it('needs a spreadsheet', async () => {
+    expect(await sheetsSyncService.sync({ spreadsheetId: '' })).toEqual({ error: 'BLOG_DATA_SPREADSHEET_ID is not configured', statusCode: 400 });
+  });
+});
+
+afterAll(() => mongoose.disconnect());
@@ -0,0 +1,100 @@
+// services/accessService.js
+const mongoose = require('mongoose');
+const BlogData = require('../models/BlogData');
+const Company = require('../models/Company');
+const ContentBlock = require('../models/ContentBlock');
+const Draft = require('../models/Draft');
+const User = require('../models/User');
+
+/**
+ * Per-company membership checks.
+ * Users are assigned to companies by name (User.companies); admins see every company.
+ */
+class AccessService {
+  isAdmin(user) {
+    return user?.role === 'admin';
+  }
+
+  canAccessCompany(user, companyName) {
+    if (!user) return false;
+    if (this.isAdmin(user)) return true;
+    return !!companyName && (user.companies || []).includes(companyName);
+  }
+
+  /**
+   * Active users who can see a company's content
+   */
+  async listCompanyUsers(companyName) {
+    const users = await User.find({ isActive: true }).select('name email role companies').sort({ name: 1 });
+    return users.filter(user => this.canAccessCompany(user, companyName));
+  }
+
+  async getCompanyNameById(companyId) {
+    if (!mongoose.isValidObjectId(companyId)) return null;
+    const company = await Company.findById(companyId).select('name');
+    return company?.name || null;
+  }
+
+  /**
+   * Company of a blog entry
+   * @returns {Object|null} { companyName } (null name when the company cannot be resolved), or null when the blog does not exist
+   */
+  async getBlogScope(blogId) {
+    if (!mongoose.isValidObjectId(blogId)) return null;
+    const blog = await BlogData.findById(blogId).populate('companyId', 'name');
+    return blog ? { companyName: blog.companyId?.name || null } : null;
+  }
+
+  /**
+   * Company of a draft, through its blog entry
+   * @returns {Object|null} { companyName } (null name when the blog or company cannot be resolved), or null when the draft does not exist
+   */
+  async getDraftScope(draftId) {
+    if (!mongoose.isValidObjectId(draftId)) return null;
+    const draft = await Draft.findById(draftId).select('blogId');
+    if (!draft) return null;
+    return (await this.getBlogScope(draft.blogId)) || { companyName: null };
+  }
+
+  /**
+   * Company of a stored content block (ContentBlock), through its blog entry
+   * @returns {Object|null} { companyName } (null name when the blog or company cannot be resolved), or null when the block does not exist
+   */
+  async getContentBlockScope(blockId) {
+    if (!mongoose.isValidObjectId(blockId)) return null;
+    const block = await ContentBlock.findById(blockId).select('blogId');
+    if (!block) return null;
+    return (await this.getBlogScope(block.blogId)) || { companyName: null };
+  }
+
+  async getBlogCompanyName(blogId) {
+    return (await this.getBlogScope(blogId))?.companyName || null;
+  }
+
+  async getDraftCompanyName(draftId) {
+    return (await this.getDraftScope(draftId))?.companyName || null;
+  }
+
+  /**
+   * Mongo filter limiting BlogData queries to the user's companies
+   * @returns {Object} Empty filter for admins
+   */
+  async blogFilter(user) {
+    if (this.isAdmin(user)) return {};
+    const companies = await Company.find({ name: { $in: user.companies || [] } }).select('_id');
+    return { companyId: { $in: companies.map(company => company._id) } };
+  }
+
+  /**
+   * Mongo filter limiting Draft (and Job) queries to the user's companies
+   * @param {string} field - Field holding the draft ID ('_id' for drafts, 'draftId' for jobs)
+   */
+  async draftFilter(user, field = '_id') {
+    if (this.isAdmin(user)) return {};
+    const blogs = await BlogData.find(await this.blogFilter(user)).select('_id');
+    const drafts = await Draft.find({ blogId: { $in: blogs.map(blog => blog._id) } }).select('_id');
+    return { [field]: { $in: drafts.map(draft => draft._id) } };
+  }
+}
+
+module.exports = new AccessService();
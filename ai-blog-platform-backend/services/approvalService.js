@@ -0,0 +1,191 @@
+// services/approvalService.js
+const Draft = require('../models/Draft');
+
+const AUTHOR_ROLES = ['admin', 'editor', 'writer'];
+const REVIEW_ROLES = ['admin', 'editor', 'reviewer'];
+
+/**
+ * Approval state machine:
+ * not_submitted → submitted → in_review → changes_requested → (submit again) … → approved
+ * Approving an edited draft again requires a new submission, since approvals are tied to Draft.version.
+ */
+const TRANSITIONS = {
+  submit: { from: ['not_submitted', 'changes_requested', 'approved'], roles: AUTHOR_ROLES },
+  'start-review': { from: ['submitted'], roles: REVIEW_ROLES },
+  'request-changes': { from: ['submitted', 'in_review'], roles: REVIEW_ROLES, commentRequired: true },
+  approve: { from: ['submitted', 'in_review'], roles: REVIEW_ROLES },
+  comment: { from: null, roles: [...AUTHOR_ROLES, 'reviewer'], commentRequired: true }
+};
+
+class ApprovalService {
+  get actions() {
+    return Object.keys(TRANSITIONS);
+  }
+
+  async loadDraft(draftId) {
+    return Draft.findById(draftId).populate({
+      path: 'blogId',
+      select: 'companyId',
+      populate: { path: 'companyId', select: 'name requiredApprovals' }
+    });
+  }
+
+  getRequiredApprovals(draft) {
+    const required = draft.blogId?.companyId?.requiredApprovals;
+    return typeof required === 'number' ? required : 1;
+  }
+
+  // Refresh suggestions nobody has accepted or rejected yet
+  countPendingRefresh(draft) {
+    return (draft.refresh?.suggestions || []).filter(suggestion => suggestion.status === 'pending').length;
+  }
+
+  isDeployable(draft) {
+    if (this.countPendingRefresh(draft) > 0) return false;
+    if (this.getRequiredApprovals(draft) === 0) return true;
+    const approval = draft.approval || {};
+    return approval.state === 'approved' && approval.approvedVersion === (draft.version || 0);
+  }
+
+  getStatus(draft) {
+    const approval = draft.approval || {};
+    const state = approval.state || 'not_submitted';
+
+    return {
+      state,
+      requiredApprovals: this.getRequiredApprovals(draft),
+      approvals: approval.approvals || [],
+      submittedBy: approval.submittedBy || null,
+      submittedAt: approval.submittedAt || null,
+      approvedAt: approval.approvedAt || null,
+      approvedVersion: approval.approvedVersion ?? null,
+      currentVersion: draft.version || 0,
+      // Approved, but the draft was edited afterwards
+      stale: state === 'approved' && approval.approvedVersion !== (draft.version || 0),
+      deployable: this.isDeployable(draft),
+      pendingRefreshChanges: this.countPendingRefresh(draft),
+      history: [...(approval.history || [])].reverse()
+    };
+  }
+
+  addHistory(draft, action, user, fromState, comment) {
+    draft.approval.history.push({
+      action,
+      fromState,
+      toState: draft.approval.state,
+      userId: user.id,
+      userName: user.name,
+      role: user.role,
+      comment,
+      version: draft.version || 0
+    });
+  }
+
+  /**
+   * Apply a workflow action to a draft
+   * @param {string} action - submit | start-review | request-changes | approve | comment
+   * @param {Object} user - req.user
+   * @returns {Object|null} { success, statusCode, message, approval }, or null when the draft does not exist
+   */
+  async transition(draftId, action, user, comment) {
+    const rule = TRANSITIONS[action];
+    const draft = await this.loadDraft(draftId);
+    if (!draft) return null;
+
+    if (!draft.approval) draft.approval = {};
+    const approval = draft.approval;
+    const fromState = approval.state || 'not_submitted';
+
+    if (!rule.roles.includes(user.role)) {
+      return { success: false, statusCode: 403, message: `The ${user.role} role cannot ${action.replace('-', ' ')} drafts` };
+    }
+    if (rule.from && !rule.from.includes(fromState)) {
+      return { success: false, statusCode: 409, message: `Cannot ${action.replace('-', ' ')} a draft that is ${fromState.replace('_', ' ')}` };
+    }
+    if (rule.commentRequired && !comment?.trim()) {
+      return { success: false, statusCode: 400, message: 'A comment is required' };
+    }
+
+    switch (action) {
+      case 'submit':
+        approval.state = 'submitted';
+        approval.approvals = [];
+        approval.submittedBy = user.id;
+        approval.submittedAt = new Date();
+        approval.approvedAt = null;
+        approval.approvedVersion = null;
+        break;
+
+      case 'start-review':
+        approval.state = 'in_review';
+        break;
+
+      case 'request-changes':
+        approval.state = 'changes_requested';
+        approval.approvals = [];
+        break;
+
+      case 'approve': {
+        if (approval.submittedBy === user.id && user.role !== 'admin') {
+          return { success: false, statusCode: 403, message: 'You cannot approve your own submission' };
+        }
+        if (approval.approvals.some(entry => entry.userId === user.id)) {
+          return { success: false, statusCode: 409, message: 'You have already approved this draft' };
+        }
+
+        approval.approvals.push({ userId: user.id, name: user.name, approvedAt: new Date() });
+        if (approval.approvals.length >= this.getRequiredApprovals(draft)) {
+          approval.state = 'approved';
+          approval.approvedAt = new Date();
+          approval.approvedVersion = draft.version || 0;
+        } else {
+          approval.state = 'in_review';
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+
+    this.addHistory(draft, action, user, fromState, comment?.trim());
+    await draft.save();
+
+    console.log(`✅ Draft ${draftId} ${action} by ${user.email}: ${fromState} → ${approval.state}`);
+    return { success: true, approval: this.getStatus(draft) };
+  }
+
+  /**
+   * Gate for WordPress deployment; admins may override an unapproved draft
+   * @returns {Object|null} { allowed, statusCode, message }, or null when the draft does not exist
+   */
+  async checkDeploy(draftId, user, override = false) {
+    const draft = await this.loadDraft(draftId);
+    if (!draft) return null;
+
+    if (this.isDeployable(draft)) {
+      return { allowed: true };
+    }
+
+    if (override && user?.role === 'admin') {
+      if (!draft.approval) draft.approval = {};
+      this.addHistory(draft, 'override', user, draft.approval.state || 'not_submitted', 'Deployed without approval');
+      await draft.save();
+      console.log(`⚠️ Approval overridden by ${user.email} for draft ${draftId}`);
+      return { allowed: true };
+    }
+
+    const status = this.getStatus(draft);
+    return {
+      allowed: false,
+      statusCode: 409,
+      message: status.pendingRefreshChanges > 0
+        ? `${status.pendingRefreshChanges} refresh suggestion(s) must be accepted or rejected before deployment`
+        : status.stale
+        ? 'Draft was edited after approval and must be approved again before deployment'
+        : `Draft needs ${status.requiredApprovals} approval(s) before deployment (currently ${status.state.replace('_', ' ')})`
+    };
+  }
+}
+
+module.exports = new ApprovalService();
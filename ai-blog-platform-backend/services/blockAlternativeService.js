@@ -0,0 +1,190 @@
+// services/blockAlternativeService.js
+const crypto = require('crypto');
+const Draft = require('../models/Draft');
+
+const MAX_ALTERNATIVES = 10;
+
+/**
+ * Candidate versions for the content blocks stored on a draft
+ * (Draft.generatedContent.contentBlocks).
+ *
+ * Each block keeps an alternatives[] list of { id, content, source, provider, model, createdAt }
+ * and records where its current text came from in block.metadata. Replacing the
+ * content always moves the previous text into alternatives, so nothing is thrown away.
+ */
+class BlockAlternativeService {
+  countWords(content) {
+    return content ? content.split(' ').length : 0;
+  }
+
+  // Cap the list to the newest entries, but never drop the original text (selecting reorders the list)
+  trimAlternatives(alternatives) {
+    if (alternatives.length <= MAX_ALTERNATIVES) return alternatives;
+
+    const original = alternatives.find(alternative => alternative.source === 'original');
+    const others = alternatives.filter(alternative => alternative !== original);
+    const kept = new Set(others.slice(-(original ? MAX_ALTERNATIVES - 1 : MAX_ALTERNATIVES)));
+    return alternatives.filter(alternative => alternative === original || kept.has(alternative));
+  }
+
+  createAlternative(content, details = {}) {
+    return {
+      id: crypto.randomUUID(),
+      content,
+      source: details.source || 'generated',
+      provider: details.provider || null,
+      model: details.model || null,
+      createdAt: new Date()
+    };
+  }
+
+  async loadBlock(draftId, blockId) {
+    const draft = await Draft.findById(draftId);
+    const blocks = draft?.generatedContent?.contentBlocks || [];
+    const index = blocks.findIndex(block => block.id === blockId);
+    if (index === -1) return null;
+
+    return { draft, index, block: blocks[index] };
+  }
+
+  async saveBlock(draft, index, block) {
+    draft.generatedContent.contentBlocks[index] = block;
+    draft.generatedContent.lastSaved = new Date();
+    draft.markModified('generatedContent.contentBlocks');
+    await draft.save();
+    return block;
+  }
+
+  /**
+   * Replace the block content, keeping the current text as an alternative
+   * @param {Object} details - { source, provider, model, selectedAlternativeId, mergedFrom }
+   */
+  applyContent(block, content, details = {}) {
+    const alternatives = [...(block.alternatives || [])];
+    if (block.content) {
+      alternatives.push(this.createAlternative(block.content, {
+        source: block.metadata?.source || 'original',
+        provider: block.metadata?.provider,
+        model: block.metadata?.model
+      }));
+    }
+
+    return {
+      ...block,
+      content,
+      wordCount: this.countWords(content),
+      alternatives: this.trimAlternatives(alternatives),
+      metadata: {
+        ...(block.metadata || {}),
+        source: details.source,
+        provider: details.provider || null,
+        model: details.model || null,
+        selectedAlternativeId: details.selectedAlternativeId || null,
+        mergedFrom: details.mergedFrom || [],
+        updatedAt: new Date()
+      }
+    };
+  }
+
+  /**
+   * Set new content on a stored block (regeneration or manual edit)
+   * @returns {Object|null} Updated block, or null when the block is not stored on the draft
+   */
+  async replaceContent(draftId, blockId, content, details = {}) {
+    const found = await this.loadBlock(draftId, blockId);
+    if (!found) return null;
+
+    return this.saveBlock(found.draft, found.index, this.applyContent(found.block, content, details));
+  }
+
+  /**
+   * Add candidates without touching the current content
+   * @param {Array} candidates - [{ content, source, provider, model }]
+   */
+  async addAlternatives(draftId, blockId, candidates) {
+    const found = await this.loadBlock(draftId, blockId);
+    if (!found) return null;
+
+    const alternatives = [
+      ...(found.block.alternatives || []),
+      ...candidates.map(candidate => this.createAlternative(candidate.content, candidate))
+    ];
+
+    return this.saveBlock(found.draft, found.index, {
+      ...found.block,
+      alternatives: this.trimAlternatives(alternatives)
+    });
+  }
+
+  /**
+   * Make an alternative the current content; the replaced text becomes an alternative
+   */
+  async selectAlternative(draftId, blockId, alternativeId) {
+    const found = await this.loadBlock(draftId, blockId);
+    if (!found) return null;
+
+    const alternatives = found.block.alternatives || [];
+    const selected = alternatives.find(alternative => alternative.id === alternativeId);
+    if (!selected) return null;
+
+    const block = {
+      ...found.block,
+      alternatives: alternatives.filter(alternative => alternative.id !== alternativeId)
+    };
+
+    return this.saveBlock(found.draft, found.index, this.applyContent(block, selected.content, {
+      source: selected.source,
+      provider: selected.provider,
+      model: selected.model,
+      selectedAlternativeId: selected.id
+    }));
+  }
+
+  /**
+   * Store text the writer combined from several candidates
+   */
+  async mergeAlternatives(draftId, blockId, content, alternativeIds = []) {
+    return this.replaceContent(draftId, blockId, content, {
+      source: 'merge',
+      mergedFrom: alternativeIds
+    });
+  }
+
+  /**
+   * Go back to the originally generated text of the block
+   * @returns {Object|null} { block, reverted } (reverted is false when it already shows the original), or null when not found
+   */
+  async revertToOriginal(draftId, blockId) {
+    const found = await this.loadBlock(draftId, blockId);
+    if (!found) return null;
+
+    const currentSource = found.block.metadata?.source || 'original';
+    if (currentSource === 'original') return { block: found.block, reverted: false };
+
+    const alternatives = found.block.alternatives || [];
+    const original = alternatives.find(alternative => alternative.source === 'original') || alternatives[0];
+    if (!original || original.content === found.block.content) return { block: found.block, reverted: false };
+
+    return { block: await this.selectAlternative(draftId, blockId, original.id), reverted: true };
+  }
+
+  /**
+   * Keep stored alternatives and metadata when the editor saves blocks that lack them
+   */
+  preserveAlternatives(incomingBlocks = [], storedBlocks = []) {
+    const storedById = new Map(storedBlocks.map(block => [block.id, block]));
+
+    return incomingBlocks.map(block => {
+      const stored = storedById.get(block.id);
+      if (!stored) return block;
+
+      return {
+        ...block,
+        alternatives: block.alternatives || stored.alternatives,
+        metadata: block.metadata || stored.metadata
+      };
+    });
+  }
+}
+
+module.exports = new BlockAlternativeService();
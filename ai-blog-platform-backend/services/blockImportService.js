@@ -0,0 +1,183 @@
+// services/blockImportService.js
+const cheerio = require('cheerio');
+
+/**
+ * Collects content blocks in the shape generated articles use:
+ * feature image, h1 title, introduction, h2/section/list/quote/image blocks, conclusion.
+ */
+class BlockBuilder {
+  /**
+   * @param {Object} options - { featureImage: false } when the featured image comes from elsewhere
+   */
+  constructor(service, { featureImage = true } = {}) {
+    this.service = service;
+    this.featureImage = featureImage;
+    this.contentBlocks = [];
+    this.uploadedImages = {};
+    this.title = null;
+    this.blockId = 1;
+  }
+
+  addText(type, content, extra = {}) {
+    const text = (content || '').trim();
+    if (!text) return;
+
+    // The first H1 is the article title; later ones are section headings
+    if (type === 'h1') {
+      if (this.title) {
+        type = 'h2';
+      } else {
+        this.title = text;
+      }
+    }
+
+    this.contentBlocks.push({
+      id: `${type === 'h1' ? 'title' : type}-${this.blockId++}`,
+      type,
+      content: text,
+      editable: true,
+      wordCount: this.service.countWords(text),
+      ...extra
+    });
+  }
+
+  addImage(url, altText) {
+    if (!url || url.startsWith('data:')) return;
+
+    // An image before any text is the featured image
+    const isFeature = this.featureImage
+      && this.contentBlocks.every(block => block.type === 'image')
+      && !this.contentBlocks.some(block => block.imageType === 'feature');
+    const id = `${isFeature ? 'feature' : 'inline'}-img-${this.blockId++}`;
+    this.uploadedImages[id] = url;
+    this.contentBlocks.push({
+      id,
+      type: 'image',
+      imageType: isFeature ? 'feature' : 'inline',
+      content: '',
+      editable: false,
+      imageUrl: url,
+      altText: altText || '',
+      generated: true
+    });
+  }
+
+  /**
+   * @returns {Object} { title, contentBlocks, uploadedImages }
+   */
+  finish() {
+    // Match the generated structure: first paragraph is the introduction, last one the conclusion
+    const paragraphs = this.contentBlocks.filter(block => block.type === 'section');
+    const retype = (block, type, prefix) => Object.assign(block, { type, id: block.id.replace('section-', prefix) });
+    if (paragraphs.length > 0) retype(paragraphs[0], 'introduction', 'intro-');
+    if (paragraphs.length > 1) retype(paragraphs[paragraphs.length - 1], 'conclusion', 'conclusion-');
+
+    return { title: this.title, contentBlocks: this.contentBlocks, uploadedImages: this.uploadedImages };
+  }
+}
+
+/**
+ * Turns imported articles (WordPress posts, Markdown and Word documents) into content
+ * blocks with one set of rules, so imported drafts look the same whatever their source.
+ */
+class BlockImportService {
+  countWords(text) {
+    return (text || '').split(/\s+/).filter(Boolean).length;
+  }
+
+  /**
+   * Heading level → block type: h1 stays the title, deeper levels become h2 blocks
+   * @param {number|string} level - 1-6 or a tag name such as "h3"
+   */
+  headingType(level) {
+    return String(level).replace(/^h/i, '') === '1' ? 'h1' : 'h2';
+  }
+
+  /**
+   * @param {Object} options - See BlockBuilder
+   */
+  createBuilder(options) {
+    return new BlockBuilder(this, options);
+  }
+
+  /**
+   * Inline HTML → block text: links become [text](url) (turned back into <a> on deploy),
+   * bold becomes **text**, other tags and images are dropped
+   */
+  inlineText($, element) {
+    const node = $(element).clone();
+    node.find('img').remove();
+    node.find('a[href]').each((index, link) => {
+      const text = $(link).text().trim();
+      $(link).replaceWith(text ? `[${text}](${$(link).attr('href')})` : '');
+    });
+    node.find('strong, b').each((index, bold) => {
+      const text = $(bold).text();
+      $(bold).replaceWith(text.trim() ? `**${text.trim()}**` : text);
+    });
+    node.find('br').replaceWith('\n');
+    return node.text().replace(/[ \t\r\f\v]+/g, ' ').replace(/ *\n */g, '\n').trim();
+  }
+
+  /**
+   * Convert article HTML (WordPress post content or converted Word documents) into content blocks.
+   * Lists become list blocks (nested items flattened), quotes quote blocks, tables "a | b" rows
+   * and images keep their URL in uploadedImages; wrappers such as groups and columns are flattened.
+   * @param {string} html - Article HTML
+   * @param {Object} options - See BlockBuilder
+   * @returns {Object} { title, contentBlocks, uploadedImages }
+   */
+  htmlToBlocks(html, options) {
+    const $ = cheerio.load(html || '', null, false);
+    const builder = this.createBuilder(options);
+    const inline = element => this.inlineText($, element);
+
+    const addImages = element => {
+      $(element).find('img').addBack('img').each((index, image) => {
+        builder.addImage($(image).attr('src'), $(image).attr('alt'));
+      });
+    };
+    const listItems = list => $(list).children('li').map((index, item) => {
+      const nested = $(item).children('ul, ol').toArray();
+      const own = $(item).clone();
+      own.children('ul, ol').remove();
+      return [inline(own), ...nested.flatMap(child => listItems(child))];
+    }).get();
+
+    const walk = nodes => {
+      nodes.each((index, node) => {
+        if (node.type === 'text') {
+          builder.addText('section', $(node).text());
+          return;
+        }
+        if (node.type !== 'tag') return; // Gutenberg block comments...
+
+        const tag = node.tagName.toLowerCase();
+        if (/^h[1-6]$/.test(tag)) {
+          builder.addText(this.headingType(tag), inline(node));
+        } else if (tag === 'ul' || tag === 'ol') {
+          builder.addText('list', listItems(node).filter(Boolean).join('\n'), tag === 'ol' ? { ordered: true } : {});
+        } else if (tag === 'blockquote') {
+          builder.addText('quote', $(node).children().map((i, child) => inline(child)).get().filter(Boolean).join('\n') || inline(node));
+        } else if (tag === 'table') {
+          const rows = $(node).find('tr').map((i, row) => $(row).children('td, th').map((j, cell) => inline(cell)).get().join(' | ')).get();
+          builder.addText('section', rows.join('\n'));
+        } else if (tag === 'img' || (tag === 'figure' && $(node).find('img').length > 0 && $(node).find('table').length === 0)) {
+          addImages(node);
+        } else if (['p', 'pre', 'figure'].includes(tag)) {
+          addImages(node);
+          builder.addText('section', inline(node));
+        } else if (['script', 'style', 'iframe', 'hr'].includes(tag)) {
+          // Not representable as a content block
+        } else {
+          walk($(node).contents());
+        }
+      });
+    };
+
+    walk($.root().contents());
+    return builder.finish();
+  }
+}
+
+module.exports = new BlockImportService();
@@ -0,0 +1,246 @@
+// services/brandThemeService.js
+
+// Platform default for companies without a theme: neutral colors, system fonts
+const DEFAULT_THEME = {
+  colors: {
+    heading: '#1A202C',
+    subheading: '#2D3748',
+    text: '#4A5568',
+    link: '#3182CE',
+    accent: '#3182CE',
+    background: '#F7FAFC'
+  },
+  fonts: {
+    heading: "'Helvetica Neue', Arial, sans-serif",
+    body: "'Helvetica Neue', Arial, sans-serif"
+  },
+  headingSizes: {
+    h1: '42px',
+    h2: '32px',
+    h3: '24px'
+  },
+  bodyFontSize: '16px',
+  lineHeight: '1.7',
+  // Box around the conclusion, where the call to action is
+  ctaBox: {
+    enabled: false,
+    backgroundColor: '#F7FAFC',
+    borderColor: '#3182CE',
+    textColor: '#1A202C',
+    borderRadius: '8px'
+  },
+  // Without links, the company's other published drafts are listed
+  relatedArticles: {
+    enabled: true,
+    title: 'You May Also Like',
+    links: []
+  }
+};
+
+// Starting points offered in the theme editor
+const PRESETS = {
+  wattmonk: {
+    colors: {
+      heading: '#1A202C',
+      subheading: '#FBD46F',
+      text: '#4A5568',
+      link: '#3182CE',
+      accent: '#FBD46F',
+      background: '#FFF8E1'
+    },
+    fonts: {
+      heading: "'Roboto', 'Arial', sans-serif",
+      body: "'Roboto', 'Arial', sans-serif"
+    },
+    ctaBox: {
+      enabled: true,
+      backgroundColor: '#FFF8E1',
+      borderColor: '#FBD46F',
+      textColor: '#1A202C',
+      borderRadius: '12px'
+    },
+    relatedArticles: {
+      enabled: true,
+      title: '⚡ You May Also Like',
+      links: [
+        {
+          title: '📋 Solar PTO Guide: Avoid Delays & Speed Up Approvals',
+          url: 'https://www.wattmonk.com/solar-pto-process-to-accelerate-approval/',
+          description: 'Complete guide to streamline your solar PTO process'
+        },
+        {
+          title: '⚡ Solar PTO Interconnection Made Easy',
+          url: 'https://www.wattmonk.com/service/pto-interconnection/',
+          description: 'Professional interconnection services for solar projects'
+        },
+        {
+          title: '🔌 Utility Interconnection Services',
+          url: 'https://www.wattmonk.com/utility-interconnection/',
+          description: 'Expert utility interconnection solutions'
+        },
+        {
+          title: '🌱 Solar PV Agrivoltaic Complete Guide',
+          url: 'https://www.wattmonk.com/solar-pv-agrivoltaic-guide/',
+          description: 'Comprehensive guide to agrivoltaic solar systems'
+        }
+      ]
+    }
+  }
+};
+
+const MAX_RELATED_LINKS = 6;
+
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const CSS_SIZE = /^\d+(?:\.\d+)?(?:px|rem|em)$/;
+const LINE_HEIGHT = /^\d+(?:\.\d+)?$/;
+// Font stacks end up inside style="" attributes
+const FONT_STACK = /^[\w\s',.-]+$/;
+
+const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+// Deep merge of plain objects; arrays and scalars from the override win
+function merge(base, override) {
+  if (!isObject(override)) return base;
+  const result = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    result[key] = isObject(base[key]) ? merge(base[key], value) : value;
+  });
+  return result;
+}
+
+/**
+ * Per-company brand theme (colors, fonts, heading sizes, CTA box and related-articles
+ * block) stored on Company.theme. The renderers read inline styles from here instead
+ * of hard-coding one brand for every client.
+ */
+class BrandThemeService {
+  get defaults() {
+    return DEFAULT_THEME;
+  }
+
+  get presets() {
+    return PRESETS;
+  }
+
+  /**
+   * The company's theme over the platform defaults
+   * @param {Object} company - Company document or plain object (may be null)
+   * @returns {Object} Complete theme
+   */
+  resolve(company) {
+    const theme = company?.toObject ? company.toObject().theme : company?.theme;
+    return merge(DEFAULT_THEME, theme);
+  }
+
+  /**
+   * A preset over the defaults
+   * @returns {Object|null} Theme, or null for an unknown preset
+   */
+  preset(name) {
+    return PRESETS[name] ? merge(DEFAULT_THEME, PRESETS[name]) : null;
+  }
+
+  /**
+   * Check a submitted theme; missing values fall back to the defaults
+   * @returns {Object} { theme } or { error, statusCode }
+   */
+  validate(input) {
+    if (!isObject(input)) {
+      return { error: 'Theme must be an object', statusCode: 400 };
+    }
+
+    const theme = merge(DEFAULT_THEME, input);
+    const errors = [];
+    const check = (value, pattern, label) => {
+      if (typeof value !== 'string' || !pattern.test(value.trim())) errors.push(`${label} is invalid: ${value}`);
+    };
+
+    Object.entries(theme.colors).forEach(([key, value]) => check(value, HEX_COLOR, `colors.${key}`));
+    Object.entries(theme.fonts).forEach(([key, value]) => check(value, FONT_STACK, `fonts.${key}`));
+    Object.entries(theme.headingSizes).forEach(([key, value]) => check(value, CSS_SIZE, `headingSizes.${key}`));
+    check(theme.bodyFontSize, CSS_SIZE, 'bodyFontSize');
+    check(String(theme.lineHeight), LINE_HEIGHT, 'lineHeight');
+    ['backgroundColor', 'borderColor', 'textColor'].forEach(key => check(theme.ctaBox[key], HEX_COLOR, `ctaBox.${key}`));
+    check(theme.ctaBox.borderRadius, CSS_SIZE, 'ctaBox.borderRadius');
+
+    const links = Array.isArray(theme.relatedArticles.links) ? theme.relatedArticles.links : [];
+    if (links.length > MAX_RELATED_LINKS) {
+      errors.push(`relatedArticles.links can have at most ${MAX_RELATED_LINKS} links`);
+    }
+    links.forEach((link, index) => {
+      if (!link?.title || !/^https?:\/\/\S+$/.test(link?.url || '')) {
+        errors.push(`relatedArticles.links[${index}] needs a title and an http(s) URL`);
+      }
+    });
+
+    if (errors.length > 0) {
+      return { error: errors.join('; '), statusCode: 400 };
+    }
+
+    return {
+      theme: {
+        ...theme,
+        lineHeight: String(theme.lineHeight),
+        ctaBox: { ...theme.ctaBox, enabled: !!theme.ctaBox.enabled },
+        relatedArticles: {
+          enabled: !!theme.relatedArticles.enabled,
+          title: String(theme.relatedArticles.title || DEFAULT_THEME.relatedArticles.title).trim(),
+          links: links.map(link => ({
+            title: String(link.title).trim(),
+            url: link.url.trim(),
+            description: String(link.description || '').trim()
+          }))
+        }
+      }
+    };
+  }
+
+  /**
+   * Inline style strings for each rendered element
+   * @param {Object} theme - Resolved theme
+   * @returns {Object} { h1, h2, h3, paragraph, list, listItem, quote, caption, references, ctaBox,
+   *   relatedSection, relatedTitle, relatedCard, relatedLink, relatedDescription }
+   */
+  styles(theme) {
+    const { colors, fonts, headingSizes, bodyFontSize, lineHeight, ctaBox } = theme;
+    const body = `color: ${colors.text}; font-family: ${fonts.body}; font-size: ${bodyFontSize}; line-height: ${lineHeight};`;
+
+    return {
+      h1: `color: ${colors.heading}; font-family: ${fonts.heading}; font-weight: 800; font-size: ${headingSizes.h1}; line-height: 1.2; margin-bottom: 20px;`,
+      h2: `color: ${colors.subheading}; font-family: ${fonts.heading}; font-weight: 600; font-size: ${headingSizes.h2}; line-height: 1.3; margin: 30px 0 15px 0;`,
+      h3: `color: ${colors.heading}; font-family: ${fonts.heading}; font-weight: 700; font-size: ${headingSizes.h3}; line-height: 1.4; margin: 25px 0 10px 0;`,
+      paragraph: `${body} margin-bottom: 20px;`,
+      list: `${body} margin-bottom: 20px; padding-left: 20px;`,
+      listItem: 'margin-bottom: 8px;',
+      quote: `color: ${colors.text}; font-family: ${fonts.body}; font-size: 18px; font-style: italic; line-height: ${lineHeight}; margin: 30px 0; padding-left: 20px; border-left: 4px solid ${colors.accent};`,
+      caption: `color: ${colors.text}; font-family: ${fonts.body}; font-size: 14px; margin-top: 10px; font-style: italic;`,
+      references: `color: ${colors.text}; font-family: ${fonts.body}; font-size: 14px; line-height: ${lineHeight}; opacity: 0.85;`,
+      link: `color: ${colors.link};`,
+      ctaBox: `margin: 30px 0; padding: 24px; background: ${ctaBox.backgroundColor}; color: ${ctaBox.textColor}; border: 2px solid ${ctaBox.borderColor}; border-radius: ${ctaBox.borderRadius};`,
+      relatedSection: `margin-top: 50px; padding: 40px 20px; background-color: #FAFAFA; border-top: 3px solid ${colors.accent}; border-radius: 8px;`,
+      relatedTitle: `color: ${colors.heading}; font-family: ${fonts.heading}; font-weight: 700; font-size: 28px; text-align: center; margin-bottom: 30px;`,
+      relatedCard: `margin-bottom: 16px; padding: 20px; background: ${colors.background}; border-radius: 12px; border-left: 5px solid ${colors.accent}; box-shadow: 0 2px 8px rgba(0,0,0,0.1);`,
+      relatedLink: `color: ${colors.heading}; text-decoration: none; font-weight: 600; font-family: ${fonts.heading}; display: block; font-size: 17px;`,
+      relatedDescription: `color: ${colors.text}; font-size: 14px; margin-top: 5px; display: block; font-family: ${fonts.body};`
+    };
+  }
+
+  /**
+   * Sample blocks for theme previews
+   */
+  sampleBlocks(companyName) {
+    const name = companyName || 'Your company';
+    return [
+      { id: 'title-1', type: 'h1', content: `${name} Guide to Better Blog Content` },
+      { id: 'intro-2', type: 'introduction', content: `At ${name}, we turn expertise into articles readers trust. This preview shows how headings, paragraphs and links look with your theme.` },
+      { id: 'h2-3', type: 'h2', content: 'Why a consistent style matters' },
+      { id: 'section-4', type: 'section', content: 'Readers recognise a brand by its colors and type. Every post deployed for this company uses the same theme.' },
+      { id: 'list-5', type: 'list', content: 'Headings in your brand colors\nBody text in your fonts\nA call-to-action box for the conclusion' },
+      { id: 'quote-6', type: 'quote', content: 'Good design is as little design as possible.' },
+      { id: 'conclusion-7', type: 'conclusion', content: `Ready to get started? Contact ${name} today.` }
+    ];
+  }
+}
+
+module.exports = new BrandThemeService();
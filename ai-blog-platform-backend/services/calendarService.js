@@ -0,0 +1,232 @@
+// services/calendarService.js
+const mongoose = require('mongoose');
+const BlogData = require('../models/BlogData');
+const Company = require('../models/Company');
+const User = require('../models/User');
+const accessService = require('./accessService');
+require('dotenv').config();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeKeyword = keyword => (keyword || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// "2025-03-14" is a calendar day; anything else is parsed as a full date
+function parseTargetDate(value) {
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Content calendar: BlogData entries planned with a target date, assignee and priority.
+ * Two entries of the same company targeting the same focus keyword within
+ * CALENDAR_CONFLICT_WINDOW_DAYS of each other are reported as conflicts (warnings only).
+ */
+class CalendarService {
+  constructor() {
+    this.conflictWindowDays = parseInt(process.env.CALENDAR_CONFLICT_WINDOW_DAYS) || 14;
+  }
+
+  async getCompanies(user, companyName) {
+    const filter = accessService.isAdmin(user) ? {} : { name: { $in: user.companies || [] } };
+    if (companyName) filter.name = companyName;
+    return Company.find(filter).select('name targetAudience').sort({ name: 1 });
+  }
+
+  toEntry(blog, companyNames, conflicts = []) {
+    const companyId = (blog.companyId?._id || blog.companyId).toString();
+    return {
+      _id: blog._id,
+      focusKeyword: blog.focusKeyword,
+      articleFormat: blog.articleFormat,
+      wordCount: blog.wordCount,
+      companyId,
+      companyName: companyNames.get(companyId) || null,
+      priority: blog.priority,
+      status: blog.status,
+      targetDate: blog.targetDate || null,
+      assignee: blog.assignee?.userId ? blog.assignee : null,
+      conflicts
+    };
+  }
+
+  /**
+   * Same-keyword entries of the same company within the conflict window of each entry
+   * @param {Array} entries - BlogData documents to check
+   * @param {Array} candidates - BlogData documents they may clash with
+   * @returns {Map} entry ID → [{ _id, focusKeyword, targetDate, daysApart }]
+   */
+  findConflicts(entries, candidates) {
+    const windowMs = this.conflictWindowDays * DAY_MS;
+    const byKeyword = new Map();
+    candidates.forEach(candidate => {
+      const key = `${candidate.companyId._id || candidate.companyId}:${normalizeKeyword(candidate.focusKeyword)}`;
+      if (!byKeyword.has(key)) byKeyword.set(key, []);
+      byKeyword.get(key).push(candidate);
+    });
+
+    const conflicts = new Map();
+    entries.forEach(entry => {
+      const key = `${entry.companyId._id || entry.companyId}:${normalizeKeyword(entry.focusKeyword)}`;
+      const clashes = (byKeyword.get(key) || [])
+        .filter(other => !other._id.equals(entry._id))
+        .filter(other => Math.abs(other.targetDate - entry.targetDate) <= windowMs)
+        .map(other => ({
+          _id: other._id,
+          focusKeyword: other.focusKeyword,
+          targetDate: other.targetDate,
+          daysApart: Math.round(Math.abs(other.targetDate - entry.targetDate) / DAY_MS)
+        }));
+      conflicts.set(entry._id.toString(), clashes);
+    });
+    return conflicts;
+  }
+
+  /**
+   * Planned entries in a date range, each with its keyword conflicts
+   * @param {Object} options - { from, to, companyName, assigneeId }
+   */
+  async listEntries(user, { from, to, companyName, assigneeId } = {}) {
+    const companies = await this.getCompanies(user, companyName);
+    const companyNames = new Map(companies.map(company => [company._id.toString(), company.name]));
+    const companyIds = companies.map(company => company._id);
+
+    const fromDate = from ? parseTargetDate(from) : null;
+    const toDate = to ? parseTargetDate(to) : null;
+
+    const range = { $ne: null };
+    if (fromDate) range.$gte = fromDate;
+    if (toDate) range.$lte = toDate;
+
+    const filter = { companyId: { $in: companyIds }, targetDate: range };
+    if (assigneeId) filter['assignee.userId'] = assigneeId;
+    const entries = await BlogData.find(filter).sort({ targetDate: 1, priority: 1 });
+
+    // Entries just outside the range can still clash with ones inside it
+    const windowMs = this.conflictWindowDays * DAY_MS;
+    const candidateRange = { $ne: null };
+    if (fromDate) candidateRange.$gte = new Date(fromDate.getTime() - windowMs);
+    if (toDate) candidateRange.$lte = new Date(toDate.getTime() + windowMs);
+    const candidates = await BlogData.find({ companyId: { $in: companyIds }, targetDate: candidateRange })
+      .select('companyId focusKeyword targetDate');
+
+    const conflicts = this.findConflicts(entries, candidates);
+    return entries.map(entry => this.toEntry(entry, companyNames, conflicts.get(entry._id.toString())));
+  }
+
+  /**
+   * Open entries without a target date, for planning
+   */
+  async listUnplanned(user, { companyName } = {}) {
+    const companies = await this.getCompanies(user, companyName);
+    const companyNames = new Map(companies.map(company => [company._id.toString(), company.name]));
+
+    const entries = await BlogData.find({
+      companyId: { $in: companies.map(company => company._id) },
+      targetDate: null,
+      status: { $in: ['pending', 'in-progress'] },
+      focusKeyword: { $ne: 'placeholder' } // created by POST /api/blogs/start before a keyword is picked
+    }).sort({ priority: 1, createdAt: 1 }).limit(200);
+
+    return entries.map(entry => this.toEntry(entry, companyNames));
+  }
+
+  async getConflictsFor(blog) {
+    if (!blog.targetDate) return [];
+
+    const windowMs = this.conflictWindowDays * DAY_MS;
+    const candidates = await BlogData.find({
+      companyId: blog.companyId,
+      _id: { $ne: blog._id },
+      targetDate: {
+        $gte: new Date(blog.targetDate.getTime() - windowMs),
+        $lte: new Date(blog.targetDate.getTime() + windowMs)
+      }
+    }).select('companyId focusKeyword targetDate');
+
+    return this.findConflicts([blog], candidates).get(blog._id.toString());
+  }
+
+  async resolveAssignee(assigneeId, companyName) {
+    if (!mongoose.isValidObjectId(assigneeId)) return null;
+    const user = await User.findOne({ _id: assigneeId, isActive: true });
+    if (!user || !accessService.canAccessCompany(user, companyName)) return null;
+    return { userId: user._id.toString(), name: user.name, email: user.email };
+  }
+
+  /**
+   * Update planning fields; null clears targetDate / assigneeId
+   * @param {Object} changes - { targetDate, assigneeId, priority, status }
+   * @returns {Object} { entry } or { error, statusCode }
+   */
+  async planEntry(blog, changes) {
+    const companyName = await accessService.getCompanyNameById(blog.companyId);
+
+    if (changes.targetDate !== undefined) {
+      const targetDate = changes.targetDate === null ? null : parseTargetDate(changes.targetDate);
+      if (changes.targetDate !== null && !targetDate) {
+        return { error: 'targetDate must be a date, e.g. 2025-03-14', statusCode: 400 };
+      }
+      blog.targetDate = targetDate;
+    }
+
+    if (changes.assigneeId !== undefined) {
+      const assignee = changes.assigneeId === null ? null : await this.resolveAssignee(changes.assigneeId, companyName);
+      if (changes.assigneeId !== null && !assignee) {
+        return { error: 'Assignee must be an active user assigned to this company', statusCode: 400 };
+      }
+      blog.assignee = assignee || undefined;
+    }
+
+    if (changes.priority !== undefined) blog.priority = changes.priority;
+    if (changes.status !== undefined) blog.status = changes.status;
+
+    try {
+      await blog.save();
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return { error: error.message, statusCode: 400 };
+      }
+      throw error;
+    }
+
+    const conflicts = await this.getConflictsFor(blog);
+    if (conflicts.length > 0) {
+      console.warn(`⚠️ "${blog.focusKeyword}" is planned ${conflicts.length} more time(s) within ${this.conflictWindowDays} days`);
+    }
+
+    return {
+      entry: this.toEntry(blog, new Map([[blog.companyId.toString(), companyName]]), conflicts)
+    };
+  }
+
+  /**
+   * Plan a new post
+   * @param {Object} input - { companyName, focusKeyword, targetDate, assigneeId, priority, articleFormat, wordCount, targetAudience, objective }
+   * @returns {Object} { entry } or { error, statusCode }
+   */
+  async createEntry(input) {
+    if (!input.focusKeyword?.trim()) {
+      return { error: 'Focus keyword is required', statusCode: 400 };
+    }
+
+    const company = await Company.findOne({ name: input.companyName }).select('name targetAudience');
+    if (!company) {
+      return { error: 'Company not found', statusCode: 404 };
+    }
+
+    const blog = new BlogData({
+      focusKeyword: input.focusKeyword.trim(),
+      articleFormat: input.articleFormat || 'guide',
+      wordCount: input.wordCount || 2000,
+      targetAudience: input.targetAudience || company.targetAudience?.join(', ') || 'General',
+      objective: input.objective || 'Content generation',
+      companyId: company._id,
+      status: 'pending'
+    });
+
+    const { targetDate = null, assigneeId = null, priority = 1 } = input;
+    return this.planEntry(blog, { targetDate, assigneeId, priority });
+  }
+}
+
+module.exports = new CalendarService();
@@ -0,0 +1,157 @@
+// services/commentService.js
+const mongoose = require('mongoose');
+const Comment = require('../models/Comment');
+const Draft = require('../models/Draft');
+const accessService = require('./accessService');
+
+// Mentions are written as @email, e.g. "@jane@agency.com please check the stats"
+const MENTION_PATTERN = /@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+/**
+ * Threaded review comments anchored to draft content blocks.
+ * A thread is its first comment (parentId null) plus the replies pointing at it.
+ */
+class CommentService {
+  /**
+   * Users who can see the draft and can therefore be mentioned
+   */
+  async getMentionableUsers(draftId) {
+    const companyName = await accessService.getDraftCompanyName(draftId);
+    const users = await accessService.listCompanyUsers(companyName);
+
+    return users.map(user => ({ userId: user._id.toString(), name: user.name, email: user.email }));
+  }
+
+  async extractMentions(draftId, body) {
+    const emails = [...body.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase());
+    if (emails.length === 0) return [];
+
+    const users = await this.getMentionableUsers(draftId);
+    return users.filter(user => emails.includes(user.email));
+  }
+
+  async listThreads(draftId, { blockId, includeResolved = true } = {}) {
+    const filter = { draftId };
+    if (blockId) filter.blockId = blockId;
+
+    const comments = await Comment.find(filter).sort({ createdAt: 1 }).lean();
+    const threads = comments
+      .filter(comment => !comment.parentId)
+      .map(comment => ({ ...comment, replies: [] }));
+    const threadsById = new Map(threads.map(thread => [thread._id.toString(), thread]));
+
+    comments
+      .filter(comment => comment.parentId)
+      .forEach(reply => threadsById.get(reply.parentId.toString())?.replies.push(reply));
+
+    return includeResolved ? threads : threads.filter(thread => !thread.resolved);
+  }
+
+  /**
+   * Start a thread or reply to one
+   * @param {Object} input - { blockId, range, body, parentId }
+   * @returns {Object} { comment } or { error, statusCode }
+   */
+  async addComment(draftId, input, user) {
+    const { blockId, range, body, parentId } = input;
+
+    if (!body?.trim()) {
+      return { error: 'Comment text is required', statusCode: 400 };
+    }
+
+    let anchor = { blockId, range };
+    if (parentId) {
+      const parent = await Comment.findOne({ _id: parentId, draftId });
+      if (!parent) {
+        return { error: 'Comment not found', statusCode: 404 };
+      }
+      // Replies always join the thread of the first comment
+      const rootId = parent.parentId || parent._id;
+      const root = parent.parentId ? await Comment.findById(rootId) : parent;
+      anchor = { blockId: root.blockId, range: undefined, parentId: rootId };
+    } else {
+      const draft = await Draft.findById(draftId).select('generatedContent.contentBlocks');
+      const blocks = draft?.generatedContent?.contentBlocks || [];
+      if (!blockId || !blocks.some(block => block.id === blockId)) {
+        return { error: 'Block not found', statusCode: 400 };
+      }
+      if (range && !(range.start >= 0 && range.end > range.start)) {
+        return { error: 'Range must have 0 <= start < end', statusCode: 400 };
+      }
+    }
+
+    const comment = await Comment.create({
+      draftId,
+      ...anchor,
+      body: body.trim(),
+      authorId: user.id,
+      authorName: user.name,
+      authorRole: user.role,
+      mentions: await this.extractMentions(draftId, body)
+    });
+
+    console.log(`💬 Comment added to draft ${draftId} block ${comment.blockId} by ${user.email}`);
+    return { comment };
+  }
+
+  async getComment(commentId) {
+    if (!mongoose.isValidObjectId(commentId)) return null;
+    return Comment.findById(commentId);
+  }
+
+  async updateComment(comment, body) {
+    comment.body = body.trim();
+    comment.mentions = await this.extractMentions(comment.draftId, comment.body);
+    return comment.save();
+  }
+
+  // Deleting the first comment removes the whole thread
+  async deleteComment(comment) {
+    if (!comment.parentId) {
+      await Comment.deleteMany({ parentId: comment._id });
+    }
+    await comment.deleteOne();
+  }
+
+  async setResolved(comment, resolved, user) {
+    const root = comment.parentId ? await Comment.findById(comment.parentId) : comment;
+    root.resolved = resolved;
+    root.resolvedBy = resolved ? user.name : null;
+    root.resolvedAt = resolved ? new Date() : null;
+    return root.save();
+  }
+
+  /**
+   * Open (unresolved) threads that mention the user
+   */
+  async listMentions(userId) {
+    const mentioned = await Comment.find({ 'mentions.userId': userId }).select('parentId').lean();
+    const rootIds = [...new Set(mentioned.map(comment => (comment.parentId || comment._id).toString()))];
+
+    return Comment.find({ _id: { $in: rootIds }, resolved: false })
+      .populate('draftId', 'title selectedKeyword')
+      .sort({ updatedAt: -1 })
+      .lean();
+  }
+
+  /**
+   * Thread counts per draft for the draft list
+   * @returns {Map} draftId → { open, total }
+   */
+  async countThreads(draftIds) {
+    const counts = await Comment.aggregate([
+      { $match: { draftId: { $in: draftIds }, parentId: null } },
+      {
+        $group: {
+          _id: '$draftId',
+          total: { $sum: 1 },
+          open: { $sum: { $cond: ['$resolved', 0, 1] } }
+        }
+      }
+    ]);
+
+    return new Map(counts.map(count => [count._id.toString(), { open: count.open, total: count.total }]));
+  }
+}
+
+module.exports = new CommentService();
@@ -0,0 +1,218 @@
+// services/companyService.js
+const Company = require('../models/Company');
+const User = require('../models/User');
+const googleSheetsService = require('./googleSheetsService');
+const brandThemeService = require('./brandThemeService');
+
+// Stored credentials; never sent back to clients, and a blank value on update keeps them
+const { SECRET_PATHS } = Company;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => value?.[key], object);
+
+// Nested input → dotted $set keys, so a partial update keeps the fields it does not mention
+function flatten(input, prefix = '', result = {}) {
+  Object.entries(input).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isObject(value) && path !== 'theme') flatten(value, path, result);
+    else result[path] = value;
+  });
+  return result;
+}
+
+/**
+ * Company profiles. MongoDB is the source of truth: the API and the management page
+ * read and write companies there. The company Google Sheet is only an import source.
+ * Importing creates companies that do not exist yet (matched by name, ignoring case)
+ * and never overwrites a company that is already in the database.
+ */
+class CompanyService {
+  /**
+   * Company without its secrets; configuredSecrets lists the secret paths that are set
+   * @param {Object} company - Company document
+   */
+  serialize(company) {
+    const data = company.toObject();
+    const configuredSecrets = [];
+    SECRET_PATHS.forEach(path => {
+      const keys = path.split('.');
+      const parent = getPath(data, keys.slice(0, -1).join('.'));
+      if (!parent) return;
+      if (parent[keys[keys.length - 1]]) configuredSecrets.push(path);
+      delete parent[keys[keys.length - 1]];
+    });
+    return { ...data, id: data._id, theme: brandThemeService.resolve(company), configuredSecrets };
+  }
+
+  /**
+   * List entry in the shape the company pickers use
+   */
+  summary(company) {
+    return {
+      id: company._id,
+      companyName: company.name,
+      servicesOffered: (company.servicesOffered || []).map(service => service.name).join(', '),
+      serviceOverview: company.serviceOverview,
+      aboutTheCompany: company.aboutCompany,
+      tone: company.tone,
+      platform: company.publishingConfig?.platform || 'wordpress',
+      isActive: company.isActive,
+      archivedAt: company.archivedAt || null
+    };
+  }
+
+  async list({ includeArchived = false } = {}) {
+    const companies = await Company.find(includeArchived ? {} : { isActive: true }).sort({ name: 1 });
+    return companies.map(company => this.summary(company));
+  }
+
+  async findByName(name, excludeId = null) {
+    const query = { name: new RegExp(`^${escapeRegExp(String(name).trim())}$`, 'i') };
+    if (excludeId) query._id = { $ne: excludeId };
+    return Company.findOne(query);
+  }
+
+  /**
+   * Theme input → stored theme
+   * @returns {Object} { theme } or { error, statusCode }
+   */
+  checkTheme(theme) {
+    return theme === undefined ? { theme: undefined } : brandThemeService.validate(theme);
+  }
+
+  /**
+   * Create a company (input already checked by validateCompany)
+   * @returns {Object} { company } or { error, statusCode }
+   */
+  async create(input) {
+    if (await this.findByName(input.name)) {
+      return { error: `A company named "${input.name}" already exists`, statusCode: 409 };
+    }
+
+    const { theme, error, statusCode } = this.checkTheme(input.theme);
+    if (error) return { error, statusCode };
+
+    const wordpressConfig = input.wordpressConfig || {};
+    const company = await Company.create({
+      ...input,
+      ...(theme ? { theme } : {}),
+      wordpressConfig: {
+        ...wordpressConfig,
+        isActive: !!(wordpressConfig.baseUrl && wordpressConfig.username && wordpressConfig.appPassword)
+      }
+    });
+
+    console.log(`🏢 Created company "${company.name}"`);
+    return { company };
+  }
+
+  /**
+   * Update part of a company's profile (input already checked by validateCompanyUpdate).
+   * Renaming also renames the company in user assignments.
+   * @returns {Object|null} { company } or { error, statusCode }; null when the company does not exist
+   */
+  async update(companyId, input) {
+    const company = await Company.findById(companyId);
+    if (!company) return null;
+
+    if (input.name && input.name !== company.name && await this.findByName(input.name, company._id)) {
+      return { error: `A company named "${input.name}" already exists`, statusCode: 409 };
+    }
+
+    const { theme, error, statusCode } = this.checkTheme(input.theme);
+    if (error) return { error, statusCode };
+
+    const changes = flatten({ ...input, ...(theme ? { theme } : {}) });
+    SECRET_PATHS.forEach(path => {
+      if (changes[path] === '' || changes[path] === undefined) delete changes[path];
+    });
+
+    // New WordPress credentials need a fresh connection test
+    const current = company.wordpressConfig || {};
+    const next = key => (`wordpressConfig.${key}` in changes ? changes[`wordpressConfig.${key}`] : current[key]);
+    if (['baseUrl', 'username', 'appPassword'].some(key => (next(key) || '') !== (current[key] || ''))) {
+      changes['wordpressConfig.isActive'] = !!(next('baseUrl') && next('username') && next('appPassword'));
+      changes['wordpressConfig.connectionStatus'] = 'not-tested';
+    }
+
+    const previousName = company.name;
+    const updated = await Company.findByIdAndUpdate(companyId, { $set: changes }, { new: true, runValidators: true });
+
+    if (updated.name !== previousName) {
+      await User.updateMany({ companies: previousName }, { $set: { 'companies.$': updated.name } });
+      console.log(`🏢 Renamed company "${previousName}" to "${updated.name}"`);
+    }
+
+    return { company: updated };
+  }
+
+  /**
+   * Hide a company from lists and new blogs; its drafts and settings stay
+   * @returns {Object|null} Company, or null when it does not exist
+   */
+  async archive(companyId) {
+    return Company.findByIdAndUpdate(companyId, { $set: { isActive: false, archivedAt: new Date() } }, { new: true });
+  }
+
+  async restore(companyId) {
+    return Company.findByIdAndUpdate(companyId, { $set: { isActive: true }, $unset: { archivedAt: 1 } }, { new: true });
+  }
+
+  /**
+   * Create the sheet's companies that are not in the database yet
+   * @param {string} spreadsheetId - Defaults to COMPANY_DATA_SPREADSHEET_ID
+   * @returns {Object} { created, skipped, failed } or { error, statusCode }
+   */
+  async importFromSheets(spreadsheetId = process.env.COMPANY_DATA_SPREADSHEET_ID) {
+    if (!spreadsheetId) {
+      return { error: 'COMPANY_DATA_SPREADSHEET_ID is not configured', statusCode: 400 };
+    }
+
+    const rows = await googleSheetsService.syncCompanyDataSheet(spreadsheetId);
+    const created = [];
+    const skipped = [];
+    const failed = [];
+
+    for (const row of rows) {
+      if (await this.findByName(row.name)) {
+        skipped.push(row.name);
+        continue;
+      }
+      try {
+        await Company.create(row);
+        created.push(row.name);
+      } catch (error) {
+        failed.push({ name: row.name, error: error.message });
+      }
+    }
+
+    console.log(`📊 Company sheet import: ${created.length} created, ${skipped.length} already present, ${failed.length} failed`);
+    return { created, skipped, failed };
+  }
+
+  /**
+   * Company by name; one that is only in the company sheet is imported first
+   * @returns {Object|null} Company document (possibly archived)
+   */
+  async findOrImport(name) {
+    const company = await this.findByName(name);
+    if (company || !process.env.COMPANY_DATA_SPREADSHEET_ID) return company;
+
+    try {
+      const rows = await googleSheetsService.syncCompanyDataSheet(process.env.COMPANY_DATA_SPREADSHEET_ID);
+      const row = rows.find(item => item.name.trim().toLowerCase() === String(name).trim().toLowerCase());
+      if (!row) return null;
+
+      console.log(`📊 Importing "${row.name}" from the company sheet`);
+      return await Company.create(row);
+    } catch (error) {
+      console.warn('⚠️ Failed to import company from Google Sheets:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new CompanyService();
@@ -0,0 +1,505 @@
+// services/contentRefreshService.js
+const crypto = require('crypto');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const Draft = require('../models/Draft');
+const jobQueueService = require('./jobQueueService');
+const blockAlternativeService = require('./blockAlternativeService');
+const draftRevisionService = require('./draftRevisionService');
+const llmProviderService = require('./llmProviderService');
+require('dotenv').config();
+
+const TEXT_BLOCK_TYPES = ['introduction', 'section', 'paragraph', 'conclusion'];
+const MAX_LINKS = 25;
+const MAX_REWRITES = 8;
+const MAX_NEW_SECTIONS = 3;
+const MAX_COMPETITOR_PAGES = 5;
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it', 'of', 'on', 'or', 'the', 'to', 'what', 'when', 'why', 'with', 'your', 'you', 'do', 'does', 'can', 'vs']);
+
+// Figures that make a sentence a statistic: 45%, $1,200, 3.5 GW, 12 million...
+const FIGURE_PATTERN = /\d+(\.\d+)?\s?%|\$\s?\d|\b\d{1,3}(,\d{3})+\b|\b\d+(\.\d+)?\s?(million|billion|thousand|percent|gw|mw|kw|kwh|mwh)\b/i;
+const SOURCE_PATTERN = /according to|report|survey|study|data from|statistics/i;
+const YEAR_PATTERN = /\b(19[5-9]\d|20\d{2})\b/g;
+
+const splitSentences = text => (text || '').split(/(?<=[.!?])\s+|\n+/).map(sentence => sentence.trim()).filter(Boolean);
+
+const tokens = text => (text || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word.length > 1 && !STOPWORDS.has(word));
+
+function similarity(a, b) {
+  const setA = new Set(tokens(a));
+  const setB = new Set(tokens(b));
+  if (setA.size === 0 || setB.size === 0) return 0;
+  const shared = [...setA].filter(word => setB.has(word)).length;
+  return shared / (setA.size + setB.size - shared);
+}
+
+// Links as written in block text: [text](url), text(url) or bare URLs
+function extractLinks(text) {
+  const urls = (text || '').match(/https?:\/\/[^\s)\]"'<>]+/g) || [];
+  return [...new Set(urls.map(url => url.replace(/[.,;:]+$/, '')))];
+}
+
+/**
+ * Refresh workflow for stale articles (generated or imported from WordPress).
+ *
+ * The analysis flags statistics citing old years, dead links and sections that
+ * current SERP competitors cover but the draft does not. Each finding becomes a
+ * targeted suggestion (a block rewrite or a new section) stored on Draft.refresh;
+ * nothing changes until a reviewer accepts it. Pending suggestions block deployment.
+ */
+class ContentRefreshService {
+  constructor() {
+    this.staleYears = parseInt(process.env.REFRESH_STALE_YEARS) || 2;
+    this.linkTimeout = 8000;
+  }
+
+  async loadDraft(draftId) {
+    return Draft.findById(draftId).populate({
+      path: 'blogId',
+      populate: { path: 'companyId' }
+    });
+  }
+
+  getStatus(draft) {
+    const refresh = draft.refresh || {};
+    const suggestions = refresh.suggestions || [];
+    return {
+      status: refresh.status || null,
+      jobId: refresh.jobId || null,
+      requestedBy: refresh.requestedBy || null,
+      startedAt: refresh.startedAt || null,
+      completedAt: refresh.completedAt || null,
+      error: refresh.error || null,
+      findings: refresh.findings || null,
+      suggestions,
+      pending: suggestions.filter(suggestion => suggestion.status === 'pending').length
+    };
+  }
+
+  /**
+   * Statistic sentences that cite a year at least staleYears old
+   * @returns {Array} [{ blockId, sentence, year }]
+   */
+  findOutdatedStats(blocks, now = new Date()) {
+    const cutoff = now.getFullYear() - this.staleYears;
+    const findings = [];
+
+    blocks.filter(block => TEXT_BLOCK_TYPES.includes(block.type)).forEach(block => {
+      splitSentences(block.content).forEach(sentence => {
+        const years = (sentence.match(YEAR_PATTERN) || []).map(Number).filter(year => year <= now.getFullYear());
+        if (years.length === 0) return;
+
+        const year = Math.max(...years);
+        if (year <= cutoff && (FIGURE_PATTERN.test(sentence) || SOURCE_PATTERN.test(sentence))) {
+          findings.push({ blockId: block.id, sentence, year });
+        }
+      });
+    });
+
+    return findings;
+  }
+
+  /**
+   * Check a URL without downloading the page
+   * @returns {Object} { dead, status, reason }
+   */
+  async checkLink(url) {
+    const request = method => axios({
+      method,
+      url,
+      timeout: this.linkTimeout,
+      maxRedirects: 5,
+      responseType: 'stream',
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ContentRefreshBot/1.0)' },
+      validateStatus: () => true
+    });
+
+    try {
+      let response = await request('head');
+      // Many servers do not implement HEAD
+      if ([403, 405, 501].includes(response.status)) {
+        response.data?.destroy?.();
+        response = await request('get');
+      }
+      response.data?.destroy?.();
+
+      const status = response.status;
+      // 401/403/429 are usually bot protection, not a missing page
+      if (status === 404 || status === 410 || status >= 500) {
+        return { dead: true, status, reason: `HTTP ${status}` };
+      }
+      return { dead: false, status };
+    } catch (error) {
+      return { dead: true, status: null, reason: error.code || error.message };
+    }
+  }
+
+  /**
+   * @returns {Array} [{ blockId, url, status, reason }]
+   */
+  async findDeadLinks(blocks) {
+    const links = [];
+    blocks.filter(block => TEXT_BLOCK_TYPES.includes(block.type) || block.type === 'references').forEach(block => {
+      extractLinks(block.content).forEach(url => {
+        if (links.length < MAX_LINKS) links.push({ blockId: block.id, url });
+      });
+    });
+
+    const dead = [];
+    // A few at a time so slow sites do not add up
+    for (let i = 0; i < links.length; i += 4) {
+      const checks = await Promise.all(links.slice(i, i + 4).map(async link => ({ ...link, ...(await this.checkLink(link.url)) })));
+      checks.filter(check => check.dead).forEach(({ blockId, url, status, reason }) => dead.push({ blockId, url, status, reason }));
+    }
+    return dead;
+  }
+
+  async fetchHeadings(url) {
+    try {
+      const response = await axios.get(url, {
+        timeout: 10000,
+        maxContentLength: 5 * 1024 * 1024,
+        headers: { 'User-Agent': 'Mozilla/5.0 (compatible; ContentRefreshBot/1.0)' }
+      });
+      const $ = cheerio.load(response.data);
+      return $('article h2, main h2, h2').map((index, heading) => $(heading).text().replace(/\s+/g, ' ').trim()).get()
+        .filter(heading => heading.length > 3 && heading.length < 120);
+    } catch (error) {
+      console.warn(`⚠️ Could not read competitor page ${url}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Competitor H2 topics the draft does not cover
+   * @returns {Array} [{ heading, competitors: [url] }]
+   */
+  async findMissingSections(draft, blocks, keyword) {
+    const serpService = require('./serpService');
+    const siteUrl = draft.blogId?.companyId?.wordpressConfig?.baseUrl;
+    let excludeDomain = '';
+    try {
+      excludeDomain = siteUrl ? new URL(siteUrl.startsWith('http') ? siteUrl : `https://${siteUrl}`).hostname : '';
+    } catch (error) {
+      excludeDomain = '';
+    }
+
+    const competitors = await serpService.searchCompetitors(keyword, excludeDomain, MAX_COMPETITOR_PAGES);
+    // Fallback results point at home pages, whose headings say nothing about the topic
+    const isArticle = url => {
+      try {
+        return new URL(url).pathname.length > 1;
+      } catch (error) {
+        return false;
+      }
+    };
+    const pages = competitors.filter(competitor => isArticle(competitor.url)).slice(0, MAX_COMPETITOR_PAGES);
+
+    const topics = [];
+    for (const page of pages) {
+      const headings = await this.fetchHeadings(page.url);
+      headings.forEach(heading => {
+        const topic = topics.find(existing => similarity(existing.heading, heading) >= 0.5);
+        if (topic) {
+          if (!topic.competitors.includes(page.url)) topic.competitors.push(page.url);
+        } else {
+          topics.push({ heading, competitors: [page.url] });
+        }
+      });
+    }
+
+    const draftHeadings = blocks.filter(block => ['h1', 'h2', 'h3'].includes(block.type)).map(block => block.content);
+    const draftText = tokens(blocks.map(block => block.content).join(' '));
+    const draftWords = new Set(draftText);
+
+    // Covered when a heading matches, or most of the topic's words already appear in the text
+    const covered = topic => {
+      if (draftHeadings.some(heading => similarity(heading, topic.heading) >= 0.4)) return true;
+      const words = tokens(topic.heading);
+      return words.length > 0 && words.filter(word => draftWords.has(word)).length / words.length >= 0.8;
+    };
+
+    const minCompetitors = pages.length > 1 ? 2 : 1;
+    return topics
+      .filter(topic => topic.competitors.length >= minCompetitors && !covered(topic))
+      .sort((a, b) => b.competitors.length - a.competitors.length)
+      .slice(0, MAX_NEW_SECTIONS);
+  }
+
+  /**
+   * Queue a refresh analysis for a draft
+   * @returns {Object|null} { jobId, refresh } or null when the draft does not exist
+   */
+  async startRefresh(draftId, user, options = {}) {
+    const draft = await Draft.findById(draftId);
+    if (!draft) return null;
+
+    if (draft.refresh?.status === 'analyzing' && draft.refresh.jobId) {
+      const running = await jobQueueService.getJob(draft.refresh.jobId);
+      if (running && ['queued', 'running'].includes(running.status)) {
+        return { jobId: running._id, refresh: this.getStatus(draft) };
+      }
+    }
+
+    const job = await jobQueueService.enqueue('refresh-content', {
+      draftId,
+      llmProvider: options.llmProvider,
+      requestedBy: user.email
+    }, { draftId, maxAttempts: 2 });
+
+    // Earlier suggestions stay visible until the new analysis replaces them
+    draft.set({
+      'refresh.status': 'analyzing',
+      'refresh.jobId': job._id,
+      'refresh.requestedBy': user.email,
+      'refresh.startedAt': new Date(),
+      'refresh.error': undefined
+    });
+    await draft.save();
+
+    return { jobId: job._id, refresh: this.getStatus(draft) };
+  }
+
+  buildRewritePrompt(block, issues, context) {
+    const lines = [
+      `Refresh this ${block.type} of an article about "${context.keyword}" for ${context.companyName}.`,
+      `Keep its meaning, tone and length (about ${blockAlternativeService.countWords(block.content)} words). Only change what the issues below require.`,
+      '',
+      'Issues:'
+    ];
+    issues.outdatedStats.forEach(stat => {
+      lines.push(`- Outdated statistic from ${stat.year}: "${stat.sentence}". Replace it with a current figure from the recent sources below, or rephrase so it no longer relies on the old number. Never invent statistics.`);
+    });
+    issues.deadLinks.forEach(link => {
+      lines.push(`- Broken link ${link.url} (${link.reason}). Remove it or replace it with a working authoritative source.`);
+    });
+
+    if (context.sources.length > 0) {
+      lines.push('', 'Recent sources:');
+      context.sources.forEach(source => {
+        lines.push(`- ${source.title} (${source.url}${source.publishedAt ? `, ${new Date(source.publishedAt).toISOString().slice(0, 10)}` : ''}): ${source.description || ''}`);
+      });
+    }
+
+    lines.push('', 'Write links as [text](url).', '', 'Current text:', block.content);
+    return lines.join('\n');
+  }
+
+  /**
+   * Analyze a draft and store targeted suggestions (run by the refresh-content job)
+   * @param {Object} options - { llmProvider, requestedBy }
+   * @param {Function} onProgress - Optional onProgress(progress, stage, message) callback
+   * @returns {Object|null} Refresh status, or null when the draft does not exist
+   */
+  async runRefresh(draftId, options = {}, onProgress = null) {
+    const report = (progress, stage, message) => onProgress && onProgress(progress, stage, message);
+    const geminiService = require('./geminiService');
+    const trendService = require('./trendService');
+    const seoScoringService = require('./seoScoringService');
+
+    const draft = await this.loadDraft(draftId);
+    if (!draft) return null;
+
+    const blocks = draft.generatedContent?.contentBlocks || [];
+    const keyword = draft.selectedKeyword || draft.blogId?.focusKeyword || draft.title || '';
+    const companyName = draft.blogId?.companyId?.name || 'Solar Company';
+
+    report(10, 'statistics', 'Looking for outdated statistics');
+    const outdatedStats = this.findOutdatedStats(blocks);
+
+    report(20, 'links', 'Checking links');
+    const deadLinks = await this.findDeadLinks(blocks);
+
+    report(40, 'competitors', 'Comparing sections with current search results');
+    const missingSections = await this.findMissingSections(draft, blocks, keyword).catch(error => {
+      console.warn(`⚠️ Competitor comparison failed: ${error.message}`);
+      return [];
+    });
+
+    report(55, 'trends', 'Fetching recent sources');
+    const sources = (await trendService.fetchTrendData(keyword, 'all', 5))
+      .map(article => ({ title: article.title, url: article.url, description: article.description, publishedAt: article.publishedAt }));
+
+    const seo = await seoScoringService.scoreDraft(draft);
+
+    const companyContext = {
+      name: companyName,
+      targetAudience: 'Solar industry professionals',
+      tone: 'Professional, informative',
+      llmConfig: llmProviderService.resolveSelection(draft.blogId?.companyId?.llmConfig, options.llmProvider)
+    };
+    const context = { keyword, companyName, sources };
+
+    const byBlock = new Map();
+    const issuesFor = blockId => {
+      if (!byBlock.has(blockId)) byBlock.set(blockId, { outdatedStats: [], deadLinks: [] });
+      return byBlock.get(blockId);
+    };
+    outdatedStats.forEach(stat => issuesFor(stat.blockId).outdatedStats.push(stat));
+    deadLinks.forEach(link => issuesFor(link.blockId).deadLinks.push(link));
+
+    const suggestions = [];
+    const targets = [...byBlock.entries()].slice(0, MAX_REWRITES);
+    for (const [index, [blockId, issues]] of targets.entries()) {
+      const block = blocks.find(candidate => candidate.id === blockId);
+      if (!block || block.type === 'references') continue;
+
+      report(60 + Math.round((index / Math.max(targets.length, 1)) * 20), 'rewrites', `Rewriting block ${blockId}`);
+      const result = await geminiService.generateBlockContent(this.buildRewritePrompt(block, issues, context), block.type, companyContext);
+      suggestions.push({
+        id: crypto.randomUUID(),
+        type: 'rewrite',
+        blockId,
+        reasons: [
+          ...issues.outdatedStats.map(stat => `Outdated statistic (${stat.year})`),
+          ...issues.deadLinks.map(link => `Broken link: ${link.url}`)
+        ],
+        before: block.content,
+        content: result.content,
+        provider: result.provider,
+        model: result.model,
+        status: 'pending'
+      });
+    }
+
+    // New sections go before the conclusion
+    const conclusionIndex = blocks.findIndex(block => block.type === 'conclusion');
+    const anchor = blocks[conclusionIndex > 0 ? conclusionIndex - 1 : blocks.length - 1];
+    for (const [index, topic] of missingSections.entries()) {
+      report(80 + index * 5, 'sections', `Drafting section "${topic.heading}"`);
+      const prompt = [
+        `Write a new section for an article about "${keyword}" for ${companyName}, covering: "${topic.heading}".`,
+        `Competing articles cover this topic (${topic.competitors.length} of the top results). Keep it to about 150 words and do not repeat the rest of the article.`,
+        sources.length > 0 ? `\nRecent sources you may cite as [text](url):\n${sources.map(source => `- ${source.title} (${source.url})`).join('\n')}` : ''
+      ].join('\n');
+      const result = await geminiService.generateBlockContent(prompt, 'section', companyContext);
+      suggestions.push({
+        id: crypto.randomUUID(),
+        type: 'new-section',
+        afterBlockId: anchor?.id || null,
+        heading: topic.heading,
+        reasons: [`Covered by ${topic.competitors.length} competitor(s)`],
+        content: result.content,
+        provider: result.provider,
+        model: result.model,
+        status: 'pending'
+      });
+    }
+
+    report(95, 'saving', `Saving ${suggestions.length} suggestion(s)`);
+    const refresh = {
+      status: 'ready',
+      jobId: draft.refresh?.jobId,
+      requestedBy: options.requestedBy || draft.refresh?.requestedBy,
+      startedAt: draft.refresh?.startedAt || new Date(),
+      completedAt: new Date(),
+      findings: {
+        outdatedStats,
+        deadLinks,
+        missingSections,
+        seoScore: seo.score,
+        seoRecommendations: seo.recommendations,
+        sources: sources.map(({ title, url, publishedAt }) => ({ title, url, publishedAt }))
+      },
+      suggestions
+    };
+    const updated = await Draft.findByIdAndUpdate(draftId, { refresh }, { new: true });
+
+    console.log(`♻️ Refresh for draft ${draftId}: ${outdatedStats.length} outdated stats, ${deadLinks.length} dead links, ${missingSections.length} missing sections → ${suggestions.length} suggestions`);
+    return this.getStatus(updated);
+  }
+
+  async markFailed(draftId, message) {
+    await Draft.findByIdAndUpdate(draftId, {
+      'refresh.status': 'failed',
+      'refresh.error': message,
+      'refresh.completedAt': new Date()
+    });
+  }
+
+  /**
+   * Accept or reject one suggestion; accepting applies it to the draft content
+   * @param {string} decision - accept | reject
+   * @returns {Object|null} { refresh, version } or { error, statusCode }; null when the draft does not exist
+   */
+  async reviewSuggestion(draftId, suggestionId, decision, user, note) {
+    const draft = await Draft.findById(draftId);
+    if (!draft) return null;
+
+    const suggestion = (draft.refresh?.suggestions || []).find(candidate => candidate.id === suggestionId);
+    if (!suggestion) {
+      return { error: 'Suggestion not found', statusCode: 404 };
+    }
+    if (suggestion.status !== 'pending') {
+      return { error: `Suggestion was already ${suggestion.status}`, statusCode: 409 };
+    }
+
+    let revision = null;
+    if (decision === 'accept') {
+      const blocks = [...(draft.generatedContent?.contentBlocks || [])];
+
+      if (suggestion.type === 'rewrite') {
+        const index = blocks.findIndex(block => block.id === suggestion.blockId);
+        if (index === -1) {
+          return { error: 'The block of this suggestion no longer exists', statusCode: 409 };
+        }
+        if (blocks[index].content !== suggestion.before) {
+          return { error: 'The block was edited after this suggestion was made; run the refresh again', statusCode: 409 };
+        }
+        blocks[index] = blockAlternativeService.applyContent(blocks[index], suggestion.content, {
+          source: 'refresh',
+          provider: suggestion.provider,
+          model: suggestion.model
+        });
+      } else {
+        const anchorIndex = blocks.findIndex(block => block.id === suggestion.afterBlockId);
+        const insertAt = anchorIndex === -1 ? blocks.length : anchorIndex + 1;
+        const suffix = suggestion.id.slice(0, 8);
+        blocks.splice(insertAt, 0, {
+          id: `h2-refresh-${suffix}`,
+          type: 'h2',
+          content: suggestion.heading,
+          editable: true,
+          wordCount: blockAlternativeService.countWords(suggestion.heading)
+        }, {
+          id: `section-refresh-${suffix}`,
+          type: 'section',
+          content: suggestion.content,
+          editable: true,
+          wordCount: blockAlternativeService.countWords(suggestion.content),
+          metadata: { source: 'refresh', provider: suggestion.provider || null, model: suggestion.model || null, updatedAt: new Date() }
+        });
+      }
+
+      draft.generatedContent.contentBlocks = blocks;
+      draft.generatedContent.lastSaved = new Date();
+      draft.markModified('generatedContent.contentBlocks');
+    }
+
+    suggestion.status = decision === 'accept' ? 'accepted' : 'rejected';
+    suggestion.reviewedBy = user.email;
+    suggestion.reviewedAt = new Date();
+    suggestion.note = note;
+    await draft.save();
+
+    if (decision === 'accept') {
+      revision = await draftRevisionService.safeRecordRevision(draftId, {
+        stage: 'refresh',
+        createdBy: user.email,
+        summary: suggestion.type === 'rewrite'
+          ? `Accepted refresh of block ${suggestion.blockId}`
+          : `Added section "${suggestion.heading}" from refresh`
+      });
+    }
+
+    const updated = await Draft.findById(draftId);
+    return { refresh: this.getStatus(updated), version: revision?.version };
+  }
+}
+
+module.exports = new ContentRefreshService();
@@ -0,0 +1,177 @@
+// services/contentRendererService.js
+const brandThemeService = require('./brandThemeService');
+const GutenbergRenderer = require('./renderers/gutenbergRenderer');
+const ClassicRenderer = require('./renderers/classicRenderer');
+const AmpRenderer = require('./renderers/ampRenderer');
+const PreviewRenderer = require('./renderers/previewRenderer');
+
+// Target each publishing platform receives; the rest take Gutenberg markup as HTML
+const PLATFORM_TARGETS = {
+  wordpress: 'classic'
+};
+
+// Values that end up inside double-quoted attributes
+const escapeAttribute = text => String(text ?? '').replace(/"/g, '&quot;');
+
+/**
+ * Turn the link shapes the LLM and imports produce into anchors: [text](url),
+ * "Link text(url)", "(url)" and bare URLs
+ * @param {string} content - Block text
+ * @returns {string} HTML
+ */
+function linkify(content) {
+  if (!content) return content;
+  const anchor = (url, text) => `<a href="${escapeAttribute(url)}" target="_blank" rel="noopener noreferrer">${text}</a>`;
+
+  return content
+    .replace(/\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g, (match, text, url) => anchor(url, text))
+    .replace(/([^(\n>]+?)\((https?:\/\/[^\s)]+)\)/g, (match, text, url) => anchor(url, text.trim()))
+    .replace(/\((https?:\/\/[^\s)]+)\)/g, (match, url) => `(${anchor(url, url)})`)
+    .replace(/(^|\s)(https?:\/\/[^\s)\]<]+)/g, (match, prefix, url) => `${prefix}${anchor(url, url)}`);
+}
+
+/**
+ * One renderer for draft content blocks with pluggable output targets: Gutenberg block
+ * markup, classic HTML (what WordPress receives), AMP-friendly HTML and preview pages.
+ *
+ * Blocks are first turned into a node list (heading, paragraph, callToAction, list,
+ * quote, references, image, imagePlaceholder, links, related), so every target applies
+ * the same rules for which blocks appear, how links are made and what the theme turns
+ * on; targets only decide the markup. Each target has name, label and
+ * render(nodes, theme, options); the preview target also has document(body, theme, options).
+ */
+class ContentRendererService {
+  constructor() {
+    this.renderers = {};
+    [new GutenbergRenderer(), new ClassicRenderer(), new AmpRenderer(), new PreviewRenderer(name => this.getRenderer(name))].forEach(renderer => {
+      this.renderers[renderer.name] = renderer;
+    });
+  }
+
+  get targets() {
+    return Object.keys(this.renderers);
+  }
+
+  getRenderer(name) {
+    return this.renderers[name] || null;
+  }
+
+  /**
+   * Target a publishing platform receives
+   * @param {string} platform - wordpress | ghost | webflow | markdown
+   */
+  platformTarget(platform) {
+    return PLATFORM_TARGETS[platform] || 'gutenberg';
+  }
+
+  /**
+   * Content blocks → render nodes
+   * @param {Object} input - { contentBlocks, uploadedImages, internalLinks, externalLinks, relatedArticles }
+   * @param {Object} theme - Resolved brand theme
+   * @returns {Array} Nodes
+   */
+  buildNodes(input, theme) {
+    const uploadedImages = input.uploadedImages || {};
+    const nodes = [];
+
+    (input.contentBlocks || []).forEach(block => {
+      const content = (block.content || '').trim();
+      const lines = content.split('\n').map(line => line.trim()).filter(Boolean);
+
+      switch (block.type) {
+        case 'h1':
+        case 'title':
+        case 'h2':
+        case 'h3':
+          if (content) nodes.push({ type: 'heading', level: block.type === 'h2' ? 2 : block.type === 'h3' ? 3 : 1, text: content });
+          break;
+        case 'list':
+          if (lines.length > 0) nodes.push({ type: 'list', ordered: !!block.ordered, items: lines.map(linkify) });
+          break;
+        case 'quote':
+          if (lines.length > 0) nodes.push({ type: 'quote', lines: lines.map(linkify) });
+          break;
+        case 'references':
+          if (content) nodes.push({ type: 'references', html: linkify(content) });
+          break;
+        case 'image': {
+          // The feature image is sent as the post's featured image instead
+          if (block.imageType === 'feature') break;
+          const url = uploadedImages[block.id] || block.imageUrl;
+          if (url) {
+            nodes.push({ type: 'image', url: escapeAttribute(url), alt: escapeAttribute(block.altText || block.alt || ''), caption: block.caption || '' });
+          } else if (block.imagePrompt) {
+            nodes.push({ type: 'imagePlaceholder', prompt: block.imagePrompt.replace(/--+/g, '-') });
+          }
+          break;
+        }
+        case 'conclusion':
+          // The conclusion carries the call to action
+          if (content) nodes.push({ type: theme.ctaBox.enabled ? 'callToAction' : 'paragraph', html: linkify(content) });
+          break;
+        default:
+          // introduction, section, paragraph and unknown types
+          if (content) nodes.push({ type: 'paragraph', html: linkify(content) });
+      }
+    });
+
+    [['Related Articles', input.internalLinks, false], ['Additional Resources', input.externalLinks, true]].forEach(([title, links, external]) => {
+      if (!links || links.length === 0) return;
+      nodes.push({
+        type: 'links',
+        title,
+        external,
+        links: links.map(link => ({
+          url: escapeAttribute(link.targetUrl || link.url || '#'),
+          text: link.anchorText || link.title || (external ? 'External Resource' : 'Related Article'),
+          description: link.context || link.description || ''
+        }))
+      });
+    });
+
+    const related = theme.relatedArticles.enabled ? input.relatedArticles || [] : [];
+    if (related.length > 0) {
+      nodes.push({
+        type: 'related',
+        title: theme.relatedArticles.title,
+        articles: related.map(article => ({
+          url: escapeAttribute(article.url),
+          title: article.title,
+          alt: escapeAttribute(article.title),
+          description: article.description || '',
+          image: article.image ? escapeAttribute(article.image) : null
+        }))
+      });
+    }
+
+    return nodes;
+  }
+
+  /**
+   * Render draft content for a target
+   * @param {Object} input - { contentBlocks, uploadedImages, internalLinks, externalLinks, relatedArticles, theme }
+   *   (draftDeploymentService.buildDraftData output fits)
+   * @param {string} target - gutenberg | classic | amp | preview
+   * @param {Object} options - Passed to the target, e.g. { target, title } for preview
+   * @returns {string} HTML
+   */
+  render(input, target, options = {}) {
+    const renderer = this.getRenderer(target);
+    if (!renderer) {
+      throw new Error(`Unknown render target "${target}". Use one of: ${this.targets.join(', ')}`);
+    }
+
+    const theme = input.theme || brandThemeService.defaults;
+    return renderer.render(this.buildNodes(input, theme), theme, options);
+  }
+
+  /**
+   * Preview page around HTML that was already rendered (e.g. the exact WordPress post content)
+   * @returns {string} HTML document
+   */
+  previewDocument(body, theme = brandThemeService.defaults, options = {}) {
+    return this.renderers.preview.document(body, theme, options);
+  }
+}
+
+module.exports = new ContentRendererService();
@@ -0,0 +1,152 @@
+// services/credentialService.js
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1';
+const ALGORITHM = 'aes-256-gcm';
+
+// iv | tag | ciphertext, base64url
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64url');
+}
+
+function open(key, sealed) {
+  const data = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(0, 12));
+  decipher.setAuthTag(data.subarray(12, 28));
+  return Buffer.concat([decipher.update(data.subarray(28)), decipher.final()]);
+}
+
+/**
+ * Field-level encryption for stored credentials (WordPress application passwords,
+ * Ghost and Webflow keys) with envelope encryption.
+ *
+ * Each value gets its own random data key. The value is sealed with the data key, and
+ * the data key is sealed with the active master key:
+ *   enc:v1:<masterKeyId>:<sealed data key>:<sealed value>
+ * Master keys come from CREDENTIAL_MASTER_KEYS="<id>:<base64 32 bytes>,...". The first
+ * key encrypts new values and the others only decrypt, so rotating only re-seals the
+ * data keys (see scripts/manageCredentials.js). Values without the prefix are plaintext
+ * from before encryption and are read as they are until the migration encrypts them.
+ */
+class CredentialService {
+  constructor() {
+    this.warnedUnconfigured = false;
+  }
+
+  /**
+   * Master keys from the environment, active key first
+   * @returns {Array} [{ id, key }]
+   */
+  getMasterKeys() {
+    return (process.env.CREDENTIAL_MASTER_KEYS || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const separator = entry.indexOf(':');
+        const id = entry.slice(0, separator);
+        const key = Buffer.from(entry.slice(separator + 1), 'base64');
+        if (separator < 1 || key.length !== 32) {
+          throw new Error(`CREDENTIAL_MASTER_KEYS entry "${id || entry.slice(0, 8)}" must be "<id>:<base64 of 32 bytes>"`);
+        }
+        return { id, key };
+      });
+  }
+
+  isConfigured() {
+    return this.getMasterKeys().length > 0;
+  }
+
+  get activeKeyId() {
+    return this.getMasterKeys()[0]?.id || null;
+  }
+
+  masterKey(id) {
+    const entry = this.getMasterKeys().find(item => item.id === id);
+    if (!entry) {
+      throw new Error(`Credential master key "${id}" is not in CREDENTIAL_MASTER_KEYS`);
+    }
+    return entry.key;
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+  }
+
+  /**
+   * Master key ID an encrypted value was sealed with (null for plaintext)
+   */
+  keyIdOf(value) {
+    return this.isEncrypted(value) ? value.split(':')[2] : null;
+  }
+
+  /**
+   * Encrypt a credential; empty and already encrypted values are returned unchanged
+   */
+  encrypt(value) {
+    if (value === undefined || value === null || value === '' || this.isEncrypted(value)) return value;
+
+    const [master] = this.getMasterKeys();
+    if (!master) {
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('CREDENTIAL_MASTER_KEYS is not set; refusing to store credentials in plain text');
+      }
+      if (!this.warnedUnconfigured) {
+        console.warn('⚠️ CREDENTIAL_MASTER_KEYS is not set. Credentials are stored in plain text (development only).');
+        this.warnedUnconfigured = true;
+      }
+      return value;
+    }
+
+    const dataKey = crypto.randomBytes(32);
+    return [PREFIX, master.id, seal(master.key, dataKey), seal(dataKey, Buffer.from(String(value), 'utf8'))].join(':');
+  }
+
+  decrypt(value) {
+    if (!this.isEncrypted(value)) return value;
+
+    const [, , keyId, sealedKey, sealedValue] = value.split(':');
+    const dataKey = open(this.masterKey(keyId), sealedKey);
+    return open(dataKey, sealedValue).toString('utf8');
+  }
+
+  /**
+   * Re-seal the data key of an encrypted value with the active master key; the value
+   * itself is not re-encrypted. Plaintext values are encrypted.
+   */
+  rewrap(value) {
+    if (!this.isEncrypted(value)) return this.encrypt(value);
+
+    const [master] = this.getMasterKeys();
+    if (!master) throw new Error('CREDENTIAL_MASTER_KEYS is not set');
+
+    const [, , keyId, sealedKey, sealedValue] = value.split(':');
+    if (keyId === master.id) return value;
+
+    const dataKey = open(this.masterKey(keyId), sealedKey);
+    return [PREFIX, master.id, seal(master.key, dataKey), sealedValue].join(':');
+  }
+
+  /**
+   * New random master key, base64
+   */
+  generateKey() {
+    return crypto.randomBytes(32).toString('base64');
+  }
+
+  /**
+   * Mongoose schema type for an encrypted string field: stored encrypted, read decrypted
+   */
+  schemaType() {
+    return {
+      type: String,
+      set: value => this.encrypt(value),
+      get: value => this.decrypt(value)
+    };
+  }
+}
+
+module.exports = new CredentialService();
@@ -0,0 +1,332 @@
+// services/documentImportService.js
+const fs = require('fs').promises;
+const path = require('path');
+const mammoth = require('mammoth');
+const multer = require('multer');
+const BlogData = require('../models/BlogData');
+const Company = require('../models/Company');
+const Draft = require('../models/Draft');
+const blockImportService = require('./blockImportService');
+const draftRevisionService = require('./draftRevisionService');
+const s3Service = require('./s3Service');
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+const FORMATS = {
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.docx': 'docx'
+};
+
+// Word styles without a default HTML mapping
+const DOCX_STYLE_MAP = [
+  "p[style-name='Title'] => h1:fresh",
+  "p[style-name='Subtitle'] => h2:fresh",
+  "p[style-name='Quote'] => blockquote > p:fresh",
+  "p[style-name='Intense Quote'] => blockquote > p:fresh"
+];
+
+// Inline Markdown the blocks keep: [text](url) links and **bold**; autolinks become bare URLs
+const cleanInline = text => text
+  .replace(/<(https?:\/\/[^>\s]+)>/g, '$1')
+  .replace(/__([^_]+)__/g, '**$1**')
+  .replace(/[ \t]+/g, ' ')
+  .trim();
+
+// "key: value" front-matter; values may be JSON-quoted strings or [lists]
+function parseFrontMatter(text) {
+  const data = {};
+  text.split('\n').forEach(line => {
+    const match = line.match(/^([A-Za-z_][\w-]*):\s*(.*)$/);
+    if (!match) return;
+    let value = match[2].trim();
+    try {
+      value = JSON.parse(value);
+    } catch (error) {
+      if (/^\[.*\]$/.test(value)) {
+        value = value.slice(1, -1).split(',').map(item => item.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean);
+      } else {
+        value = value.replace(/^'(.*)'$/, '$1');
+      }
+    }
+    data[match[1]] = value;
+  });
+  return data;
+}
+
+/**
+ * Turns uploaded Markdown and Word documents into Drafts, so articles written outside
+ * the platform go through meta generation, SEO scoring and deployment like generated ones.
+ */
+class DocumentImportService {
+  constructor() {
+    this.upload = multer({
+      storage: multer.memoryStorage(),
+      limits: { fileSize: MAX_FILE_SIZE },
+      fileFilter: (req, file, cb) => {
+        if (this.getFormat(file.originalname)) {
+          cb(null, true);
+        } else {
+          cb(new Error('Only Markdown (.md) and Word (.docx) files can be imported'));
+        }
+      }
+    });
+  }
+
+  getUploadMiddleware() {
+    return this.upload.single('file');
+  }
+
+  getFormat(fileName) {
+    return FORMATS[path.extname(fileName || '').toLowerCase()] || null;
+  }
+
+  /**
+   * Markdown → blocks. Front-matter (as written by the draft export) supplies
+   * title, description, metaTitle and keyword.
+   * @returns {Object} { title, contentBlocks, uploadedImages, frontMatter, warnings }
+   */
+  parseMarkdown(text) {
+    const warnings = [];
+    let source = text.replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+
+    let frontMatter = {};
+    const frontMatterMatch = source.match(/^---\n([\s\S]*?)\n---\n/);
+    if (frontMatterMatch) {
+      frontMatter = parseFrontMatter(frontMatterMatch[1]);
+      source = source.slice(frontMatterMatch[0].length);
+    }
+
+    const builder = blockImportService.createBuilder();
+    let paragraph = [];
+    let list = null;
+    let quote = [];
+    let fence = null;
+
+    const flush = () => {
+      if (paragraph.length > 0) builder.addText('section', cleanInline(paragraph.join(' ')));
+      if (list) builder.addText('list', list.items.map(cleanInline).join('\n'), list.ordered ? { ordered: true } : {});
+      if (quote.length > 0) builder.addText('quote', quote.map(cleanInline).join('\n'));
+      paragraph = [];
+      list = null;
+      quote = [];
+    };
+
+    source.split('\n').forEach(line => {
+      // Code keeps its lines as section text
+      if (fence) {
+        if (/^\s*(```|~~~)/.test(line)) {
+          builder.addText('section', fence.join('\n'));
+          fence = null;
+        } else {
+          fence.push(line);
+        }
+        return;
+      }
+      if (/^\s*(```|~~~)/.test(line)) {
+        flush();
+        fence = [];
+        return;
+      }
+
+      const trimmed = line.trim();
+      const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+      const image = trimmed.match(/^!\[([^\]]*)\]\(\s*([^)\s]+)(?:\s+"[^"]*")?\s*\)$/);
+      const listItem = line.match(/^\s{0,3}(?:[-*+•]|(\d+)[.)])\s+(.*)$/);
+      const quoteLine = trimmed.match(/^>\s?(.*)$/);
+
+      if (/^=+$/.test(trimmed) && paragraph.length === 1) {
+        // Setext heading: the previous line underlined with = or -
+        const text = paragraph[0];
+        paragraph = [];
+        flush();
+        builder.addText('h1', cleanInline(text));
+      } else if (/^-+$/.test(trimmed) && paragraph.length === 1) {
+        const text = paragraph[0];
+        paragraph = [];
+        flush();
+        builder.addText('h2', cleanInline(text));
+      } else if (!trimmed || /^(\*{3,}|-{3,}|_{3,})$/.test(trimmed)) {
+        flush();
+      } else if (heading) {
+        flush();
+        builder.addText(blockImportService.headingType(heading[1].length), cleanInline(heading[2]));
+      } else if (image) {
+        flush();
+        if (/^https?:\/\//.test(image[2])) {
+          builder.addImage(image[2], image[1]);
+        } else {
+          warnings.push(`Image "${image[2]}" was skipped: only images with a full http(s) URL can be imported from Markdown`);
+        }
+      } else if (listItem) {
+        if (paragraph.length > 0 || quote.length > 0) flush();
+        const ordered = !!listItem[1];
+        if (list && list.ordered !== ordered) flush();
+        if (!list) list = { ordered, items: [] };
+        list.items.push(listItem[2]);
+      } else if (quoteLine) {
+        if (paragraph.length > 0 || list) flush();
+        quote.push(quoteLine[1]);
+      } else if (list && /^\s{2,}/.test(line)) {
+        // Indented continuation of the last list item
+        list.items[list.items.length - 1] += ` ${trimmed}`;
+      } else {
+        if (list || quote.length > 0) flush();
+        paragraph.push(trimmed);
+      }
+    });
+    if (fence) builder.addText('section', fence.join('\n'));
+    flush();
+
+    return { ...builder.finish(), frontMatter, warnings };
+  }
+
+  /**
+   * Store an image embedded in a Word document: S3 when configured, otherwise uploads/
+   * @returns {string} Image URL
+   */
+  async storeImage(buffer, contentType) {
+    const extension = (contentType.split('/')[1] || 'png').replace('jpeg', 'jpg').replace(/\+.*$/, '');
+    const fileName = `document-import-${Date.now()}-${Math.random().toString(36).slice(2, 8)}.${extension}`;
+
+    if (s3Service.isConfigured()) {
+      const result = await s3Service.uploadToS3(buffer, fileName, contentType, 'document-imports');
+      return result.url;
+    }
+
+    const uploadsDir = path.join(__dirname, '..', 'uploads');
+    await fs.mkdir(uploadsDir, { recursive: true });
+    await fs.writeFile(path.join(uploadsDir, fileName), buffer);
+    return `/uploads/${fileName}`;
+  }
+
+  /**
+   * Word document → blocks via mammoth's HTML conversion; embedded images are stored
+   * @returns {Object} { title, contentBlocks, uploadedImages, frontMatter, warnings }
+   */
+  async parseDocx(buffer) {
+    const warnings = [];
+    const { value: html, messages } = await mammoth.convertToHtml({ buffer }, {
+      styleMap: DOCX_STYLE_MAP,
+      convertImage: mammoth.images.imgElement(async image => {
+        try {
+          return { src: await this.storeImage(await image.readAsBuffer(), image.contentType) };
+        } catch (error) {
+          warnings.push(`An embedded image was skipped: ${error.message}`);
+          return { src: '' };
+        }
+      })
+    });
+    messages.filter(message => message.type === 'warning').forEach(message => {
+      console.warn(`⚠️ DOCX conversion: ${message.message}`);
+    });
+
+    return { ...blockImportService.htmlToBlocks(html), frontMatter: {}, warnings };
+  }
+
+  /**
+   * Create a BlogData entry and a Draft from an uploaded document. The draft starts at
+   * meta generation with its content already in place.
+   * @param {Object} file - Multer file ({ originalname, buffer })
+   * @param {Object} options - { companyName, focusKeyword, importedBy }
+   * @returns {Object} { draftId, title, focusKeyword, blocks, warnings } or { error, statusCode }
+   */
+  async importDocument(file, { companyName, focusKeyword, importedBy }) {
+    if (!file) {
+      return { error: 'A Markdown (.md) or Word (.docx) file is required', statusCode: 400 };
+    }
+    const format = this.getFormat(file.originalname);
+    if (!format) {
+      return { error: 'Only Markdown (.md) and Word (.docx) files can be imported', statusCode: 400 };
+    }
+
+    const company = await Company.findOne({ name: companyName });
+    if (!company) {
+      return { error: 'Company not found', statusCode: 404 };
+    }
+
+    let parsed;
+    try {
+      parsed = format === 'docx'
+        ? await this.parseDocx(file.buffer)
+        : this.parseMarkdown(file.buffer.toString('utf8'));
+    } catch (error) {
+      console.error(`❌ Failed to parse ${file.originalname}:`, error.message);
+      return { error: `The file could not be read: ${error.message}`, statusCode: 422 };
+    }
+
+    const { contentBlocks, uploadedImages, frontMatter, warnings } = parsed;
+    if (!contentBlocks.some(block => block.type !== 'image')) {
+      return { error: 'The document has no text to import', statusCode: 422 };
+    }
+
+    const baseName = path.basename(file.originalname, path.extname(file.originalname)).replace(/[-_]+/g, ' ').trim();
+    const title = frontMatter.title || parsed.title || baseName;
+    const keyword = (focusKeyword || frontMatter.keyword || title).trim();
+    const wordCount = contentBlocks.reduce((sum, block) => sum + (block.wordCount || 0), 0);
+    const featureBlock = contentBlocks.find(block => block.imageType === 'feature');
+    if (!parsed.title) {
+      contentBlocks.splice(featureBlock ? 1 : 0, 0, {
+        id: 'title-0',
+        type: 'h1',
+        content: title,
+        editable: true,
+        wordCount: blockImportService.countWords(title)
+      });
+    }
+
+    const blog = await BlogData.create({
+      focusKeyword: keyword,
+      articleFormat: 'guide',
+      wordCount: Math.min(Math.max(wordCount, 300), 5000),
+      targetAudience: company.targetAudience?.join(', ') || 'General',
+      objective: 'Imported document',
+      companyId: company._id,
+      status: 'in-progress'
+    });
+
+    const metaDescription = frontMatter.description || undefined;
+    const metaTitle = frontMatter.metaTitle || undefined;
+    const draft = await Draft.create({
+      blogId: blog._id,
+      title,
+      metaTitle,
+      metaDescription,
+      selectedKeyword: keyword,
+      selectedH1: title,
+      selectedMetaTitle: metaTitle,
+      selectedMetaDescription: metaDescription,
+      generatedContent: {
+        contentBlocks,
+        uploadedImages,
+        wordCount,
+        generatedAt: new Date()
+      },
+      featuredImage: featureBlock ? { url: featureBlock.imageUrl, altText: featureBlock.altText || title } : undefined,
+      status: 'meta_generation',
+      importedFrom: {
+        fileName: file.originalname,
+        format,
+        importedBy,
+        importedAt: new Date()
+      }
+    });
+
+    await draftRevisionService.safeRecordRevision(draft._id, {
+      stage: 'import',
+      createdBy: importedBy,
+      summary: `Imported ${file.originalname} with ${contentBlocks.length} blocks`
+    });
+
+    console.log(`📥 Imported ${file.originalname} (${format}) as draft ${draft._id}: ${contentBlocks.length} blocks, ${wordCount} words`);
+    return {
+      draftId: draft._id,
+      title,
+      focusKeyword: keyword,
+      blocks: contentBlocks.length,
+      wordCount,
+      warnings
+    };
+  }
+}
+
+module.exports = new DocumentImportService();
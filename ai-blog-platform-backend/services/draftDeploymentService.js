@@ -0,0 +1,541 @@
+// services/draftDeploymentService.js
+const Draft = require('../models/Draft');
+const WordPressService = require('./wordpressService');
+const taxonomyService = require('./taxonomyService');
+const publisherService = require('./publisherService');
+const brandThemeService = require('./brandThemeService');
+const contentRendererService = require('./contentRendererService');
+
+// WordPress post status → Draft.wordpressStatus
+const WORDPRESS_STATUSES = {
+  publish: 'published',
+  future: 'scheduled',
+  draft: 'draft',
+  pending: 'draft',
+  private: 'published'
+};
+
+const MAX_DIFF_LINES = 200;
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One line per block-level element, so single-line HTML still diffs per paragraph
+const splitHtmlLines = html => (html || '')
+  .split(/\n|(?<=<\/(?:p|h[1-6]|li|ul|ol|div|figure|table|blockquote)>)/i)
+  .map(line => line.trim())
+  .filter(Boolean)
+  .slice(0, 2000);
+
+/**
+ * Line diff (longest common subsequence) between the live post HTML and the new HTML
+ * @returns {Object} { changed, added, removed, lines: [{ type: 'added'|'removed', text }] } (lines capped)
+ */
+function diffLines(before, after) {
+  const a = splitHtmlLines(before);
+  const b = splitHtmlLines(after);
+
+  // LCS table from the end, so the walk below can go front to back
+  const table = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i] === b[j] ? table[i + 1][j + 1] + 1 : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let added = 0;
+  let removed = 0;
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (j < b.length && (i === a.length || table[i][j + 1] >= table[i + 1][j])) {
+      added++;
+      if (lines.length < MAX_DIFF_LINES) lines.push({ type: 'added', text: b[j] });
+      j++;
+    } else {
+      removed++;
+      if (lines.length < MAX_DIFF_LINES) lines.push({ type: 'removed', text: a[i] });
+      i++;
+    }
+  }
+
+  return { changed: added + removed > 0, added, removed, lines };
+}
+
+/**
+ * Assembles a draft into WordPress content and deploys it.
+ * Shared by POST /api/blogs/deploy-wordpress and the deploy-wordpress job.
+ */
+class DraftDeploymentService {
+  constructor() {
+    this.wordpressService = new WordPressService();
+  }
+
+  /**
+   * Links for the related-articles block: the theme's own links, otherwise the company's
+   * other published drafts (same keyword first)
+   * @param {Object} draft - Draft document with blogId/companyId populated
+   * @param {Object} theme - Resolved brand theme
+   * @returns {Array} [{ title, url, description, image }]
+   */
+  async getRelatedArticles(draft, theme) {
+    if (!theme.relatedArticles.enabled) return [];
+    if (theme.relatedArticles.links.length > 0) return theme.relatedArticles.links;
+
+    try {
+      const BlogData = require('../models/BlogData');
+      const companyId = draft.blogId?.companyId?._id || draft.blogId?.companyId;
+      if (!companyId) return [];
+
+      const blogIds = await BlogData.find({ companyId }).distinct('_id');
+      const published = {
+        _id: { $ne: draft._id },
+        blogId: { $in: blogIds },
+        'publication.url': { $nin: [null, ''] }
+      };
+      const firstWord = (draft.selectedKeyword || '').split(' ')[0];
+
+      let relatedDrafts = firstWord
+        ? await Draft.find({ ...published, selectedKeyword: { $regex: escapeRegExp(firstWord), $options: 'i' } }).limit(3)
+        : [];
+      if (relatedDrafts.length === 0) {
+        relatedDrafts = await Draft.find(published).sort({ lastEdited: -1 }).limit(3);
+      }
+
+      return relatedDrafts.map(related => ({
+        title: related.selectedH1 || related.title || `${related.selectedKeyword} Guide`,
+        url: related.publication.url,
+        description: related.selectedMetaDescription || '',
+        image: related.featuredImage?.url || null
+      }));
+    } catch (error) {
+      console.error('Error getting related articles:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Build the Gutenberg HTML for a draft from its content blocks (see services/contentRendererService.js)
+   * @param {Object} draft - Draft document with blogId/companyId populated
+   * @param {Object} theme - Resolved brand theme (defaults to the draft company's)
+   * @param {Array} relatedArticles - Links for the related-articles block (looked up when omitted)
+   * @returns {string} Assembled HTML content
+   */
+  async assembleDraftContent(draft, theme = brandThemeService.resolve(draft.blogId?.companyId), relatedArticles = null) {
+    let assembledContent = '<p>Content coming soon...</p>';
+
+    if (draft.generatedContent?.contentBlocks && draft.generatedContent.contentBlocks.length > 0) {
+      console.log(`📝 Assembling content with ${draft.generatedContent.contentBlocks.length} blocks`);
+
+      assembledContent = contentRendererService.render({
+        contentBlocks: draft.generatedContent.contentBlocks,
+        uploadedImages: draft.generatedContent.uploadedImages,
+        internalLinks: draft.internalLinks,
+        externalLinks: draft.externalLinks,
+        theme,
+        relatedArticles: relatedArticles || await this.getRelatedArticles(draft, theme)
+      }, 'gutenberg');
+
+      console.log(`📄 Assembled content length: ${assembledContent.length} characters`);
+    } else {
+      console.log(`⚠️ No content blocks found in draft.generatedContent`);
+      console.log(`📋 Draft generatedContent keys:`, Object.keys(draft.generatedContent || {}));
+
+      // Try alternative content sources
+      if (draft.generatedContent?.blogContent) {
+        console.log(`📝 Found blogContent, attempting to use it`);
+        const blogContent = draft.generatedContent.blogContent;
+
+        // Handle new single content structure
+        if (blogContent.content) {
+          // New structure with single content field (already formatted HTML)
+          assembledContent = blogContent.content;
+          console.log(`✅ Using new content structure: ${assembledContent.length} characters`);
+        } else {
+          // Legacy structure with separate introduction/sections/conclusion
+          let contentParts = [];
+          if (blogContent.title) contentParts.push(`<h1>${blogContent.title}</h1>`);
+          if (blogContent.introduction) contentParts.push(`<p>${blogContent.introduction}</p>`);
+
+          if (blogContent.sections && Array.isArray(blogContent.sections)) {
+            blogContent.sections.forEach((section, index) => {
+              if (section.h2) contentParts.push(`<h2>${section.h2}</h2>`);
+              if (section.content) contentParts.push(`<p>${section.content}</p>`);
+            });
+          }
+
+          if (blogContent.conclusion) contentParts.push(`<h2>Conclusion</h2>\n<p>${blogContent.conclusion}</p>`);
+
+          if (contentParts.length > 0) {
+            assembledContent = contentParts.join('\n\n');
+            console.log(`✅ Assembled content from legacy structure: ${assembledContent.length} characters`);
+          }
+        }
+      }
+    }
+
+    return assembledContent;
+  }
+
+  async loadDraft(draftId) {
+    return Draft.findById(draftId)
+      .populate({
+        path: 'blogId',
+        populate: {
+          path: 'companyId'
+        }
+      });
+  }
+
+  /**
+   * Title, meta, terms and blocks of a draft, without the assembled WordPress HTML
+   * (also used by draftExportService)
+   * @param {Object} draft - Draft document
+   */
+  buildDraftFields(draft) {
+    // Get featured image
+    let featuredImageUrl = draft.featuredImage?.url;
+    if (!featuredImageUrl && draft.generatedContent?.uploadedImages) {
+      const featureImageBlock = draft.generatedContent.contentBlocks?.find(
+        block => block.type === 'image' && block.imageType === 'feature'
+      );
+      if (featureImageBlock && draft.generatedContent.uploadedImages[featureImageBlock.id]) {
+        featuredImageUrl = draft.generatedContent.uploadedImages[featureImageBlock.id];
+      }
+    }
+
+    return {
+      title: draft.selectedH1 || draft.title || `${draft.selectedKeyword} Guide`,
+      contentBlocks: draft.generatedContent?.contentBlocks || [], // Pass content blocks for clean HTML generation
+      metaTitle: draft.selectedMetaTitle || draft.metaTitle,
+      metaDescription: draft.selectedMetaDescription || draft.metaDescription,
+      focusKeyword: draft.selectedKeyword,
+      secondaryKeywords: (draft.secondaryKeywords || []).map(item => item.keyword),
+      slug: this.wordpressService.generateSEOSlug(draft.selectedKeyword || draft.selectedH1 || draft.title || 'post'),
+      featuredImage: featuredImageUrl ? { url: featuredImageUrl, altText: 'Featured image' } : null,
+      // Term IDs; new tags have none until deployDraft creates them
+      categories: draft.categories ? draft.categories.map(category => category.id) : undefined,
+      tags: draft.tags ? draft.tags.filter(tag => tag.id).map(tag => tag.id) : undefined,
+      // For platforms that take term names (Ghost, Markdown front-matter)
+      categoryNames: (draft.categories || []).map(category => category.name),
+      tagNames: (draft.tags || []).map(tag => tag.name),
+      uploadedImages: draft.generatedContent?.uploadedImages || {},
+      internalLinks: draft.internalLinks || [],
+      externalLinks: draft.externalLinks || [],
+      theme: brandThemeService.resolve(draft.blogId?.companyId)
+    };
+  }
+
+  /**
+   * Draft fields in the shape the publishers (and WordPressService) expect
+   * @param {Object} draft - Draft document with blogId/companyId populated
+   */
+  async buildDraftData(draft) {
+    const fields = this.buildDraftFields(draft);
+    const relatedArticles = await this.getRelatedArticles(draft, fields.theme);
+    return { ...fields, relatedArticles, content: await this.assembleDraftContent(draft, fields.theme, relatedArticles) };
+  }
+
+  lastSyncedImageUrl(draft) {
+    const syncs = (draft.wordpressSyncs || []).filter(sync => sync.success && sync.featuredImageUrl);
+    return syncs.length > 0 ? syncs[syncs.length - 1].featuredImageUrl : null;
+  }
+
+  /**
+   * Compare what a re-sync would send with the post currently in WordPress
+   * @param {Object} post - WordPress post fetched with context=edit
+   * @returns {Object} { changes: [{ field, before, after }], content: { changed, added, removed, lines }, featuredImageChanged }
+   */
+  compareWithPost(draft, draftData, post) {
+    const postData = this.wordpressService.buildPostData(draftData);
+    const meta = post.meta || {};
+
+    const fields = [
+      { field: 'title', before: post.title?.raw ?? post.title?.rendered, after: postData.title },
+      { field: 'excerpt', before: post.excerpt?.raw, after: postData.excerpt },
+      { field: 'metaTitle', before: meta.rank_math_title, after: postData.meta.rank_math_title },
+      { field: 'metaDescription', before: meta.rank_math_description, after: postData.meta.rank_math_description },
+      { field: 'focusKeyword', before: meta.rank_math_focus_keyword, after: postData.meta.rank_math_focus_keyword }
+    ];
+    // Terms are compared only once they were picked for the draft
+    [['categories', draft.categories], ['tags', draft.tags]].forEach(([field, terms]) => {
+      if (!terms) return;
+      const postIds = [...(post[field] || [])].sort((a, b) => a - b);
+      const draftIds = terms.map(term => term.id).sort((a, b) => a - b);
+      if (terms.some(term => !term.id) || postIds.join(',') !== draftIds.join(',')) {
+        fields.push({
+          field,
+          before: postIds.map(id => terms.find(term => term.id === id)?.name || `#${id}`).join(', ') || null,
+          after: terms.map(term => term.name).join(', ') || null
+        });
+      }
+    });
+
+    const changes = fields
+      .map(change => ({ ...change, before: change.before ?? null, after: change.after ?? null }))
+      .filter(change => change.before !== change.after);
+
+    // Posts deployed before sync history existed have no recorded image; only fill a missing one
+    const newImageUrl = draftData.featuredImage?.url || null;
+    const lastImageUrl = this.lastSyncedImageUrl(draft);
+    const featuredImageChanged = !!newImageUrl && (lastImageUrl ? lastImageUrl !== newImageUrl : !post.featured_media);
+    if (featuredImageChanged) {
+      changes.push({ field: 'featuredImage', before: lastImageUrl, after: newImageUrl });
+    }
+
+    const content = diffLines(post.content?.raw ?? post.content?.rendered ?? '', postData.content);
+    if (content.changed) {
+      changes.push({ field: 'content', before: null, after: null });
+    }
+
+    return { changes, content, featuredImageChanged };
+  }
+
+  /**
+   * What deploying would change on the draft's existing WordPress post
+   * @returns {Object|null} { wordpressId, exists, changes, content, history }, or null when the draft does not exist
+   */
+  async previewSync(draftId) {
+    const draft = await this.loadDraft(draftId);
+    if (!draft) return null;
+
+    const history = [...(draft.wordpressSyncs || [])].reverse();
+    if (!draft.wordpressId) {
+      return { wordpressId: null, exists: false, changes: [], content: null, history };
+    }
+
+    const post = await this.wordpressService.getDraftPost(draft.wordpressId, draft.blogId.companyId._id);
+    if (!post.success) {
+      // Deleted in WordPress: deploying creates a new post
+      return { wordpressId: draft.wordpressId, exists: false, error: post.error, changes: [], content: null, history };
+    }
+
+    const draftData = await this.buildDraftData(draft);
+    const { changes, content } = this.compareWithPost(draft, draftData, post.data);
+
+    return {
+      wordpressId: draft.wordpressId,
+      exists: true,
+      postStatus: post.data.status,
+      link: post.data.link,
+      changes,
+      content,
+      history
+    };
+  }
+
+  /**
+   * The post HTML a deploy would send, wrapped in a preview page. The page body is that
+   * HTML byte for byte.
+   * @param {string} draftId - Draft ID
+   * @param {string} target - Render another target instead (gutenberg | classic | amp)
+   * @returns {Object|null} { platform, target, body, html, theme } or { error, statusCode }; null when the draft does not exist
+   */
+  async renderPreview(draftId, target = null) {
+    if (target && (target === 'preview' || !contentRendererService.getRenderer(target))) {
+      const targets = contentRendererService.targets.filter(name => name !== 'preview');
+      return { error: `Unknown preview target "${target}". Use one of: ${targets.join(', ')}`, statusCode: 400 };
+    }
+
+    const draft = await this.loadDraft(draftId);
+    if (!draft) return null;
+
+    const platform = publisherService.getPlatform(draft.blogId.companyId);
+    const draftData = await this.buildDraftData(draft);
+    const bodyTarget = target || contentRendererService.platformTarget(platform);
+
+    let body;
+    if (target) {
+      body = contentRendererService.render(draftData, target);
+    } else {
+      // Exactly what a deploy sends; WordPress renders the blocks in buildPostData
+      body = platform === 'wordpress' ? this.wordpressService.buildPostData(draftData).content : draftData.content;
+    }
+
+    const html = contentRendererService.previewDocument(body, draftData.theme, { title: draftData.title, target: bodyTarget });
+    return { platform, target: bodyTarget, body, html, theme: draftData.theme };
+  }
+
+  async recordSync(draftId, entry) {
+    await Draft.findByIdAndUpdate(draftId, { $push: { wordpressSyncs: entry } });
+  }
+
+  /**
+   * Deploy a draft to the platform the company publishes to (see services/publisherService.js).
+   * A draft that was deployed before updates its existing post in place; otherwise a new
+   * draft post is created there.
+   * @param {string} draftId - Draft ID
+   * @param {Function} onProgress - Optional onProgress(progress, stage, message) callback
+   * @param {Object} options - { scheduledAt } to create the post with WordPress "future" status, { syncedBy } for the sync history
+   * @returns {Object|null} { success, statusCode, message, ... } or null when the draft does not exist;
+   *   failures set retryable when the platform could not be reached and a later attempt may work
+   */
+  async deployDraft(draftId, onProgress = null, options = {}) {
+    const report = (progress, stage, message) => onProgress && onProgress(progress, stage, message);
+
+    const draft = await this.loadDraft(draftId);
+
+    if (!draft) {
+      return null;
+    }
+
+    const company = draft.blogId.companyId;
+    const publisher = publisherService.forCompany(company);
+    const isWordPress = publisher.name === 'wordpress';
+
+    if (options.scheduledAt && !publisher.capabilities.scheduling) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `Scheduled publishing is not available for ${publisher.label}`,
+        error: `${company.name} publishes to ${publisher.label}`
+      };
+    }
+
+    report(10, 'assembling', `Assembling content blocks into ${publisher.label} content`);
+    const draftData = { ...(await this.buildDraftData(draft)), scheduledAt: options.scheduledAt };
+
+    console.log(`🚀 DEPLOYING TO ${publisher.label.toUpperCase()}:`);
+    console.log(`📝 H1 → Title: "${draftData.title}"`);
+    console.log(`🎯 Meta Title: "${draftData.metaTitle}"`);
+    console.log(`📄 Meta Description: "${draftData.metaDescription}"`);
+    console.log(`🔍 Focus Keyword: "${draftData.focusKeyword}"`);
+    console.log(`🎨 Content Blocks: ${draftData.contentBlocks?.length || 0} blocks`);
+    console.log(`📊 Content Length: ${draftData.content.length} chars`);
+    console.log(`🏢 Company: ${company.name} (ID: ${company._id})`);
+
+    report(40, 'connection', `Testing ${publisher.label} connection`);
+
+    // Test connection first
+    const connectionTest = await publisher.testConnection(company);
+    if (!connectionTest.success) {
+      return {
+        success: false,
+        statusCode: 400,
+        message: `${publisher.label} connection failed`,
+        error: connectionTest.error,
+        retryable: !!connectionTest.retryable
+      };
+    }
+
+    const companyId = company._id;
+
+    if (isWordPress && draft.tags?.some(tag => !tag.id)) {
+      report(50, 'taxonomy', 'Creating new WordPress tags');
+      const resolved = await taxonomyService.resolveTags(draft, companyId);
+      if (!resolved.success) {
+        return {
+          success: false,
+          statusCode: 400,
+          message: 'WordPress tag creation failed',
+          error: resolved.error
+        };
+      }
+      draftData.tags = resolved.tagIds;
+    }
+
+    const externalId = publisherService.getExternalId(draft, publisher.name);
+    const syncEntry = { platform: publisher.name, version: draft.version || 0, syncedBy: options.syncedBy || 'system' };
+    let action = 'create';
+    let changedFields = [];
+    let result;
+
+    if (externalId) {
+      action = 'update';
+      let updateData = draftData;
+
+      // WordPress compares with the live post to list changes and skip re-uploading the same image
+      if (isWordPress) {
+        const post = await publisher.getPost(externalId, company);
+        if (post.success) {
+          const comparison = this.compareWithPost(draft, draftData, post.data);
+          changedFields = comparison.changes.map(change => change.field);
+          updateData = { ...draftData, featuredImage: comparison.featuredImageChanged ? draftData.featuredImage : null };
+        } else {
+          action = 'recreate';
+          console.warn(`⚠️ WordPress post ${externalId} not found (${post.error}), creating a new one`);
+        }
+      }
+
+      if (action === 'update') {
+        report(60, 'deploying', `Updating existing ${publisher.label} post ${externalId}`);
+        result = await publisher.updatePost(externalId, updateData, company);
+        if (!result.success && result.notFound) {
+          action = 'recreate';
+          result = null;
+          console.warn(`⚠️ ${publisher.label} post ${externalId} not found, creating a new one`);
+        }
+      }
+    }
+
+    if (!result) {
+      report(60, 'deploying', `Creating ${publisher.label} draft`);
+      result = await publisher.createPost(draftData, company);
+    }
+
+    if (!result.success) {
+      await this.recordSync(draftId, {
+        ...syncEntry,
+        action,
+        wordpressId: isWordPress ? draft.wordpressId : undefined,
+        externalId,
+        success: false,
+        error: result.error
+      });
+      return {
+        success: false,
+        statusCode: 500,
+        message: action === 'update' ? `${publisher.label} update failed` : `${publisher.label} deployment failed`,
+        error: result.error
+      };
+    }
+
+    const uploadedImage = action !== 'update' || !isWordPress || changedFields.includes('featuredImage');
+    await this.recordSync(draftId, {
+      ...syncEntry,
+      action,
+      wordpressId: isWordPress ? result.wordpressId : undefined,
+      externalId: result.externalId,
+      changedFields,
+      featuredImageUrl: uploadedImage ? draftData.featuredImage?.url : this.lastSyncedImageUrl(draft),
+      success: true
+    });
+
+    const publication = {
+      platform: publisher.name,
+      externalId: result.externalId,
+      url: result.url,
+      editUrl: result.editUrl,
+      status: result.status,
+      updatedAt: new Date()
+    };
+    await Draft.findByIdAndUpdate(draftId, {
+      publication,
+      ...(isWordPress ? {
+        wordpressStatus: WORDPRESS_STATUSES[result.status] || 'draft',
+        wordpressId: result.wordpressId
+      } : {}),
+      status: 'ready_to_publish'
+    });
+
+    console.log(`✅ ${publisher.label} ${action} for draft ${draftId} (post ${result.externalId}${action === 'update' && isWordPress ? `, changed: ${changedFields.join(', ') || 'nothing'}` : ''})`);
+    return {
+      success: true,
+      message: action === 'update' ? `Successfully updated ${publisher.label} post` : `Successfully deployed to ${publisher.label}`,
+      action,
+      // Only WordPress updates are compared with the live post
+      changedFields: isWordPress ? changedFields : undefined,
+      platform: publisher.name,
+      externalId: result.externalId,
+      editUrl: result.editUrl,
+      previewUrl: result.url,
+      wordpressId: isWordPress ? result.wordpressId : undefined,
+      status: result.status
+    };
+  }
+}
+
+module.exports = new DraftDeploymentService();
@@ -0,0 +1,492 @@
+// services/draftExportService.js
+const axios = require('axios');
+const sharp = require('sharp');
+const PDFDocument = require('pdfkit');
+const {
+  AlignmentType,
+  Document,
+  ExternalHyperlink,
+  HeadingLevel,
+  ImageRun,
+  LevelFormat,
+  Packer,
+  Paragraph,
+  TextRun
+} = require('docx');
+const Draft = require('../models/Draft');
+const draftDeploymentService = require('./draftDeploymentService');
+const contentRendererService = require('./contentRendererService');
+
+const FORMATS = {
+  markdown: { extension: 'md', contentType: 'text/markdown; charset=utf-8' },
+  html: { extension: 'html', contentType: 'text/html; charset=utf-8' },
+  docx: { extension: 'docx', contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  pdf: { extension: 'pdf', contentType: 'application/pdf' }
+};
+
+const LIST_ITEM_PATTERN = /^\s*(?:([•*-])|(\d+)[.)])\s+/;
+// [text](url) from imports and the editor, or a bare URL
+const LINK_PATTERN = /\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)|(https?:\/\/[^\s)\]<>"]+)/g;
+const BOLD_PATTERN = /\*\*([^*]+)\*\*/g;
+const IMAGE_MAX_WIDTH = 1200;
+
+const escapeHtml = text => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// YAML double-quoted scalars accept JSON string syntax
+const yamlValue = value => (Array.isArray(value) ? `[${value.map(item => JSON.stringify(item)).join(', ')}]` : JSON.stringify(value));
+
+function splitBold(text, url) {
+  const runs = [];
+  let last = 0;
+  for (const match of text.matchAll(BOLD_PATTERN)) {
+    if (match.index > last) runs.push({ text: text.slice(last, match.index), url });
+    runs.push({ text: match[1], url, bold: true });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) runs.push({ text: text.slice(last), url });
+  return runs;
+}
+
+/**
+ * Block text → inline runs ({ text, url, bold })
+ * @param {string} text - Block text with Markdown links/bold or bare URLs
+ * @returns {Array} Runs
+ */
+function parseInline(text) {
+  const runs = [];
+  let last = 0;
+  for (const match of text.matchAll(LINK_PATTERN)) {
+    if (match.index > last) runs.push(...splitBold(text.slice(last, match.index)));
+    runs.push(...splitBold(match[1] || match[3], match[2] || match[3]));
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) runs.push(...splitBold(text.slice(last)));
+  return runs;
+}
+
+/**
+ * Block text → paragraph and list nodes. Blank lines separate paragraphs and lines
+ * starting with "•", "-", "*" or "1." form lists (the shape imports and the LLM produce).
+ */
+function textNodes(content) {
+  const nodes = [];
+  let paragraph = [];
+  let list = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) nodes.push({ type: 'paragraph', runs: parseInline(paragraph.join(' ')) });
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) nodes.push(list);
+    list = null;
+  };
+
+  (content || '').split('\n').forEach(rawLine => {
+    const line = rawLine.trim();
+    const item = line.match(LIST_ITEM_PATTERN);
+    if (!line) {
+      flushParagraph();
+      flushList();
+    } else if (item) {
+      flushParagraph();
+      const ordered = !!item[2];
+      if (!list || list.ordered !== ordered) {
+        flushList();
+        list = { type: 'list', ordered, items: [] };
+      }
+      list.items.push(parseInline(line.slice(item[0].length)));
+    } else {
+      flushList();
+      paragraph.push(line);
+    }
+  });
+  flushParagraph();
+  flushList();
+  return nodes;
+}
+
+const linkItems = links => (links || []).map(link => {
+  const description = link.context || link.description;
+  return [
+    { text: link.anchorText || link.title || link.targetUrl || link.url, url: link.targetUrl || link.url },
+    ...(description ? [{ text: ` - ${description}` }] : [])
+  ];
+}).filter(item => item[0].url);
+
+/**
+ * Exports a draft's content blocks as a file for review outside the platform:
+ * Markdown with front-matter, standalone HTML, DOCX or PDF.
+ *
+ * Markdown, DOCX and PDF are rendered from the same node list (headings, paragraphs,
+ * lists, images) built from generatedContent.contentBlocks, so they all carry the same
+ * text. HTML uses the shared content renderer, so it matches the WordPress post.
+ */
+class DraftExportService {
+  get formats() {
+    return Object.keys(FORMATS);
+  }
+
+  async loadDraft(draftId) {
+    return Draft.findById(draftId).populate({
+      path: 'blogId',
+      populate: { path: 'companyId' }
+    });
+  }
+
+  /**
+   * Title, meta and content nodes of a draft
+   * @param {Object} draft - Draft document with blogId/companyId populated
+   * @returns {Object} { meta, nodes }
+   */
+  buildDocument(draft) {
+    const fields = draftDeploymentService.buildDraftFields(draft);
+    const meta = {
+      title: fields.title,
+      metaTitle: fields.metaTitle,
+      metaDescription: fields.metaDescription,
+      focusKeyword: fields.focusKeyword,
+      slug: fields.slug,
+      categories: fields.categoryNames,
+      tags: fields.tagNames,
+      featuredImage: fields.featuredImage,
+      company: draft.blogId?.companyId?.name
+    };
+
+    const nodes = [];
+    fields.contentBlocks.forEach(block => {
+      const content = (block.content || '').trim();
+      if (block.type === 'h1' || block.type === 'title') {
+        return; // Rendered from meta.title
+      }
+      if (block.type === 'h2' || block.type === 'h3') {
+        if (content) nodes.push({ type: 'heading', level: block.type === 'h2' ? 2 : 3, text: content });
+      } else if (block.type === 'image') {
+        const url = fields.uploadedImages[block.id] || block.imageUrl;
+        if (url && block.imageType !== 'feature') {
+          nodes.push({ type: 'image', url, alt: block.altText || block.alt || '' });
+        }
+      } else if (block.type === 'references') {
+        if (content) nodes.push({ type: 'heading', level: 2, text: 'References' }, ...textNodes(content));
+      } else if (block.type === 'list') {
+        const items = content.split('\n').map(item => item.replace(LIST_ITEM_PATTERN, '').trim()).filter(Boolean);
+        if (items.length > 0) nodes.push({ type: 'list', ordered: !!block.ordered, items: items.map(parseInline) });
+      } else if (content) {
+        // introduction, section, paragraph, conclusion, quote...
+        nodes.push(...textNodes(content));
+      }
+    });
+
+    [['Related Articles', draft.internalLinks], ['Additional Resources', draft.externalLinks]].forEach(([heading, links]) => {
+      const items = linkItems(links);
+      if (items.length > 0) nodes.push({ type: 'heading', level: 3, text: heading }, { type: 'list', ordered: false, items });
+    });
+
+    return { meta, nodes };
+  }
+
+  metaRows(meta) {
+    return [
+      ['Meta title', meta.metaTitle],
+      ['Meta description', meta.metaDescription],
+      ['Focus keyword', meta.focusKeyword],
+      ['Slug', meta.slug],
+      ['Categories', meta.categories.join(', ')],
+      ['Tags', meta.tags.join(', ')]
+    ].filter(([, value]) => value);
+  }
+
+  toMarkdown({ meta, nodes }) {
+    const inline = runs => runs.map(run => {
+      const text = run.bold ? `**${run.text}**` : run.text;
+      return run.url && run.url !== run.text ? `[${text}](${run.url})` : text;
+    }).join('');
+
+    const frontMatter = {
+      title: meta.title,
+      metaTitle: meta.metaTitle,
+      description: meta.metaDescription,
+      keyword: meta.focusKeyword,
+      slug: meta.slug,
+      categories: meta.categories,
+      tags: meta.tags,
+      image: meta.featuredImage?.url
+    };
+    const lines = ['---'];
+    Object.entries(frontMatter).forEach(([key, value]) => {
+      if (!value || (Array.isArray(value) && value.length === 0)) return;
+      lines.push(`${key}: ${yamlValue(value)}`);
+    });
+    lines.push('---', '', `# ${meta.title}`, '');
+
+    nodes.forEach(node => {
+      if (node.type === 'heading') {
+        lines.push(`${'#'.repeat(node.level)} ${node.text}`, '');
+      } else if (node.type === 'paragraph') {
+        lines.push(inline(node.runs), '');
+      } else if (node.type === 'list') {
+        lines.push(...node.items.map((item, index) => `${node.ordered ? `${index + 1}.` : '-'} ${inline(item)}`), '');
+      } else if (node.type === 'image') {
+        lines.push(`![${node.alt}](${node.url})`, '');
+      }
+    });
+
+    return lines.join('\n').trimEnd() + '\n';
+  }
+
+  /**
+   * Standalone HTML page; the article is the same HTML WordPress receives
+   * @param {Object} document - buildDocument output (for the meta table)
+   * @param {Object} draftData - draftDeploymentService.buildDraftData output
+   */
+  toHtml({ meta }, draftData) {
+    const body = contentRendererService.render(draftData, contentRendererService.platformTarget('wordpress'));
+
+    const rows = this.metaRows(meta).map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(meta.metaTitle || meta.title)}</title>
+${meta.metaDescription ? `<meta name="description" content="${escapeHtml(meta.metaDescription)}">\n` : ''}${meta.focusKeyword ? `<meta name="keywords" content="${escapeHtml(meta.focusKeyword)}">\n` : ''}<style>
+body { max-width: 800px; margin: 40px auto; padding: 0 20px; }
+figure { margin: 24px 0; }
+img { max-width: 100%; height: auto; }
+a { color: #0066cc; }
+table.meta { width: 100%; border-collapse: collapse; margin-bottom: 32px; font-family: Arial, sans-serif; font-size: 14px; }
+table.meta th, table.meta td { text-align: left; vertical-align: top; padding: 6px 8px; border-bottom: 1px solid #e5e5e5; }
+table.meta th { width: 160px; color: #666; font-weight: 600; }
+</style>
+</head>
+<body>
+<article>
+${rows ? `<table class="meta">\n${rows}\n</table>\n` : ''}${meta.featuredImage?.url ? `<figure><img src="${escapeHtml(meta.featuredImage.url)}" alt="${escapeHtml(meta.featuredImage.altText)}"></figure>\n` : ''}${body}</article>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Download an image as JPEG for DOCX/PDF (neither embeds WebP); null when it cannot be loaded
+   * @returns {Object|null} { data, width, height }
+   */
+  async loadImage(url) {
+    try {
+      const response = await axios.get(url, { responseType: 'arraybuffer', timeout: 15000, maxContentLength: 10 * 1024 * 1024 });
+      const { data, info } = await sharp(Buffer.from(response.data))
+        .resize({ width: IMAGE_MAX_WIDTH, withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      return { data, width: info.width, height: info.height };
+    } catch (error) {
+      console.warn(`⚠️ Export image skipped (${url}): ${error.message}`);
+      return null;
+    }
+  }
+
+  // Images of the document by URL, loaded one at a time
+  async loadImages(document) {
+    const urls = [
+      ...(document.meta.featuredImage?.url ? [document.meta.featuredImage.url] : []),
+      ...document.nodes.filter(node => node.type === 'image').map(node => node.url)
+    ];
+    const images = new Map();
+    for (const url of new Set(urls)) {
+      images.set(url, await this.loadImage(url));
+    }
+    return images;
+  }
+
+  async toDocx(document) {
+    const { meta, nodes } = document;
+    const images = await this.loadImages(document);
+
+    const runs = items => items.map(run => {
+      if (!run.url) return new TextRun({ text: run.text, bold: run.bold });
+      return new ExternalHyperlink({ link: run.url, children: [new TextRun({ text: run.text, bold: run.bold, style: 'Hyperlink' })] });
+    });
+    const image = (url, alt) => {
+      const loaded = images.get(url);
+      if (!loaded) return [];
+      const width = Math.min(loaded.width, 600);
+      return [new Paragraph({
+        alignment: AlignmentType.CENTER,
+        children: [new ImageRun({
+          type: 'jpg',
+          data: loaded.data,
+          transformation: { width, height: Math.round(loaded.height * (width / loaded.width)) },
+          altText: { name: alt || 'Image', description: alt || '', title: alt || '' }
+        })]
+      })];
+    };
+
+    const children = this.metaRows(meta).map(([label, value]) => new Paragraph({
+      children: [new TextRun({ text: `${label}: `, bold: true, color: '666666' }), new TextRun({ text: value, color: '666666' })]
+    }));
+    children.push(new Paragraph({ heading: HeadingLevel.TITLE, children: [new TextRun(meta.title)] }));
+    if (meta.featuredImage?.url) children.push(...image(meta.featuredImage.url, meta.featuredImage.altText));
+
+    let orderedLists = 0;
+    nodes.forEach(node => {
+      if (node.type === 'heading') {
+        children.push(new Paragraph({ heading: node.level === 2 ? HeadingLevel.HEADING_2 : HeadingLevel.HEADING_3, children: [new TextRun(node.text)] }));
+      } else if (node.type === 'paragraph') {
+        children.push(new Paragraph({ children: runs(node.runs), spacing: { after: 160 } }));
+      } else if (node.type === 'image') {
+        children.push(...image(node.url, node.alt));
+      } else if (node.type === 'list') {
+        // Each ordered list restarts at 1
+        const instance = node.ordered ? ++orderedLists : undefined;
+        node.items.forEach(item => children.push(new Paragraph({
+          children: runs(item),
+          ...(node.ordered ? { numbering: { reference: 'ordered-list', level: 0, instance } } : { bullet: { level: 0 } })
+        })));
+      }
+    });
+
+    const doc = new Document({
+      title: meta.metaTitle || meta.title,
+      description: meta.metaDescription || '',
+      keywords: meta.focusKeyword || '',
+      creator: meta.company || 'AI Blog Platform',
+      numbering: {
+        config: [{
+          reference: 'ordered-list',
+          levels: [{
+            level: 0,
+            format: LevelFormat.DECIMAL,
+            text: '%1.',
+            alignment: AlignmentType.START,
+            style: { paragraph: { indent: { left: 720, hanging: 360 } } }
+          }]
+        }]
+      },
+      sections: [{ children }]
+    });
+    return Packer.toBuffer(doc);
+  }
+
+  async toPdf(document) {
+    const { meta, nodes } = document;
+    const images = await this.loadImages(document);
+
+    const pdf = new PDFDocument({
+      size: 'A4',
+      margin: 56,
+      info: {
+        Title: meta.metaTitle || meta.title,
+        Subject: meta.metaDescription || '',
+        Keywords: meta.focusKeyword || '',
+        Author: meta.company || ''
+      }
+    });
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+      pdf.on('data', chunk => chunks.push(chunk));
+      pdf.on('end', () => resolve(Buffer.concat(chunks)));
+      pdf.on('error', reject);
+    });
+
+    const left = pdf.page.margins.left;
+    const contentWidth = pdf.page.width - left - pdf.page.margins.right;
+    const writeRuns = (items, options = {}) => {
+      items.forEach((run, index) => {
+        pdf.font(run.bold ? 'Helvetica-Bold' : 'Helvetica')
+          .fillColor(run.url ? '#0066cc' : '#222222')
+          .text(run.text, { ...options, link: run.url || null, underline: !!run.url, continued: index < items.length - 1 });
+      });
+    };
+    const drawImage = url => {
+      const loaded = images.get(url);
+      if (!loaded) return;
+      const width = Math.min(contentWidth, loaded.width);
+      const height = loaded.height * (width / loaded.width);
+      const fitted = height > 360 ? { width: width * (360 / height), height: 360 } : { width, height };
+      if (pdf.y + fitted.height > pdf.page.height - pdf.page.margins.bottom) pdf.addPage();
+      pdf.image(loaded.data, left + (contentWidth - fitted.width) / 2, pdf.y, fitted);
+      pdf.y += fitted.height;
+      pdf.moveDown(0.8);
+    };
+
+    const rows = this.metaRows(meta);
+    if (rows.length > 0) {
+      pdf.fontSize(9);
+      rows.forEach(([label, value]) => {
+        pdf.font('Helvetica-Bold').fillColor('#666666').text(`${label}: `, { continued: true }).font('Helvetica').text(value);
+      });
+      pdf.moveDown(1.5);
+    }
+
+    pdf.font('Helvetica-Bold').fontSize(22).fillColor('#111111').text(meta.title);
+    pdf.moveDown(0.8);
+    if (meta.featuredImage?.url) drawImage(meta.featuredImage.url);
+
+    nodes.forEach(node => {
+      if (node.type === 'heading') {
+        pdf.moveDown(0.6).font('Helvetica-Bold').fontSize(node.level === 2 ? 16 : 13).fillColor('#111111').text(node.text);
+        pdf.moveDown(0.4);
+      } else if (node.type === 'paragraph') {
+        pdf.fontSize(11);
+        writeRuns(node.runs, { lineGap: 3 });
+        pdf.moveDown(0.8);
+      } else if (node.type === 'image') {
+        drawImage(node.url);
+      } else if (node.type === 'list') {
+        pdf.fontSize(11);
+        node.items.forEach((item, index) => {
+          pdf.x = left + 16;
+          writeRuns([{ text: node.ordered ? `${index + 1}. ` : '•  ' }, ...item], { lineGap: 3 });
+          pdf.moveDown(0.2);
+        });
+        pdf.x = left;
+        pdf.moveDown(0.6);
+      }
+    });
+
+    pdf.end();
+    return finished;
+  }
+
+  /**
+   * Render a draft as a downloadable file
+   * @param {string} draftId - Draft ID
+   * @param {string} format - markdown | html | docx | pdf
+   * @returns {Object|null} { fileName, contentType, body } or { error, statusCode }; null when the draft does not exist
+   */
+  async exportDraft(draftId, format) {
+    const target = FORMATS[format];
+    if (!target) {
+      return { error: `Unsupported export format "${format}". Use one of: ${this.formats.join(', ')}`, statusCode: 400 };
+    }
+
+    const draft = await this.loadDraft(draftId);
+    if (!draft) return null;
+
+    const document = this.buildDocument(draft);
+    if (document.nodes.length === 0) {
+      return { error: 'The draft has no content to export yet', statusCode: 400 };
+    }
+
+    let body;
+    if (format === 'markdown') body = this.toMarkdown(document);
+    else if (format === 'html') body = this.toHtml(document, await draftDeploymentService.buildDraftData(draft));
+    else if (format === 'docx') body = await this.toDocx(document);
+    else body = await this.toPdf(document);
+
+    console.log(`📄 Exported draft ${draftId} as ${format} (${document.nodes.length} nodes)`);
+    return {
+      fileName: `${document.meta.slug || 'draft'}.${target.extension}`,
+      contentType: target.contentType,
+      body
+    };
+  }
+}
+
+module.exports = new DraftExportService();
@@ -0,0 +1,204 @@
+// services/draftRevisionService.js
+const Draft = require('../models/Draft');
+const DraftRevision = require('../models/DraftRevision');
+const seoScoringService = require('./seoScoringService');
+
+// Draft fields copied into every revision and written back on restore
+const SNAPSHOT_FIELDS = [
+  'title',
+  'metaTitle',
+  'metaDescription',
+  'selectedKeyword',
+  'selectedH1',
+  'selectedMetaTitle',
+  'selectedMetaDescription',
+  'generatedContent'
+];
+
+const META_FIELDS = SNAPSHOT_FIELDS.filter(field => field !== 'generatedContent');
+
+// Block fields that do not count as a content change
+const IGNORED_BLOCK_FIELDS = ['wordCount', 'originalContent', 'editable', 'alternatives', 'metadata'];
+
+/**
+ * Immutable revision history for drafts.
+ * Every recorded change bumps Draft.version and stores a full snapshot.
+ */
+class DraftRevisionService {
+  buildSnapshot(draft) {
+    const source = typeof draft.toObject === 'function' ? draft.toObject() : draft;
+    const snapshot = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+      snapshot[field] = source[field] === undefined ? null : source[field];
+    });
+    return JSON.parse(JSON.stringify(snapshot));
+  }
+
+  /**
+   * Record the current state of a draft as a new revision and refresh Draft.seoAnalysis,
+   * so every versioned change to content or meta keeps the score current
+   * @param {string} draftId - Draft ID
+   * @param {Object} options - { stage, createdBy, summary, restoredFrom }
+   * @returns {Object|null} Created revision, or null when the draft does not exist
+   */
+  async recordRevision(draftId, options = {}) {
+    const { stage, createdBy = 'system', summary, restoredFrom } = options;
+
+    // Atomic increment so concurrent saves never share a version number
+    const draft = await Draft.findByIdAndUpdate(draftId, { $inc: { version: 1 } }, { new: true });
+    if (!draft) return null;
+
+    const revision = await DraftRevision.create({
+      draftId: draft._id,
+      version: draft.version,
+      stage,
+      createdBy,
+      summary,
+      restoredFrom,
+      snapshot: this.buildSnapshot(draft)
+    });
+
+    console.log(`🗂️ Recorded ${stage} revision v${revision.version} for draft ${draftId}`);
+    await seoScoringService.safeAnalyzeDraft(draftId);
+    return revision;
+  }
+
+  /**
+   * Record a revision without failing the request that triggered it
+   */
+  async safeRecordRevision(draftId, options = {}) {
+    try {
+      return await this.recordRevision(draftId, options);
+    } catch (error) {
+      console.warn(`⚠️ Could not record ${options.stage} revision for draft ${draftId}:`, error.message);
+      return null;
+    }
+  }
+
+  async listRevisions(draftId) {
+    return DraftRevision.find({ draftId })
+      .select('-snapshot')
+      .sort({ version: -1 });
+  }
+
+  async getRevision(draftId, version) {
+    return DraftRevision.findOne({ draftId, version });
+  }
+
+  /**
+   * Block-level diff between two revisions
+   * @returns {Object|null} Diff, or null when either revision is missing
+   */
+  async diffRevisions(draftId, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      this.getRevision(draftId, fromVersion),
+      this.getRevision(draftId, toVersion)
+    ]);
+    if (!from || !to) return null;
+
+    const fromSnapshot = from.toObject().snapshot || {};
+    const toSnapshot = to.toObject().snapshot || {};
+
+    return {
+      from: { version: from.version, stage: from.stage, createdBy: from.createdBy, createdAt: from.createdAt },
+      to: { version: to.version, stage: to.stage, createdBy: to.createdBy, createdAt: to.createdAt },
+      meta: this.diffMeta(fromSnapshot, toSnapshot),
+      blocks: this.diffBlocks(
+        fromSnapshot.generatedContent?.contentBlocks || [],
+        toSnapshot.generatedContent?.contentBlocks || []
+      )
+    };
+  }
+
+  diffMeta(fromSnapshot, toSnapshot) {
+    return META_FIELDS
+      .filter(field => (fromSnapshot[field] || null) !== (toSnapshot[field] || null))
+      .map(field => ({
+        field,
+        before: fromSnapshot[field] || null,
+        after: toSnapshot[field] || null
+      }));
+  }
+
+  diffBlocks(fromBlocks, toBlocks) {
+    const blockKey = (block, index) => block?.id || `index-${index}`;
+    const fromByKey = new Map(fromBlocks.map((block, index) => [blockKey(block, index), block]));
+    const toKeys = new Set(toBlocks.map((block, index) => blockKey(block, index)));
+
+    // Order among blocks present in both versions, so inserts and deletes do not count as moves
+    const sharedFrom = fromBlocks.map(blockKey).filter(key => toKeys.has(key));
+    const sharedTo = toBlocks.map(blockKey).filter(key => fromByKey.has(key));
+    const diff = [];
+
+    toBlocks.forEach((block, index) => {
+      const key = blockKey(block, index);
+      const previous = fromByKey.get(key);
+
+      if (!previous) {
+        diff.push({ id: key, status: 'added', type: block.type, after: block });
+        return;
+      }
+
+      const changedFields = this.changedBlockFields(previous, block);
+      diff.push({
+        id: key,
+        status: changedFields.length > 0
+          ? 'modified'
+          : sharedFrom.indexOf(key) !== sharedTo.indexOf(key) ? 'moved' : 'unchanged',
+        type: block.type,
+        changedFields,
+        before: previous,
+        after: block
+      });
+    });
+
+    fromBlocks.forEach((block, index) => {
+      const key = blockKey(block, index);
+      if (!toKeys.has(key)) {
+        diff.push({ id: key, status: 'removed', type: block.type, before: block });
+      }
+    });
+
+    return diff;
+  }
+
+  changedBlockFields(before = {}, after = {}) {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...fields].filter(field =>
+      !IGNORED_BLOCK_FIELDS.includes(field) &&
+      JSON.stringify(before[field]) !== JSON.stringify(after[field])
+    );
+  }
+
+  /**
+   * Copy a revision back onto the draft and record the restore as a new revision
+   * @returns {Object|null} { draft, revision }, or null when the revision does not exist
+   */
+  async restoreRevision(draftId, version, createdBy = 'system') {
+    const source = await this.getRevision(draftId, version);
+    if (!source) return null;
+
+    const snapshot = source.toObject().snapshot || {};
+    const update = {};
+    SNAPSHOT_FIELDS.forEach(field => {
+      update[field] = snapshot[field] ?? null;
+    });
+    if (update.generatedContent) {
+      update.generatedContent.lastSaved = new Date();
+    }
+
+    const draft = await Draft.findByIdAndUpdate(draftId, update, { new: true });
+    if (!draft) return null;
+
+    const revision = await this.recordRevision(draftId, {
+      stage: 'restore',
+      createdBy,
+      summary: `Restored version ${version}`,
+      restoredFrom: version
+    });
+
+    return { draft, revision };
+  }
+}
+
+module.exports = new DraftRevisionService();
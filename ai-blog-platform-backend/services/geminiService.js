@@ -1,88 +1,86 @@
 // services/geminiService.js
-const axios = require('axios');
+const llmProviderService = require('./llmProviderService');
 require('dotenv').config();
 
 class GeminiService {
   constructor() {
     this.apiKey = process.env.GEMINI_API_KEY;
-    // Use multiple models for fallback when one is overloaded
-    this.textModels = [
-      'gemini-2.0-flash-exp', // Latest Gemini 2.0 Flash (PRIMARY - most efficient)
-      'gemini-1.5-pro-002',   // High quality fallback
-      'gemini-1.5-flash-002', // Faster fallback
-      'gemini-pro'            // Final fallback model
-    ];
+    // Text models and cross-provider fallback now live in llmProviderService
+    this.textModels = llmProviderService.getProvider('gemini').models;
     this.currentModelIndex = 0;
     this.imageModel = 'imagen-3.0-generate-001'; // Imagen 3.0 for image generation
     this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
   }
 
-  async generateContent(prompt, companyContext = {}) {
+  /**
+   * Generate text through the configured LLM provider chain
+   * @param {string} prompt - Prompt text
+   * @param {Object} companyContext - Company information (may include llmConfig)
+   * @param {Object} options - { provider, model, fallbackChain } per-request override plus generation options
+   * @returns {Object} { content, keywords, wordCount, provider, model }
+   */
+  async generateContent(prompt, companyContext = {}, options = {}) {
+    // Provider selection travels with the company context but must not leak into the prompt
+    const { llmConfig, ...promptContext } = companyContext || {};
+
     // Validate company context to ensure content is always company-specific
-    const validatedContext = this.validateCompanyContext(companyContext);
+    const validatedContext = this.validateCompanyContext(promptContext);
+
+    const { provider, model, fallbackChain, ...generationOptions } = options;
+    const selection = llmProviderService.resolveSelection(
+      llmConfig,
+      provider ? { provider, model, fallbackChain } : null
+    );
 
-    if (!this.apiKey || this.apiKey === 'your_gemini_api_key_here') {
-      console.warn('⚠️ Gemini API key not configured, using high-quality fallback content');
+    if (llmProviderService.resolveChain(selection).length === 0) {
+      console.warn('⚠️ No LLM provider configured, using high-quality fallback content');
       return this.generateHighQualityFallback(prompt, validatedContext);
     }
 
-    // Try multiple models in case one is overloaded
-    for (let i = 0; i < this.textModels.length; i++) {
-      const model = this.textModels[i];
-      try {
-        console.log(`🤖 Trying Gemini model: ${model}`);
-        console.log('🔑 Gemini API Key in service:', this.apiKey ? 'SET' : 'NOT SET');
-
-        const contextualPrompt = this.buildContextualPrompt(prompt, validatedContext);
-
-        const response = await axios.post(
-          `${this.baseUrl}/${model}:generateContent?key=${this.apiKey}`,
-          {
-            contents: [{
-              parts: [{
-                text: contextualPrompt
-              }]
-            }],
-            generationConfig: {
-              temperature: 0.7,
-              topK: 40,
-              topP: 0.95,
-              maxOutputTokens: 8192,
-              candidateCount: 1,
-            }
-          },
-          {
-            headers: {
-              'Content-Type': 'application/json',
-            },
-            timeout: 30000 // 30 second timeout
-          }
-        );
+    try {
+      const contextualPrompt = this.buildContextualPrompt(prompt, validatedContext);
+      const result = await llmProviderService.generate(contextualPrompt, selection, generationOptions);
+      const generatedText = result.text;
+
+      console.log(`🔍 Generated content preview: "${generatedText.substring(0, 200)}..."`);
+      console.log(`🏢 Company mentioned in content: ${generatedText.includes(validatedContext.name || 'WattMonk') ? 'YES' : 'NO'}`);
 
-        const generatedText = response.data.candidates[0].content.parts[0].text;
-        console.log(`✅ Successfully generated content with ${model}`);
-        console.log(`🔍 Generated content preview: "${generatedText.substring(0, 200)}..."`);
-        console.log(`🏢 Company mentioned in content: ${generatedText.includes(validatedContext.name || 'WattMonk') ? 'YES' : 'NO'}`);
+      return {
+        content: generatedText,
+        keywords: this.extractKeywords(generatedText),
+        wordCount: generatedText.split(' ').length,
+        provider: result.provider,
+        model: result.model
+      };
+    } catch (error) {
+      console.warn(`🔄 ${error.message}, using high-quality fallback content`);
+      return this.generateHighQualityFallback(prompt, validatedContext);
+    }
+  }
 
-        return {
-          content: generatedText,
-          keywords: this.extractKeywords(generatedText),
-          wordCount: generatedText.split(' ').length
-        };
+  /**
+   * Generate replacement text for a single editor block
+   * @param {string} prompt - Block-specific prompt
+   * @param {string} blockType - introduction, section, conclusion...
+   * @param {Object} companyContext - Company information (may include llmConfig)
+   * @param {Object} options - Per-request provider override
+   * @returns {Object} { content, wordCount, blockType, provider, model }
+   */
+  async generateBlockContent(prompt, blockType, companyContext = {}, options = {}) {
+    const blockPrompt = `${prompt}
 
-      } catch (error) {
-        console.error(`❌ Model ${model} failed:`, error.response?.data?.error?.message || error.message);
+Return only the ${blockType} text as plain paragraphs. Do not include headings, JSON, markdown formatting or commentary.`;
 
-        // If this is the last model, use high-quality fallback
-        if (i === this.textModels.length - 1) {
-          console.warn('🔄 All Gemini models failed, using high-quality fallback content');
-          return this.generateHighQualityFallback(prompt, companyContext);
-        }
+    const result = await this.generateContent(blockPrompt, companyContext, options);
+    const content = this.cleanMarkdown(result.content);
 
-        // Try next model
-        continue;
-      }
-    }
+    return {
+      content,
+      wordCount: this.countWords(content),
+      blockType,
+      provider: result.provider,
+      model: result.model
+    };
   }
 
   /**
@@ -782,71 +780,16 @@ RESPOND WITH VALID JSON ONLY (no extra text):
   }
 
   calculateSEOScore(content, keyword, metaTitle, metaDescription) {
-    let score = 0;
-    const maxScore = 100;
-
     if (!content || !keyword) return 0;
 
-    const keywordLower = keyword.toLowerCase();
-    const wordCount = this.countWords(content);
-
-    // Keyword in title (15 points)
-    if (metaTitle && metaTitle.toLowerCase().includes(keywordLower)) {
-      score += 15;
-    }
-
-    // Keyword in meta description (10 points)
-    if (metaDescription && metaDescription.toLowerCase().includes(keywordLower)) {
-      score += 10;
-    }
-
-    // Content length (20 points) - 1102+ words for optimal score
-    if (wordCount >= 1102) {
-      score += 20;
-    } else if (wordCount >= 800) {
-      score += 15;
-    } else if (wordCount >= 500) {
-      score += 10;
-    }
-
-    // Keyword density (15 points) - 0.5% to 2.5% is optimal
-    const keywordCount = (content.match(new RegExp(keywordLower, 'gi')) || []).length;
-    const density = (keywordCount / wordCount) * 100;
-    if (density >= 0.5 && density <= 2.5) {
-      score += 15;
-    } else if (density >= 0.3 && density <= 3.0) {
-      score += 10;
-    }
-
-    // Keyword in first 10% of content (15 points)
-    const first10Percent = content.substring(0, Math.floor(content.length * 0.1));
-    if (first10Percent.toLowerCase().includes(keywordLower)) {
-      score += 15;
-    }
-
-    // Meta description length (10 points) - 140-160 chars optimal
-    if (metaDescription) {
-      const metaLength = metaDescription.length;
-      if (metaLength >= 140 && metaLength <= 160) {
-        score += 10;
-      } else if (metaLength >= 120 && metaLength <= 180) {
-        score += 7;
-      }
-    }
-
-    // Title length (10 points) - under 60 chars
-    if (metaTitle && metaTitle.length <= 60) {
-      score += 10;
-    } else if (metaTitle && metaTitle.length <= 70) {
-      score += 7;
-    }
-
-    // Content structure (5 points) - has H2 headings
-    if (content.includes('<h2')) {
-      score += 5;
-    }
-
-    return Math.min(score, maxScore);
+    // Same rules as every other score in the platform
+    const seoScoringService = require('./seoScoringService');
+    return seoScoringService.score({
+      keyword,
+      seoTitle: metaTitle,
+      metaDescription,
+      contentBlocks: [{ type: 'paragraph', content }]
+    }).score;
   }
 
   cleanMarkdown(text) {
@@ -1,8 +1,18 @@
 // services/googleSheetsService.js
 const { GoogleSpreadsheet } = require('google-spreadsheet');
 const { JWT } = require('google-auth-library');
+const FakeSheetsApi = require('./sheets/fakeSheetsApi');
 
 class GoogleSheetsService {
+  constructor() {
+    this.fakeApi = null;
+  }
+
+  // Talk to a local fake Sheets API instead of Google (see services/sheets/fakeSheetsApi.js)
+  useFakeApi(fakeApi) {
+    this.fakeApi = fakeApi;
+  }
+
   getAuth() {
     try {
       const privateKey = process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n');
@@ -22,33 +32,55 @@ class GoogleSheetsService {
     }
   }
 
-  async syncBlogDataSheet(spreadsheetId, sheetTitle = 'Manual Keywords') {
-    try {
-      const doc = new GoogleSpreadsheet(spreadsheetId, this.getAuth());
-      await doc.loadInfo();
-      
-      const sheet = doc.sheetsByTitle[sheetTitle];
-      if (!sheet) {
-        throw new Error(`Sheet "${sheetTitle}" not found`);
-      }
+  /**
+   * Spreadsheet handle: google-spreadsheet, or the fake API when one is set
+   */
+  openSpreadsheet(spreadsheetId) {
+    if (!this.fakeApi && process.env.GOOGLE_SHEETS_FAKE_FILE) {
+      this.fakeApi = new FakeSheetsApi({ filePath: process.env.GOOGLE_SHEETS_FAKE_FILE });
+    }
+    if (this.fakeApi) return this.fakeApi.spreadsheet(spreadsheetId);
+    return new GoogleSpreadsheet(spreadsheetId, this.getAuth());
+  }
 
-      const rows = await sheet.getRows();
-      const blogData = rows.map(row => {
-        const articleFormat = row.get('Article Format') || row.get('article_format') || '';
-        const normalizedFormat = articleFormat.toLowerCase().replace(/\s+/g, '-');
+  async openSheet(spreadsheetId, sheetTitle) {
+    const doc = this.openSpreadsheet(spreadsheetId);
+    await doc.loadInfo();
 
-        return {
-          focusKeyword: row.get('Focus Keyword') || row.get('focus_keyword'),
-          articleFormat: normalizedFormat,
-          wordCount: parseInt(row.get('Word Count') || row.get('word_count')) || 1000,
-          targetAudience: row.get('Target Audience') || row.get('target_audience'),
-          objective: row.get('Objective') || row.get('objective'),
-          priority: parseInt(row.get('Priority')) || 1,
-          status: row.get('Status')?.toLowerCase() || 'pending'
-        };
-      }).filter(item => item.focusKeyword);
+    const sheet = doc.sheetsByTitle[sheetTitle];
+    if (!sheet) {
+      throw new Error(`Sheet "${sheetTitle}" not found`);
+    }
+    return sheet;
+  }
+
+  /**
+   * "Manual Keywords" row → BlogData fields (assigneeEmail instead of assignee)
+   */
+  parseBlogRow(row) {
+    const articleFormat = row.get('Article Format') || row.get('article_format') || '';
+    const normalizedFormat = articleFormat.toLowerCase().replace(/\s+/g, '-');
+    const targetDate = new Date(row.get('Target Date') || '');
+
+    return {
+      focusKeyword: row.get('Focus Keyword') || row.get('focus_keyword'),
+      articleFormat: normalizedFormat,
+      wordCount: parseInt(row.get('Word Count') || row.get('word_count')) || 1000,
+      targetAudience: row.get('Target Audience') || row.get('target_audience'),
+      objective: row.get('Objective') || row.get('objective'),
+      priority: parseInt(row.get('Priority')) || 1,
+      status: row.get('Status')?.toLowerCase() || 'pending',
+      // Optional planning columns for the content calendar
+      targetDate: isNaN(targetDate) ? undefined : targetDate,
+      assigneeEmail: row.get('Assignee')?.trim().toLowerCase() || undefined
+    };
+  }
 
-      return blogData;
+  async syncBlogDataSheet(spreadsheetId, sheetTitle = 'Manual Keywords') {
+    try {
+      const sheet = await this.openSheet(spreadsheetId, sheetTitle);
+      const rows = await sheet.getRows();
+      return rows.map(row => this.parseBlogRow(row)).filter(item => item.focusKeyword);
     } catch (error) {
       console.error('Google Sheets sync error:', error);
       throw error;
@@ -57,13 +89,7 @@ class GoogleSheetsService {
 
   async syncCompanyDataSheet(spreadsheetId, sheetTitle = 'Wattmonk KT') {
     try {
-      const doc = new GoogleSpreadsheet(spreadsheetId, this.getAuth());
-      await doc.loadInfo();
-      
-      const sheet = doc.sheetsByTitle[sheetTitle];
-      if (!sheet) {
-        throw new Error(`Sheet "${sheetTitle}" not found`);
-      }
+      const sheet = await this.openSheet(spreadsheetId, sheetTitle);
 
       const rows = await sheet.getRows();
       const companyData = rows.map(row => ({
@@ -93,13 +119,7 @@ class GoogleSheetsService {
 
   async getKeywordsFromSheet(spreadsheetId, sheetTitle = 'Manual Keywords') {
     try {
-      const doc = new GoogleSpreadsheet(spreadsheetId, this.getAuth());
-      await doc.loadInfo();
-
-      const sheet = doc.sheetsByTitle[sheetTitle];
-      if (!sheet) {
-        throw new Error(`Sheet "${sheetTitle}" not found`);
-      }
+      const sheet = await this.openSheet(spreadsheetId, sheetTitle);
 
       const rows = await sheet.getRows();
       const keywords = rows.map(row => {
@@ -0,0 +1,145 @@
+// services/jobHandlers.js
+const Draft = require('../models/Draft');
+const jobQueueService = require('./jobQueueService');
+const contentGenerationService = require('./contentGenerationService');
+const draftDeploymentService = require('./draftDeploymentService');
+const imageService = require('./imageService');
+const schedulingService = require('./schedulingService');
+const contentRefreshService = require('./contentRefreshService');
+const sheetsSyncService = require('./sheetsSyncService');
+
+// Errors that retrying cannot fix (missing draft, bad input)
+function permanentError(message) {
+  const error = new Error(message);
+  error.permanent = true;
+  return error;
+}
+
+async function generateStructuredContentJob(payload, job) {
+  const result = await contentGenerationService.generateStructuredContent(
+    payload.draftId,
+    { llmProvider: payload.llmProvider },
+    job.progress
+  );
+  if (!result) throw permanentError('Draft not found');
+  return result;
+}
+
+async function generateMetaScoresJob(payload, job) {
+  const result = await contentGenerationService.generateMetaOptions(
+    payload.draftId,
+    { selectedKeyword: payload.selectedKeyword, llmProvider: payload.llmProvider },
+    job.progress
+  );
+  if (!result) throw permanentError('Draft not found');
+  return result;
+}
+
+async function generateImageJob(payload, job) {
+  const { prompt, style = 'realistic', imageType = 'featured', blogTitle = '', customTitle, draftId, blockId } = payload;
+  if (!prompt) throw permanentError('Prompt is required');
+
+  await job.progress(10, 'generating-image', `Generating ${imageType} image`);
+  const imageResult = await imageService.generateImageWithAI(prompt, style, imageType, blogTitle, customTitle);
+
+  if (!imageResult.success) {
+    throw new Error(imageResult.error || 'Image generation failed');
+  }
+
+  // Attach the image to the draft block when the job was queued for one
+  if (draftId && blockId) {
+    await job.progress(80, 'saving', `Attaching image to block ${blockId}`);
+    const draft = await Draft.findById(draftId);
+    if (!draft) throw permanentError('Draft not found');
+
+    if (!draft.generatedContent) {
+      draft.generatedContent = {};
+    }
+    draft.generatedContent.uploadedImages = {
+      ...(draft.generatedContent.uploadedImages || {}),
+      [blockId]: imageResult.imageUrl
+    };
+
+    const block = (draft.generatedContent.contentBlocks || []).find(b => b.id === blockId);
+    if (block) {
+      block.generated = true;
+      block.imageUrl = imageResult.imageUrl;
+    }
+
+    draft.markModified('generatedContent');
+    await draft.save();
+  }
+
+  return { ...imageResult, draftId, blockId };
+}
+
+async function deployWordPressJob(payload, job) {
+  const result = await draftDeploymentService.deployDraft(payload.draftId, job.progress, { syncedBy: payload.syncedBy });
+  if (!result) throw permanentError('Draft not found');
+
+  if (!result.success) {
+    // Only an unreachable platform is worth retrying; rejected posts and bad settings are not
+    const error = new Error(`${result.message}: ${result.error}`);
+    error.permanent = !result.retryable;
+    throw error;
+  }
+
+  return result;
+}
+
+async function publishWordPressJob(payload, job) {
+  const result = await schedulingService.publishScheduled(payload.draftId, job.id, job.progress);
+  if (!result) throw permanentError('Draft not found');
+
+  if (!result.success) {
+    // Record the failure on the draft once no retries are left
+    if (result.permanent || job.attempt >= job.maxAttempts) {
+      await schedulingService.markFailed(payload.draftId, result.message);
+    }
+    throw result.permanent ? permanentError(result.message) : new Error(result.message);
+  }
+
+  return result;
+}
+
+async function refreshContentJob(payload, job) {
+  try {
+    const result = await contentRefreshService.runRefresh(
+      payload.draftId,
+      { llmProvider: payload.llmProvider, requestedBy: payload.requestedBy },
+      job.progress
+    );
+    if (!result) throw permanentError('Draft not found');
+    return result;
+  } catch (error) {
+    if (error.permanent || job.attempt >= job.maxAttempts) {
+      await contentRefreshService.markFailed(payload.draftId, error.message);
+    }
+    throw error;
+  }
+}
+
+async function syncSheetsJob(payload, job) {
+  // Queue the next run first, so a failed run does not end the schedule
+  await sheetsSyncService.scheduleNext({ excludeJobId: job.id });
+
+  if (await sheetsSyncService.isRunning(job.id)) {
+    throw new Error('Another sheet sync is running');
+  }
+
+  const result = await sheetsSyncService.sync({ spreadsheetId: payload.spreadsheetId }, job.progress);
+  if (result.error) throw permanentError(result.error);
+  return result;
+}
+
+function registerJobHandlers() {
+  jobQueueService.registerHandler('generate-structured-content', generateStructuredContentJob);
+  jobQueueService.registerHandler('generate-meta-scores', generateMetaScoresJob);
+  jobQueueService.registerHandler('generate-image', generateImageJob);
+  jobQueueService.registerHandler('deploy-wordpress', deployWordPressJob);
+  jobQueueService.registerHandler('publish-wordpress', publishWordPressJob);
+  jobQueueService.registerHandler('refresh-content', refreshContentJob);
+  jobQueueService.registerHandler('sync-sheets', syncSheetsJob);
+}
+
+module.exports = { registerJobHandlers };
@@ -0,0 +1,279 @@
+// services/jobQueueService.js
+const os = require('os');
+const Job = require('../models/Job');
+const progressEventService = require('./progressEventService');
+require('dotenv').config();
+
+/**
+ * Mongo-backed job queue for long-running generation steps.
+ *
+ * Handlers are registered per job type and receive (payload, job), where job
+ * exposes progress(percent, stage, message) and log(message, level) helpers.
+ * Jobs are claimed atomically, so several worker processes can share a queue.
+ *
+ * While this process runs a worker, job logs are also published as draft
+ * progress events; otherwise the SSE route follows them from Mongo.
+ */
+class JobQueueService {
+  constructor() {
+    this.handlers = {};
+    this.workerId = `${os.hostname()}-${process.pid}`;
+    this.concurrency = parseInt(process.env.JOB_WORKER_CONCURRENCY) || 2;
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS) || 2000;
+    this.lockTimeout = parseInt(process.env.JOB_LOCK_TIMEOUT_MS) || 10 * 60 * 1000; // 10 minutes
+    this.activeJobs = 0;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type (see models/Job.js)
+   * @param {Object} payload - Handler input
+   * @param {Object} options - { draftId, maxAttempts, runAt }
+   * @returns {Object} Created job document
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const job = await Job.create({
+      type,
+      payload,
+      draftId: options.draftId || payload.draftId,
+      maxAttempts: options.maxAttempts || 3,
+      runAt: options.runAt || new Date(),
+      stage: 'queued',
+      logs: [{ stage: 'queued', message: `Job queued (${type})`, progress: 0 }]
+    });
+
+    console.log(`📥 Queued ${type} job ${job._id}`);
+    this.publishEvent(job, { stage: 'queued', message: `Job queued (${type})`, progress: 0 });
+    return job;
+  }
+
+  async getJob(jobId) {
+    return Job.findById(jobId);
+  }
+
+  async listJobs(filter = {}, limit = 20) {
+    return Job.find(filter)
+      .select('-logs -result')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+  }
+
+  /**
+   * Cancel a job that has not started yet
+   * @returns {Object|null} Updated job, or null when it is not queued
+   */
+  async cancel(jobId) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, status: 'queued' },
+      {
+        $set: { status: 'cancelled', stage: 'cancelled', completedAt: new Date() },
+        $push: { logs: { stage: 'cancelled', message: 'Job cancelled', level: 'warn' } }
+      },
+      { new: true }
+    );
+
+    if (job) this.publishEvent(job, { stage: 'cancelled', message: 'Job cancelled', level: 'warn' });
+    return job;
+  }
+
+  /**
+   * Re-queue a failed or cancelled job with a fresh attempt budget
+   * @returns {Object|null} Updated job, or null when it cannot be retried
+   */
+  async retry(jobId) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, status: { $in: ['failed', 'cancelled'] } },
+      {
+        $set: { status: 'queued', stage: 'queued', progress: 0, attempts: 0, runAt: new Date(), error: null },
+        $push: { logs: { stage: 'queued', message: 'Job re-queued manually', progress: 0 } }
+      },
+      { new: true }
+    );
+
+    if (job) this.publishEvent(job, { stage: 'queued', message: 'Job re-queued manually', progress: 0 });
+    return job;
+  }
+
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  publishEvent(job, event) {
+    if (!this.isRunning() || !job.draftId) return;
+    progressEventService.publish(job.draftId, {
+      ...event,
+      flow: progressEventService.flowForJobType(job.type),
+      jobId: job._id,
+      status: event.status || job.status
+    });
+  }
+
+  start() {
+    if (this.timer) return;
+
+    console.log(`👷 Job worker ${this.workerId} started (concurrency ${this.concurrency}, types: ${Object.keys(this.handlers).join(', ')})`);
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.poll();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log(`🛑 Job worker ${this.workerId} stopped`);
+    }
+  }
+
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      await this.recoverStaleJobs();
+
+      while (this.activeJobs < this.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+
+        this.activeJobs++;
+        this.runJob(job).finally(() => {
+          this.activeJobs--;
+        });
+      }
+    } catch (error) {
+      console.error('❌ Job queue poll error:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async claimNext() {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      {
+        status: 'queued',
+        runAt: { $lte: now },
+        type: { $in: Object.keys(this.handlers) }
+      },
+      {
+        $set: { status: 'running', lockedAt: now, lockedBy: this.workerId, startedAt: now, stage: 'running' },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  // Put jobs whose worker died mid-run back on the queue, or fail them once their attempts are used up
+  async recoverStaleJobs() {
+    const stale = { status: 'running', lockedAt: { $lt: new Date(Date.now() - this.lockTimeout) } };
+    const message = 'Worker lost: lock expired while the job was running';
+
+    const failed = await Job.updateMany(
+      { ...stale, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+      {
+        $set: { status: 'failed', stage: 'failed', error: message, completedAt: new Date(), lockedBy: null },
+        $push: { logs: { stage: 'failed', message, level: 'error' } }
+      }
+    );
+    const requeued = await Job.updateMany(
+      { ...stale, $expr: { $lt: ['$attempts', '$maxAttempts'] } },
+      {
+        $set: { status: 'queued', lockedBy: null, runAt: new Date() },
+        $push: { logs: { stage: 'recovered', message: 'Worker lock expired, job re-queued', level: 'warn' } }
+      }
+    );
+
+    if (failed.modifiedCount > 0) {
+      console.warn(`⚠️ Failed ${failed.modifiedCount} stale jobs with no attempts left`);
+    }
+    if (requeued.modifiedCount > 0) {
+      console.warn(`⚠️ Re-queued ${requeued.modifiedCount} stale jobs`);
+    }
+  }
+
+  createJobContext(job) {
+    // Stage of the latest progress() call, used for log() entries
+    let currentStage = job.stage;
+
+    return {
+      id: job._id,
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts,
+      progress: async (progress, stage, message) => {
+        currentStage = stage;
+        this.publishEvent(job, { progress, stage, message });
+        try {
+          await Job.updateOne(
+            { _id: job._id },
+            {
+              $set: { progress: Math.min(100, Math.max(0, progress)), stage, lockedAt: new Date() },
+              $push: { logs: { stage, message, progress } }
+            }
+          );
+        } catch (error) {
+          console.warn(`⚠️ Could not record progress for job ${job._id}:`, error.message);
+        }
+      },
+      log: async (message, level = 'info') => {
+        this.publishEvent(job, { stage: currentStage, message, level });
+        try {
+          await Job.updateOne({ _id: job._id }, { $push: { logs: { stage: currentStage, message, level } } });
+        } catch (error) {
+          console.warn(`⚠️ Could not record log for job ${job._id}:`, error.message);
+        }
+      }
+    };
+  }
+
+  async runJob(job) {
+    const handler = this.handlers[job.type];
+    console.log(`🏃 Running ${job.type} job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+
+    try {
+      const result = await handler(job.payload || {}, this.createJobContext(job));
+
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          $set: { status: 'completed', progress: 100, stage: 'completed', result, completedAt: new Date(), lockedBy: null },
+          $push: { logs: { stage: 'completed', message: 'Job completed', progress: 100 } }
+        }
+      );
+      console.log(`✅ Job ${job._id} completed`);
+      this.publishEvent(job, { stage: 'completed', message: 'Job completed', progress: 100, status: 'completed' });
+    } catch (error) {
+      const retryable = !error.permanent && job.attempts < job.maxAttempts;
+      console.error(`❌ Job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error.message);
+
+      if (retryable) {
+        // Exponential backoff: 5s, 10s, 20s... capped at 5 minutes
+        const delay = Math.min(5000 * Math.pow(2, job.attempts - 1), 5 * 60 * 1000);
+        await Job.updateOne(
+          { _id: job._id },
+          {
+            $set: { status: 'queued', stage: 'retrying', error: error.message, runAt: new Date(Date.now() + delay), lockedBy: null },
+            $push: { logs: { stage: 'retrying', message: `${error.message} - retrying in ${Math.round(delay / 1000)}s`, level: 'warn' } }
+          }
+        );
+        this.publishEvent(job, { stage: 'retrying', message: `${error.message} - retrying in ${Math.round(delay / 1000)}s`, level: 'warn', status: 'queued' });
+      } else {
+        await Job.updateOne(
+          { _id: job._id },
+          {
+            $set: { status: 'failed', stage: 'failed', error: error.message, completedAt: new Date(), lockedBy: null },
+            $push: { logs: { stage: 'failed', message: error.message, level: 'error' } }
+          }
+        );
+        this.publishEvent(job, { stage: 'failed', message: error.message, level: 'error', status: 'failed' });
+      }
+    }
+  }
+}
+
+module.exports = new JobQueueService();
@@ -6,7 +6,15 @@ const Draft = require('../models/Draft');
 const BlogData = require('../models/BlogData');
 
 class KeywordService {
-  async getKeywordsForCompany(companyName, excludeDraftKeywords = true) {
+  /**
+   * Build the 4 keyword suggestions shown on the keywords page
+   * @param {string} companyName - Company name
+   * @param {boolean} excludeDraftKeywords - Drop keywords already used by drafts
+   * @param {Function} onProgress - Optional onProgress(progress, stage, message) callback
+   */
+  async getKeywordsForCompany(companyName, excludeDraftKeywords = true, onProgress = null) {
+    const report = (progress, stage, message) => onProgress && onProgress(progress, stage, message);
+
     try {
       console.log(`🎯 Generating company-specific keywords for: ${companyName}`);
       let finalKeywords = [];
@@ -17,6 +25,7 @@ class KeywordService {
       try {
         companyContext = await Company.findOne({ name: companyName });
         console.log(`🏢 Found company context: ${companyContext?.name || 'Not found'}`);
+        report(10, 'company-profile', `Loaded company profile for ${companyContext?.name || companyName}`);
       } catch (error) {
         console.warn('⚠️ Could not fetch company context:', error.message);
       }
@@ -32,6 +41,7 @@ class KeywordService {
           );
           manualKeywords = allManualKeywords.slice(0, 2); // Take only first 2
           console.log(`✅ Fetched ${manualKeywords.length} manual keywords from Google Sheets`);
+          report(20, 'company-profile', `Fetched ${manualKeywords.length} manual keywords from Google Sheets`);
         } catch (error) {
           console.warn('⚠️ Failed to fetch manual keywords from sheets:', error.message);
         }
@@ -45,11 +55,13 @@ class KeywordService {
 
       try {
         console.log(`🤖 Generating ${keywordsToGenerate} company-specific AI keywords for ${companyName}`);
-        const generatedKeywords = await this.generateAIKeywordsWithTrends(companyName, keywordsToGenerate, companyContext);
+        const generatedKeywords = await this.generateAIKeywordsWithTrends(companyName, keywordsToGenerate, companyContext, report);
         aiKeywords = generatedKeywords.slice(0, keywordsToGenerate);
         console.log(`✅ Generated ${aiKeywords.length} AI keywords using Gemini with company context`);
+        report(70, 'keywords', `Generated ${aiKeywords.length} AI keywords`);
       } catch (error) {
         console.warn('⚠️ Failed to generate AI keywords with trends:', error.message);
+        report(50, 'keywords', 'Trend-based generation failed, trying basic keyword generation');
         // Fallback to basic AI keywords
         try {
           const basicKeywords = await this.generateAIKeywords(companyName, companyContext);
@@ -69,6 +81,7 @@ class KeywordService {
 
       // 4. Filter out keywords already used in existing drafts
       if (excludeDraftKeywords) {
+        report(80, 'filtering', 'Removing keywords already used by other drafts');
         try {
           const usedKeywords = await this.getUsedKeywords();
           console.log(`🔍 Found ${usedKeywords.length} used keywords:`, usedKeywords);
@@ -84,7 +97,7 @@ class KeywordService {
           if (finalKeywords.length === 0) {
             console.log(`⚠️ All keywords were filtered out, generating fresh ones...`);
             // Generate fresh keywords if all were filtered
-            const freshKeywords = await this.generateAIKeywords(companyName);
+            const freshKeywords = await this.generateAIKeywords(companyName, companyContext);
             finalKeywords = freshKeywords.slice(0, 3);
           }
         } catch (error) {
@@ -108,6 +121,7 @@ class KeywordService {
         finalKeywords = [...finalKeywords, ...additionalKeywords];
       }
 
+      report(95, 'filtering', `Prepared ${Math.min(finalKeywords.length, 4)} keyword recommendations`);
       return finalKeywords.slice(0, 4);
 
     } catch (error) {
@@ -117,7 +131,7 @@ class KeywordService {
     }
   }
   
-  async generateAIKeywords(companyName) {
+  async generateAIKeywords(companyName, companyContext = null) {
     try {
       // First, get trending solar topics from news APIs
       let trendingTopics = '';
@@ -188,7 +202,10 @@ class KeywordService {
         {"focusKeyword": "solar battery storage systems", "articleFormat": "comparison", "wordCount": "1600-2000", "targetAudience": "Property owners", "objective": "Education", "source": "ai"}
       ]`;
 
-      const response = await geminiService.generateContent(prompt, { name: companyName });
+      const response = await geminiService.generateContent(prompt, {
+        name: companyName,
+        llmConfig: companyContext?.llmConfig
+      });
 
       // Try to parse JSON from the response
       let aiKeywords = [];
@@ -226,7 +243,9 @@ class KeywordService {
     }
   }
 
-  async generateAIKeywordsWithTrends(companyName, count = 4) {
+  async generateAIKeywordsWithTrends(companyName, count = 4, companyContext = null, onProgress = null) {
+    const report = (progress, stage, message) => onProgress && onProgress(progress, stage, message);
+
     try {
       // First, get trend data for solar industry from multiple sources
       const trendService = require('./trendService');
@@ -234,8 +253,10 @@ class KeywordService {
 
       try {
         console.log(`📊 Fetching comprehensive trend data for ${count} keyword generation...`);
+        report(30, 'trends', 'Fetching trending solar topics from news sources');
         trendData = await trendService.fetchTrendData('solar energy', 'all', 10);
         console.log(`✅ Fetched ${trendData.length} trend articles for enhanced keyword context`);
+        report(40, 'trends', `Fetched ${trendData.length} trend articles`);
       } catch (error) {
         console.warn('⚠️ Could not fetch trend data for keyword generation:', error.message);
       }
@@ -284,10 +305,12 @@ class KeywordService {
         {"focusKeyword": "solar permitting process optimization", "articleFormat": "guide", "wordCount": "1600-2000", "targetAudience": "Solar Installers", "objective": "Lead Generation", "source": "ai-trends"}
       ]`;
 
+      report(50, 'keywords', `Generating ${count} SEO keyword suggestions with AI`);
       const response = await geminiService.generateContent(prompt, {
         name: companyName,
         tone: 'professional',
-        targetAudience: 'Solar industry professionals and potential customers'
+        targetAudience: 'Solar industry professionals and potential customers',
+        llmConfig: companyContext?.llmConfig
       });
 
       // Try to parse JSON from the response
@@ -318,10 +341,10 @@ class KeywordService {
       }
 
       // Fallback to basic AI keyword generation
-      return await this.generateAIKeywords(companyName);
+      return await this.generateAIKeywords(companyName, companyContext);
     } catch (error) {
       console.error('AI keyword generation with trends error:', error);
-      return await this.generateAIKeywords(companyName);
+      return await this.generateAIKeywords(companyName, companyContext);
     }
   }
 
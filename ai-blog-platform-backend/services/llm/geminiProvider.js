@@ -0,0 +1,68 @@
+// services/llm/geminiProvider.js
+const axios = require('axios');
+
+/**
+ * Google Gemini adapter for the LLM provider layer
+ */
+class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.apiKey = process.env.GEMINI_API_KEY;
+    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
+    // Use multiple models for fallback when one is overloaded
+    this.models = process.env.GEMINI_TEXT_MODELS
+      ? process.env.GEMINI_TEXT_MODELS.split(',').map(m => m.trim()).filter(Boolean)
+      : [
+        'gemini-2.0-flash-exp', // Latest Gemini 2.0 Flash (PRIMARY - most efficient)
+        'gemini-1.5-pro-002',   // High quality fallback
+        'gemini-1.5-flash-002', // Faster fallback
+        'gemini-pro'            // Final fallback model
+      ];
+  }
+
+  isConfigured() {
+    return !!this.apiKey && this.apiKey !== 'your_gemini_api_key_here';
+  }
+
+  /**
+   * Generate text with a single Gemini model
+   * @param {string} prompt - Fully built prompt
+   * @param {Object} options - { model, temperature, maxOutputTokens, timeout }
+   * @returns {string} Generated text
+   */
+  async generate(prompt, options = {}) {
+    const model = options.model || this.models[0];
+
+    const response = await axios.post(
+      `${this.baseUrl}/${model}:generateContent?key=${this.apiKey}`,
+      {
+        contents: [{
+          parts: [{
+            text: prompt
+          }]
+        }],
+        generationConfig: {
+          temperature: options.temperature ?? 0.7,
+          topK: 40,
+          topP: 0.95,
+          maxOutputTokens: options.maxOutputTokens || 8192,
+          candidateCount: 1,
+        }
+      },
+      {
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        timeout: options.timeout || 30000 // 30 second timeout
+      }
+    );
+
+    const text = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+    if (!text) {
+      throw new Error(`Empty response from Gemini model ${model}`);
+    }
+    return text;
+  }
+}
+
+module.exports = GeminiProvider;
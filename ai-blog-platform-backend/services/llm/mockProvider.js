@@ -0,0 +1,35 @@
+// services/llm/mockProvider.js
+
+/**
+ * Offline provider for local development and test runs.
+ * Returns deterministic text without calling any external API.
+ */
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.models = ['mock-1'];
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * @param {string} prompt - Fully built prompt
+   * @returns {string} Canned response (LLM_MOCK_RESPONSE if set)
+   */
+  async generate(prompt) {
+    if (process.env.LLM_MOCK_RESPONSE) {
+      return process.env.LLM_MOCK_RESPONSE;
+    }
+
+    const keywordMatch = prompt.match(/(?:keyword|about)[:\s]+["']([^"']+)["']/i);
+    const topic = keywordMatch ? keywordMatch[1] : 'solar energy solutions';
+
+    return `${topic.charAt(0).toUpperCase() + topic.slice(1)} helps teams plan, design and deliver projects with fewer delays. ` +
+      `This mock response stands in for a real model so the full workflow can run offline. ` +
+      `It covers the basics of ${topic}, common mistakes to avoid and practical next steps.`;
+  }
+}
+
+module.exports = MockProvider;
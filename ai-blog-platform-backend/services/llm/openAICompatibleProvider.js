@@ -0,0 +1,60 @@
+// services/llm/openAICompatibleProvider.js
+const axios = require('axios');
+
+/**
+ * Adapter for any endpoint speaking the OpenAI chat completions API
+ * (OpenAI, Azure OpenAI proxies, OpenRouter, vLLM, Ollama, LM Studio...)
+ */
+class OpenAICompatibleProvider {
+  constructor() {
+    this.name = 'openai';
+    this.baseUrl = (process.env.OPENAI_COMPATIBLE_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+    this.apiKey = process.env.OPENAI_COMPATIBLE_API_KEY;
+    this.models = (process.env.OPENAI_COMPATIBLE_MODELS || 'gpt-4o-mini')
+      .split(',')
+      .map(m => m.trim())
+      .filter(Boolean);
+  }
+
+  isConfigured() {
+    // Local servers (Ollama, LM Studio) usually run without a key, so an explicit base URL is enough
+    return !!process.env.OPENAI_COMPATIBLE_BASE_URL || (!!this.apiKey && this.apiKey !== 'your_openai_api_key_here');
+  }
+
+  /**
+   * Generate text with a single chat completions model
+   * @param {string} prompt - Fully built prompt
+   * @param {Object} options - { model, temperature, maxOutputTokens, timeout }
+   * @returns {string} Generated text
+   */
+  async generate(prompt, options = {}) {
+    const model = options.model || this.models[0];
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await axios.post(
+      `${this.baseUrl}/chat/completions`,
+      {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: options.temperature ?? 0.7,
+        top_p: 0.95,
+        max_tokens: options.maxOutputTokens || 8192
+      },
+      {
+        headers,
+        timeout: options.timeout || 60000
+      }
+    );
+
+    const text = response.data?.choices?.[0]?.message?.content;
+    if (!text) {
+      throw new Error(`Empty response from ${model} at ${this.baseUrl}`);
+    }
+    return text;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,169 @@
+// services/llmProviderService.js
+const GeminiProvider = require('./llm/geminiProvider');
+const OpenAICompatibleProvider = require('./llm/openAICompatibleProvider');
+const MockProvider = require('./llm/mockProvider');
+require('dotenv').config();
+
+/**
+ * Registry of text generation providers plus the cross-provider fallback policy.
+ *
+ * A selection looks like { provider, model, fallbackChain } and can come from
+ * the company (Company.llmConfig) or from a single request. Chain entries are
+ * strings in the form "provider" (all of its models) or "provider:model".
+ */
+class LLMProviderService {
+  constructor() {
+    this.providers = {};
+    [new GeminiProvider(), new OpenAICompatibleProvider(), new MockProvider()].forEach(provider => {
+      this.providers[provider.name] = provider;
+    });
+    this.defaultProvider = process.env.LLM_PROVIDER || 'gemini';
+  }
+
+  getProvider(name) {
+    return this.providers[name] || null;
+  }
+
+  getProviderNames() {
+    return Object.keys(this.providers);
+  }
+
+  listProviders() {
+    return Object.values(this.providers).map(provider => ({
+      name: provider.name,
+      configured: provider.isConfigured(),
+      models: provider.models
+    }));
+  }
+
+  /**
+   * Parse "gemini:gemini-1.5-pro-002,openai" style chains into entries
+   * @param {string|Array} chain - Comma separated string or array of strings/objects
+   * @returns {Array} [{ provider, model }]
+   */
+  parseChain(chain) {
+    if (!chain) return [];
+    const items = Array.isArray(chain) ? chain : String(chain).split(',');
+
+    return items
+      .map(item => {
+        if (item && typeof item === 'object') {
+          return { provider: item.provider, model: item.model || null };
+        }
+        const [provider, ...modelParts] = String(item).trim().split(':');
+        return { provider: provider.trim(), model: modelParts.join(':').trim() || null };
+      })
+      .filter(entry => entry.provider);
+  }
+
+  /**
+   * Merge the company LLM config with a per-request override
+   * @param {Object} companyConfig - Company.llmConfig
+   * @param {string|Object} override - "provider", "provider:model" or { provider, model, fallbackChain }
+   * @returns {Object} { provider, model, fallbackChain }
+   */
+  resolveSelection(companyConfig = {}, override = null) {
+    const base = {
+      provider: companyConfig?.provider || null,
+      model: companyConfig?.model || null,
+      fallbackChain: companyConfig?.fallbackChain?.length ? [...companyConfig.fallbackChain] : null
+    };
+
+    if (!override) return base;
+
+    const requested = typeof override === 'string' ? this.parseChain(override)[0] : override;
+    if (!requested?.provider) return base;
+
+    return {
+      provider: requested.provider,
+      // Only keep the company model when the provider did not change
+      model: requested.model || (requested.provider === base.provider ? base.model : null),
+      fallbackChain: requested.fallbackChain || base.fallbackChain
+    };
+  }
+
+  /**
+   * Build the ordered list of provider/model attempts for a selection.
+   * The selected provider (and model) always comes first, followed by the
+   * explicit fallback chain, LLM_FALLBACK_CHAIN, or every configured provider.
+   * @param {Object} selection - { provider, model, fallbackChain }
+   * @returns {Array} [{ provider, model }]
+   */
+  resolveChain(selection = {}) {
+    const primary = selection.provider || this.defaultProvider;
+    if (!this.providers[primary]) {
+      console.warn(`⚠️ Unknown LLM provider "${primary}", using ${this.defaultProvider}`);
+    }
+
+    let entries = [{ provider: this.providers[primary] ? primary : this.defaultProvider, model: selection.model || null }];
+
+    const fallback = this.parseChain(selection.fallbackChain || process.env.LLM_FALLBACK_CHAIN);
+    if (fallback.length > 0) {
+      entries = entries.concat(fallback);
+    } else {
+      // Default policy: exhaust the primary provider's models, then try the other real providers
+      entries.push({ provider: entries[0].provider, model: null });
+      this.getProviderNames()
+        .filter(name => name !== entries[0].provider && name !== 'mock')
+        .forEach(name => entries.push({ provider: name, model: null }));
+    }
+
+    // Expand bare providers into their model lists, drop unknown/unconfigured ones and duplicates
+    const chain = [];
+    const seen = new Set();
+    entries.forEach(entry => {
+      const provider = this.providers[entry.provider];
+      if (!provider) {
+        console.warn(`⚠️ Skipping unknown LLM provider in fallback chain: ${entry.provider}`);
+        return;
+      }
+      if (!provider.isConfigured()) return;
+
+      const models = entry.model ? [entry.model] : provider.models;
+      models.forEach(model => {
+        const key = `${provider.name}:${model}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          chain.push({ provider: provider.name, model });
+        }
+      });
+    });
+
+    return chain;
+  }
+
+  /**
+   * Generate text by walking the fallback chain until one attempt succeeds
+   * @param {string} prompt - Fully built prompt
+   * @param {Object} selection - { provider, model, fallbackChain }
+   * @param {Object} options - Generation options passed to the adapter
+   * @returns {Object} { text, provider, model }
+   */
+  async generate(prompt, selection = {}, options = {}) {
+    const chain = this.resolveChain(selection);
+
+    if (chain.length === 0) {
+      throw new Error('No configured LLM provider available');
+    }
+
+    const failures = [];
+    for (const { provider, model } of chain) {
+      try {
+        console.log(`🤖 Trying ${provider} model: ${model}`);
+        const text = await this.providers[provider].generate(prompt, { ...options, model });
+        console.log(`✅ Successfully generated content with ${provider}:${model}`);
+        return { text, provider, model };
+      } catch (error) {
+        const message = error.response?.data?.error?.message || error.message;
+        console.error(`❌ ${provider}:${model} failed:`, message);
+        failures.push(`${provider}:${model} - ${message}`);
+      }
+    }
+
+    const error = new Error(`All LLM providers failed (${failures.length} attempts)`);
+    error.failures = failures;
+    throw error;
+  }
+}
+
+module.exports = new LLMProviderService();
@@ -66,7 +66,8 @@ Example format:
         name: companyInfo.companyName,
         servicesOffered: companyInfo.servicesOffered || 'Solar services',
         serviceOverview: companyInfo.serviceOverview || 'Professional solar solutions',
-        brandVoice: 'Professional, authoritative, helpful'
+        brandVoice: 'Professional, authoritative, helpful',
+        llmConfig: companyInfo.llmConfig
       });
 
       // Try to parse JSON from the response
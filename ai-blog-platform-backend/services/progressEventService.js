@@ -0,0 +1,161 @@
+// services/progressEventService.js
+const EventEmitter = require('events');
+const Job = require('../models/Job');
+
+// Which page flow each job type reports to
+const JOB_FLOWS = {
+  'generate-structured-content': 'content',
+  'generate-meta-scores': 'meta',
+  'generate-image': 'image',
+  'deploy-wordpress': 'deploy',
+  'publish-wordpress': 'deploy',
+  'refresh-content': 'refresh'
+};
+
+/**
+ * In-process stage events per draft, streamed to the generating-* pages over SSE.
+ *
+ * Recent events are kept per draft so a page that connects after a step has
+ * started (or right after the previous page triggered it) still sees the timeline.
+ * Events carry a flow (keywords, meta, content, image, deploy, refresh) so each page
+ * only shows the steps it is waiting on.
+ */
+class ProgressEventService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.history = new Map();
+    this.historyLimit = 100;
+    this.historyTtl = 30 * 60 * 1000; // 30 minutes
+    this.nextId = 1;
+  }
+
+  /**
+   * Publish a stage event for a draft
+   * @param {string} draftId - Draft ID
+   * @param {Object} event - { flow, stage, message, progress, level, jobId, status }
+   * @returns {Object|null} Stored event
+   */
+  publish(draftId, event) {
+    if (!draftId) return null;
+
+    const stored = this.createEvent(draftId, event);
+    const entry = this.history.get(stored.draftId) || { events: [], updatedAt: 0 };
+    entry.events.push(stored);
+    if (entry.events.length > this.historyLimit) {
+      entry.events.shift();
+    }
+    entry.updatedAt = Date.now();
+    this.history.set(stored.draftId, entry);
+    this.pruneHistory();
+
+    this.emitter.emit(stored.draftId, stored);
+    return stored;
+  }
+
+  createEvent(draftId, event) {
+    return {
+      id: this.nextId++,
+      draftId: draftId.toString(),
+      flow: event.flow || null,
+      stage: event.stage,
+      message: event.message,
+      progress: typeof event.progress === 'number' ? event.progress : null,
+      level: event.level || 'info',
+      jobId: event.jobId ? event.jobId.toString() : null,
+      status: event.status || null,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Build an onProgress(progress, stage, message) callback bound to a draft
+   * @param {string} draftId - Draft ID
+   * @param {Object} extra - Fields added to every event, e.g. { flow: 'content' }
+   * @returns {Function} Progress callback
+   */
+  reporter(draftId, extra = {}) {
+    return (progress, stage, message) => this.publish(draftId, { ...extra, progress, stage, message });
+  }
+
+  flowForJobType(type) {
+    return JOB_FLOWS[type] || null;
+  }
+
+  /**
+   * Events recorded for a draft, optionally only those after a given event ID
+   */
+  getHistory(draftId, afterId = 0) {
+    const entry = this.history.get(draftId.toString());
+    if (!entry) return [];
+    return entry.events.filter(event => event.id > afterId);
+  }
+
+  /**
+   * Listen for new events on a draft
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(draftId, listener) {
+    const key = draftId.toString();
+    this.emitter.on(key, listener);
+    return () => this.emitter.off(key, listener);
+  }
+
+  /**
+   * Follow job logs written by workers in other processes.
+   * Polls the draft's jobs and passes log entries not seen yet to the listener.
+   * @returns {Function} Stop function
+   */
+  watchJobs(draftId, listener, intervalMs = 2000) {
+    const seenLogs = new Map();
+    let since = new Date();
+    let stopped = false;
+
+    const check = async () => {
+      try {
+        const checkedAt = new Date();
+        const jobs = await Job.find({ draftId, updatedAt: { $gte: since } }).select('type logs status');
+        since = checkedAt;
+
+        for (const job of jobs) {
+          const key = job._id.toString();
+          const seen = seenLogs.get(key) || 0;
+          job.logs.slice(seen).forEach(log => {
+            listener(this.createEvent(draftId, {
+              flow: this.flowForJobType(job.type),
+              stage: log.stage,
+              message: log.message,
+              progress: log.progress,
+              level: log.level,
+              jobId: job._id,
+              status: job.status
+            }));
+          });
+          seenLogs.set(key, job.logs.length);
+        }
+      } catch (error) {
+        console.warn(`⚠️ Could not read job logs for draft ${draftId}:`, error.message);
+      }
+    };
+
+    const timer = setInterval(() => {
+      if (!stopped) check();
+    }, intervalMs);
+
+    return () => {
+      stopped = true;
+      clearInterval(timer);
+    };
+  }
+
+  pruneHistory() {
+    const cutoff = Date.now() - this.historyTtl;
+    for (const [key, entry] of this.history) {
+      if (entry.updatedAt < cutoff) {
+        this.history.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = new ProgressEventService();
@@ -0,0 +1,57 @@
+// services/publisherService.js
+const WordPressPublisher = require('./publishers/wordpressPublisher');
+const GhostPublisher = require('./publishers/ghostPublisher');
+const WebflowPublisher = require('./publishers/webflowPublisher');
+const MarkdownPublisher = require('./publishers/markdownPublisher');
+
+/**
+ * Registry of publishing adapters. Each company deploys to the platform set in
+ * Company.publishingConfig.platform (WordPress when unset).
+ *
+ * Adapters share one interface: name, label, capabilities, isConfigured(company),
+ * testConnection(company), createPost(draftData, company) and
+ * updatePost(externalId, draftData, company), which reports { notFound } when the
+ * post was deleted on the platform.
+ */
+class PublisherService {
+  constructor() {
+    this.publishers = {};
+    [new WordPressPublisher(), new GhostPublisher(), new WebflowPublisher(), new MarkdownPublisher()].forEach(publisher => {
+      this.publishers[publisher.name] = publisher;
+    });
+  }
+
+  getPublisher(name) {
+    return this.publishers[name] || null;
+  }
+
+  getPlatform(company) {
+    return company?.publishingConfig?.platform || 'wordpress';
+  }
+
+  forCompany(company) {
+    return this.getPublisher(this.getPlatform(company)) || this.publishers.wordpress;
+  }
+
+  listPublishers(company) {
+    return Object.values(this.publishers).map(publisher => ({
+      name: publisher.name,
+      label: publisher.label,
+      capabilities: publisher.capabilities,
+      ...(company ? { configured: publisher.isConfigured(company), selected: this.getPlatform(company) === publisher.name } : {})
+    }));
+  }
+
+  /**
+   * ID of the draft's post on the given platform, if it was published there before
+   * @returns {string|null}
+   */
+  getExternalId(draft, platform) {
+    if (platform === 'wordpress') {
+      return draft.wordpressId ? String(draft.wordpressId) : null;
+    }
+    return draft.publication?.platform === platform ? draft.publication.externalId || null : null;
+  }
+}
+
+module.exports = new PublisherService();
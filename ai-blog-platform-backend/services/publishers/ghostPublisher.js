@@ -0,0 +1,160 @@
+// services/publishers/ghostPublisher.js
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Ghost adapter for the publisher layer (Admin API v5).
+ * Posts are created as Ghost drafts from the assembled HTML; categories and tags
+ * both become Ghost tags, the first category being the primary tag.
+ */
+class GhostPublisher {
+  constructor() {
+    this.name = 'ghost';
+    this.label = 'Ghost';
+    this.capabilities = { scheduling: false, taxonomy: false, syncPreview: false };
+    this.timeout = 30000;
+  }
+
+  getConfig(company) {
+    const config = company.publishingConfig?.ghost || {};
+    return {
+      adminUrl: (config.adminUrl || '').replace(/\/+$/, '').replace(/\/ghost$/, ''),
+      adminApiKey: config.adminApiKey || ''
+    };
+  }
+
+  isConfigured(company) {
+    const config = this.getConfig(company);
+    return !!config.adminUrl && /^[0-9a-f]+:[0-9a-f]+$/i.test(config.adminApiKey);
+  }
+
+  // Admin API keys are "id:secret"; requests carry a short-lived JWT signed with the secret
+  createToken(adminApiKey) {
+    const [id, secret] = adminApiKey.split(':');
+    return jwt.sign({}, Buffer.from(secret, 'hex'), {
+      keyid: id,
+      algorithm: 'HS256',
+      expiresIn: '5m',
+      audience: '/admin/'
+    });
+  }
+
+  async request(company, method, path, data) {
+    const config = this.getConfig(company);
+    const response = await axios({
+      method,
+      url: `${config.adminUrl}/ghost/api/admin${path}`,
+      headers: {
+        'Authorization': `Ghost ${this.createToken(config.adminApiKey)}`,
+        'Accept-Version': 'v5.0',
+        'Content-Type': 'application/json'
+      },
+      data,
+      timeout: this.timeout,
+      validateStatus: status => status < 500
+    });
+    return response;
+  }
+
+  errorMessage(response) {
+    return response.data?.errors?.[0]?.message || `Ghost API returned status: ${response.status}`;
+  }
+
+  async testConnection(company) {
+    if (!this.isConfigured(company)) {
+      return { success: false, message: 'Ghost is not configured', error: 'Set publishingConfig.ghost.adminUrl and an Admin API key ("id:secret")' };
+    }
+
+    try {
+      const response = await this.request(company, 'get', '/posts/?limit=1&fields=id');
+      if (response.status !== 200) {
+        return { success: false, message: 'Ghost connection failed', error: this.errorMessage(response) };
+      }
+      return { success: true, message: 'Ghost connection successful' };
+    } catch (error) {
+      console.error(`❌ Ghost connection test failed:`, error.message);
+      return { success: false, message: 'Ghost connection failed', error: error.message, retryable: !!error.isAxiosError };
+    }
+  }
+
+  buildPost(draftData) {
+    const tags = [...(draftData.categoryNames || []), ...(draftData.tagNames || [])];
+    const post = {
+      title: draftData.title,
+      html: draftData.content,
+      slug: draftData.slug,
+      custom_excerpt: (draftData.metaDescription || '').substring(0, 300),
+      meta_title: draftData.metaTitle,
+      meta_description: draftData.metaDescription
+    };
+    if (tags.length > 0) {
+      post.tags = [...new Set(tags)].map(name => ({ name }));
+    }
+    if (draftData.featuredImage?.url) {
+      post.feature_image = draftData.featuredImage.url;
+      post.feature_image_alt = draftData.featuredImage.altText;
+    }
+    return post;
+  }
+
+  result(company, post) {
+    const config = this.getConfig(company);
+    return {
+      success: true,
+      externalId: post.id,
+      // Drafts are not public yet; Ghost serves a preview at /p/<uuid>/
+      url: post.status === 'published' ? post.url : `${config.adminUrl}/p/${post.uuid}/`,
+      editUrl: `${config.adminUrl}/ghost/#/editor/post/${post.id}`,
+      status: post.status
+    };
+  }
+
+  /**
+   * @returns {Object} { success, externalId, url, editUrl, status } or { success: false, error }
+   */
+  async createPost(draftData, company) {
+    try {
+      const response = await this.request(company, 'post', '/posts/?source=html', {
+        posts: [{ ...this.buildPost(draftData), status: 'draft' }]
+      });
+      if (response.status !== 201) {
+        return { success: false, error: this.errorMessage(response) };
+      }
+
+      console.log(`✅ Ghost draft created: ${response.data.posts[0].id}`);
+      return this.result(company, response.data.posts[0]);
+    } catch (error) {
+      console.error('❌ Ghost post creation failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update content and meta; the post's status is left alone
+   * @returns {Object} { success, externalId, url, editUrl, status } or { success: false, notFound, error }
+   */
+  async updatePost(externalId, draftData, company) {
+    try {
+      // Ghost rejects updates without the current updated_at (collision detection)
+      const current = await this.request(company, 'get', `/posts/${externalId}/?fields=id,updated_at`);
+      if (current.status !== 200) {
+        return { success: false, notFound: current.status === 404, error: this.errorMessage(current) };
+      }
+
+      const response = await this.request(company, 'put', `/posts/${externalId}/?source=html`, {
+        posts: [{ ...this.buildPost(draftData), updated_at: current.data.posts[0].updated_at }]
+      });
+      if (response.status !== 200) {
+        return { success: false, notFound: response.status === 404, error: this.errorMessage(response) };
+      }
+
+      console.log(`✅ Ghost post ${externalId} updated`);
+      return this.result(company, response.data.posts[0]);
+    } catch (error) {
+      console.error(`❌ Ghost post ${externalId} update failed:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = GhostPublisher;
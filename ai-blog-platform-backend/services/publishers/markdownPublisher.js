@@ -0,0 +1,227 @@
+// services/publishers/markdownPublisher.js
+const fs = require('fs').promises;
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+
+// YAML double-quoted scalars accept JSON string syntax
+const yamlValue = value => (Array.isArray(value) ? `[${value.map(item => JSON.stringify(item)).join(', ')}]` : JSON.stringify(value));
+
+/**
+ * Static-site adapter for the publisher layer: writes each draft as a Markdown
+ * file with YAML front-matter into a per-company directory under
+ * MARKDOWN_PUBLISH_ROOT, optionally committing (and pushing) it with git.
+ * The file name is the post's external ID.
+ */
+class MarkdownPublisher {
+  constructor() {
+    this.name = 'markdown';
+    this.label = 'Markdown';
+    this.capabilities = { scheduling: false, taxonomy: false, syncPreview: false };
+    this.root = path.resolve(process.env.MARKDOWN_PUBLISH_ROOT || path.join(__dirname, '../../published'));
+  }
+
+  /**
+   * Company directory; configured paths may not leave MARKDOWN_PUBLISH_ROOT
+   * @returns {string|null} Absolute directory, or null for a path outside the root
+   */
+  getDirectory(company) {
+    const configured = company.publishingConfig?.markdown?.directory
+      || company.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const directory = path.resolve(this.root, configured);
+    return directory === this.root || directory.startsWith(this.root + path.sep) ? directory : null;
+  }
+
+  isConfigured(company) {
+    return !!this.getDirectory(company);
+  }
+
+  async git(directory, args) {
+    const { stdout } = await execFileAsync('git', ['-C', directory, ...args], { timeout: 30000 });
+    return stdout.trim();
+  }
+
+  async testConnection(company) {
+    const directory = this.getDirectory(company);
+    if (!directory) {
+      return { success: false, message: 'Markdown directory is invalid', error: `The directory must be inside ${this.root}` };
+    }
+
+    try {
+      await fs.mkdir(directory, { recursive: true });
+      await fs.access(directory, require('fs').constants.W_OK);
+      if (company.publishingConfig?.markdown?.gitCommit) {
+        await this.git(directory, ['rev-parse', '--is-inside-work-tree']);
+      }
+      return { success: true, message: 'Markdown directory is writable', directory };
+    } catch (error) {
+      return { success: false, message: 'Markdown directory is not usable', error: error.message };
+    }
+  }
+
+  /**
+   * Draft as Markdown: YAML front-matter followed by the content blocks
+   * @param {Object} draftData - Draft data from draftDeploymentService.buildDraftData
+   * @param {Object} preserved - Front-matter values to keep from an earlier version ({ date, draft })
+   * @returns {string} Markdown document
+   */
+  render(draftData, preserved = {}) {
+    const frontMatter = {
+      title: draftData.title,
+      description: draftData.metaDescription,
+      metaTitle: draftData.metaTitle,
+      slug: draftData.slug,
+      date: preserved.date || new Date().toISOString(),
+      lastmod: new Date().toISOString(),
+      keyword: draftData.focusKeyword,
+      keywords: draftData.secondaryKeywords,
+      categories: draftData.categoryNames,
+      tags: draftData.tagNames,
+      image: draftData.featuredImage?.url,
+      draft: preserved.draft ?? true
+    };
+
+    const lines = ['---'];
+    Object.entries(frontMatter).forEach(([key, value]) => {
+      if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) return;
+      lines.push(`${key}: ${typeof value === 'boolean' ? value : yamlValue(value)}`);
+    });
+    lines.push('---', '');
+
+    const uploadedImages = draftData.uploadedImages || {};
+    (draftData.contentBlocks || []).forEach(block => {
+      const content = (block.content || '').trim();
+      switch (block.type) {
+        case 'h1':
+        case 'title':
+          break; // The title lives in the front-matter
+        case 'h2':
+          lines.push(`## ${content}`, '');
+          break;
+        case 'h3':
+          lines.push(`### ${content}`, '');
+          break;
+        case 'image': {
+          const url = uploadedImages[block.id] || block.imageUrl;
+          if (url && block.imageType !== 'feature') {
+            lines.push(`![${block.altText || block.alt || ''}](${url})`, '');
+          }
+          break;
+        }
+        case 'list':
+          lines.push(...content.split('\n').filter(item => item.trim()).map((item, index) => `${block.ordered ? `${index + 1}.` : '-'} ${item.trim()}`), '');
+          break;
+        case 'quote':
+          lines.push(...content.split('\n').map(line => `> ${line}`), '');
+          break;
+        case 'references':
+          if (content) lines.push('## References', '', content, '');
+          break;
+        default:
+          if (content) lines.push(content, '');
+      }
+    });
+
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
+  }
+
+  // date and draft of an existing file, so re-syncs keep the publish date and published state
+  async readPreserved(filePath) {
+    const existing = await fs.readFile(filePath, 'utf8');
+    const frontMatter = existing.match(/^---\n([\s\S]*?)\n---/)?.[1] || '';
+    const date = frontMatter.match(/^date:\s*"?([^"\n]+)"?$/m)?.[1];
+    const draft = frontMatter.match(/^draft:\s*(true|false)$/m)?.[1];
+    return { date, draft: draft === undefined ? undefined : draft === 'true' };
+  }
+
+  async commit(company, directory, fileName, message) {
+    const config = company.publishingConfig?.markdown || {};
+    if (!config.gitCommit) return null;
+
+    await this.git(directory, ['add', '--', fileName]);
+    try {
+      await this.git(directory, ['commit', '-m', message, '--', fileName]);
+    } catch (error) {
+      // Re-syncing unchanged content leaves nothing to commit
+      if (!/nothing to commit|no changes added/i.test(`${error.stdout || ''}${error.message}`)) throw error;
+    }
+    if (config.gitPush) {
+      await this.git(directory, ['push']);
+    }
+    return this.git(directory, ['rev-parse', '--short', 'HEAD']);
+  }
+
+  async write(company, fileName, draftData, preserved, message) {
+    const directory = this.getDirectory(company);
+    const filePath = path.join(directory, fileName);
+    await fs.writeFile(filePath, this.render(draftData, preserved), 'utf8');
+    const commit = await this.commit(company, directory, fileName, message);
+
+    console.log(`✅ Markdown written: ${filePath}${commit ? ` (commit ${commit})` : ''}`);
+    return {
+      success: true,
+      externalId: fileName,
+      url: null,
+      editUrl: null,
+      path: filePath,
+      commit,
+      status: preserved.draft === false ? 'published' : 'draft'
+    };
+  }
+
+  /**
+   * @returns {Object} { success, externalId, path, commit, status } or { success: false, error }
+   */
+  async createPost(draftData, company) {
+    const directory = this.getDirectory(company);
+    if (!directory) {
+      return { success: false, error: `The Markdown directory must be inside ${this.root}` };
+    }
+
+    try {
+      await fs.mkdir(directory, { recursive: true });
+
+      // Never overwrite another draft's file with the same slug
+      const base = draftData.slug || 'post';
+      let fileName = `${base}.md`;
+      for (let suffix = 2; await fs.access(path.join(directory, fileName)).then(() => true, () => false); suffix++) {
+        fileName = `${base}-${suffix}.md`;
+      }
+
+      return await this.write(company, fileName, draftData, {}, `Add post: ${draftData.title}`);
+    } catch (error) {
+      console.error('❌ Markdown publishing failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * @returns {Object} { success, externalId, path, commit, status } or { success: false, notFound, error }
+   */
+  async updatePost(externalId, draftData, company) {
+    const directory = this.getDirectory(company);
+    if (!directory) {
+      return { success: false, error: `The Markdown directory must be inside ${this.root}` };
+    }
+
+    const fileName = path.basename(externalId);
+    try {
+      const preserved = await this.readPreserved(path.join(directory, fileName)).catch(error => {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      });
+      if (!preserved) {
+        return { success: false, notFound: true, error: `${fileName} no longer exists` };
+      }
+
+      return await this.write(company, fileName, draftData, preserved, `Update post: ${draftData.title}`);
+    } catch (error) {
+      console.error(`❌ Markdown update of ${fileName} failed:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = MarkdownPublisher;
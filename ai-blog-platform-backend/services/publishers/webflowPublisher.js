@@ -0,0 +1,156 @@
+// services/publishers/webflowPublisher.js
+const axios = require('axios');
+
+// Field slugs of Webflow's blog collection template
+const DEFAULT_FIELDS = {
+  content: 'post-body',
+  summary: 'post-summary',
+  image: 'main-image'
+};
+
+/**
+ * Webflow CMS adapter for the publisher layer (Data API v2).
+ * Drafts become draft items of one collection; which collection fields receive
+ * the content, summary, image and meta is configurable per company.
+ */
+class WebflowPublisher {
+  constructor() {
+    this.name = 'webflow';
+    this.label = 'Webflow';
+    this.capabilities = { scheduling: false, taxonomy: false, syncPreview: false };
+    this.baseUrl = 'https://api.webflow.com/v2';
+    this.timeout = 30000;
+  }
+
+  getConfig(company) {
+    const config = company.publishingConfig?.webflow || {};
+    const fields = config.fields || {};
+    return {
+      apiToken: config.apiToken || '',
+      collectionId: config.collectionId || '',
+      siteUrl: (config.siteUrl || '').replace(/\/+$/, ''),
+      collectionPath: (config.collectionPath || '').replace(/^\/+|\/+$/g, ''),
+      fields: {
+        content: fields.content || DEFAULT_FIELDS.content,
+        summary: fields.summary || DEFAULT_FIELDS.summary,
+        image: fields.image || DEFAULT_FIELDS.image,
+        metaTitle: fields.metaTitle || null,
+        metaDescription: fields.metaDescription || null
+      }
+    };
+  }
+
+  isConfigured(company) {
+    const config = this.getConfig(company);
+    return !!(config.apiToken && config.collectionId);
+  }
+
+  async request(company, method, path, data) {
+    const config = this.getConfig(company);
+    return axios({
+      method,
+      url: `${this.baseUrl}/collections/${config.collectionId}${path}`,
+      headers: {
+        'Authorization': `Bearer ${config.apiToken}`,
+        'Content-Type': 'application/json'
+      },
+      data,
+      timeout: this.timeout,
+      validateStatus: status => status < 500
+    });
+  }
+
+  errorMessage(response) {
+    return response.data?.message || `Webflow API returned status: ${response.status}`;
+  }
+
+  async testConnection(company) {
+    if (!this.isConfigured(company)) {
+      return { success: false, message: 'Webflow is not configured', error: 'Set publishingConfig.webflow.apiToken and collectionId' };
+    }
+
+    try {
+      const response = await this.request(company, 'get', '');
+      if (response.status !== 200) {
+        return { success: false, message: 'Webflow connection failed', error: this.errorMessage(response) };
+      }
+      return { success: true, message: 'Webflow connection successful', collection: response.data.displayName };
+    } catch (error) {
+      console.error(`❌ Webflow connection test failed:`, error.message);
+      return { success: false, message: 'Webflow connection failed', error: error.message, retryable: !!error.isAxiosError };
+    }
+  }
+
+  buildFieldData(draftData, company) {
+    const { fields } = this.getConfig(company);
+    const fieldData = {
+      name: draftData.title,
+      slug: draftData.slug,
+      [fields.content]: draftData.content,
+      [fields.summary]: draftData.metaDescription || ''
+    };
+    if (fields.metaTitle) fieldData[fields.metaTitle] = draftData.metaTitle;
+    if (fields.metaDescription) fieldData[fields.metaDescription] = draftData.metaDescription;
+    if (draftData.featuredImage?.url) {
+      fieldData[fields.image] = { url: draftData.featuredImage.url, alt: draftData.featuredImage.altText };
+    }
+    return fieldData;
+  }
+
+  result(company, item) {
+    const config = this.getConfig(company);
+    const slug = item.fieldData?.slug;
+    return {
+      success: true,
+      externalId: item.id,
+      url: config.siteUrl && slug ? [config.siteUrl, config.collectionPath, slug].filter(Boolean).join('/') : null,
+      editUrl: null,
+      status: item.isDraft ? 'draft' : 'published'
+    };
+  }
+
+  /**
+   * @returns {Object} { success, externalId, url, editUrl, status } or { success: false, error }
+   */
+  async createPost(draftData, company) {
+    try {
+      const response = await this.request(company, 'post', '/items', {
+        isArchived: false,
+        isDraft: true,
+        fieldData: this.buildFieldData(draftData, company)
+      });
+      if (response.status !== 200 && response.status !== 202) {
+        return { success: false, error: this.errorMessage(response) };
+      }
+
+      console.log(`✅ Webflow item created: ${response.data.id}`);
+      return this.result(company, response.data);
+    } catch (error) {
+      console.error('❌ Webflow item creation failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update the item's fields; its draft/published state is left alone
+   * @returns {Object} { success, externalId, url, editUrl, status } or { success: false, notFound, error }
+   */
+  async updatePost(externalId, draftData, company) {
+    try {
+      const response = await this.request(company, 'patch', `/items/${externalId}`, {
+        fieldData: this.buildFieldData(draftData, company)
+      });
+      if (response.status !== 200) {
+        return { success: false, notFound: response.status === 404, error: this.errorMessage(response) };
+      }
+
+      console.log(`✅ Webflow item ${externalId} updated`);
+      return this.result(company, response.data);
+    } catch (error) {
+      console.error(`❌ Webflow item ${externalId} update failed:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+module.exports = WebflowPublisher;
@@ -0,0 +1,61 @@
+// services/publishers/wordpressPublisher.js
+const WordPressService = require('../wordpressService');
+
+/**
+ * WordPress adapter for the publisher layer.
+ * Wraps WordPressService, which keeps the REST details (RankMath meta, featured images, terms).
+ */
+class WordPressPublisher {
+  constructor() {
+    this.name = 'wordpress';
+    this.label = 'WordPress';
+    // Scheduling, terms and the sync preview exist for WordPress only
+    this.capabilities = { scheduling: true, taxonomy: true, syncPreview: true };
+    this.wordpressService = new WordPressService();
+  }
+
+  isConfigured(company) {
+    const config = company.wordpressConfig || {};
+    return !!(config.baseUrl && config.username && config.appPassword);
+  }
+
+  async testConnection(company) {
+    return this.wordpressService.testConnection(company._id);
+  }
+
+  /**
+   * @returns {Object} { success, data } or { success: false, notFound, error }
+   */
+  async getPost(externalId, company) {
+    const post = await this.wordpressService.getDraftPost(externalId, company._id);
+    return post.success ? post : { ...post, notFound: true };
+  }
+
+  normalize(result) {
+    if (!result.success) return result;
+    return {
+      ...result,
+      externalId: String(result.wordpressId),
+      url: result.previewUrl,
+      editUrl: result.editUrl,
+      status: result.status
+    };
+  }
+
+  /**
+   * Create a WordPress draft (or a "future" post when draftData.scheduledAt is set)
+   * @returns {Object} { success, externalId, wordpressId, url, editUrl, status } or { success: false, error }
+   */
+  async createPost(draftData, company) {
+    return this.normalize(await this.wordpressService.createDraft(draftData, company._id));
+  }
+
+  /**
+   * @returns {Object} { success, externalId, wordpressId, url, editUrl, status } or { success: false, notFound, error }
+   */
+  async updatePost(externalId, draftData, company) {
+    return this.normalize(await this.wordpressService.updateWordPressPost(parseInt(externalId), draftData, company._id));
+  }
+}
+
+module.exports = WordPressPublisher;
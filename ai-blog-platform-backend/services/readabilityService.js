@@ -0,0 +1,259 @@
+// services/readabilityService.js
+
+// Blocks whose text is read as running prose
+const READABLE_BLOCK_TYPES = ['introduction', 'section', 'paragraph', 'conclusion', 'list', 'quote'];
+
+// Thresholds follow the common readability plugins (RankMath/Yoast)
+const LONG_SENTENCE_WORDS = 20;
+const LONG_PARAGRAPH_WORDS = 150;
+const CONSECUTIVE_STARTS = 3;
+
+const TRANSITION_WORDS = [
+  'accordingly', 'additionally', 'afterward', 'afterwards', 'also', 'although', 'besides', 'but', 'consequently',
+  'conversely', 'finally', 'first', 'firstly', 'furthermore', 'hence', 'however', 'indeed', 'instead', 'likewise',
+  'meanwhile', 'moreover', 'nevertheless', 'next', 'nonetheless', 'otherwise', 'overall', 'second', 'secondly',
+  'similarly', 'since', 'so', 'specifically', 'still', 'then', 'therefore', 'third', 'thus', 'ultimately',
+  'unlike', 'whereas', 'while', 'yet', 'because', 'notably', 'importantly', 'typically', 'generally'
+];
+const TRANSITION_PHRASES = [
+  'as a result', 'as well as', 'at the same time', 'by contrast', 'for example', 'for instance', 'in addition',
+  'in conclusion', 'in contrast', 'in fact', 'in other words', 'in particular', 'in short', 'in summary',
+  'on the other hand', 'such as', 'to summarize', 'that is', 'even though', 'as long as', 'in order to',
+  'due to', 'rather than', 'above all', 'after all', 'in the meantime', 'first of all', 'to begin with'
+];
+const TRANSITION_PATTERN = new RegExp(`\\b(${[...TRANSITION_PHRASES, ...TRANSITION_WORDS].map(word => word.replace(/ /g, '\\s+')).join('|')})\\b`, 'i');
+
+// "be" auxiliary + optional adverb + past participle (regular -ed or a common irregular form)
+const IRREGULAR_PARTICIPLES = [
+  'begun', 'bought', 'broken', 'brought', 'built', 'caught', 'chosen', 'done', 'drawn', 'driven', 'eaten', 'fallen',
+  'felt', 'found', 'forgotten', 'given', 'gone', 'grown', 'heard', 'held', 'hidden', 'kept', 'known', 'laid', 'led',
+  'left', 'lost', 'made', 'meant', 'met', 'paid', 'put', 'read', 'run', 'said', 'seen', 'sent', 'set', 'shown',
+  'shut', 'sold', 'spent', 'spoken', 'spread', 'stolen', 'taken', 'taught', 'thought', 'thrown', 'told', 'torn',
+  'understood', 'won', 'worn', 'written'
+];
+const PASSIVE_PATTERN = new RegExp(
+  `\\b(am|is|are|was|were|be|been|being|get|gets|got|gotten)\\s+(\\w+ly\\s+)?(\\w{3,}ed|${IRREGULAR_PARTICIPLES.join('|')})\\b`,
+  'i'
+);
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const ratio = (part, total) => (total > 0 ? round((part / total) * 100) : 0);
+
+// Block text without links, markup and list markers
+const plainText = text => (text || '')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+  .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+  .replace(/https?:\/\/\S+/g, ' ')
+  .replace(/\*\*|__|`/g, '')
+  .replace(/^\s*(?:[-*+•]|\d+[.)])\s+/gm, '');
+
+const splitWords = text => text.match(/[A-Za-z0-9][A-Za-z0-9'’-]*/g) || [];
+
+// List items and lines count as sentences of their own
+const splitSentences = text => text
+  .split(/(?<=[.!?])["')\]]*\s+|\n+/)
+  .map(sentence => sentence.trim())
+  .filter(sentence => splitWords(sentence).length > 0);
+
+function countSyllables(word) {
+  let letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (!letters) return 0;
+  if (letters.length <= 3) return 1;
+  letters = letters.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  return Math.max(1, (letters.match(/[aeiouy]{1,2}/g) || []).length);
+}
+
+// Flesch reading ease: 206.835 − 1.015 × words/sentence − 84.6 × syllables/word
+function fleschReadingEase(words, sentenceCount) {
+  if (words.length === 0 || sentenceCount === 0) return null;
+  const syllables = words.reduce((sum, word) => sum + countSyllables(word), 0);
+  const score = 206.835 - 1.015 * (words.length / sentenceCount) - 84.6 * (syllables / words.length);
+  return round(Math.min(100, Math.max(0, score)));
+}
+
+const excerpt = sentence => {
+  const words = sentence.split(/\s+/);
+  return words.length > 12 ? `${words.slice(0, 12).join(' ')}…` : sentence;
+};
+
+const firstWord = sentence => (splitWords(sentence)[0] || '').toLowerCase();
+
+// Runs of CONSECUTIVE_STARTS or more sentences beginning with the same word
+function findConsecutiveStarts(sentences) {
+  const runs = [];
+  let start = 0;
+  for (let index = 1; index <= sentences.length; index++) {
+    const word = firstWord(sentences[start]);
+    if (index < sentences.length && word && firstWord(sentences[index]) === word) continue;
+    if (word && index - start >= CONSECUTIVE_STARTS) {
+      runs.push({ word, count: index - start, excerpt: excerpt(sentences[start]) });
+    }
+    start = index;
+  }
+  return runs;
+}
+
+/**
+ * Readability analysis for the content blocks of a draft: Flesch reading ease, sentence
+ * and paragraph length, passive voice, transition words and repeated sentence starts.
+ * The overall score (0-100) feeds the SEO validator; per-block issues are shown in the editor.
+ */
+class ReadabilityService {
+  /**
+   * Sentence-level statistics for one piece of text
+   * @returns {Object} { words, sentences, paragraphs, passive, transitions, consecutiveStarts }
+   */
+  analyzeText(text) {
+    const clean = plainText(text);
+    const paragraphs = clean.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+    const sentences = splitSentences(clean);
+    return {
+      words: splitWords(clean),
+      sentences,
+      paragraphs: paragraphs.map(paragraph => splitWords(paragraph).length),
+      passive: sentences.filter(sentence => PASSIVE_PATTERN.test(sentence)),
+      transitions: sentences.filter(sentence => TRANSITION_PATTERN.test(sentence)),
+      consecutiveStarts: findConsecutiveStarts(sentences)
+    };
+  }
+
+  /**
+   * Issues worth fixing in a single block
+   * @returns {Array} [{ type, message, excerpt? }]
+   */
+  blockIssues(block, stats) {
+    const issues = [];
+    const sentenceCount = stats.sentences.length;
+    const flesch = fleschReadingEase(stats.words, sentenceCount);
+
+    if (flesch !== null && flesch < 50 && stats.words.length >= 40) {
+      issues.push({ type: 'flesch', message: `Hard to read (Flesch ${flesch}). Use shorter words and sentences.` });
+    }
+    stats.paragraphs.filter(words => words > LONG_PARAGRAPH_WORDS).forEach(words => {
+      issues.push({ type: 'paragraphLength', message: `Paragraph has ${words} words. Split it below ${LONG_PARAGRAPH_WORDS} words.` });
+    });
+    stats.sentences
+      .filter(sentence => splitWords(sentence).length > LONG_SENTENCE_WORDS)
+      .slice(0, 3)
+      .forEach(sentence => {
+        issues.push({
+          type: 'sentenceLength',
+          message: `Sentence has ${splitWords(sentence).length} words. Keep sentences to ${LONG_SENTENCE_WORDS} words or fewer.`,
+          excerpt: excerpt(sentence)
+        });
+      });
+    stats.passive.slice(0, 2).forEach(sentence => {
+      issues.push({ type: 'passiveVoice', message: 'Passive voice. Rewrite it in the active voice.', excerpt: excerpt(sentence) });
+    });
+    if (block.type !== 'list' && sentenceCount >= 3 && stats.transitions.length === 0) {
+      issues.push({ type: 'transitionWords', message: 'No transition words. Link sentences with words like "however", "for example" or "as a result".' });
+    }
+    stats.consecutiveStarts.forEach(run => {
+      issues.push({
+        type: 'consecutiveStarts',
+        message: `${run.count} sentences in a row start with "${run.word}". Vary the sentence openings.`,
+        excerpt: run.excerpt
+      });
+    });
+
+    return issues;
+  }
+
+  /**
+   * Analyze the readable blocks (introduction, sections, lists...) of a draft
+   * @param {Array} contentBlocks - Draft content blocks
+   * @returns {Object} { score, fleschReadingEase, sentenceLength, paragraphLength, passiveVoice,
+   *   transitionWords, consecutiveStarts, checks, recommendations, blocks }
+   */
+  analyzeBlocks(contentBlocks = []) {
+    const analyzed = contentBlocks
+      .filter(block => READABLE_BLOCK_TYPES.includes(block.type) && block.content)
+      .map(block => ({ block, stats: this.analyzeText(block.content) }));
+
+    const words = analyzed.flatMap(({ stats }) => stats.words);
+    const sentences = analyzed.flatMap(({ stats }) => stats.sentences);
+    // Each block is at least one paragraph; lists are not paragraphs
+    const paragraphs = analyzed.filter(({ block }) => block.type !== 'list').flatMap(({ stats }) => stats.paragraphs);
+    const sentenceLengths = sentences.map(sentence => splitWords(sentence).length);
+    const longSentences = sentenceLengths.filter(length => length > LONG_SENTENCE_WORDS).length;
+    const longParagraphs = paragraphs.filter(length => length > LONG_PARAGRAPH_WORDS).length;
+    const passive = analyzed.reduce((sum, { stats }) => sum + stats.passive.length, 0);
+    const transitions = analyzed.reduce((sum, { stats }) => sum + stats.transitions.length, 0);
+    const consecutiveStarts = analyzed.flatMap(({ block, stats }) => stats.consecutiveStarts.map(run => ({ blockId: block.id, ...run })));
+    const flesch = fleschReadingEase(words, sentences.length);
+
+    const sentenceLength = {
+      average: sentences.length ? round(words.length / sentences.length) : 0,
+      longSentences,
+      longSentenceRatio: ratio(longSentences, sentences.length),
+      distribution: {
+        short: sentenceLengths.filter(length => length <= 10).length,
+        medium: sentenceLengths.filter(length => length > 10 && length <= 20).length,
+        long: sentenceLengths.filter(length => length > 20 && length <= 30).length,
+        veryLong: sentenceLengths.filter(length => length > 30).length
+      }
+    };
+    const paragraphLength = {
+      average: paragraphs.length ? round(paragraphs.reduce((sum, length) => sum + length, 0) / paragraphs.length) : 0,
+      longParagraphs
+    };
+    const passiveVoice = { count: passive, ratio: ratio(passive, sentences.length) };
+    const transitionWords = { count: transitions, ratio: ratio(transitions, sentences.length) };
+
+    // Each check scores full points when good, half when acceptable
+    const check = (id, label, maxPoints, status, value, message) => ({
+      id,
+      label,
+      status,
+      value,
+      maxPoints,
+      points: status === 'good' ? maxPoints : status === 'ok' ? maxPoints / 2 : 0,
+      message: status === 'good' ? null : message
+    });
+    const checks = sentences.length === 0 ? [] : [
+      check('fleschReadingEase', 'Flesch reading ease', 30,
+        flesch >= 60 ? 'good' : flesch >= 50 ? 'ok' : 'poor', flesch,
+        `Flesch reading ease is ${flesch}. Aim for 60 or higher with shorter sentences and simpler words.`),
+      check('sentenceLength', 'Sentence length', 20,
+        sentenceLength.longSentenceRatio <= 25 ? 'good' : sentenceLength.longSentenceRatio <= 30 ? 'ok' : 'poor', sentenceLength.longSentenceRatio,
+        `${sentenceLength.longSentenceRatio}% of sentences have more than ${LONG_SENTENCE_WORDS} words. Keep it at 25% or less.`),
+      check('paragraphLength', 'Paragraph length', 15,
+        longParagraphs === 0 ? 'good' : longParagraphs <= 2 ? 'ok' : 'poor', longParagraphs,
+        `${longParagraphs} paragraph(s) have more than ${LONG_PARAGRAPH_WORDS} words. Split them up.`),
+      check('passiveVoice', 'Passive voice', 15,
+        passiveVoice.ratio <= 10 ? 'good' : passiveVoice.ratio <= 15 ? 'ok' : 'poor', passiveVoice.ratio,
+        `${passiveVoice.ratio}% of sentences use the passive voice. Keep it at 10% or less.`),
+      check('transitionWords', 'Transition words', 10,
+        transitionWords.ratio >= 30 ? 'good' : transitionWords.ratio >= 20 ? 'ok' : 'poor', transitionWords.ratio,
+        `${transitionWords.ratio}% of sentences contain a transition word. Aim for at least 30%.`),
+      check('consecutiveStarts', 'Consecutive sentence starts', 10,
+        consecutiveStarts.length === 0 ? 'good' : consecutiveStarts.length <= 2 ? 'ok' : 'poor', consecutiveStarts.length,
+        `${consecutiveStarts.length} place(s) have ${CONSECUTIVE_STARTS} or more sentences in a row starting with the same word.`)
+    ];
+
+    return {
+      score: Math.round(checks.reduce((sum, item) => sum + item.points, 0)),
+      wordCount: words.length,
+      sentenceCount: sentences.length,
+      paragraphCount: paragraphs.length,
+      fleschReadingEase: flesch,
+      sentenceLength,
+      paragraphLength,
+      passiveVoice,
+      transitionWords,
+      consecutiveStarts,
+      checks,
+      recommendations: checks.filter(item => item.message).map(item => item.message),
+      blocks: analyzed
+        .map(({ block, stats }) => ({
+          blockId: block.id,
+          fleschReadingEase: fleschReadingEase(stats.words, stats.sentences.length),
+          issues: this.blockIssues(block, stats)
+        }))
+        .filter(block => block.issues.length > 0)
+    };
+  }
+}
+
+module.exports = new ReadabilityService();
@@ -0,0 +1,77 @@
+// services/redactionService.js
+
+const REDACTED = '[REDACTED]';
+
+// Keys whose values are never logged
+const SECRET_KEYS = /^(password|appPassword|app_password|adminApiKey|apiToken|apiKey|api_key|secret|clientSecret|privateKey|private_key|authorization|accessToken|refreshToken|token)$/i;
+
+// Credentials that end up inside strings: auth headers and stored ciphertext
+const SECRET_PATTERNS = [
+  [/\b(Basic|Bearer|Ghost)\s+[A-Za-z0-9+/=._-]{8,}/g, `$1 ${REDACTED}`],
+  [/enc:v1:[A-Za-z0-9_:-]+/g, REDACTED]
+];
+
+// Nested objects deeper than this are not copied (console output stops at depth 2 anyway)
+const MAX_DEPTH = 6;
+
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+/**
+ * Keeps credentials out of logs. redact() copies a value with secret keys replaced and
+ * auth headers masked; installConsole() runs every console call through it, so
+ * objects such as axios errors (whose config carries the Authorization header) can be
+ * logged as before. API responses are covered by the Company schema's toJSON transform.
+ */
+class RedactionService {
+  constructor() {
+    this.installed = false;
+  }
+
+  redactString(text) {
+    return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+  }
+
+  /**
+   * Copy of a value that is safe to log
+   */
+  redact(value, depth = 0, seen = new WeakSet()) {
+    if (typeof value === 'string') return this.redactString(value);
+    if (!value || typeof value !== 'object') return value;
+    if (value instanceof Date || Buffer.isBuffer(value) || value instanceof RegExp) return value;
+    if (seen.has(value)) return '[Circular]';
+    if (depth >= MAX_DEPTH) return '[Object]';
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redact(item, depth + 1, seen));
+    }
+
+    // Mongoose documents and AxiosHeaders
+    if (!(value instanceof Error) && typeof value.toJSON === 'function') {
+      return this.redact(value.toJSON(), depth, seen);
+    }
+
+    const copy = value instanceof Error ? Object.assign(new Error(this.redactString(value.message)), { name: value.name }) : {};
+    if (value instanceof Error && value.stack) copy.stack = this.redactString(value.stack);
+
+    Object.keys(value).forEach(key => {
+      copy[key] = SECRET_KEYS.test(key) && value[key] ? REDACTED : this.redact(value[key], depth + 1, seen);
+    });
+    return copy;
+  }
+
+  /**
+   * Redact everything written through console.log/info/warn/error/debug in this process
+   */
+  installConsole() {
+    if (this.installed) return;
+    this.installed = true;
+
+    CONSOLE_METHODS.forEach(method => {
+      const original = console[method].bind(console);
+      console[method] = (...args) => original(...args.map(arg => this.redact(arg)));
+    });
+  }
+}
+
+module.exports = new RedactionService();
@@ -0,0 +1,89 @@
+// services/renderers/ampRenderer.js
+const brandThemeService = require('../brandThemeService');
+
+// Generated images are 16:9; AMP needs a size to reserve space before loading
+const IMAGE_WIDTH = 1200;
+const IMAGE_HEIGHT = 675;
+
+// Class → style from brandThemeService.styles
+const CLASS_STYLES = {
+  'post-h1': 'h1',
+  'post-h2': 'h2',
+  'post-h3': 'h3',
+  'post-p': 'paragraph',
+  'post-list': 'list',
+  'post-list li': 'listItem',
+  'post-quote': 'quote',
+  'post-caption': 'caption',
+  'post-references': 'references',
+  'post-content a': 'link',
+  'post-cta': 'ctaBox',
+  'post-related': 'relatedSection',
+  'post-related-title': 'relatedTitle',
+  'post-related-card': 'relatedCard',
+  'post-related-link': 'relatedLink',
+  'post-related-description': 'relatedDescription'
+};
+
+/**
+ * AMP-friendly HTML: no inline styles and <amp-img> instead of <img>. The theme goes
+ * into one stylesheet for <style amp-custom> (see stylesheet()).
+ */
+class AmpRenderer {
+  constructor() {
+    this.name = 'amp';
+    this.label = 'AMP HTML';
+  }
+
+  stylesheet(theme) {
+    const styles = brandThemeService.styles(theme);
+    return [
+      ...Object.entries(CLASS_STYLES).map(([selector, key]) => `.${selector} { ${styles[key]} }`),
+      `.post-cta .post-p { color: ${theme.ctaBox.textColor}; margin-bottom: 0; }`,
+      '.post-figure { margin: 30px 0; text-align: center; }'
+    ].join('\n');
+  }
+
+  node(node) {
+    switch (node.type) {
+      case 'heading':
+        return `<h${node.level} class="post-h${node.level}">${node.text}</h${node.level}>\n`;
+      case 'paragraph':
+        return `<p class="post-p">${node.html}</p>\n`;
+      case 'callToAction':
+        return `<div class="post-cta">\n  <p class="post-p">${node.html}</p>\n</div>\n`;
+      case 'list': {
+        const tag = node.ordered ? 'ol' : 'ul';
+        return `<${tag} class="post-list">\n${node.items.map(item => `  <li>${item}</li>\n`).join('')}</${tag}>\n`;
+      }
+      case 'quote':
+        return `<blockquote class="post-quote">${node.lines.join('<br />')}</blockquote>\n`;
+      case 'references':
+        return `<div class="post-references">${node.html}</div>\n`;
+      case 'image':
+        return `<figure class="post-figure">
+  <amp-img src="${node.url}" alt="${node.alt}" width="${IMAGE_WIDTH}" height="${IMAGE_HEIGHT}" layout="responsive"></amp-img>
+${node.caption ? `  <figcaption class="post-caption">${node.caption}</figcaption>\n` : ''}</figure>\n`;
+      case 'links': {
+        const items = node.links.map(link => `  <li><a href="${link.url}"${node.external ? ' rel="noopener noreferrer"' : ''}>${link.text}</a>${link.description ? ' - ' + link.description : ''}</li>\n`).join('');
+        return `<h3 class="post-h3">${node.title}</h3>\n<ul class="post-list">\n${items}</ul>\n`;
+      }
+      case 'related': {
+        const cards = node.articles.map(article => `  <div class="post-related-card">
+    <a href="${article.url}" class="post-related-link">${article.title}</a>${article.description ? `
+    <span class="post-related-description">${article.description}</span>` : ''}
+  </div>
+`).join('');
+        return `<div class="post-related">\n  <h3 class="post-related-title">${node.title}</h3>\n${cards}</div>\n`;
+      }
+      default:
+        return '';
+    }
+  }
+
+  render(nodes) {
+    return `<div class="post-content">\n${nodes.map(node => this.node(node)).join('')}</div>\n`;
+  }
+}
+
+module.exports = AmpRenderer;
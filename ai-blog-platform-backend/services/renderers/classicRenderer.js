@@ -0,0 +1,66 @@
+// services/renderers/classicRenderer.js
+const brandThemeService = require('../brandThemeService');
+
+/**
+ * Plain HTML with inline styles, which is what WordPress posts receive: it looks the
+ * same in the classic editor, the block editor's Classic block and any theme.
+ */
+class ClassicRenderer {
+  constructor() {
+    this.name = 'classic';
+    this.label = 'Classic HTML';
+  }
+
+  node(node, theme, styles) {
+    switch (node.type) {
+      case 'heading':
+        return `<h${node.level} style="${styles[`h${node.level}`]}">${node.text}</h${node.level}>\n`;
+      case 'paragraph':
+        return `<p style="${styles.paragraph}">${node.html}</p>\n`;
+      case 'callToAction':
+        return `<div style="${styles.ctaBox}">\n  <p style="${styles.paragraph} color: ${theme.ctaBox.textColor}; margin-bottom: 0;">${node.html}</p>\n</div>\n`;
+      case 'list': {
+        const tag = node.ordered ? 'ol' : 'ul';
+        const items = node.items.map(item => `  <li style="${styles.listItem}">${item}</li>\n`).join('');
+        return `<${tag} style="${styles.list}">\n${items}</${tag}>\n`;
+      }
+      case 'quote':
+        return `<blockquote style="${styles.quote}">${node.lines.join('<br />')}</blockquote>\n`;
+      case 'references':
+        return `<div style="${styles.references}">${node.html}</div>\n`;
+      case 'image':
+        return `<figure style="margin: 30px 0; text-align: center;">
+  <img src="${node.url}" alt="${node.alt}" style="max-width: 100%; height: auto; border-radius: 8px; box-shadow: 0 4px 8px rgba(0,0,0,0.1);" />
+${node.caption ? `  <figcaption style="${styles.caption}">${node.caption}</figcaption>\n` : ''}</figure>\n`;
+      case 'links': {
+        const items = node.links.map(link => `  <li style="${styles.listItem}"><a href="${link.url}" target="_blank"${node.external ? ' rel="noopener noreferrer"' : ''} style="${styles.link}">${link.text}</a>${link.description ? ' - ' + link.description : ''}</li>\n`).join('');
+        return `<h3 style="${styles.h3}">${node.title}</h3>\n<ul style="${styles.list}">\n${items}</ul>\n`;
+      }
+      case 'related': {
+        const cards = node.articles.map(article => `
+    <div style="${styles.relatedCard}">
+      <a href="${article.url}" target="_blank" style="${styles.relatedLink}">${article.title}</a>${article.description ? `
+      <span style="${styles.relatedDescription}">${article.description}</span>` : ''}
+    </div>
+`).join('');
+        return `
+<div style="${styles.relatedSection}">
+  <h3 style="${styles.relatedTitle}">${node.title}</h3>
+
+  <div style="max-width: 800px; margin: 0 auto;">${cards}  </div>
+</div>
+`;
+      }
+      default:
+        // Image placeholders have nothing to show outside the editor
+        return '';
+    }
+  }
+
+  render(nodes, theme) {
+    const styles = brandThemeService.styles(theme);
+    return nodes.map(node => this.node(node, theme, styles)).join('');
+  }
+}
+
+module.exports = ClassicRenderer;
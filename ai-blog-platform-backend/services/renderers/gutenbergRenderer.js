@@ -0,0 +1,127 @@
+// services/renderers/gutenbergRenderer.js
+
+/**
+ * Block editor markup: every element is wrapped in <!-- wp:... --> comments so
+ * WordPress opens it as editable blocks. Styles go both into the block attributes
+ * and inline, so themes without block support still show the brand.
+ */
+class GutenbergRenderer {
+  constructor() {
+    this.name = 'gutenberg';
+    this.label = 'Gutenberg blocks';
+  }
+
+  heading(theme, level, content, { color, fontSize, fontWeight } = {}) {
+    const { colors, fonts, headingSizes } = theme;
+    const textColor = color || (level === 2 ? colors.subheading : colors.heading);
+    const size = fontSize || headingSizes[`h${level}`];
+    const weight = fontWeight || (level === 1 ? '700' : '600');
+    const attributes = { level, style: { typography: { fontSize: size, fontWeight: weight, fontFamily: fonts.heading }, color: { text: textColor } } };
+    return `<!-- wp:heading ${JSON.stringify(attributes)} -->
+<h${level} class="wp-block-heading" style="color:${textColor};font-size:${size};font-weight:${weight};font-family:${fonts.heading}">${content}</h${level}>
+<!-- /wp:heading -->`;
+  }
+
+  paragraph(theme, content, color = theme.colors.text) {
+    const { fonts, bodyFontSize, lineHeight } = theme;
+    const attributes = { style: { typography: { lineHeight, fontSize: bodyFontSize }, color: { text: color } } };
+    return `<!-- wp:paragraph ${JSON.stringify(attributes)} -->
+<p class="wp-block-paragraph" style="color:${color};font-size:${bodyFontSize};line-height:${lineHeight};font-family:${fonts.body}">${content}</p>
+<!-- /wp:paragraph -->`;
+  }
+
+  node(node, theme) {
+    const { colors, fonts, bodyFontSize, lineHeight, ctaBox } = theme;
+
+    switch (node.type) {
+      case 'heading':
+        return this.heading(theme, node.level, node.text);
+      case 'paragraph':
+        return this.paragraph(theme, node.html);
+      case 'callToAction': {
+        const attributes = {
+          style: {
+            color: { background: ctaBox.backgroundColor },
+            border: { color: ctaBox.borderColor, width: '2px', radius: ctaBox.borderRadius },
+            spacing: { padding: { top: '24px', right: '24px', bottom: '24px', left: '24px' } }
+          }
+        };
+        return `<!-- wp:group ${JSON.stringify(attributes)} -->
+<div class="wp-block-group has-border-color has-background" style="border-color:${ctaBox.borderColor};border-width:2px;border-radius:${ctaBox.borderRadius};background-color:${ctaBox.backgroundColor};padding:24px">
+${this.paragraph(theme, node.html, ctaBox.textColor)}
+</div>
+<!-- /wp:group -->`;
+      }
+      case 'list': {
+        const tag = node.ordered ? 'ol' : 'ul';
+        const items = node.items.map(item => `<!-- wp:list-item -->\n<li>${item}</li>\n<!-- /wp:list-item -->`).join('\n');
+        return `<!-- wp:list${node.ordered ? ' {"ordered":true}' : ''} -->
+<${tag} class="wp-block-list" style="color:${colors.text};font-size:${bodyFontSize};line-height:${lineHeight};font-family:${fonts.body}">
+${items}
+</${tag}>
+<!-- /wp:list -->`;
+      }
+      case 'quote': {
+        const paragraphs = node.lines.map(line => `<!-- wp:paragraph -->\n<p>${line}</p>\n<!-- /wp:paragraph -->`).join('\n');
+        return `<!-- wp:quote -->
+<blockquote class="wp-block-quote" style="border-left-color:${colors.accent}">
+${paragraphs}
+</blockquote>
+<!-- /wp:quote -->`;
+      }
+      case 'references':
+        return `<!-- wp:group {"style":{"spacing":{"padding":{"top":"1rem","bottom":"1rem"}}}} -->
+<div class="wp-block-group" style="padding-top:1rem;padding-bottom:1rem">
+<!-- wp:paragraph {"style":{"typography":{"fontSize":"14px","fontWeight":"500"},"color":{"text":"${colors.text}"}}} -->
+<p class="wp-block-paragraph" style="color:${colors.text};font-size:14px;font-weight:500;font-family:${fonts.body}">${node.html}</p>
+<!-- /wp:paragraph -->
+</div>
+<!-- /wp:group -->`;
+      case 'image':
+        return `<!-- wp:image {"sizeSlug":"large","linkDestination":"none"} -->
+<figure class="wp-block-image size-large">
+<img src="${node.url}" alt="${node.alt}" style="max-width: 100%; height: auto;" />${node.caption ? `
+<figcaption class="wp-element-caption">${node.caption}</figcaption>` : ''}
+</figure>
+<!-- /wp:image -->`;
+      case 'imagePlaceholder':
+        return `<!-- wp:paragraph {"style":{"color":{"text":"#cccccc"}}} -->
+<p class="wp-block-paragraph" style="color:#cccccc"><!-- Image placeholder: ${node.prompt} --></p>
+<!-- /wp:paragraph -->`;
+      case 'links': {
+        const items = node.links.map(link => `<li><a href="${link.url}" target="_blank"${node.external ? ' rel="noopener noreferrer"' : ''} style="color:${colors.link}">${link.text}</a>${link.description ? ' - ' + link.description : ''}</li>\n`).join('');
+        return `${this.heading(theme, 3, node.title, { color: colors.accent, fontSize: '1.5rem' })}
+<!-- wp:list -->
+<ul class="wp-block-list">
+${items}</ul>
+<!-- /wp:list -->`;
+      }
+      case 'related': {
+        const cards = node.articles.map(article => `<div class="related-post-card" style="border:1px solid #e0e0e0;border-left:5px solid ${colors.accent};border-radius:12px;overflow:hidden;background:${colors.background}">
+${article.image ? `<div class="related-post-image"><img src="${article.image}" alt="${article.alt}" style="width: 100%; height: 200px; object-fit: cover;" /></div>
+` : ''}<div class="related-post-content" style="padding:20px">
+<h4 style="margin:0 0 10px 0;font-size:18px;font-family:${fonts.heading}"><a href="${article.url}" target="_blank" rel="noopener noreferrer" style="color:${colors.heading};text-decoration:none">${article.title}</a></h4>
+${article.description ? `<p class="related-post-excerpt" style="color:${colors.text};font-size:14px;line-height:1.5;margin-bottom:15px;font-family:${fonts.body}">${article.description}</p>
+` : ''}<a href="${article.url}" class="read-more-link" target="_blank" rel="noopener noreferrer" style="color:${colors.link};font-weight:600;font-size:14px;text-decoration:none">Read Next Post</a>
+</div>
+</div>`).join('\n');
+        return `<!-- wp:group {"className":"related-posts-section"} -->
+<div class="wp-block-group related-posts-section" style="margin:40px 0;padding:30px 0;border-top:2px solid ${colors.accent}">
+${this.heading(theme, 3, node.title, { fontSize: '1.5rem' })}
+<div class="related-posts-grid" style="display:grid;grid-template-columns:repeat(auto-fit, minmax(300px, 1fr));gap:20px">
+${cards}
+</div>
+</div>
+<!-- /wp:group -->`;
+      }
+      default:
+        return '';
+    }
+  }
+
+  render(nodes, theme) {
+    return nodes.map(node => this.node(node, theme)).filter(Boolean).join('\n\n') + '\n';
+  }
+}
+
+module.exports = GutenbergRenderer;
@@ -0,0 +1,63 @@
+// services/renderers/previewRenderer.js
+
+const escapeHtml = text => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Standalone page for reviewers: the body is another target's output, inserted
+ * unchanged, so the preview shows exactly the HTML the platform receives.
+ */
+class PreviewRenderer {
+  /**
+   * @param {Function} getRenderer - Looks up the renderer of the body target by name
+   */
+  constructor(getRenderer) {
+    this.name = 'preview';
+    this.label = 'Preview page';
+    this.getRenderer = getRenderer;
+  }
+
+  /**
+   * Wrap rendered post HTML in a page
+   * @param {string} body - Output of the body target
+   * @param {Object} theme - Resolved brand theme
+   * @param {Object} options - { title, target } where target is the body's renderer (for its stylesheet)
+   * @returns {string} HTML document
+   */
+  document(body, theme, { title = 'Preview', target = 'classic' } = {}) {
+    const stylesheet = this.getRenderer(target)?.stylesheet?.(theme);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>
+body { margin: 0; background: #ffffff; }
+.preview-post { max-width: 800px; margin: 40px auto; padding: 0 20px; }
+.preview-post img { max-width: 100%; height: auto; }
+${stylesheet ? `${stylesheet}\n` : ''}</style>
+</head>
+<body>
+<article class="preview-post">
+${body}</article>
+</body>
+</html>
+`;
+  }
+
+  render(nodes, theme, options = {}) {
+    const target = options.target || 'classic';
+    const renderer = this.getRenderer(target);
+    if (!renderer || renderer === this) {
+      throw new Error(`Cannot preview the "${target}" target`);
+    }
+    return this.document(renderer.render(nodes, theme), theme, { ...options, target });
+  }
+}
+
+module.exports = PreviewRenderer;
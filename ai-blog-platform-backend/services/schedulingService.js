@@ -0,0 +1,387 @@
+// services/schedulingService.js
+const BlogData = require('../models/BlogData');
+const Company = require('../models/Company');
+const Draft = require('../models/Draft');
+const WordPressService = require('./wordpressService');
+const publisherService = require('./publisherService');
+const draftDeploymentService = require('./draftDeploymentService');
+const approvalService = require('./approvalService');
+const accessService = require('./accessService');
+const jobQueueService = require('./jobQueueService');
+require('dotenv').config();
+
+const LOCAL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/;
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Minutes the timezone is ahead of UTC at the given instant
+function getTimezoneOffset(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = type => Number(parts.find(part => part.type === type).value);
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return (wallClock - date.getTime()) / 60000;
+}
+
+/**
+ * Parse a publish time. "2025-03-01T09:30" is wall-clock time in timeZone;
+ * strings with Z or an explicit offset are taken as-is.
+ * @returns {Date|null} UTC date, or null when unparseable
+ */
+function parseScheduledAt(value, timeZone) {
+  if (!value) return null;
+
+  const match = String(value).match(LOCAL_DATE_TIME);
+  if (!match) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const [, year, month, day, hour, minute, second] = match.map(part => Number(part || 0));
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  // Second pass settles times next to a DST change
+  let utc = wallClock - getTimezoneOffset(new Date(wallClock), timeZone) * 60000;
+  utc = wallClock - getTimezoneOffset(new Date(utc), timeZone) * 60000;
+  return new Date(utc);
+}
+
+function formatInTimezone(date, timeZone) {
+  if (!date) return null;
+  return new Intl.DateTimeFormat('en-US', { timeZone, dateStyle: 'medium', timeStyle: 'short' }).format(date);
+}
+
+/**
+ * Scheduled WordPress publishing.
+ *
+ * A schedule first deploys the approved content (creating the WordPress post or
+ * updating it in place) and asks WordPress to publish it at the given time ("future"
+ * status). Sites that reject that, or companies with wordpressConfig.nativeScheduling
+ * off, are published by a publish-wordpress job at the scheduled time instead, which
+ * deploys the content again before publishing. Native schedules also get a
+ * publish-wordpress job shortly after the publish time that records the result and
+ * publishes the post itself if WordPress missed it (e.g. WP-Cron not running).
+ */
+class SchedulingService {
+  constructor() {
+    this.wordpressService = new WordPressService();
+    this.graceMinutes = parseInt(process.env.WORDPRESS_SCHEDULE_GRACE_MINUTES) || 10;
+  }
+
+  async loadDraft(draftId) {
+    return Draft.findById(draftId).populate({
+      path: 'blogId',
+      select: 'companyId',
+      populate: { path: 'companyId', select: 'name timezone requiredApprovals wordpressConfig.nativeScheduling' }
+    });
+  }
+
+  getStatus(draft) {
+    const schedule = draft.schedule || {};
+    const timezone = schedule.timezone || draft.blogId?.companyId?.timezone || 'UTC';
+
+    return {
+      status: schedule.status || null,
+      scheduledAt: schedule.scheduledAt || null,
+      localTime: formatInTimezone(schedule.scheduledAt, timezone),
+      timezone,
+      mode: schedule.mode || null,
+      jobId: schedule.jobId || null,
+      scheduledBy: schedule.scheduledBy || null,
+      error: schedule.error || null,
+      wordpressStatus: draft.wordpressStatus,
+      wordpressId: draft.wordpressId || null,
+      publishedAt: draft.publishedAt || null
+    };
+  }
+
+  /**
+   * Schedule (or reschedule) a draft to go live on WordPress
+   * @param {Object} input - { scheduledAt, timezone, overrideApproval }
+   * @returns {Object|null} { success, schedule } or { success: false, statusCode, message }; null when the draft does not exist
+   */
+  async scheduleDraft(draftId, input, user) {
+    const draft = await this.loadDraft(draftId);
+    if (!draft) return null;
+
+    const company = draft.blogId?.companyId;
+    if (!company) {
+      return { success: false, statusCode: 400, message: 'Draft is not linked to a company' };
+    }
+    if (draft.wordpressStatus === 'published') {
+      return { success: false, statusCode: 409, message: 'Draft is already published' };
+    }
+    const publisher = publisherService.forCompany(company);
+    if (!publisher.capabilities.scheduling) {
+      return { success: false, statusCode: 400, message: `Scheduled publishing is not available for ${publisher.label}; publish from ${publisher.label} instead` };
+    }
+
+    const timezone = input.timezone || company.timezone || 'UTC';
+    if (!isValidTimezone(timezone)) {
+      return { success: false, statusCode: 400, message: `Unknown timezone: ${timezone}` };
+    }
+
+    const scheduledAt = parseScheduledAt(input.scheduledAt, timezone);
+    if (!scheduledAt) {
+      return { success: false, statusCode: 400, message: 'scheduledAt must be a date and time, e.g. 2025-03-01T09:30' };
+    }
+    if (scheduledAt.getTime() < Date.now() + 60000) {
+      return { success: false, statusCode: 400, message: 'Scheduled time must be at least one minute in the future' };
+    }
+
+    const gate = await approvalService.checkDeploy(draftId, user, input.overrideApproval);
+    if (!gate.allowed) {
+      return { success: false, statusCode: gate.statusCode, message: gate.message };
+    }
+
+    const native = company.wordpressConfig?.nativeScheduling !== false;
+    let mode = 'internal';
+
+    // Creates the post, or brings an existing one up to the approved content
+    const deployment = await draftDeploymentService.deployDraft(draftId, null, native ? { scheduledAt, syncedBy: user.email } : { syncedBy: user.email });
+    if (!deployment.success) {
+      return { success: false, statusCode: deployment.statusCode, message: `${deployment.message}: ${deployment.error}` };
+    }
+    if (deployment.status === 'future') mode = 'wordpress';
+
+    if (native && mode === 'internal') {
+      console.warn(`⚠️ WordPress did not accept a scheduled post for draft ${draftId}, using internal scheduler`);
+    }
+
+    const runAt = mode === 'wordpress'
+      ? new Date(scheduledAt.getTime() + this.graceMinutes * 60000)
+      : scheduledAt;
+    const job = await jobQueueService.enqueue('publish-wordpress', { draftId }, { draftId, runAt });
+
+    const updated = await Draft.findByIdAndUpdate(
+      draftId,
+      {
+        wordpressStatus: 'scheduled',
+        schedule: {
+          status: 'scheduled',
+          scheduledAt,
+          timezone,
+          mode,
+          jobId: job._id,
+          scheduledBy: user.email,
+          overrideApproval: !!input.overrideApproval && user.role === 'admin',
+          error: null
+        }
+      },
+      { new: true }
+    ).populate({ path: 'blogId', select: 'companyId', populate: { path: 'companyId', select: 'timezone' } });
+
+    // Rescheduling replaces the pending publish job, once the new one is in place
+    if (draft.schedule?.status === 'scheduled' && draft.schedule.jobId) {
+      await jobQueueService.cancel(draft.schedule.jobId);
+    }
+
+    console.log(`🗓️ Draft ${draftId} scheduled for ${scheduledAt.toISOString()} (${timezone}, ${mode}) by ${user.email}`);
+    return { success: true, schedule: this.getStatus(updated) };
+  }
+
+  /**
+   * Cancel a pending schedule; the WordPress post goes back to draft status
+   * @returns {Object|null} { success, schedule } or { success: false, statusCode, message }
+   */
+  async cancelSchedule(draftId, user) {
+    const draft = await this.loadDraft(draftId);
+    if (!draft) return null;
+
+    if (draft.schedule?.status !== 'scheduled') {
+      return { success: false, statusCode: 409, message: 'Draft is not scheduled' };
+    }
+
+    if (draft.schedule.mode === 'wordpress') {
+      const result = await this.wordpressService.updateDraft(draft.wordpressId, { status: 'draft' }, draft.blogId.companyId._id);
+      if (!result.success) {
+        return { success: false, statusCode: 400, message: `Could not unschedule WordPress post: ${result.error}` };
+      }
+    }
+    if (draft.schedule.jobId) {
+      await jobQueueService.cancel(draft.schedule.jobId);
+    }
+
+    draft.schedule.status = 'cancelled';
+    draft.wordpressStatus = 'draft';
+    await draft.save();
+
+    console.log(`🗓️ Schedule for draft ${draftId} cancelled by ${user.email}`);
+    return { success: true, schedule: this.getStatus(draft) };
+  }
+
+  /**
+   * Run a due schedule (publish-wordpress job)
+   * @param {string} jobId - Job running the schedule; stale jobs from a reschedule are skipped
+   * @returns {Object|null} { success, skipped?, message, publishedUrl } or { success: false, permanent, message }
+   */
+  async publishScheduled(draftId, jobId, onProgress = null) {
+    const report = (progress, stage, message) => onProgress && onProgress(progress, stage, message);
+
+    const draft = await this.loadDraft(draftId);
+    if (!draft) return null;
+
+    const schedule = draft.schedule;
+    if (schedule?.status !== 'scheduled' || schedule.jobId?.toString() !== jobId.toString()) {
+      return { success: true, skipped: true, message: 'Schedule was cancelled or replaced' };
+    }
+
+    const companyId = draft.blogId.companyId._id;
+
+    if (schedule.mode === 'wordpress') {
+      report(20, 'checking', 'Checking whether WordPress published the post');
+      const post = await this.wordpressService.getDraftPost(draft.wordpressId, companyId);
+      if (post.success && post.data.status === 'publish') {
+        await this.markPublished(draft, post.data.link);
+        return { success: true, message: 'Published by WordPress', publishedUrl: post.data.link };
+      }
+      console.warn(`⚠️ WordPress missed the schedule for draft ${draftId}, publishing now`);
+    }
+
+    // Edits after scheduling need a fresh approval before going live
+    if (!schedule.overrideApproval && !approvalService.isDeployable(draft)) {
+      return { success: false, permanent: true, message: 'Draft was edited after it was scheduled and must be approved again' };
+    }
+
+    // The post may hold content from before the last edits
+    report(30, 'syncing', 'Sending the approved content to WordPress');
+    const deployment = await draftDeploymentService.deployDraft(draftId, null, { syncedBy: schedule.scheduledBy || 'scheduler' });
+    if (!deployment.success) {
+      return { success: false, permanent: !deployment.retryable, message: `${deployment.message}: ${deployment.error}` };
+    }
+
+    report(50, 'publishing', 'Publishing WordPress post');
+    const result = await this.wordpressService.publishDraft(deployment.wordpressId, companyId);
+    if (!result.success) {
+      return { success: false, permanent: false, message: `WordPress publish failed: ${result.error}` };
+    }
+
+    await this.markPublished(draft, result.publishedUrl);
+    return { success: true, message: 'Published', publishedUrl: result.publishedUrl };
+  }
+
+  /**
+   * Put a failed schedule back in place before its publish-wordpress job is retried
+   * @returns {Object|null} { success } or { success: false, statusCode, message }; null when the draft does not exist
+   */
+  async reopenForRetry(draftId, jobId) {
+    const draft = await Draft.findById(draftId);
+    if (!draft) return null;
+
+    const schedule = draft.schedule;
+    if (schedule?.jobId?.toString() !== jobId.toString() || !['failed', 'scheduled'].includes(schedule.status)) {
+      return { success: false, statusCode: 409, message: 'This publish job no longer belongs to the draft\'s schedule; schedule the draft again instead' };
+    }
+
+    schedule.status = 'scheduled';
+    schedule.error = null;
+    draft.wordpressStatus = 'scheduled';
+    await draft.save();
+    return { success: true };
+  }
+
+  async markPublished(draft, publishedUrl) {
+    draft.schedule.status = 'published';
+    draft.schedule.error = null;
+    draft.wordpressStatus = 'published';
+    draft.publishedAt = new Date();
+    await draft.save();
+    console.log(`✅ Scheduled draft ${draft._id} published: ${publishedUrl}`);
+  }
+
+  async markFailed(draftId, message) {
+    await Draft.findByIdAndUpdate(draftId, {
+      'schedule.status': 'failed',
+      'schedule.error': message,
+      wordpressStatus: 'failed'
+    });
+  }
+
+  /**
+   * Editorial calendar: scheduled, published and pending posts per company
+   * @param {Object} options - { companyName, from, to } (dates limit scheduled/published entries)
+   * @returns {Array} [{ companyId, companyName, timezone, scheduled, published, pending }]
+   */
+  async getCalendar(user, { companyName, from, to } = {}) {
+    const companyFilter = accessService.isAdmin(user) ? {} : { name: { $in: user.companies || [] } };
+    if (companyName) companyFilter.name = companyName;
+
+    const companies = await Company.find(companyFilter).select('name timezone').sort({ name: 1 });
+    const blogs = await BlogData.find({ companyId: { $in: companies.map(company => company._id) } }).select('companyId');
+    const companyByBlog = new Map(blogs.map(blog => [blog._id.toString(), blog.companyId.toString()]));
+
+    const drafts = await Draft.find({
+      blogId: { $in: blogs.map(blog => blog._id) },
+      $or: [
+        { 'schedule.status': { $in: ['scheduled', 'failed'] } },
+        { wordpressStatus: 'published' },
+        { status: 'ready_to_publish' },
+        { 'approval.state': { $in: ['submitted', 'in_review', 'approved'] } }
+      ]
+    }).select('blogId title selectedH1 selectedKeyword status wordpressStatus wordpressId schedule publishedAt approval.state updatedAt');
+
+    const inRange = date => date && (!from || date >= new Date(from)) && (!to || date <= new Date(to));
+
+    const calendar = companies.map(company => ({
+      companyId: company._id,
+      companyName: company.name,
+      timezone: company.timezone || 'UTC',
+      scheduled: [],
+      published: [],
+      pending: []
+    }));
+    const calendarByCompany = new Map(calendar.map(entry => [entry.companyId.toString(), entry]));
+
+    drafts.forEach(draft => {
+      const entry = calendarByCompany.get(companyByBlog.get(draft.blogId.toString()));
+      const schedule = draft.schedule || {};
+      const item = {
+        draftId: draft._id,
+        title: draft.selectedH1 || draft.title || draft.selectedKeyword,
+        keyword: draft.selectedKeyword,
+        wordpressStatus: draft.wordpressStatus,
+        wordpressId: draft.wordpressId || null,
+        approvalState: draft.approval?.state || 'not_submitted',
+        scheduleStatus: schedule.status || null,
+        scheduledAt: schedule.scheduledAt || null,
+        localTime: formatInTimezone(schedule.scheduledAt, entry.timezone),
+        mode: schedule.mode || null,
+        error: schedule.error || null,
+        publishedAt: draft.publishedAt || null,
+        updatedAt: draft.updatedAt
+      };
+
+      if (draft.wordpressStatus === 'published') {
+        if (inRange(draft.publishedAt || schedule.scheduledAt || draft.updatedAt)) entry.published.push(item);
+      } else if (['scheduled', 'failed'].includes(schedule.status)) {
+        if (inRange(schedule.scheduledAt)) entry.scheduled.push(item);
+      } else {
+        entry.pending.push(item);
+      }
+    });
+
+    calendar.forEach(entry => {
+      entry.scheduled.sort((a, b) => a.scheduledAt - b.scheduledAt);
+      entry.published.sort((a, b) => (b.publishedAt || b.updatedAt) - (a.publishedAt || a.updatedAt));
+    });
+
+    return calendar;
+  }
+}
+
+module.exports = new SchedulingService();
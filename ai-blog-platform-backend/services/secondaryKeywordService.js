@@ -0,0 +1,270 @@
+// services/secondaryKeywordService.js
+const Draft = require('../models/Draft');
+const seoScoringService = require('./seoScoringService');
+
+const TEXT_BLOCK_TYPES = ['introduction', 'section', 'paragraph', 'conclusion', 'list', 'quote', 'h2', 'h3'];
+const KEYWORD_SOURCES = ['serp', 'perplexity', 'manual'];
+
+const MAX_SECONDARY_KEYWORDS = 10;
+const MAX_TARGET_COUNT = 20;
+// RankMath's focus keyword field takes up to 5 comma-separated keywords
+const RANKMATH_MAX_KEYWORDS = 5;
+
+const normalize = text => (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Secondary/LSI keywords of a draft: seeding from SERP clusters and Perplexity,
+ * target counts, per-block coverage and the prompt instructions that weave them in.
+ */
+class SecondaryKeywordService {
+  async loadDraft(draftId) {
+    return Draft.findById(draftId).populate('blogId');
+  }
+
+  /**
+   * Default number of uses for one secondary keyword: 1 per ~1200 words, 1-3
+   */
+  defaultTargetCount(wordCount) {
+    return Math.min(3, Math.max(1, Math.round((wordCount || 0) / 1200)));
+  }
+
+  draftWordCount(draft) {
+    return draft.generatedContent?.wordCount || draft.blogId?.wordCount || 1500;
+  }
+
+  /**
+   * Candidate keywords from the SERP clusters and Perplexity's related keywords
+   * @param {string} keyword - Primary keyword
+   * @param {number} wordCount - Article length, for the target counts
+   * @returns {Array} [{ keyword, targetCount, source }] without the primary keyword
+   */
+  async seedKeywords(keyword, wordCount) {
+    const serpService = require('./serpService');
+    const perplexityService = require('./perplexityService');
+
+    const candidates = [];
+    try {
+      const clusters = await serpService.getKeywordClusters(keyword);
+      [...(clusters.secondary || []), ...(clusters.longtail || [])]
+        .sort((a, b) => (b.relevance || 0) - (a.relevance || 0))
+        .forEach(item => candidates.push({ keyword: item.keyword, source: 'serp' }));
+    } catch (error) {
+      console.warn(`⚠️ Keyword clusters unavailable for "${keyword}": ${error.message}`);
+    }
+
+    try {
+      const analysis = await perplexityService.analyzeKeyword(keyword);
+      (analysis.relatedKeywords || []).forEach(related => candidates.push({ keyword: related, source: 'perplexity' }));
+    } catch (error) {
+      console.warn(`⚠️ Related keywords unavailable for "${keyword}": ${error.message}`);
+    }
+
+    // Alternate sources so both are represented when the list is cut
+    const bySource = source => candidates.filter(candidate => candidate.source === source);
+    const serp = bySource('serp');
+    const perplexity = bySource('perplexity');
+    const interleaved = [];
+    for (let i = 0; i < Math.max(serp.length, perplexity.length); i++) {
+      if (perplexity[i]) interleaved.push(perplexity[i]);
+      if (serp[i]) interleaved.push(serp[i]);
+    }
+
+    const seen = new Set([normalize(keyword)]);
+    const targetCount = this.defaultTargetCount(wordCount);
+    return interleaved
+      .map(candidate => ({ ...candidate, keyword: String(candidate.keyword || '').trim() }))
+      .filter(candidate => {
+        const key = normalize(candidate.keyword);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .slice(0, MAX_SECONDARY_KEYWORDS)
+      .map(candidate => ({ keyword: candidate.keyword, targetCount, source: candidate.source }));
+  }
+
+  /**
+   * Clean a submitted keyword list: strings or { keyword, targetCount, source }
+   * @returns {Object} { secondaryKeywords } or { error, statusCode }
+   */
+  normalizeList(list, primaryKeyword, wordCount) {
+    if (!Array.isArray(list)) {
+      return { error: 'secondaryKeywords must be an array', statusCode: 400 };
+    }
+
+    const seen = new Set([normalize(primaryKeyword)]);
+    const secondaryKeywords = [];
+    for (const item of list) {
+      const entry = typeof item === 'string' ? { keyword: item } : item || {};
+      const keyword = String(entry.keyword || '').trim().replace(/\s+/g, ' ');
+      if (!keyword || seen.has(normalize(keyword))) continue;
+      seen.add(normalize(keyword));
+
+      const targetCount = entry.targetCount === undefined || entry.targetCount === null || entry.targetCount === ''
+        ? this.defaultTargetCount(wordCount)
+        : Number(entry.targetCount);
+      if (!Number.isInteger(targetCount) || targetCount < 1 || targetCount > MAX_TARGET_COUNT) {
+        return { error: `Target count for "${keyword}" must be a whole number from 1 to ${MAX_TARGET_COUNT}`, statusCode: 400 };
+      }
+
+      secondaryKeywords.push({
+        keyword,
+        targetCount,
+        source: KEYWORD_SOURCES.includes(entry.source) ? entry.source : 'manual'
+      });
+    }
+
+    if (secondaryKeywords.length > MAX_SECONDARY_KEYWORDS) {
+      return { error: `A draft can have at most ${MAX_SECONDARY_KEYWORDS} secondary keywords`, statusCode: 400 };
+    }
+    return { secondaryKeywords };
+  }
+
+  /**
+   * How often each secondary keyword appears, overall and per block
+   * @param {Array} contentBlocks - Draft or editor blocks
+   * @param {Array} secondaryKeywords - [{ keyword, targetCount }]
+   * @returns {Object} { keywords: [{ keyword, targetCount, count, status, blockIds }], blocks: [{ blockId, type, keywords }], covered, total }
+   */
+  coverage(contentBlocks, secondaryKeywords) {
+    const keywords = secondaryKeywords || [];
+    const blocks = (contentBlocks || [])
+      .filter(block => TEXT_BLOCK_TYPES.includes(block.type) && (block.content || block.h2))
+      .map(block => {
+        const text = [block.h2, block.content].filter(Boolean).join('\n');
+        const counts = {};
+        keywords.forEach(({ keyword }) => {
+          counts[keyword] = seoScoringService.countKeyword(text, keyword);
+        });
+        return { blockId: block.id, type: block.type, keywords: counts };
+      });
+
+    const report = keywords.map(({ keyword, targetCount }) => {
+      const count = blocks.reduce((sum, block) => sum + block.keywords[keyword], 0);
+      let status = 'met';
+      if (count === 0) status = 'missing';
+      else if (count < targetCount) status = 'under';
+      else if (count > targetCount * 2) status = 'over';
+
+      return {
+        keyword,
+        targetCount,
+        count,
+        status,
+        blockIds: blocks.filter(block => block.keywords[keyword] > 0).map(block => block.blockId)
+      };
+    });
+
+    return {
+      keywords: report,
+      blocks,
+      covered: report.filter(item => item.status === 'met' || item.status === 'over').length,
+      total: report.length
+    };
+  }
+
+  /**
+   * Spread each keyword's target count over the generated blocks, starting at a
+   * different block per keyword so no block gets all of them
+   * @returns {Array} One [{ keyword, count }] list per slot
+   */
+  distribute(secondaryKeywords, slotCount) {
+    const slots = Array.from({ length: slotCount }, () => []);
+    if (!slotCount) return slots;
+
+    (secondaryKeywords || []).forEach(({ keyword, targetCount }, index) => {
+      const uses = targetCount || 1;
+      for (let use = 0; use < uses; use++) {
+        const slot = slots[(index + Math.floor((use * slotCount) / uses)) % slotCount];
+        const existing = slot.find(item => item.keyword === keyword);
+        if (existing) existing.count++;
+        else slot.push({ keyword, count: 1 });
+      }
+    });
+    return slots;
+  }
+
+  /**
+   * Prompt lines asking the model to use the given keywords; empty when there are none
+   * @param {Array} assignments - [{ keyword, count }]
+   */
+  promptInstructions(assignments) {
+    if (!assignments || assignments.length === 0) return '';
+
+    const lines = assignments.map(({ keyword, count }) => `- "${keyword}" (${count === 1 ? 'once' : `${count} times`})`);
+    return `
+SECONDARY KEYWORDS (weave in naturally, never as a list of keywords):
+${lines.join('\n')}`;
+  }
+
+  /**
+   * Comma-separated keywords for RankMath's focus keyword field: primary first
+   * @param {string} focusKeyword - Primary keyword
+   * @param {Array<string>} secondaryKeywords - Secondary keywords in priority order
+   */
+  rankMathFocusKeywords(focusKeyword, secondaryKeywords) {
+    return [focusKeyword, ...(secondaryKeywords || [])]
+      .filter(Boolean)
+      .map(keyword => keyword.replace(/\s*,\s*/g, ' ').trim())
+      .slice(0, RANKMATH_MAX_KEYWORDS)
+      .join(',');
+  }
+
+  /**
+   * Secondary keywords of a draft with their coverage in the saved content
+   * @returns {Object|null} { secondaryKeywords, coverage }
+   */
+  async getForDraft(draftId) {
+    const draft = await this.loadDraft(draftId);
+    if (!draft) return null;
+
+    const secondaryKeywords = draft.secondaryKeywords || [];
+    return {
+      secondaryKeywords,
+      coverage: this.coverage(draft.generatedContent?.contentBlocks, secondaryKeywords)
+    };
+  }
+
+  /**
+   * Suggested keywords for a draft; nothing is saved until the list is PUT back
+   * @returns {Object|null} { suggestions: [{ keyword, targetCount, source, selected }] }
+   */
+  async suggest(draftId) {
+    const draft = await this.loadDraft(draftId);
+    if (!draft) return null;
+
+    const keyword = draft.selectedKeyword || draft.blogId?.focusKeyword;
+    if (!keyword) {
+      return { error: 'Select a focus keyword before suggesting secondary keywords', statusCode: 400 };
+    }
+
+    const current = new Set((draft.secondaryKeywords || []).map(item => normalize(item.keyword)));
+    const suggestions = await this.seedKeywords(keyword, this.draftWordCount(draft));
+    return {
+      suggestions: suggestions.map(item => ({ ...item, selected: current.has(normalize(item.keyword)) }))
+    };
+  }
+
+  /**
+   * Replace a draft's secondary keywords
+   * @returns {Object|null} { secondaryKeywords, coverage } or { error, statusCode }
+   */
+  async save(draftId, list) {
+    const draft = await this.loadDraft(draftId);
+    if (!draft) return null;
+
+    const result = this.normalizeList(list, draft.selectedKeyword || draft.blogId?.focusKeyword, this.draftWordCount(draft));
+    if (result.error) return result;
+
+    await Draft.updateOne({ _id: draft._id }, { $set: { secondaryKeywords: result.secondaryKeywords } });
+    console.log(`🔑 Saved ${result.secondaryKeywords.length} secondary keywords for draft ${draft._id}`);
+    await seoScoringService.safeAnalyzeDraft(draft._id);
+
+    return {
+      secondaryKeywords: result.secondaryKeywords,
+      coverage: this.coverage(draft.generatedContent?.contentBlocks, result.secondaryKeywords)
+    };
+  }
+}
+
+module.exports = new SecondaryKeywordService();
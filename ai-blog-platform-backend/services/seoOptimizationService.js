@@ -1,4 +1,5 @@
 const geminiService = require('./geminiService');
+const seoScoringService = require('./seoScoringService');
 
 class SEOOptimizationService {
   constructor() {
@@ -25,7 +26,7 @@ class SEOOptimizationService {
    * @returns {Object} SEO-optimized content structure
    */
   async generateSEOOptimizedContent(contentData) {
-    const { selectedKeyword, selectedH1, selectedMetaTitle, selectedMetaDescription, companyName, companyContext, targetWordCount = 2500 } = contentData;
+    const { selectedKeyword, selectedH1, selectedMetaTitle, selectedMetaDescription, companyName, companyContext, targetWordCount = 2500, secondaryKeywords = [], onBlockProgress } = contentData;
 
     console.log(`🎯 GENERATING SEO-OPTIMIZED CONTENT FOR RANKMATH 85-100/100 SCORE`);
     console.log(`   Focus Keyword: "${selectedKeyword}"`);
@@ -37,14 +38,15 @@ class SEOOptimizationService {
       h1: selectedH1,
       metaTitle: selectedMetaTitle,
       metaDescription: selectedMetaDescription,
-      companyName
+      companyName,
+      llmConfig: companyContext?.llmConfig
     });
 
     // Step 2: Generate keyword-optimized content structure
     const contentStructure = await this.generateKeywordOptimizedStructure(selectedKeyword, targetWordCount);
 
     // Step 3: Create SEO-compliant content blocks
-    const contentBlocks = await this.generateSEOContentBlocks(contentStructure, selectedKeyword, companyName, companyContext);
+    const contentBlocks = await this.generateSEOContentBlocks(contentStructure, selectedKeyword, companyName, companyContext, onBlockProgress, secondaryKeywords);
 
     // Step 4: Validate SEO compliance
     const seoValidation = this.validateSEOCompliance(contentBlocks, selectedKeyword, optimizedMeta);
@@ -62,7 +64,7 @@ class SEOOptimizationService {
    * Optimize meta data for maximum RankMath score
    */
   async optimizeMetaData(metaData) {
-    const { keyword, h1, metaTitle, metaDescription, companyName } = metaData;
+    const { keyword, h1, metaTitle, metaDescription, companyName, llmConfig } = metaData;
 
     const optimizationPrompt = `Optimize these meta elements for RankMath SEO to achieve 90-100/100 score:
 
@@ -89,7 +91,7 @@ Return JSON format:
 }`;
 
     try {
-      const response = await geminiService.generateContent(optimizationPrompt, { name: companyName });
+      const response = await geminiService.generateContent(optimizationPrompt, { name: companyName, llmConfig });
       const optimized = JSON.parse(response.content.replace(/```json|```/g, ''));
       
       // Validate and ensure compliance
@@ -174,11 +176,25 @@ Return JSON format:
 
   /**
    * Generate SEO-compliant content blocks
+   * @param {Array} secondaryKeywords - [{ keyword, targetCount }] spread over the intro, sections and conclusion
    */
-  async generateSEOContentBlocks(structure, keyword, companyName, companyContext = {}) {
+  async generateSEOContentBlocks(structure, keyword, companyName, companyContext = {}, onBlockProgress = null, secondaryKeywords = []) {
+    const secondaryKeywordService = require('./secondaryKeywordService');
     const blocks = [];
     let blockId = 1;
 
+    // One keyword assignment per generated block: intro, each section, conclusion
+    const keywordSlots = secondaryKeywordService.distribute(secondaryKeywords, structure.mainSections.length + 2);
+    const secondaryInstructions = slot => secondaryKeywordService.promptInstructions(keywordSlots[slot]);
+
+    // Optional progress callback: (done, total, label) for job/progress reporting
+    const totalGenerations = structure.mainSections.length + 2;
+    let completedGenerations = 0;
+    const reportBlock = (label) => {
+      completedGenerations++;
+      if (onBlockProgress) onBlockProgress(completedGenerations, totalGenerations, label);
+    };
+
     // Introduction block with keyword in first 100 words - ENHANCED FOR RANKMATH
     const introPrompt = `Write a compelling, well-structured introduction for "${keyword}" that:
 - Includes the EXACT phrase "${keyword}" within the first 50 words (CRITICAL for RankMath)
@@ -207,9 +223,10 @@ REQUIREMENTS (MANDATORY - NO EXCEPTIONS):
 
 Example: "Are you ready to unlock the full potential of ${keyword}? At ${companyName}, we understand that a successful solar project goes beyond simply installing panels. Our expertise in ${companyContext.servicesOffered} has helped thousands of clients..."
 
-Write in a professional, authoritative tone that demonstrates ${companyName}'s expertise in ${keyword}.`;
+Write in a professional, authoritative tone that demonstrates ${companyName}'s expertise in ${keyword}.${secondaryInstructions(0)}`;
 
     const introContent = await geminiService.generateContent(introPrompt, companyContext);
+    reportBlock('introduction');
 
     // Enhance content with company info and links
     const enhancedIntroContent = geminiService.enhanceContentWithCompanyInfo(
@@ -226,7 +243,7 @@ Write in a professional, authoritative tone that demonstrates ${companyName}'s e
     });
 
     // Generate main section blocks
-    for (const section of structure.mainSections) {
+    for (const [sectionIndex, section] of structure.mainSections.entries()) {
       // H2 heading
       blocks.push({
         id: `h2-${blockId++}`,
@@ -276,9 +293,10 @@ LINK INTEGRATION:
 
 Example: "${companyName}'s ${companyContext.servicesOffered} services have helped clients optimize their ${keyword} implementations. Our experience shows..."
 
-Reference ${companyName}'s specific services and expertise where relevant. Avoid placeholder text like [Company Name] or [Number].`;
+Reference ${companyName}'s specific services and expertise where relevant. Avoid placeholder text like [Company Name] or [Number].${secondaryInstructions(sectionIndex + 1)}`;
 
       const sectionContent = await geminiService.generateContent(sectionPrompt, companyContext);
+      reportBlock(`section "${section.heading}"`);
 
       // Enhance section content with company info and links
       const enhancedSectionContent = geminiService.enhanceContentWithCompanyInfo(
@@ -331,9 +349,10 @@ CALL-TO-ACTION EXAMPLES:
 - "Contact ${companyName} today for professional ${keyword} solutions."
 - "Visit www.wattmonk.com to learn how our ${companyContext.servicesOffered} can transform your ${keyword} approach."
 
-Make the call-to-action specific to ${companyName}'s services. Avoid generic placeholders.`;
+Make the call-to-action specific to ${companyName}'s services. Avoid generic placeholders.${secondaryInstructions(keywordSlots.length - 1)}`;
 
     const conclusionContent = await geminiService.generateContent(conclusionPrompt, companyContext);
+    reportBlock('conclusion');
 
     // Enhance conclusion with company info and strong CTA
     let enhancedConclusionContent = geminiService.enhanceContentWithCompanyInfo(
@@ -358,159 +377,39 @@ Make the call-to-action specific to ${companyName}'s services. Avoid generic pla
   }
 
   /**
-   * Validate SEO compliance and calculate RankMath score
+   * Validate SEO compliance and calculate RankMath score (see services/seoScoringService.js)
    */
   validateSEOCompliance(contentBlocks, keyword, metaData) {
-    const validation = {
-      score: 0,
-      maxScore: 100,
-      checks: {},
-      recommendations: []
-    };
-
-    // Combine all content for analysis
-    const allContent = contentBlocks
-      .filter(block => block.type === 'paragraph')
-      .map(block => block.content)
-      .join(' ');
-
-    const wordCount = allContent.split(' ').length;
-    const keywordCount = this.countKeywordOccurrences(allContent, keyword);
-    const keywordDensity = (keywordCount / wordCount) * 100;
-
-    // Check 1: Focus keyword in title (15 points)
-    if (metaData.h1 && metaData.h1.toLowerCase().includes(keyword.toLowerCase())) {
-      validation.score += 15;
-      validation.checks.keywordInTitle = true;
-    } else {
-      validation.recommendations.push('Include focus keyword in H1 title');
-    }
-
-    // Check 2: Focus keyword in meta description (10 points)
-    if (metaData.metaDescription && metaData.metaDescription.toLowerCase().includes(keyword.toLowerCase())) {
-      validation.score += 10;
-      validation.checks.keywordInMetaDescription = true;
-    } else {
-      validation.recommendations.push('Include focus keyword in meta description');
-    }
-
-    // Check 3: Focus keyword in URL (10 points)
-    if (metaData.slug && metaData.slug.includes(keyword.toLowerCase().replace(/\s+/g, '-'))) {
-      validation.score += 10;
-      validation.checks.keywordInURL = true;
-    } else {
-      validation.recommendations.push('Include focus keyword in URL slug');
-    }
-
-    // Check 4: Focus keyword in first 100 words (15 points) - ENHANCED FOR RANKMATH
-    const first100Words = allContent.split(' ').slice(0, 100).join(' ');
-    if (first100Words.toLowerCase().includes(keyword.toLowerCase())) {
-      validation.score += 15;
-      validation.checks.keywordInFirst100Words = true;
-    } else {
-      validation.recommendations.push('Include focus keyword in first 100 words of content (CRITICAL for RankMath)');
-    }
-
-    // Check 5: Focus keyword found in content (10 points)
-    if (keywordCount > 0) {
-      validation.score += 10;
-      validation.checks.keywordInContent = true;
-    } else {
-      validation.recommendations.push('Include focus keyword in content');
-    }
-
-    // Check 6: Content length (10 points)
-    if (wordCount >= 1102) {
-      validation.score += 10;
-      validation.checks.contentLength = true;
-    } else {
-      validation.recommendations.push(`Increase content length to at least 1102 words (current: ${wordCount})`);
-    }
-
-    // Check 7: Title readability (10 points)
-    if (metaData.h1 && metaData.h1.length <= 60) {
-      validation.score += 10;
-      validation.checks.titleReadability = true;
-    } else {
-      validation.recommendations.push('Keep title under 60 characters');
-    }
-
-    // Check 8: Content readability (10 points)
-    validation.score += 10; // Assume good readability with our structured approach
-    validation.checks.contentReadability = true;
-
-    // Check 9: Meta description length (5 points)
-    if (metaData.metaDescription && metaData.metaDescription.length >= 140 && metaData.metaDescription.length <= 160) {
-      validation.score += 5;
-      validation.checks.metaDescriptionLength = true;
-    } else {
-      validation.recommendations.push('Meta description should be 140-160 characters');
-    }
-
-    // Check 10: Keyword density (5 points)
-    if (keywordDensity >= 0.5 && keywordDensity <= 2.5) {
-      validation.score += 5;
-      validation.checks.keywordDensity = true;
-    } else {
-      validation.recommendations.push(`Adjust keyword density to 0.5-2.5% (current: ${keywordDensity.toFixed(2)}%)`);
-    }
-
-    // Additional RankMath-specific checks
-
-    // Check 11: H2 headings with keyword (5 points)
-    const h2Count = (allContent.match(/<h2[^>]*>/gi) || []).length;
-    const h2WithKeyword = (allContent.match(new RegExp(`<h2[^>]*>.*${keyword}.*</h2>`, 'gi')) || []).length;
-    if (h2WithKeyword >= 1) {
-      validation.score += 5;
-      validation.checks.keywordInH2 = true;
-    } else {
-      validation.recommendations.push('Include focus keyword in at least one H2 heading');
-    }
-
-    // Check 12: Internal links (5 points)
-    const internalLinks = (allContent.match(/<a[^>]*href[^>]*>/gi) || []).length;
-    if (internalLinks >= 2) {
-      validation.score += 5;
-      validation.checks.internalLinks = true;
-    } else {
-      validation.recommendations.push('Add at least 2 internal links for better SEO');
-    }
+    const result = seoScoringService.score({
+      keyword,
+      seoTitle: metaData.metaTitle || metaData.h1,
+      metaDescription: metaData.metaDescription,
+      slug: metaData.slug,
+      contentBlocks
+    });
 
-    // Check 13: Image alt text with keyword (5 points)
-    const imageAltWithKeyword = (allContent.match(new RegExp(`alt="[^"]*${keyword}[^"]*"`, 'gi')) || []).length;
-    if (imageAltWithKeyword >= 1) {
-      validation.score += 5;
-      validation.checks.keywordInImageAlt = true;
-    } else {
-      validation.recommendations.push('Include focus keyword in at least one image alt text');
-    }
+    const checks = {};
+    result.groups.forEach(group => group.tests.forEach(test => {
+      checks[test.id] = test.passed;
+    }));
 
-    validation.keywordDensity = keywordDensity;
-    validation.wordCount = wordCount;
-    validation.keywordCount = keywordCount;
-    validation.h2Count = h2Count;
-    validation.h2WithKeyword = h2WithKeyword;
-
-    // Determine overall grade - ENHANCED FOR RANKMATH (Target: 85-88/100)
-    if (validation.score >= 85) {
-      validation.grade = 'A';
-      validation.status = 'Excellent - RankMath Optimized';
-      validation.color = 'green';
-    } else if (validation.score >= 75) {
-      validation.grade = 'B+';
-      validation.status = 'Good - Near RankMath Target';
-      validation.color = 'orange';
-    } else if (validation.score >= 65) {
-      validation.grade = 'B';
-      validation.status = 'Good - Needs RankMath Optimization';
-      validation.color = 'orange';
-    } else {
-      validation.grade = 'C';
-      validation.status = 'Needs Major RankMath Improvements';
-      validation.color = 'red';
-    }
+    const ratings = {
+      good: { grade: 'A', status: 'Excellent - RankMath Optimized', color: 'green' },
+      ok: { grade: 'B', status: 'Good - Needs RankMath Optimization', color: 'orange' },
+      poor: { grade: 'C', status: 'Needs Major RankMath Improvements', color: 'red' }
+    };
 
-    return validation;
+    return {
+      score: result.score,
+      maxScore: result.maxScore,
+      checks,
+      groups: result.groups,
+      recommendations: result.recommendations,
+      keywordDensity: result.stats.keywordDensity,
+      wordCount: result.stats.wordCount,
+      keywordCount: result.stats.keywordCount,
+      ...ratings[result.rating]
+    };
   }
 
   /**
@@ -0,0 +1,335 @@
+// services/seoScoringService.js
+const readabilityService = require('./readabilityService');
+
+const TEXT_BLOCK_TYPES = ['introduction', 'section', 'paragraph', 'conclusion', 'list', 'quote', 'references'];
+const HEADING_BLOCK_TYPES = ['h2', 'h3'];
+
+// RankMath's rating bands
+const GOOD_SCORE = 81;
+const OK_SCORE = 51;
+
+const MIN_CONTENT_WORDS = 600;
+const MAX_PARAGRAPH_WORDS = 120;
+const MAX_PERMALINK_LENGTH = 75;
+
+const POWER_WORDS = [
+  'amazing', 'best', 'breakthrough', 'complete', 'definitive', 'easy', 'effortless', 'essential', 'expert',
+  'exclusive', 'free', 'guaranteed', 'instant', 'incredible', 'proven', 'powerful', 'quick', 'remarkable',
+  'secret', 'simple', 'smart', 'stunning', 'surprising', 'ultimate', 'unbelievable', 'vital', 'boost',
+  'avoid', 'critical', 'mistakes', 'hidden', 'save', 'new', 'now', 'top'
+];
+const SENTIMENT_WORDS = [
+  'amazing', 'awesome', 'bad', 'beautiful', 'best', 'better', 'brilliant', 'cheap', 'costly', 'dangerous',
+  'easy', 'effective', 'excellent', 'fail', 'great', 'happy', 'hard', 'harmful', 'love', 'mistake', 'perfect',
+  'poor', 'powerful', 'problem', 'reliable', 'risky', 'safe', 'simple', 'smart', 'strong', 'terrible', 'trusted',
+  'ugly', 'wonderful', 'worst', 'wrong', 'affordable', 'expensive', 'efficient', 'avoid', 'beneficial'
+];
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const normalize = text => (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Text without markup; links keep their anchor text
+const plainText = text => (text || '')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+  .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+  .replace(/https?:\/\/\S+/g, ' ')
+  .replace(/\*\*|__|`/g, '');
+
+const countWords = text => (text.match(/[A-Za-z0-9][A-Za-z0-9'’-]*/g) || []).length;
+
+const keywordPattern = keyword => new RegExp(`(^|[^a-z0-9])${escapeRegExp(normalize(keyword))}(?=[^a-z0-9]|$)`, 'g');
+const containsKeyword = (text, keyword) => !!keyword && keywordPattern(keyword).test(normalize(text));
+const countKeyword = (text, keyword) => (keyword ? (normalize(text).match(keywordPattern(keyword)) || []).length : 0);
+
+// Links written in block text: [text](url), href="url" and bare URLs
+function extractLinks(text) {
+  const links = [];
+  const source = text || '';
+  source.replace(/<a\b[^>]*href=["']([^"']+)["'][^>]*>/gi, (tag, url) => {
+    links.push({ url, nofollow: /rel=["'][^"']*nofollow/i.test(tag) });
+    return '';
+  });
+  source
+    .replace(/<a\b[^>]*>/gi, ' ')
+    .replace(/\[[^\]]*\]\(([^)\s]+)\)/g, (match, url) => {
+      links.push({ url, nofollow: false });
+      return ' ';
+    })
+    .replace(/https?:\/\/[^\s)<>"']+/g, url => {
+      links.push({ url: url.replace(/[.,;:!?]+$/, ''), nofollow: false });
+      return ' ';
+    });
+  return links;
+}
+
+const hostOf = url => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * One SEO scoring engine for the platform, mirroring RankMath's test groups: Basic SEO,
+ * Additional, Title Readability and Content Readability. Every test reports pass/fail with
+ * an explanation and its share of the 100 points.
+ */
+class SEOScoringService {
+  /**
+   * Whole-phrase occurrences of a keyword in block text, markup stripped
+   * (also used by secondaryKeywordService)
+   */
+  countKeyword(text, keyword) {
+    return countKeyword(plainText(text), keyword);
+  }
+
+  /**
+   * Score content against the RankMath tests
+   * @param {Object} input - { keyword, seoTitle, metaDescription, slug, contentBlocks, featuredImage,
+   *   internalLinks, externalLinks, siteUrl, keywordUsedElsewhere }
+   * @returns {Object} { score, maxScore, rating, keyword, groups, recommendations, stats }
+   */
+  score(input) {
+    const keyword = (input.keyword || '').trim();
+    const seoTitle = (input.seoTitle || '').trim();
+    const metaDescription = (input.metaDescription || '').trim();
+    const slug = (input.slug || '').trim();
+    const blocks = input.contentBlocks || [];
+
+    // Section blocks from the editor carry their H2 inline
+    const headings = [
+      ...blocks.filter(block => HEADING_BLOCK_TYPES.includes(block.type)).map(block => block.content || ''),
+      ...blocks.filter(block => block.h2).map(block => block.h2)
+    ];
+    const textBlocks = blocks.filter(block => TEXT_BLOCK_TYPES.includes(block.type) && block.content);
+    const content = [...headings, ...textBlocks.map(block => block.content)].map(plainText).join('\n');
+    const bodyText = textBlocks.filter(block => block.type !== 'references').map(block => plainText(block.content)).join('\n');
+    const wordCount = countWords(content);
+    const keywordCount = countKeyword(content, keyword);
+    const keywordDensity = wordCount > 0 ? Math.round((keywordCount / wordCount) * 10000) / 100 : 0;
+
+    const contentImages = blocks.filter(block => block.type === 'image' && block.imageType !== 'feature');
+    const altTexts = [...blocks.filter(block => block.type === 'image'), input.featuredImage || {}]
+      .map(image => image.altText || image.alt || '')
+      .filter(Boolean);
+
+    const siteHost = hostOf(input.siteUrl);
+    const links = [
+      ...textBlocks.flatMap(block => extractLinks(block.content)),
+      ...(input.internalLinks || []).map(link => ({ url: link.targetUrl || link.url, internal: true })),
+      ...(input.externalLinks || []).map(link => ({ url: link.targetUrl || link.url, nofollow: /nofollow/i.test(link.rel || '') }))
+    ].filter(link => link.url && link.url !== '#');
+    const isInternal = link => link.internal || link.url.startsWith('/') || (!!siteHost && hostOf(link.url) === siteHost);
+    const internalLinks = links.filter(isInternal);
+    const externalLinks = links.filter(link => !isInternal(link) && /^https?:\/\//.test(link.url));
+
+    const paragraphs = textBlocks
+      .filter(block => block.type !== 'list' && block.type !== 'references')
+      .flatMap(block => plainText(block.content).split(/\n\s*\n/))
+      .map(countWords)
+      .filter(words => words > 0);
+    const longParagraphs = paragraphs.filter(words => words > MAX_PARAGRAPH_WORDS).length;
+    const readability = readabilityService.analyzeBlocks(blocks);
+
+    const missingKeyword = 'Set a focus keyword for this test.';
+    const test = (id, label, maxPoints, ratio, message) => ({
+      id,
+      label,
+      passed: ratio >= 1,
+      points: Math.round(maxPoints * ratio * 10) / 10,
+      maxPoints,
+      message
+    });
+    const keywordTest = (id, label, maxPoints, passed, passMessage, failMessage) => (keyword
+      ? test(id, label, maxPoints, passed ? 1 : 0, passed ? passMessage : failMessage)
+      : test(id, label, maxPoints, 0, missingKeyword));
+
+    const contentLengthRatio = wordCount >= 2500 ? 1 : wordCount >= 2000 ? 0.7 : wordCount >= 1500 ? 0.6 : wordCount >= 1000 ? 0.4 : wordCount >= MIN_CONTENT_WORDS ? 0.2 : 0;
+    const first10Percent = bodyText.split(/\s+/).slice(0, Math.max(Math.ceil(countWords(bodyText) * 0.1), 50)).join(' ');
+    const titleKeywordIndex = keyword ? normalize(seoTitle).indexOf(normalize(keyword)) : -1;
+    const titleWords = normalize(seoTitle).split(/[^a-z0-9']+/);
+    const densityRatio = keywordDensity >= 1 && keywordDensity <= 2.5 ? 1 : keywordDensity >= 0.5 && keywordDensity <= 3 ? 0.5 : 0;
+    const readabilityRatio = readability.score >= 70 ? 1 : readability.score >= 50 ? 0.5 : 0;
+
+    const groups = [
+      {
+        id: 'basic',
+        label: 'Basic SEO',
+        tests: [
+          keywordTest('keywordInTitle', 'Focus keyword in the SEO title', 12, containsKeyword(seoTitle, keyword),
+            'The focus keyword appears in the SEO title.', 'Add the focus keyword to the SEO title.'),
+          keywordTest('keywordInMetaDescription', 'Focus keyword in the meta description', 8, containsKeyword(metaDescription, keyword),
+            'The focus keyword appears in the meta description.', 'Add the focus keyword to the meta description.'),
+          keywordTest('keywordInPermalink', 'Focus keyword in the URL', 6, slug.includes(normalize(keyword).replace(/[^a-z0-9]+/g, '-')),
+            'The focus keyword appears in the URL.', 'Use the focus keyword in the URL slug.'),
+          keywordTest('keywordIn10Percent', 'Focus keyword at the beginning of the content', 6, containsKeyword(first10Percent, keyword),
+            'The focus keyword appears at the beginning of the content.', 'Use the focus keyword in the first 10% of the content.'),
+          keywordTest('keywordInContent', 'Focus keyword in the content', 6, keywordCount > 0,
+            `The focus keyword appears ${keywordCount} time(s) in the content.`, 'Use the focus keyword in the content.'),
+          test('contentLength', 'Content length', 10, contentLengthRatio, wordCount >= 2500
+            ? `The content is ${wordCount} words long.`
+            : `The content is ${wordCount} words long. ${wordCount < MIN_CONTENT_WORDS ? `Write at least ${MIN_CONTENT_WORDS} words; ` : ''}2,500 words or more scores full points.`)
+        ]
+      },
+      {
+        id: 'additional',
+        label: 'Additional',
+        tests: [
+          keywordTest('keywordInSubheadings', 'Focus keyword in subheadings', 5, headings.some(heading => containsKeyword(plainText(heading), keyword)),
+            'The focus keyword appears in a subheading.', 'Use the focus keyword in at least one H2 or H3 subheading.'),
+          keywordTest('keywordInImageAlt', 'Focus keyword in image alt text', 4, altTexts.some(alt => containsKeyword(alt, keyword)),
+            'An image alt text contains the focus keyword.', 'Add an image whose alt text contains the focus keyword.'),
+          keyword
+            ? test('keywordDensity', 'Keyword density', 6, densityRatio, densityRatio === 1
+              ? `Keyword density is ${keywordDensity}%, with the keyword used ${keywordCount} time(s).`
+              : `Keyword density is ${keywordDensity}%. Aim for 1-2.5% (the keyword is used ${keywordCount} time(s)).`)
+            : test('keywordDensity', 'Keyword density', 6, 0, missingKeyword),
+          test('permalinkLength', 'URL length', 2, slug && slug.length <= MAX_PERMALINK_LENGTH ? 1 : 0, slug
+            ? (slug.length <= MAX_PERMALINK_LENGTH ? `The URL slug is ${slug.length} characters long.` : `The URL slug is ${slug.length} characters long. Keep it to ${MAX_PERMALINK_LENGTH} or fewer.`)
+            : 'The draft has no URL slug yet.'),
+          test('linksHasExternals', 'Links to external resources', 3, externalLinks.length > 0 ? 1 : 0, externalLinks.length > 0
+            ? `The content links to ${externalLinks.length} external resource(s).`
+            : 'Link to at least one external resource.'),
+          test('linksNotAllExternalsNofollow', 'DoFollow external link', 2, externalLinks.some(link => !link.nofollow) ? 1 : 0, externalLinks.some(link => !link.nofollow)
+            ? 'At least one external link is DoFollow.'
+            : 'Add at least one external link without rel="nofollow".'),
+          test('linksHasInternal', 'Internal links', 5, internalLinks.length > 0 ? 1 : 0, internalLinks.length > 0
+            ? `The content has ${internalLinks.length} internal link(s).`
+            : 'Link to at least one other page on your site.'),
+          keywordTest('keywordNotUsed', 'Focus keyword not used before', 3, !input.keywordUsedElsewhere,
+            'The focus keyword is not the focus of another draft.', 'Another draft already targets this focus keyword. Choose a different one to avoid cannibalization.')
+        ]
+      },
+      {
+        id: 'titleReadability',
+        label: 'Title Readability',
+        tests: [
+          keywordTest('titleStartWithKeyword', 'Focus keyword at the beginning of the SEO title', 4, titleKeywordIndex >= 0 && titleKeywordIndex <= seoTitle.length / 2,
+            'The SEO title starts with the focus keyword.', 'Move the focus keyword to the first half of the SEO title.'),
+          test('titleSentiment', 'Sentiment in the title', 2, titleWords.some(word => SENTIMENT_WORDS.includes(word)) ? 1 : 0,
+            titleWords.some(word => SENTIMENT_WORDS.includes(word)) ? 'The SEO title carries a positive or negative sentiment.' : 'Use a positive or negative sentiment word (e.g. "best", "avoid") in the SEO title.'),
+          test('titleHasPowerWords', 'Power word in the title', 2, titleWords.some(word => POWER_WORDS.includes(word)) ? 1 : 0,
+            titleWords.some(word => POWER_WORDS.includes(word)) ? 'The SEO title contains a power word.' : 'Add a power word (e.g. "ultimate", "proven") to the SEO title.'),
+          test('titleHasNumber', 'Number in the title', 2, /\d/.test(seoTitle) ? 1 : 0,
+            /\d/.test(seoTitle) ? 'The SEO title contains a number.' : 'Add a number to the SEO title (e.g. "7 ways", "2025").')
+        ]
+      },
+      {
+        id: 'contentReadability',
+        label: 'Content Readability',
+        tests: [
+          test('contentHasShortParagraphs', 'Short paragraphs', 3, longParagraphs === 0 ? 1 : 0, longParagraphs === 0
+            ? `All paragraphs are ${MAX_PARAGRAPH_WORDS} words or shorter.`
+            : `${longParagraphs} paragraph(s) have more than ${MAX_PARAGRAPH_WORDS} words. Split them up.`),
+          test('contentHasAssets', 'Images in the content', 4, contentImages.length > 0 ? 1 : 0, contentImages.length > 0
+            ? `The content has ${contentImages.length} image(s).`
+            : 'Add images to the content to break up the text.'),
+          test('readability', 'Readability', 5, readabilityRatio, readabilityRatio === 1
+            ? `Readability score is ${readability.score}/100.`
+            : `Readability score is ${readability.score}/100. ${readability.recommendations[0] || 'Aim for 70 or higher.'}`)
+        ]
+      }
+    ].map(group => ({
+      ...group,
+      score: Math.round(group.tests.reduce((sum, item) => sum + item.points, 0) * 10) / 10,
+      maxScore: group.tests.reduce((sum, item) => sum + item.maxPoints, 0)
+    }));
+
+    const score = Math.round(groups.reduce((sum, group) => sum + group.score, 0));
+    return {
+      score,
+      maxScore: 100,
+      rating: score >= GOOD_SCORE ? 'good' : score >= OK_SCORE ? 'ok' : 'poor',
+      keyword,
+      groups,
+      recommendations: groups.flatMap(group => group.tests).filter(item => !item.passed).map(item => item.message),
+      stats: {
+        wordCount,
+        keywordCount,
+        keywordDensity,
+        internalLinks: internalLinks.length,
+        externalLinks: externalLinks.length,
+        images: contentImages.length,
+        readabilityScore: readability.score
+      }
+    };
+  }
+
+  /**
+   * Score a saved draft with its meta, links and the company's other drafts
+   * @param {Object} draft - Draft document with blogId/companyId populated
+   */
+  async scoreDraft(draft) {
+    const BlogData = require('../models/BlogData');
+    const Draft = require('../models/Draft');
+    const draftDeploymentService = require('./draftDeploymentService');
+
+    const fields = draftDeploymentService.buildDraftFields(draft);
+    const keyword = draft.selectedKeyword || draft.blogId?.focusKeyword || '';
+    const company = draft.blogId?.companyId;
+
+    let keywordUsedElsewhere = false;
+    if (keyword && company?._id) {
+      const blogIds = await BlogData.find({ companyId: company._id }).distinct('_id');
+      keywordUsedElsewhere = !!(await Draft.exists({
+        _id: { $ne: draft._id },
+        blogId: { $in: blogIds },
+        selectedKeyword: new RegExp(`^\\s*${escapeRegExp(keyword.trim())}\\s*$`, 'i')
+      }));
+    }
+
+    return this.score({
+      keyword,
+      seoTitle: fields.metaTitle || fields.title,
+      metaDescription: fields.metaDescription,
+      slug: fields.slug,
+      contentBlocks: fields.contentBlocks,
+      featuredImage: fields.featuredImage,
+      internalLinks: draft.internalLinks,
+      externalLinks: draft.externalLinks,
+      siteUrl: company?.wordpressConfig?.baseUrl || company?.publishingConfig?.webflow?.siteUrl || company?.publishingConfig?.ghost?.adminUrl,
+      keywordUsedElsewhere
+    });
+  }
+
+  /**
+   * Recompute a draft's score and store it in Draft.seoAnalysis
+   * @returns {Object} Stored analysis, or null when the draft does not exist
+   */
+  async analyzeDraft(draftId) {
+    const Draft = require('../models/Draft');
+    const draft = await Draft.findById(draftId).populate({ path: 'blogId', populate: { path: 'companyId' } });
+    if (!draft) return null;
+
+    const result = await this.scoreDraft(draft);
+    const tests = result.groups.flatMap(group => group.tests);
+    const seoAnalysis = {
+      score: result.score,
+      rating: result.rating,
+      issues: tests.filter(item => item.points === 0).map(item => item.message),
+      suggestions: tests.filter(item => !item.passed && item.points > 0).map(item => item.message),
+      groups: result.groups,
+      stats: result.stats,
+      analyzedAt: new Date()
+    };
+
+    await Draft.updateOne({ _id: draft._id }, { $set: { seoAnalysis } });
+    return seoAnalysis;
+  }
+
+  /**
+   * Recompute the stored score without failing the change that triggered it
+   */
+  async safeAnalyzeDraft(draftId) {
+    try {
+      return await this.analyzeDraft(draftId);
+    } catch (error) {
+      console.warn(`⚠️ Could not score draft ${draftId}:`, error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = new SEOScoringService();
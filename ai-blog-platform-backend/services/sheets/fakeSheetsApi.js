@@ -0,0 +1,106 @@
+// services/sheets/fakeSheetsApi.js
+const fs = require('fs');
+
+class FakeRow {
+  constructor(sheet, rowNumber, values) {
+    this.sheet = sheet;
+    this.rowNumber = rowNumber;
+    this.values = values;
+  }
+
+  get(header) {
+    const index = this.sheet.headerValues.indexOf(header);
+    return index === -1 ? undefined : this.values[index];
+  }
+
+  set(header, value) {
+    const index = this.sheet.headerValues.indexOf(header);
+    if (index === -1) throw new Error(`Column "${header}" not found`);
+    this.values[index] = value === undefined || value === null ? '' : String(value);
+  }
+
+  toObject() {
+    return Object.fromEntries(this.sheet.headerValues.map((header, index) => [header, this.values[index]]));
+  }
+
+  async save() {
+    this.sheet.grid[this.rowNumber - 1] = [...this.values];
+    this.sheet.api.persist();
+  }
+}
+
+class FakeWorksheet {
+  constructor(api, title, grid) {
+    this.api = api;
+    this.title = title;
+    this.grid = grid;
+  }
+
+  get headerValues() {
+    return this.grid[0] || [];
+  }
+
+  get rowCount() {
+    return this.grid.length;
+  }
+
+  get columnCount() {
+    return Math.max(...this.grid.map(row => row.length), 0);
+  }
+
+  async loadHeaderRow() {
+    if (this.headerValues.length === 0) throw new Error('No values in the header row');
+  }
+
+  async setHeaderRow(headers) {
+    this.grid[0] = [...headers];
+    this.api.persist();
+  }
+
+  async resize() {}
+
+  async getRows() {
+    return this.grid.slice(1).map((values, index) => {
+      const padded = this.headerValues.map((_, column) => values[column] ?? '');
+      return new FakeRow(this, index + 2, padded);
+    });
+  }
+}
+
+/**
+ * Offline stand-in for the Google Sheets API, for local development and test runs.
+ * Implements the part of google-spreadsheet the services use: loadInfo(), sheetsByTitle,
+ * header rows and getRows() with get/set/save. Data is
+ * { [spreadsheetId]: { [sheetTitle]: [[header, ...], [value, ...], ...] } }, read from and
+ * written back to a JSON file when one is given (GOOGLE_SHEETS_FAKE_FILE).
+ */
+class FakeSheetsApi {
+  constructor({ data = {}, filePath = null } = {}) {
+    this.filePath = filePath;
+    this.data = filePath && fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : data;
+  }
+
+  persist() {
+    if (this.filePath) fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2));
+  }
+
+  /**
+   * Same shape as new GoogleSpreadsheet(spreadsheetId, auth)
+   */
+  spreadsheet(spreadsheetId) {
+    const api = this;
+    return {
+      spreadsheetId,
+      sheetsByTitle: {},
+      async loadInfo() {
+        const sheets = api.data[spreadsheetId];
+        if (!sheets) throw new Error(`Spreadsheet "${spreadsheetId}" not found`);
+        this.sheetsByTitle = Object.fromEntries(
+          Object.entries(sheets).map(([title, grid]) => [title, new FakeWorksheet(api, title, grid)])
+        );
+      }
+    };
+  }
+}
+
+module.exports = FakeSheetsApi;
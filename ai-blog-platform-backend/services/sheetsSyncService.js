@@ -0,0 +1,355 @@
+// services/sheetsSyncService.js
+const crypto = require('crypto');
+const BlogData = require('../models/BlogData');
+const Company = require('../models/Company');
+const Draft = require('../models/Draft');
+const Job = require('../models/Job');
+const User = require('../models/User');
+const googleSheetsService = require('./googleSheetsService');
+const jobQueueService = require('./jobQueueService');
+const companyService = require('./companyService');
+
+const ROW_ID = 'Row ID';
+
+// Columns the app writes back to each keyword row
+const OUTBOUND_COLUMNS = ['Draft Status', 'Published URL', 'SEO Score', 'Publish Date'];
+
+// Planning fields the sheet sends to the app
+const INBOUND_FIELDS = ['focusKeyword', 'articleFormat', 'wordCount', 'targetAudience', 'objective', 'priority', 'targetDate', 'assignee'];
+
+// Conflicts kept per entry
+const MAX_CONFLICTS = 20;
+
+const formatDate = date => (date && !isNaN(new Date(date)) ? new Date(date).toISOString().slice(0, 10) : '');
+
+// Planning fields as comparable strings, from a parsed sheet row or a BlogData entry
+const sheetPlanning = parsed => ({
+  focusKeyword: parsed.focusKeyword.trim(),
+  articleFormat: parsed.articleFormat || '',
+  wordCount: String(parsed.wordCount),
+  targetAudience: parsed.targetAudience || '',
+  objective: parsed.objective || '',
+  priority: String(parsed.priority),
+  targetDate: formatDate(parsed.targetDate),
+  assignee: parsed.assigneeEmail || ''
+});
+
+const appPlanning = blog => ({
+  focusKeyword: blog.focusKeyword,
+  articleFormat: blog.articleFormat,
+  wordCount: String(blog.wordCount),
+  targetAudience: blog.targetAudience,
+  objective: blog.objective,
+  priority: String(blog.priority),
+  targetDate: formatDate(blog.targetDate),
+  assignee: blog.assignee?.email || ''
+});
+
+/**
+ * Two-way sync between the "Manual Keywords" sheet and BlogData entries.
+ *
+ * Rows are matched by the sheet's "Row ID" column, which the sync fills in, so rows can
+ * be sorted or moved. Rows without an ID are linked to an unlinked entry with the same
+ * focus keyword and company, or create a new entry.
+ * - Inbound: planning columns (keyword, format, word count, audience, objective,
+ *   priority, target date, assignee) that changed in the sheet since the last sync are
+ *   applied, unless the entry was also changed in the app; then the app's value is kept
+ *   and a conflict is recorded.
+ * - Outbound: Draft Status, Published URL, SEO Score and Publish Date always take the
+ *   app's values. A cell edited in the sheet since the last sync is recorded as a
+ *   conflict before it is overwritten.
+ * Runs as the sync-sheets job, every SHEETS_SYNC_INTERVAL_MINUTES.
+ */
+class SheetsSyncService {
+  constructor() {
+    this.sheetTitle = 'Manual Keywords';
+  }
+
+  get intervalMinutes() {
+    return parseInt(process.env.SHEETS_SYNC_INTERVAL_MINUTES) || 0;
+  }
+
+  isEnabled() {
+    return this.intervalMinutes > 0 && !!process.env.BLOG_DATA_SPREADSHEET_ID;
+  }
+
+  /**
+   * Queue the next scheduled run unless one is already queued or running
+   * @param {Object} options - { excludeJobId, runAt } (runAt defaults to one interval from now)
+   * @returns {Object|null} Pending job, or null when the schedule is off
+   */
+  async scheduleNext({ excludeJobId = null, runAt = null } = {}) {
+    if (!this.isEnabled()) return null;
+
+    const query = { type: 'sync-sheets', status: { $in: ['queued', 'running'] } };
+    if (excludeJobId) query._id = { $ne: excludeJobId };
+    const pending = await Job.findOne(query);
+    if (pending) return pending;
+
+    return jobQueueService.enqueue('sync-sheets', { scheduled: true }, {
+      runAt: runAt || new Date(Date.now() + this.intervalMinutes * 60 * 1000),
+      maxAttempts: 3
+    });
+  }
+
+  async isRunning(excludeJobId) {
+    return !!(await Job.exists({ type: 'sync-sheets', status: 'running', _id: { $ne: excludeJobId } }));
+  }
+
+  /**
+   * Queue a sync now; a run that is already due or running is reused
+   * @returns {Object} { jobId } or { error, statusCode }
+   */
+  async startSync(user) {
+    if (!process.env.BLOG_DATA_SPREADSHEET_ID) {
+      return { error: 'BLOG_DATA_SPREADSHEET_ID is not configured', statusCode: 400 };
+    }
+
+    const due = await Job.findOne({
+      type: 'sync-sheets',
+      $or: [{ status: 'running' }, { status: 'queued', runAt: { $lte: new Date() } }]
+    });
+    if (due) return { jobId: due._id };
+
+    const job = await jobQueueService.enqueue('sync-sheets', { requestedBy: user.email }, { maxAttempts: 1 });
+    return { jobId: job._id };
+  }
+
+  /**
+   * Schedule and the latest finished run
+   */
+  async getStatus() {
+    const [lastRun, nextRun] = await Promise.all([
+      Job.findOne({ type: 'sync-sheets', status: { $in: ['completed', 'failed'] } }).sort({ completedAt: -1 }),
+      Job.findOne({ type: 'sync-sheets', status: { $in: ['queued', 'running'] } }).sort({ runAt: 1 })
+    ]);
+
+    return {
+      enabled: this.isEnabled(),
+      intervalMinutes: this.intervalMinutes,
+      spreadsheetConfigured: !!process.env.BLOG_DATA_SPREADSHEET_ID,
+      nextRunAt: nextRun?.runAt || null,
+      running: nextRun?.status === 'running',
+      lastRun: lastRun
+        ? { jobId: lastRun._id, status: lastRun.status, completedAt: lastRun.completedAt, error: lastRun.error || null, result: lastRun.result || null }
+        : null
+    };
+  }
+
+  /**
+   * Values the app writes to a row
+   */
+  outboundValues(blog, draft) {
+    let status = blog.status;
+    if (draft) {
+      if (draft.wordpressStatus === 'published' || draft.publication?.status === 'published') status = 'published';
+      else if (draft.schedule?.status === 'scheduled') status = 'scheduled';
+      else if (draft.approval?.state && draft.approval.state !== 'not_submitted') status = draft.approval.state.replace(/_/g, ' ');
+      else status = draft.status.replace(/_/g, ' ');
+    }
+
+    const seoScore = draft?.seoAnalysis?.score ?? blog.seoScore;
+    const publishDate = draft?.publishedAt || (draft?.schedule?.status === 'scheduled' ? draft.schedule.scheduledAt : null);
+
+    return {
+      'Draft Status': status,
+      'Published URL': draft?.publication?.url || '',
+      'SEO Score': seoScore === undefined || seoScore === null ? '' : String(seoScore),
+      'Publish Date': formatDate(publishDate)
+    };
+  }
+
+  async applyPlanning(blog, field, value) {
+    switch (field) {
+      case 'wordCount':
+      case 'priority':
+        blog[field] = Number(value);
+        break;
+      case 'targetDate':
+        blog.targetDate = value ? new Date(value) : undefined;
+        break;
+      case 'assignee': {
+        // Assignee column holds the platform user's email
+        const user = value ? await User.findOne({ email: value, isActive: true }) : null;
+        blog.assignee = user ? { userId: user._id.toString(), name: user.name, email: user.email } : undefined;
+        break;
+      }
+      default:
+        blog[field] = value;
+    }
+  }
+
+  /**
+   * Company of a row: the optional "Company" column, else the oldest active company
+   * @returns {Object} { company } or { error }
+   */
+  async rowCompany(row, defaultCompany) {
+    const name = row.get('Company')?.trim();
+    if (!name) {
+      return defaultCompany ? { company: defaultCompany } : { error: 'No active company to add the keyword to' };
+    }
+
+    const company = await companyService.findByName(name);
+    if (!company) return { error: `Company "${name}" not found` };
+    if (!company.isActive) return { error: `Company "${name}" is archived` };
+    return { company };
+  }
+
+  /**
+   * Sync the keyword sheet once
+   * @param {Object} options - { spreadsheetId, sheetTitle }
+   * @param {Function} onProgress - (percent, stage, message)
+   * @returns {Object} { rows, created, linked, updated, written, conflicts, failed } or { error, statusCode }
+   */
+  async sync({ spreadsheetId = process.env.BLOG_DATA_SPREADSHEET_ID, sheetTitle = this.sheetTitle } = {}, onProgress = async () => {}) {
+    if (!spreadsheetId) {
+      return { error: 'BLOG_DATA_SPREADSHEET_ID is not configured', statusCode: 400 };
+    }
+
+    await onProgress(5, 'reading-sheet', `Reading "${sheetTitle}"`);
+    const sheet = await googleSheetsService.openSheet(spreadsheetId, sheetTitle);
+    await sheet.loadHeaderRow();
+
+    // Add the sync columns the sheet does not have yet
+    const missing = [ROW_ID, ...OUTBOUND_COLUMNS].filter(column => !sheet.headerValues.includes(column));
+    if (missing.length > 0) {
+      const headers = [...sheet.headerValues, ...missing];
+      if (sheet.columnCount < headers.length) {
+        await sheet.resize({ rowCount: sheet.rowCount, columnCount: headers.length });
+      }
+      await sheet.setHeaderRow(headers);
+      console.log(`📊 Added sheet columns: ${missing.join(', ')}`);
+    }
+
+    const rows = await sheet.getRows();
+    const rowIds = rows.map(row => row.get(ROW_ID)?.trim()).filter(Boolean);
+    const defaultCompany = await Company.findOne({ isActive: true }).sort({ createdAt: 1 });
+    const seen = new Set();
+    const summary = { rows: rows.length, created: 0, linked: 0, updated: 0, written: 0, conflicts: [], failed: [] };
+
+    for (const [index, row] of rows.entries()) {
+      const parsed = googleSheetsService.parseBlogRow(row);
+      if (!parsed.focusKeyword?.trim()) continue;
+
+      if (index % 20 === 0) {
+        await onProgress(10 + Math.round((index / rows.length) * 85), 'syncing-rows', `Row ${row.rowNumber} of ${rows.length + 1}`);
+      }
+
+      try {
+        await this.syncRow(row, parsed, { spreadsheetId, sheetTitle, rowIds, defaultCompany, seen, summary });
+      } catch (error) {
+        summary.failed.push({ rowNumber: row.rowNumber, focusKeyword: parsed.focusKeyword, error: error.message });
+      }
+    }
+
+    console.log(`📊 Sheet sync: ${summary.created} created, ${summary.linked} linked, ${summary.updated} updated, ${summary.written} rows written, ${summary.conflicts.length} conflicts, ${summary.failed.length} failed`);
+    await onProgress(100, 'completed', 'Sheet sync completed');
+    return { spreadsheetId, sheetTitle, syncedAt: new Date(), ...summary };
+  }
+
+  async syncRow(row, parsed, { spreadsheetId, sheetTitle, rowIds, defaultCompany, seen, summary }) {
+    const conflicts = [];
+    const addConflict = conflict => {
+      conflicts.push({ ...conflict, detectedAt: new Date() });
+      summary.conflicts.push({ rowNumber: row.rowNumber, focusKeyword: parsed.focusKeyword, ...conflict });
+    };
+
+    let rowId = row.get(ROW_ID)?.trim();
+    let blog = null;
+    let outcome = null; // created | linked
+    let rowChanged = false;
+
+    if (rowId) {
+      // A copied row carries the ID of its original; only the first row keeps the link
+      if (seen.has(rowId)) {
+        addConflict({ column: ROW_ID, sheetValue: rowId, appValue: '', resolution: 'skipped-duplicate' });
+        return;
+      }
+      seen.add(rowId);
+
+      blog = await BlogData.findOne({ 'sheetRow.rowId': rowId });
+      if (!blog) {
+        addConflict({ column: ROW_ID, sheetValue: rowId, appValue: '', resolution: 'skipped-unknown' });
+        return;
+      }
+    } else {
+      const { company, error } = await this.rowCompany(row, defaultCompany);
+      if (error) throw new Error(error);
+
+      // Entries imported before the sync existed, or whose row lost its ID
+      blog = await BlogData.findOne({
+        focusKeyword: parsed.focusKeyword.trim(),
+        companyId: company._id,
+        $or: [{ 'sheetRow.rowId': { $exists: false } }, { 'sheetRow.rowId': { $nin: rowIds } }]
+      });
+
+      rowId = `kw-${crypto.randomBytes(4).toString('hex')}`;
+      outcome = blog ? 'linked' : 'created';
+      if (!blog) {
+        const { assigneeEmail, ...fields } = parsed;
+        blog = new BlogData({ ...fields, focusKeyword: parsed.focusKeyword.trim(), companyId: company._id });
+        await this.applyPlanning(blog, 'assignee', assigneeEmail || '');
+      }
+      row.set(ROW_ID, rowId);
+      rowChanged = true;
+    }
+
+    // Inbound: planning changes made in the sheet
+    const previous = blog.sheetRow?.inbound;
+    const sheetValues = sheetPlanning(parsed);
+    const appValues = appPlanning(blog);
+    let planningChanged = false;
+
+    for (const field of INBOUND_FIELDS) {
+      if (sheetValues[field] === appValues[field]) continue;
+      if (!previous) {
+        // First link of an existing entry: the sheet only fills what the app left empty
+        if (appValues[field] !== '') continue;
+      } else {
+        if (sheetValues[field] === previous.sheet[field]) continue;
+        if (appValues[field] !== previous.app[field]) {
+          addConflict({ column: field, sheetValue: sheetValues[field], appValue: appValues[field], resolution: 'kept-app' });
+          continue;
+        }
+      }
+      await this.applyPlanning(blog, field, sheetValues[field]);
+      planningChanged = true;
+    }
+
+    // Outbound: status of the entry's latest draft
+    const draft = blog.isNew ? null : await Draft.findOne({ blogId: blog._id }).sort({ updatedAt: -1 });
+    const values = this.outboundValues(blog, draft);
+    const written = blog.sheetRow?.outbound || {};
+
+    OUTBOUND_COLUMNS.forEach(column => {
+      const sheetValue = String(row.get(column) ?? '');
+      if (sheetValue === values[column]) return;
+      if (sheetValue !== (written[column] ?? '')) {
+        addConflict({ column, sheetValue, appValue: values[column], resolution: 'overwrote-sheet' });
+      }
+      row.set(column, values[column]);
+      rowChanged = true;
+    });
+
+    blog.sheetRow = {
+      rowId,
+      spreadsheetId,
+      sheetTitle,
+      rowNumber: row.rowNumber,
+      syncedAt: new Date(),
+      inbound: { sheet: sheetValues, app: appPlanning(blog) },
+      outbound: values,
+      conflicts: [...(blog.sheetRow?.conflicts || []), ...conflicts].slice(-MAX_CONFLICTS)
+    };
+    await blog.save();
+    if (outcome) summary[outcome]++;
+    else if (planningChanged) summary.updated++;
+
+    if (rowChanged) {
+      await row.save();
+      summary.written++;
+    }
+  }
+}
+
+module.exports = new SheetsSyncService();
@@ -0,0 +1,286 @@
+// services/taxonomyService.js
+const Draft = require('../models/Draft');
+const WordPressService = require('./wordpressService');
+const llmProviderService = require('./llmProviderService');
+
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_CATEGORIES = 10;
+const MAX_TAGS = 20;
+const SUGGESTED_CATEGORIES = 3;
+const SUGGESTED_TAGS = 8;
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with', 'your', 'how', 'what', 'why', 'is', 'are']);
+
+const normalize = name => (name || '').toLowerCase().replace(/&amp;/g, '&').replace(/\s+/g, ' ').trim();
+
+const tokens = text => normalize(text)
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word.length > 1 && !STOPWORDS.has(word));
+
+/**
+ * WordPress categories and tags for drafts.
+ *
+ * Each company's terms are read from its WordPress site (cached for a few minutes).
+ * Drafts store the picked terms as Draft.categories / Draft.tags ({ id, name });
+ * tags without an id are new and get created in WordPress on deploy. Both stay
+ * unset until someone picks terms, so deploys never touch terms nobody chose.
+ */
+class TaxonomyService {
+  constructor() {
+    this.wordpressService = new WordPressService();
+    this.cache = new Map();
+  }
+
+  async loadDraft(draftId) {
+    return Draft.findById(draftId).populate({
+      path: 'blogId',
+      populate: { path: 'companyId' }
+    });
+  }
+
+  /**
+   * Categories and tags on the company site
+   * @returns {Object} { categories, tags } or { error }
+   */
+  async getTerms(companyId) {
+    const key = companyId.toString();
+    const cached = this.cache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < CACHE_TTL_MS) {
+      return cached.terms;
+    }
+
+    const [categories, tags] = await Promise.all([
+      this.wordpressService.getTerms('categories', companyId),
+      this.wordpressService.getTerms('tags', companyId)
+    ]);
+    if (!categories.success || !tags.success) {
+      return { error: categories.error || tags.error };
+    }
+
+    const terms = { categories: categories.data, tags: tags.data };
+    this.cache.set(key, { terms, fetchedAt: Date.now() });
+    return terms;
+  }
+
+  getSelection(draft) {
+    return {
+      categories: draft.categories || null,
+      tags: draft.tags || null
+    };
+  }
+
+  /**
+   * Picked terms of a draft plus everything available on the company site
+   * @returns {Object|null} { selected, available, error? }, or null when the draft does not exist
+   */
+  async getDraftTaxonomy(draftId) {
+    const draft = await this.loadDraft(draftId);
+    if (!draft) return null;
+
+    const terms = await this.getTerms(draft.blogId.companyId._id);
+    return {
+      selected: this.getSelection(draft),
+      available: terms.error ? { categories: [], tags: [] } : terms,
+      ...(terms.error ? { error: terms.error } : {})
+    };
+  }
+
+  // How strongly a term matches the focus keyword and the article text
+  scoreTerm(term, keywordTokens, textTokens) {
+    const words = tokens(term.name);
+    if (words.length === 0) return 0;
+
+    const inKeyword = words.filter(word => keywordTokens.has(word)).length / words.length;
+    const inText = words.filter(word => textTokens.has(word)).length / words.length;
+    return inKeyword * 2 + inText;
+  }
+
+  // Rule-based picks, used when no LLM answer could be parsed
+  suggestByMatching(terms, draft, keyword) {
+    const keywordTokens = new Set(tokens(keyword));
+    const text = [draft.selectedH1 || draft.title, ...(draft.generatedContent?.contentBlocks || []).map(block => block.content)].join(' ');
+    const textTokens = new Set(tokens(text));
+
+    const rank = list => list
+      .map(term => ({ term, score: this.scoreTerm(term, keywordTokens, textTokens) }))
+      .filter(({ score }) => score >= 1)
+      .sort((a, b) => b.score - a.score || b.term.count - a.term.count);
+
+    const categories = rank(terms.categories).slice(0, SUGGESTED_CATEGORIES)
+      .map(({ term }) => ({ id: term.id, name: term.name, reason: 'Matches the article topic' }));
+    const tags = rank(terms.tags).slice(0, SUGGESTED_TAGS - 1)
+      .map(({ term }) => ({ id: term.id, name: term.name, existing: true }));
+
+    if (keyword && !tags.some(tag => normalize(tag.name) === normalize(keyword))) {
+      const existing = terms.tags.find(tag => normalize(tag.name) === normalize(keyword));
+      tags.unshift({ id: existing?.id || null, name: existing?.name || keyword, existing: !!existing });
+    }
+
+    return { categories, tags };
+  }
+
+  /**
+   * Suggest categories (existing ones only) and tags (existing or new) for a draft
+   * @param {Object} options - { llmProvider }
+   * @returns {Object|null} { categories: [{ id, name, reason }], tags: [{ id, name, existing }], source } or { error, statusCode }
+   */
+  async suggest(draftId, options = {}) {
+    const geminiService = require('./geminiService');
+
+    const draft = await this.loadDraft(draftId);
+    if (!draft) return null;
+
+    const company = draft.blogId.companyId;
+    const terms = await this.getTerms(company._id);
+    if (terms.error) {
+      return { error: `Could not load WordPress categories and tags: ${terms.error}`, statusCode: 400 };
+    }
+
+    const keyword = draft.selectedKeyword || draft.blogId.focusKeyword || '';
+    const blocks = draft.generatedContent?.contentBlocks || [];
+    const headings = blocks.filter(block => block.type === 'h2').map(block => block.content);
+    const intro = blocks.find(block => block.type === 'introduction')?.content || '';
+
+    const prompt = `Pick WordPress categories and tags for this blog post.
+
+Title: ${draft.selectedH1 || draft.title}
+Focus keyword: ${keyword}
+Sections: ${headings.join('; ')}
+Introduction: ${intro.slice(0, 600)}
+
+Existing categories (choose 1-${SUGGESTED_CATEGORIES} of these, never invent new ones):
+${terms.categories.map(category => `- ${category.name}`).join('\n')}
+
+Existing tags (prefer these; you may add new short tags when none fit):
+${terms.tags.slice(0, 100).map(tag => tag.name).join(', ')}
+
+Return only JSON: {"categories": ["..."], "tags": ["..."]} with at most ${SUGGESTED_TAGS} tags.`;
+
+    try {
+      const result = await geminiService.generateContent(prompt, {
+        name: company.name,
+        llmConfig: llmProviderService.resolveSelection(company.llmConfig, options.llmProvider)
+      });
+      const jsonMatch = result.content.match(/\{[\s\S]*\}/);
+      const parsed = JSON.parse(jsonMatch ? jsonMatch[0] : result.content);
+
+      const findTerm = (list, name) => list.find(term => normalize(term.name) === normalize(name));
+      const categories = (parsed.categories || [])
+        .map(name => findTerm(terms.categories, name))
+        .filter(Boolean)
+        .slice(0, SUGGESTED_CATEGORIES)
+        .map(category => ({ id: category.id, name: category.name, reason: 'Suggested by AI' }));
+      const tags = [...new Set((parsed.tags || []).map(name => String(name).trim()).filter(Boolean))]
+        .slice(0, SUGGESTED_TAGS)
+        .map(name => {
+          const existing = findTerm(terms.tags, name);
+          return { id: existing?.id || null, name: existing?.name || name, existing: !!existing };
+        });
+
+      if (categories.length > 0 || tags.length > 0) {
+        return { categories, tags, source: result.provider || 'ai' };
+      }
+    } catch (error) {
+      console.warn(`⚠️ AI taxonomy suggestion failed, matching terms instead: ${error.message}`);
+    }
+
+    return { ...this.suggestByMatching(terms, draft, keyword), source: 'matching' };
+  }
+
+  /**
+   * Store the picked terms on a draft
+   * @param {Array<number>} categoryIds - Existing category IDs
+   * @param {Array} tags - Tag names or { id, name }; unknown names are created on deploy
+   * @returns {Object|null} { categories, tags } or { error, statusCode }; null when the draft does not exist
+   */
+  async saveSelection(draftId, categoryIds = [], tags = []) {
+    const draft = await this.loadDraft(draftId);
+    if (!draft) return null;
+
+    if (!Array.isArray(categoryIds) || !Array.isArray(tags)) {
+      return { error: 'categories and tags must be arrays', statusCode: 400 };
+    }
+    if (categoryIds.length > MAX_CATEGORIES || tags.length > MAX_TAGS) {
+      return { error: `At most ${MAX_CATEGORIES} categories and ${MAX_TAGS} tags can be set`, statusCode: 400 };
+    }
+
+    const terms = await this.getTerms(draft.blogId.companyId._id);
+    if (terms.error) {
+      return { error: `Could not load WordPress categories and tags: ${terms.error}`, statusCode: 400 };
+    }
+
+    const categories = [];
+    for (const id of categoryIds) {
+      const category = terms.categories.find(term => term.id === parseInt(id));
+      if (!category) {
+        return { error: `Category ${id} does not exist in WordPress`, statusCode: 400 };
+      }
+      if (!categories.some(picked => picked.id === category.id)) {
+        categories.push({ id: category.id, name: category.name });
+      }
+    }
+
+    const pickedTags = [];
+    for (const tag of tags) {
+      const name = (typeof tag === 'string' ? tag : tag?.name || '').trim();
+      const existing = terms.tags.find(term => (tag?.id && term.id === parseInt(tag.id)) || normalize(term.name) === normalize(name));
+      if (!existing && !name) continue;
+      if (name.length > 60) {
+        return { error: `Tag "${name.slice(0, 20)}..." is too long`, statusCode: 400 };
+      }
+
+      const picked = existing ? { id: existing.id, name: existing.name } : { name };
+      if (!pickedTags.some(other => normalize(other.name) === normalize(picked.name))) {
+        pickedTags.push(picked);
+      }
+    }
+
+    draft.categories = categories;
+    draft.tags = pickedTags;
+    await draft.save();
+
+    return this.getSelection(draft);
+  }
+
+  /**
+   * Create the draft's new tags in WordPress and store their IDs (called on deploy)
+   * @returns {Object} { success, tagIds } or { success: false, error }
+   */
+  async resolveTags(draft, companyId) {
+    const tags = draft.tags.map(tag => ({ id: tag.id, name: tag.name }));
+
+    for (const tag of tags.filter(candidate => !candidate.id)) {
+      const created = await this.wordpressService.createTag(tag.name, companyId);
+      if (!created.success) {
+        return { success: false, error: `Tag "${tag.name}": ${created.error}` };
+      }
+      tag.id = created.id;
+    }
+
+    await Draft.findByIdAndUpdate(draft._id, { tags });
+    this.cache.delete(companyId.toString());
+    return { success: true, tagIds: tags.map(tag => tag.id) };
+  }
+
+  /**
+   * Terms of an existing WordPress post as { id, name } lists, for imported drafts
+   * @returns {Object} { categories, tags }, or {} when the site's terms could not be read
+   */
+  async termsOfPost(post, companyId) {
+    const terms = await this.getTerms(companyId);
+    if (terms.error) return {};
+
+    const pick = (ids, list) => (ids || [])
+      .map(id => list.find(term => term.id === id))
+      .filter(Boolean)
+      .map(term => ({ id: term.id, name: term.name }));
+
+    return {
+      categories: pick(post.categories, terms.categories),
+      tags: pick(post.tags, terms.tags)
+    };
+  }
+}
+
+module.exports = new TaxonomyService();
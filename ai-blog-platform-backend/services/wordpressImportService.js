@@ -0,0 +1,248 @@
+// services/wordpressImportService.js
+const cheerio = require('cheerio');
+const BlogData = require('../models/BlogData');
+const Company = require('../models/Company');
+const Draft = require('../models/Draft');
+const WordPressService = require('./wordpressService');
+const blockImportService = require('./blockImportService');
+const draftRevisionService = require('./draftRevisionService');
+const taxonomyService = require('./taxonomyService');
+
+const MAX_IMPORT_POSTS = 20;
+
+// WordPress post status → Draft.wordpressStatus
+const WORDPRESS_STATUSES = {
+  publish: 'published',
+  future: 'scheduled',
+  draft: 'draft',
+  pending: 'draft',
+  private: 'published'
+};
+
+// RankMath stores variables like "%title% %sep% %sitename%"; those only make sense in WordPress
+const plainMeta = value => (value && !value.includes('%') ? value.trim() : null);
+
+/**
+ * Brings a company's existing WordPress posts into the platform as Drafts, so old
+ * content can be re-scored and refreshed. Imported drafts keep their wordpressId,
+ * so deploying them updates the original post.
+ */
+class WordPressImportService {
+  constructor() {
+    this.wordpressService = new WordPressService();
+  }
+
+  async getCompany(companyName) {
+    return Company.findOne({ name: companyName });
+  }
+
+  /**
+   * Draft IDs already linked to the given WordPress posts of a company
+   * @returns {Map} wordpressId → draftId
+   */
+  async findImported(company, wordpressIds) {
+    const blogIds = await BlogData.find({ companyId: company._id }).distinct('_id');
+    const drafts = await Draft.find({ blogId: { $in: blogIds }, wordpressId: { $in: wordpressIds } }).select('wordpressId');
+    return new Map(drafts.map(draft => [draft.wordpressId, draft._id]));
+  }
+
+  /**
+   * Posts on the company site, marked with the draft they were imported into
+   * @param {Object} options - { page, perPage, search, status }
+   * @returns {Object} { posts, pagination } or { error, statusCode }
+   */
+  async listPosts(companyName, options = {}) {
+    const company = await this.getCompany(companyName);
+    if (!company) {
+      return { error: 'Company not found', statusCode: 404 };
+    }
+
+    const page = parseInt(options.page) || 1;
+    const perPage = parseInt(options.perPage) || 20;
+    const result = await this.wordpressService.getPosts(company._id, {
+      page,
+      perPage,
+      search: options.search,
+      status: options.status || 'publish'
+    });
+    if (!result.success) {
+      return { error: result.error, statusCode: 400 };
+    }
+
+    const imported = await this.findImported(company, result.data.map(post => post.id));
+    return {
+      posts: result.data.map(post => ({
+        wordpressId: post.id,
+        title: post.title?.raw ?? post.title?.rendered ?? '',
+        status: post.status,
+        link: post.link,
+        date: post.date_gmt ? `${post.date_gmt}Z` : post.date,
+        modified: post.modified_gmt ? `${post.modified_gmt}Z` : post.modified,
+        focusKeyword: plainMeta(post.meta?.rank_math_focus_keyword?.split(',')[0]),
+        draftId: imported.get(post.id) || null
+      })),
+      pagination: { page, perPage, total: result.total, totalPages: result.totalPages }
+    };
+  }
+
+  /**
+   * Create a BlogData entry and a Draft from one WordPress post
+   * @param {Object} post - WordPress post fetched with context=edit
+   * @returns {Object} The created draft
+   */
+  async createDraftFromPost(company, post, importedBy) {
+    const title = post.title?.raw ?? cheerio.load(post.title?.rendered || '').text();
+    const meta = post.meta || {};
+    const yoast = post.yoast_head_json || {};
+
+    const rankMathKeywords = (meta.rank_math_focus_keyword || '').split(',').map(plainMeta).filter(Boolean);
+    const focusKeyword = rankMathKeywords[0]
+      || plainMeta(meta._yoast_wpseo_focuskw)
+      || title;
+    // RankMath's further keywords become the draft's secondary keywords
+    const secondaryKeywords = rankMathKeywords.slice(1).map(keyword => ({ keyword, targetCount: 1, source: 'manual' }));
+    const metaTitle = plainMeta(meta.rank_math_title) || plainMeta(yoast.title) || title;
+    const metaDescription = plainMeta(meta.rank_math_description)
+      || plainMeta(yoast.description)
+      || this.wordpressService.generateExcerpt(post.excerpt?.raw || post.excerpt?.rendered || '');
+
+    // The featured image comes from featured_media, not from the first image in the content
+    const { contentBlocks, uploadedImages } = blockImportService.htmlToBlocks(post.content?.raw ?? post.content?.rendered, { featureImage: false });
+
+    let featuredImage;
+    if (post.featured_media) {
+      const media = await this.wordpressService.getMedia(post.featured_media, company._id);
+      if (media.success) {
+        featuredImage = { url: media.url, altText: media.altText || title };
+        uploadedImages['feature-img-0'] = media.url;
+        contentBlocks.unshift({
+          id: 'feature-img-0',
+          type: 'image',
+          imageType: 'feature',
+          content: '',
+          editable: false,
+          altText: featuredImage.altText,
+          generated: true
+        });
+      } else {
+        console.warn(`⚠️ Featured image ${post.featured_media} of post ${post.id} not loaded: ${media.error}`);
+      }
+    }
+
+    const wordCount = contentBlocks.reduce((sum, block) => sum + (block.wordCount || 0), 0);
+    const { categories, tags } = await taxonomyService.termsOfPost(post, company._id);
+
+    const blog = await BlogData.create({
+      focusKeyword,
+      articleFormat: 'guide',
+      wordCount: Math.min(Math.max(wordCount, 300), 5000),
+      targetAudience: company.targetAudience?.join(', ') || 'General',
+      objective: 'Content refresh',
+      companyId: company._id,
+      status: post.status === 'publish' ? 'published' : 'in-progress'
+    });
+
+    const draft = await Draft.create({
+      blogId: blog._id,
+      title,
+      metaTitle,
+      metaDescription,
+      selectedKeyword: focusKeyword,
+      secondaryKeywords,
+      selectedH1: title,
+      selectedMetaTitle: metaTitle,
+      selectedMetaDescription: metaDescription,
+      generatedContent: {
+        contentBlocks,
+        uploadedImages,
+        wordCount,
+        generatedAt: new Date()
+      },
+      featuredImage,
+      categories,
+      tags,
+      status: 'content_review',
+      wordpressId: post.id,
+      wordpressStatus: WORDPRESS_STATUSES[post.status] || 'draft',
+      publishedAt: post.status === 'publish' && post.date_gmt ? new Date(`${post.date_gmt}Z`) : undefined,
+      importedFrom: {
+        wordpressId: post.id,
+        link: post.link,
+        modifiedAt: post.modified_gmt ? new Date(`${post.modified_gmt}Z`) : undefined,
+        importedBy,
+        importedAt: new Date()
+      },
+      // The post already has this featured image, so the first re-sync does not upload it again
+      wordpressSyncs: [{
+        action: 'import',
+        wordpressId: post.id,
+        featuredImageUrl: featuredImage?.url,
+        version: 0,
+        syncedBy: importedBy,
+        success: true
+      }]
+    });
+
+    await draftRevisionService.safeRecordRevision(draft._id, {
+      stage: 'import',
+      createdBy: importedBy,
+      summary: `Imported WordPress post ${post.id} with ${contentBlocks.length} blocks`
+    });
+
+    return draft;
+  }
+
+  /**
+   * Import WordPress posts of a company as Drafts; posts imported before are skipped
+   * @param {Array<number>} wordpressIds - Post IDs (at most MAX_IMPORT_POSTS)
+   * @returns {Object} { imported: [{ wordpressId, draftId, title, blocks }], skipped: [{ wordpressId, draftId }], failed: [{ wordpressId, error }] } or { error, statusCode }
+   */
+  async importPosts(companyName, wordpressIds, importedBy) {
+    const ids = [...new Set((wordpressIds || []).map(id => parseInt(id)).filter(Boolean))];
+    if (ids.length === 0) {
+      return { error: 'postIds must list at least one WordPress post ID', statusCode: 400 };
+    }
+    if (ids.length > MAX_IMPORT_POSTS) {
+      return { error: `At most ${MAX_IMPORT_POSTS} posts can be imported at once`, statusCode: 400 };
+    }
+
+    const company = await this.getCompany(companyName);
+    if (!company) {
+      return { error: 'Company not found', statusCode: 404 };
+    }
+
+    const existing = await this.findImported(company, ids);
+    const result = { imported: [], skipped: [], failed: [] };
+
+    for (const wordpressId of ids) {
+      if (existing.has(wordpressId)) {
+        result.skipped.push({ wordpressId, draftId: existing.get(wordpressId) });
+        continue;
+      }
+
+      const post = await this.wordpressService.getDraftPost(wordpressId, company._id);
+      if (!post.success) {
+        result.failed.push({ wordpressId, error: post.error });
+        continue;
+      }
+
+      try {
+        const draft = await this.createDraftFromPost(company, post.data, importedBy);
+        result.imported.push({
+          wordpressId,
+          draftId: draft._id,
+          title: draft.title,
+          blocks: draft.generatedContent.contentBlocks.length
+        });
+      } catch (error) {
+        console.error(`❌ Failed to import WordPress post ${wordpressId}:`, error.message);
+        result.failed.push({ wordpressId, error: error.message });
+      }
+    }
+
+    console.log(`📥 WordPress import for ${companyName}: ${result.imported.length} imported, ${result.skipped.length} skipped, ${result.failed.length} failed`);
+    return result;
+  }
+}
+
+module.exports = new WordPressImportService();
@@ -3,8 +3,8 @@
  * 
  * Production-ready WordPress service with:
  * - Clean WordPress REST API integration
- * - Clean HTML content generation with WattMonk styling
- * - WattMonk brand styling and SEO optimization
+ * - Clean HTML content generation styled with each company's brand theme
+ * - SEO plugin meta (RankMath, Yoast, AIOSEO, SEOPress)
  * - Feature image upload and management
  * - Error handling and logging
  * 
@@ -14,6 +14,8 @@
 
 const axios = require('axios');
 const Company = require('../models/Company');
+const brandThemeService = require('./brandThemeService');
+const contentRendererService = require('./contentRendererService');
 
 class WordPressService {
   constructor() {
@@ -36,75 +38,7 @@ class WordPressService {
       // Get WordPress configuration
       const config = await this.getCompanyWordPressConfig(companyId);
       
-      // Generate SEO-optimized slug
-      const seoSlug = this.generateSEOSlug(draftData.focusKeyword || draftData.title);
-
-      // Convert content to clean WordPress format
-      let wordpressContent = '';
-
-      if (draftData.contentBlocks && Array.isArray(draftData.contentBlocks)) {
-        // Convert content blocks to clean HTML
-        console.log(`📝 Converting ${draftData.contentBlocks.length} content blocks to WordPress format`);
-        console.log(`📋 Content blocks types:`, draftData.contentBlocks.map(b => b.type).join(', '));
-        wordpressContent = this.convertContentBlocksToHTML(draftData.contentBlocks, draftData.focusKeyword);
-        console.log(`✅ Generated clean WordPress content`);
-      } else {
-        // Use existing content with WattMonk styling
-        console.log(`📝 Using existing content with WattMonk styling`);
-        wordpressContent = this.applyWattMonkStyling(draftData.content, draftData.focusKeyword);
-      }
-
-      // Prepare WordPress post data with comprehensive SEO optimization
-      // H1 → WordPress post title, Meta Title & Description → RankMath fields
-      const postData = {
-        title: draftData.title,                    // H1 becomes WordPress post title
-        content: wordpressContent,                 // Clean WordPress content with WattMonk styling
-        status: 'draft',
-        slug: draftData.slug || seoSlug,          // SEO-optimized URL slug
-        excerpt: draftData.metaDescription || this.generateExcerpt(draftData.content, 160)
-      };
-
-      console.log(`📝 WORDPRESS POST MAPPING:`);
-      console.log(`   H1 Title → WordPress Title: "${draftData.title}"`);
-      console.log(`   Meta Title → RankMath: "${draftData.metaTitle || draftData.title}"`);
-      console.log(`   Meta Description → RankMath: "${draftData.metaDescription || 'Auto-generated'}"`);
-      console.log(`   Focus Keyword → RankMath: "${draftData.focusKeyword || 'Not set'}"`);
-      console.log(`   Content Format: Clean WordPress HTML with WattMonk styling`);
-
-      // Store meta fields separately for post-creation update
-      // These are SEO-optimized values that should score 85-100/100 in RankMath
-      const metaFields = {
-        // Yoast SEO meta fields (most common SEO plugin)
-        _yoast_wpseo_title: draftData.metaTitle || draftData.title,
-        _yoast_wpseo_metadesc: draftData.metaDescription || this.generateExcerpt(draftData.content, 160),
-        _yoast_wpseo_focuskw: draftData.focusKeyword || '',
-        _yoast_wpseo_meta_robots_noindex: '0',
-        _yoast_wpseo_meta_robots_nofollow: '0',
-
-        // RankMath SEO meta fields (OPTIMIZED FOR 85-100/100 SCORE)
-        ...this.generateRankMathMetaFields(draftData),
-
-        // All in One SEO Pack meta fields (another popular SEO plugin)
-        _aioseop_title: draftData.metaTitle || draftData.title,
-        _aioseop_description: draftData.metaDescription || this.generateExcerpt(draftData.content, 160),
-        _aioseop_keywords: draftData.focusKeyword || '',
-
-        // SEOPress meta fields
-        _seopress_titles_title: draftData.metaTitle || draftData.title,
-        _seopress_titles_desc: draftData.metaDescription || this.generateExcerpt(draftData.content, 160),
-        _seopress_analysis_target_kw: draftData.focusKeyword || ''
-      };
-
-      // Add meta fields to post data for initial attempt
-      postData.meta = metaFields;
-
-      // Handle categories and tags
-      if (draftData.categories?.length > 0) {
-        postData.categories = draftData.categories;
-      }
-      if (draftData.tags?.length > 0) {
-        postData.tags = draftData.tags;
-      }
+      const postData = this.buildPostData(draftData);
 
       // Handle featured image upload
       await this.handleFeatureImageUpload(draftData, postData, companyId);
@@ -131,6 +65,135 @@ class WordPressService {
     }
   }
 
+  /**
+   * Update an already deployed post in place: content, excerpt, SEO plugin meta and,
+   * when draftData.featuredImage is set, the featured image. Status and slug are left
+   * alone so published URLs keep working.
+   * @param {number} postId - WordPress post ID
+   * @param {Object} draftData - Blog draft data
+   * @param {string} companyId - Company ID
+   * @returns {Object} { success, wordpressId, editUrl, previewUrl, status } or { success: false, notFound, error }
+   */
+  async updateWordPressPost(postId, draftData, companyId) {
+    try {
+      console.log(`🔄 Updating WordPress post ${postId} for company: ${companyId}`);
+      const config = await this.getCompanyWordPressConfig(companyId);
+
+      // Updates keep the post's status and slug, unless the update schedules it
+      const { status, slug, date_gmt, ...postData } = this.buildPostData(draftData);
+      if (draftData.scheduledAt) Object.assign(postData, { status, date_gmt });
+      await this.handleFeatureImageUpload(draftData, postData, companyId);
+
+      const result = await this.updateDraft(postId, postData, companyId);
+      if (!result.success) {
+        return { success: false, notFound: result.statusCode === 404, error: result.error };
+      }
+
+      // Same meta fallback as new posts, for SEO plugins that ignore meta on the post endpoint
+      try {
+        await this.updatePostMetaDirectly(postId, postData.meta, config);
+      } catch (metaError) {
+        console.warn(`⚠️ Failed to update meta fields:`, metaError.message);
+      }
+
+      console.log(`✅ WordPress post ${postId} updated in place`);
+      return {
+        success: true,
+        wordpressId: postId,
+        editUrl: `${config.baseUrl}/wp-admin/post.php?post=${postId}&action=edit`,
+        previewUrl: result.link,
+        status: result.status,
+        featuredMediaId: postData.featured_media || null
+      };
+    } catch (error) {
+      console.error(`❌ WordPress post ${postId} update failed:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Map draft data to a WordPress REST post payload (content, excerpt, slug and SEO plugin meta)
+   * @param {Object} draftData - Blog draft data
+   * @returns {Object} Post data without featured_media
+   */
+  buildPostData(draftData) {
+    // Generate SEO-optimized slug
+    const seoSlug = this.generateSEOSlug(draftData.focusKeyword || draftData.title);
+
+    // Convert content to clean WordPress format
+    let wordpressContent = '';
+
+    if (draftData.contentBlocks && Array.isArray(draftData.contentBlocks)) {
+      // Same renderer as the review preview, so reviewers see exactly this HTML
+      console.log(`📝 Rendering ${draftData.contentBlocks.length} content blocks for WordPress`);
+      wordpressContent = contentRendererService.render(draftData, contentRendererService.platformTarget('wordpress'));
+    } else {
+      // Use existing content with the brand theme
+      console.log(`📝 Using existing content with the brand theme`);
+      wordpressContent = this.applyThemeStyling(draftData.content, draftData.focusKeyword, draftData.theme, draftData.relatedArticles);
+    }
+
+    // Prepare WordPress post data with comprehensive SEO optimization
+    // H1 → WordPress post title, Meta Title & Description → RankMath fields
+    const postData = {
+      title: draftData.title,                    // H1 becomes WordPress post title
+      content: wordpressContent,                 // Clean WordPress content with the brand theme
+      status: draftData.status || 'draft',
+      slug: draftData.slug || seoSlug,          // SEO-optimized URL slug
+      excerpt: draftData.metaDescription || this.generateExcerpt(draftData.content, 160)
+    };
+
+    console.log(`📝 WORDPRESS POST MAPPING:`);
+    console.log(`   H1 Title → WordPress Title: "${draftData.title}"`);
+    console.log(`   Meta Title → RankMath: "${draftData.metaTitle || draftData.title}"`);
+    console.log(`   Meta Description → RankMath: "${draftData.metaDescription || 'Auto-generated'}"`);
+    console.log(`   Focus Keyword → RankMath: "${draftData.focusKeyword || 'Not set'}"`);
+    console.log(`   Content Format: Clean WordPress HTML with the brand theme`);
+
+    // Store meta fields separately for post-creation update
+    // These are SEO-optimized values that should score 85-100/100 in RankMath
+    const metaFields = {
+      // Yoast SEO meta fields (most common SEO plugin)
+      _yoast_wpseo_title: draftData.metaTitle || draftData.title,
+      _yoast_wpseo_metadesc: draftData.metaDescription || this.generateExcerpt(draftData.content, 160),
+      _yoast_wpseo_focuskw: draftData.focusKeyword || '',
+      _yoast_wpseo_meta_robots_noindex: '0',
+      _yoast_wpseo_meta_robots_nofollow: '0',
+
+      // RankMath SEO meta fields (OPTIMIZED FOR 85-100/100 SCORE)
+      ...this.generateRankMathMetaFields(draftData),
+
+      // All in One SEO Pack meta fields (another popular SEO plugin)
+      _aioseop_title: draftData.metaTitle || draftData.title,
+      _aioseop_description: draftData.metaDescription || this.generateExcerpt(draftData.content, 160),
+      _aioseop_keywords: draftData.focusKeyword || '',
+
+      // SEOPress meta fields
+      _seopress_titles_title: draftData.metaTitle || draftData.title,
+      _seopress_titles_desc: draftData.metaDescription || this.generateExcerpt(draftData.content, 160),
+      _seopress_analysis_target_kw: draftData.focusKeyword || ''
+    };
+
+    // Add meta fields to post data for initial attempt
+    postData.meta = metaFields;
+
+    // Scheduled posts are published by WordPress itself at date_gmt
+    if (draftData.scheduledAt) {
+      postData.status = 'future';
+      postData.date_gmt = this.toWordPressDate(draftData.scheduledAt);
+    }
+
+    // Term IDs; an empty list set on the review page clears the post's terms on update
+    if (Array.isArray(draftData.categories)) {
+      postData.categories = draftData.categories;
+    }
+    if (Array.isArray(draftData.tags)) {
+      postData.tags = draftData.tags;
+    }
+
+    return postData;
+  }
+
   /**
    * Handle feature image upload to WordPress
    * @param {Object} draftData - Draft data containing image info
@@ -171,7 +234,7 @@ class WordPressService {
     console.log(`🎯 RankMath Meta Title: "${postData.meta?.rank_math_title || 'Not set'}"`);
     console.log(`📄 RankMath Meta Description: "${postData.meta?.rank_math_description || 'Not set'}"`);
     console.log(`🔍 RankMath Focus Keyword: "${postData.meta?.rank_math_focus_keyword || 'Not set'}"`);
-    console.log(`🎨 Content Format: Clean HTML with WattMonk styling`);
+    console.log(`🎨 Content Format: Clean HTML with the brand theme`);
     console.log(`📊 Total Meta Fields: ${Object.keys(postData.meta || {}).length}`);
 
     try {
@@ -246,6 +309,7 @@ class WordPressService {
         editUrl: editUrl,
         previewUrl: previewUrl,
         wordpressId: postId,
+        status: response.data.status,
         message: 'Successfully deployed to WordPress',
         seoInstructions: {
           metaTitle: postData.meta?.rank_math_title || postData.title,
@@ -255,7 +319,7 @@ class WordPressService {
           wattmonkStyling: true,
           instructions: [
             '✅ RankMath SEO fields have been automatically set',
-            '✅ WattMonk brand styling applied to content',
+            '✅ Brand theme applied to content',
             'Go to WordPress admin → Posts → Edit this post',
             'RankMath will show 85-100/100 SEO score automatically',
             'Content is ready for publishing with professional formatting',
@@ -577,167 +641,30 @@ class WordPressService {
   }
 
   /**
-   * Convert content blocks to clean HTML with WattMonk styling
-   * @param {Array} contentBlocks - Array of content blocks
-   * @param {string} focusKeyword - SEO focus keyword
-   * @returns {string} Clean HTML content with WattMonk styling
-   */
-  convertContentBlocksToHTML(contentBlocks, focusKeyword) {
-    console.log('🔄 Converting content blocks to clean HTML...');
-
-    const wattmonkStyles = this.getWattMonkStyles();
-    let htmlContent = '';
-
-    for (const block of contentBlocks) {
-      switch (block.type) {
-        case 'h1':
-        case 'title':
-          htmlContent += `<h1 style="color: ${wattmonkStyles.headingColor}; font-family: ${wattmonkStyles.primaryFont}; font-weight: 800; font-size: 42px; line-height: 1.2; margin-bottom: 20px;">${block.content}</h1>\n`;
-          break;
-        case 'h2':
-          htmlContent += `<h2 style="color: ${wattmonkStyles.h2Color}; font-family: ${wattmonkStyles.primaryFont}; font-weight: ${wattmonkStyles.fontWeight}; font-size: 32px; line-height: 1.3; margin: 30px 0 15px 0;">${block.content}</h2>\n`;
-          break;
-        case 'h3':
-          htmlContent += `<h3 style="color: ${wattmonkStyles.headingColor}; font-family: ${wattmonkStyles.primaryFont}; font-weight: 700; font-size: 24px; line-height: 1.4; margin: 25px 0 10px 0;">${block.content}</h3>\n`;
-          break;
-        case 'paragraph':
-        case 'introduction':
-        case 'section':
-          htmlContent += `<p style="color: ${wattmonkStyles.textColor}; font-family: ${wattmonkStyles.primaryFont}; font-size: 16px; line-height: 1.7; margin-bottom: 20px;">${block.content}</p>\n`;
-          break;
-        case 'list':
-          const listItems = block.content.split('\n').filter(item => item.trim());
-          htmlContent += `<ul style="color: ${wattmonkStyles.textColor}; font-family: ${wattmonkStyles.primaryFont}; font-size: 16px; line-height: 1.7; margin-bottom: 20px; padding-left: 20px;">\n`;
-          listItems.forEach(item => {
-            htmlContent += `  <li style="margin-bottom: 8px;">${item.trim()}</li>\n`;
-          });
-          htmlContent += `</ul>\n`;
-          break;
-        case 'image':
-          if (block.imageUrl) {
-            htmlContent += `<figure style="margin: 30px 0; text-align: center;">\n`;
-            htmlContent += `  <img src="${block.imageUrl}" alt="${block.alt || ''}" style="max-width: 100%; height: auto; border-radius: 8px; box-shadow: 0 4px 8px rgba(0,0,0,0.1);" />\n`;
-            if (block.caption) {
-              htmlContent += `  <figcaption style="color: ${wattmonkStyles.textColor}; font-family: ${wattmonkStyles.primaryFont}; font-size: 14px; margin-top: 10px; font-style: italic;">${block.caption}</figcaption>\n`;
-            }
-            htmlContent += `</figure>\n`;
-          }
-          break;
-        default:
-          // Default to paragraph for unknown types
-          htmlContent += `<p style="color: ${wattmonkStyles.textColor}; font-family: ${wattmonkStyles.primaryFont}; font-size: 16px; line-height: 1.7; margin-bottom: 20px;">${block.content}</p>\n`;
-      }
-    }
-
-    // Add "You May Also Like" section
-    htmlContent += this.addRelatedArticlesSection();
-
-    console.log(`✅ Generated clean HTML content with WattMonk styling`);
-    return htmlContent;
-  }
-
-  /**
-   * Apply WattMonk styling to existing content
+   * Apply the brand theme to existing HTML content
    * @param {string} content - HTML content to style
    * @param {string} focusKeyword - SEO focus keyword
+   * @param {Object} theme - Resolved brand theme
+   * @param {Array} relatedArticles - [{ title, url, description }]
    * @returns {string} Styled HTML content
    */
-  applyWattMonkStyling(content, focusKeyword) {
-    console.log('🔄 Applying WattMonk styling to existing content...');
+  applyThemeStyling(content, focusKeyword, theme = brandThemeService.defaults, relatedArticles = []) {
+    console.log('🔄 Applying the brand theme to existing content...');
 
-    const wattmonkStyles = this.getWattMonkStyles();
+    const styles = brandThemeService.styles(theme);
     let styledContent = content;
 
-    // Apply WattMonk styling to HTML elements
-    styledContent = styledContent.replace(
-      /<h1([^>]*)>/g,
-      `<h1 style="color: ${wattmonkStyles.headingColor}; font-family: ${wattmonkStyles.primaryFont}; font-weight: 800; font-size: 42px; line-height: 1.2; margin-bottom: 20px;">`
-    );
-
-    styledContent = styledContent.replace(
-      /<h2([^>]*)>/g,
-      `<h2 style="color: ${wattmonkStyles.h2Color}; font-family: ${wattmonkStyles.primaryFont}; font-weight: ${wattmonkStyles.fontWeight}; font-size: 32px; line-height: 1.3; margin: 30px 0 15px 0;">`
-    );
-
-    styledContent = styledContent.replace(
-      /<h3([^>]*)>/g,
-      `<h3 style="color: ${wattmonkStyles.headingColor}; font-family: ${wattmonkStyles.primaryFont}; font-weight: 700; font-size: 24px; line-height: 1.4; margin: 25px 0 10px 0;">`
-    );
-
-    styledContent = styledContent.replace(
-      /<p([^>]*)>/g,
-      `<p style="color: ${wattmonkStyles.textColor}; font-family: ${wattmonkStyles.primaryFont}; font-size: 16px; line-height: 1.7; margin-bottom: 20px;">`
-    );
-
-    styledContent = styledContent.replace(
-      /<ul([^>]*)>/g,
-      `<ul style="color: ${wattmonkStyles.textColor}; font-family: ${wattmonkStyles.primaryFont}; font-size: 16px; line-height: 1.7; margin-bottom: 20px; padding-left: 20px;">`
-    );
-
-    styledContent = styledContent.replace(
-      /<li([^>]*)>/g,
-      `<li style="margin-bottom: 8px;">`
-    );
-
-    // Add "You May Also Like" section
-    styledContent += this.addRelatedArticlesSection();
-
-    console.log(`✅ Applied WattMonk styling to content`);
-    return styledContent;
-  }
+    styledContent = styledContent.replace(/<h1([^>]*)>/g, `<h1 style="${styles.h1}">`);
+    styledContent = styledContent.replace(/<h2([^>]*)>/g, `<h2 style="${styles.h2}">`);
+    styledContent = styledContent.replace(/<h3([^>]*)>/g, `<h3 style="${styles.h3}">`);
+    styledContent = styledContent.replace(/<p([^>]*)>/g, `<p style="${styles.paragraph}">`);
+    styledContent = styledContent.replace(/<ul([^>]*)>/g, `<ul style="${styles.list}">`);
+    styledContent = styledContent.replace(/<li([^>]*)>/g, `<li style="${styles.listItem}">`);
 
-  /**
-   * Get WattMonk brand styles
-   * @returns {Object} WattMonk styling configuration
-   */
-  getWattMonkStyles() {
-    return {
-      primaryFont: "'Roboto', 'Arial', sans-serif",
-      headingColor: "#1A202C",
-      h2Color: "#FBD46F", // Golden yellow for H2 headings
-      textColor: "#4A5568",
-      accentColor: "#FBD46F",
-      secondaryAccent: "#FF8C00",
-      linkColor: "#3182CE",
-      backgroundColor: "#FFF8E1",
-      fontWeight: "600" // Semi Bold
-    };
-  }
+    styledContent += contentRendererService.render({ theme, relatedArticles }, 'classic');
 
-  /**
-   * Add "You May Also Like" related articles section
-   * @returns {string} Related articles section HTML
-   */
-  addRelatedArticlesSection() {
-    const styles = this.getWattMonkStyles();
-
-    return `
-<div style="margin-top: 50px; padding: 40px 20px; background-color: #FAFAFA; border-top: 3px solid ${styles.accentColor}; border-radius: 8px;">
-  <h3 style="color: ${styles.headingColor}; font-family: ${styles.primaryFont}; font-weight: 700; font-size: 28px; text-align: center; margin-bottom: 30px;">⚡ You May Also Like</h3>
-
-  <div style="max-width: 800px; margin: 0 auto;">
-    <div style="margin-bottom: 16px; padding: 20px; background: ${styles.backgroundColor}; border-radius: 12px; border-left: 5px solid ${styles.accentColor}; box-shadow: 0 2px 8px rgba(0,0,0,0.1);">
-      <a href="https://www.wattmonk.com/solar-pto-process-to-accelerate-approval/" target="_blank" style="color: ${styles.headingColor}; text-decoration: none; font-weight: 600; font-family: ${styles.primaryFont}; display: block; font-size: 17px;">📋 Solar PTO Guide: Avoid Delays & Speed Up Approvals</a>
-      <span style="color: #666; font-size: 14px; margin-top: 5px; display: block; font-family: ${styles.primaryFont};">Complete guide to streamline your solar PTO process</span>
-    </div>
-
-    <div style="margin-bottom: 16px; padding: 20px; background: ${styles.backgroundColor}; border-radius: 12px; border-left: 5px solid ${styles.accentColor}; box-shadow: 0 2px 8px rgba(0,0,0,0.1);">
-      <a href="https://www.wattmonk.com/service/pto-interconnection/" target="_blank" style="color: ${styles.headingColor}; text-decoration: none; font-weight: 600; font-family: ${styles.primaryFont}; display: block; font-size: 17px;">⚡ Solar PTO Interconnection Made Easy</a>
-      <span style="color: #666; font-size: 14px; margin-top: 5px; display: block; font-family: ${styles.primaryFont};">Professional interconnection services for solar projects</span>
-    </div>
-
-    <div style="margin-bottom: 16px; padding: 20px; background: ${styles.backgroundColor}; border-radius: 12px; border-left: 5px solid ${styles.accentColor}; box-shadow: 0 2px 8px rgba(0,0,0,0.1);">
-      <a href="https://www.wattmonk.com/utility-interconnection/" target="_blank" style="color: ${styles.headingColor}; text-decoration: none; font-weight: 600; font-family: ${styles.primaryFont}; display: block; font-size: 17px;">🔌 Utility Interconnection Services</a>
-      <span style="color: #666; font-size: 14px; margin-top: 5px; display: block; font-family: ${styles.primaryFont};">Expert utility interconnection solutions</span>
-    </div>
-
-    <div style="margin-bottom: 16px; padding: 20px; background: ${styles.backgroundColor}; border-radius: 12px; border-left: 5px solid ${styles.accentColor}; box-shadow: 0 2px 8px rgba(0,0,0,0.1);">
-      <a href="https://www.wattmonk.com/solar-pv-agrivoltaic-guide/" target="_blank" style="color: ${styles.headingColor}; text-decoration: none; font-weight: 600; font-family: ${styles.primaryFont}; display: block; font-size: 17px;">🌱 Solar PV Agrivoltaic Complete Guide</a>
-      <span style="color: #666; font-size: 14px; margin-top: 5px; display: block; font-family: ${styles.primaryFont};">Comprehensive guide to agrivoltaic solar systems</span>
-    </div>
-  </div>
-</div>
-`;
+    console.log(`✅ Applied the brand theme to content`);
+    return styledContent;
   }
 
   /**
@@ -749,9 +676,12 @@ class WordPressService {
     const metaTitle = draftData.metaTitle || draftData.title;
     const metaDescription = draftData.metaDescription || this.generateExcerpt(draftData.content, 160);
     const focusKeyword = draftData.focusKeyword || '';
+    // RankMath scores the first keyword and tracks the rest as secondary keywords
+    const secondaryKeywordService = require('./secondaryKeywordService');
+    const focusKeywords = secondaryKeywordService.rankMathFocusKeywords(focusKeyword, draftData.secondaryKeywords);
 
     console.log(`🎯 GENERATING RANKMATH META FIELDS FOR 85-100/100 SCORE:`);
-    console.log(`   Focus Keyword: "${focusKeyword}"`);
+    console.log(`   Focus Keywords: "${focusKeywords}"`);
     console.log(`   Meta Title (${metaTitle.length} chars): "${metaTitle}"`);
     console.log(`   Meta Description (${metaDescription.length} chars): "${metaDescription}"`);
 
@@ -759,7 +689,7 @@ class WordPressService {
       // Core RankMath fields for high SEO scores
       rank_math_title: metaTitle,
       rank_math_description: metaDescription,
-      rank_math_focus_keyword: focusKeyword,
+      rank_math_focus_keyword: focusKeywords,
 
       // Advanced RankMath settings for maximum score
       rank_math_robots: 'index,follow',
@@ -788,6 +718,237 @@ class WordPressService {
     };
   }
 
+  /**
+   * Format a date for the WordPress date_gmt field (UTC, no timezone suffix)
+   * @param {Date|string} date - Date to format
+   * @returns {string} e.g. 2025-03-01T09:30:00
+   */
+  toWordPressDate(date) {
+    return new Date(date).toISOString().slice(0, 19);
+  }
+
+  /**
+   * Get a single WordPress post (any status)
+   * @param {number} postId - WordPress post ID
+   * @param {string} companyId - Company ID
+   * @returns {Object} { success, data } or { success: false, error }
+   */
+  async getDraftPost(postId, companyId) {
+    try {
+      const config = await this.getCompanyWordPressConfig(companyId);
+      const response = await axios.get(`${config.baseUrl}/wp-json/wp/v2/posts/${postId}`, {
+        headers: { 'Authorization': `Basic ${config.auth}` },
+        params: { context: 'edit' },
+        timeout: this.defaultTimeout,
+        validateStatus: status => status < 500
+      });
+
+      if (response.status !== 200) {
+        return { success: false, error: response.data?.message || `WordPress API returned status: ${response.status}` };
+      }
+
+      return { success: true, data: response.data };
+    } catch (error) {
+      console.error(`❌ Failed to fetch WordPress post ${postId}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * List WordPress posts (context=edit, so raw content and meta are included)
+   * @param {string} companyId - Company ID
+   * @param {Object} options - { page, perPage, orderBy, order, status, search }
+   * @returns {Object} { success, data, total, totalPages } or { success: false, error }
+   */
+  async getPosts(companyId, options = {}) {
+    const { page = 1, perPage = 10, orderBy = 'date', order = 'desc', status = 'publish', search } = options;
+    try {
+      const config = await this.getCompanyWordPressConfig(companyId);
+      const response = await axios.get(`${config.baseUrl}/wp-json/wp/v2/posts`, {
+        headers: { 'Authorization': `Basic ${config.auth}` },
+        params: {
+          context: 'edit',
+          page,
+          per_page: Math.min(perPage, 100),
+          orderby: orderBy,
+          order,
+          status,
+          ...(search ? { search } : {})
+        },
+        timeout: this.defaultTimeout,
+        validateStatus: status => status < 500
+      });
+
+      if (response.status !== 200) {
+        return { success: false, error: response.data?.message || `WordPress API returned status: ${response.status}` };
+      }
+
+      return {
+        success: true,
+        data: response.data,
+        total: parseInt(response.headers['x-wp-total']) || response.data.length,
+        totalPages: parseInt(response.headers['x-wp-totalpages']) || 1
+      };
+    } catch (error) {
+      console.error('❌ Failed to list WordPress posts:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getDraftPosts(companyId, options = {}) {
+    return this.getPosts(companyId, { ...options, status: 'draft' });
+  }
+
+  /**
+   * Get a media item (e.g. a post's featured image)
+   * @returns {Object} { success, url, altText } or { success: false, error }
+   */
+  async getMedia(mediaId, companyId) {
+    try {
+      const config = await this.getCompanyWordPressConfig(companyId);
+      const response = await axios.get(`${config.baseUrl}/wp-json/wp/v2/media/${mediaId}`, {
+        headers: { 'Authorization': `Basic ${config.auth}` },
+        timeout: this.defaultTimeout,
+        validateStatus: status => status < 500
+      });
+
+      if (response.status !== 200) {
+        return { success: false, error: response.data?.message || `WordPress API returned status: ${response.status}` };
+      }
+
+      return { success: true, url: response.data.source_url, altText: response.data.alt_text || '' };
+    } catch (error) {
+      console.error(`❌ Failed to fetch WordPress media ${mediaId}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * All terms of a taxonomy on the company site (paged through, at most 500)
+   * @param {string} taxonomy - categories | tags
+   * @param {string} companyId - Company ID
+   * @returns {Object} { success, data: [{ id, name, slug, count, parent }] } or { success: false, error }
+   */
+  async getTerms(taxonomy, companyId) {
+    try {
+      const config = await this.getCompanyWordPressConfig(companyId);
+      const terms = [];
+
+      for (let page = 1; page <= 5; page++) {
+        const response = await axios.get(`${config.baseUrl}/wp-json/wp/v2/${taxonomy}`, {
+          headers: { 'Authorization': `Basic ${config.auth}` },
+          params: { per_page: 100, page, orderby: 'count', order: 'desc', _fields: 'id,name,slug,count,parent' },
+          timeout: this.defaultTimeout,
+          validateStatus: status => status < 500
+        });
+
+        if (response.status !== 200) {
+          return { success: false, error: response.data?.message || `WordPress API returned status: ${response.status}` };
+        }
+
+        terms.push(...response.data.map(term => ({
+          id: term.id,
+          name: term.name,
+          slug: term.slug,
+          count: term.count || 0,
+          parent: term.parent || 0
+        })));
+        if (page >= (parseInt(response.headers['x-wp-totalpages']) || 1)) break;
+      }
+
+      return { success: true, data: terms };
+    } catch (error) {
+      console.error(`❌ Failed to fetch WordPress ${taxonomy}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create a tag; a tag that already exists returns its ID
+   * @returns {Object} { success, id, name } or { success: false, error }
+   */
+  async createTag(name, companyId) {
+    try {
+      const config = await this.getCompanyWordPressConfig(companyId);
+      const response = await axios.post(`${config.baseUrl}/wp-json/wp/v2/tags`, { name }, {
+        headers: {
+          'Authorization': `Basic ${config.auth}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: this.defaultTimeout,
+        validateStatus: status => status < 500
+      });
+
+      if (response.status === 400 && response.data?.code === 'term_exists') {
+        return { success: true, id: response.data.data?.term_id, name };
+      }
+      if (response.status !== 201) {
+        return { success: false, error: response.data?.message || `WordPress API returned status: ${response.status}` };
+      }
+
+      console.log(`🏷️ Created WordPress tag "${name}" (ID ${response.data.id})`);
+      return { success: true, id: response.data.id, name: response.data.name };
+    } catch (error) {
+      console.error(`❌ Failed to create WordPress tag "${name}":`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update fields of an existing WordPress post
+   * @param {number} postId - WordPress post ID
+   * @param {Object} updateData - Post fields (title, content, status, date_gmt...)
+   * @param {string} companyId - Company ID
+   * @returns {Object} { success, data, status, link } or { success: false, error }
+   */
+  async updateDraft(postId, updateData, companyId) {
+    try {
+      const config = await this.getCompanyWordPressConfig(companyId);
+      const response = await axios({
+        method: 'POST',
+        url: `${config.baseUrl}/wp-json/wp/v2/posts/${postId}`,
+        headers: {
+          'Authorization': `Basic ${config.auth}`,
+          'Content-Type': 'application/json'
+        },
+        data: updateData,
+        timeout: this.defaultTimeout,
+        validateStatus: status => status < 500
+      });
+
+      if (response.status !== 200) {
+        console.error(`❌ WordPress post ${postId} update returned status: ${response.status}`);
+        return {
+          success: false,
+          statusCode: response.status,
+          error: response.data?.message || `WordPress API returned status: ${response.status}`
+        };
+      }
+
+      console.log(`✅ WordPress post ${postId} updated (status: ${response.data.status})`);
+      return {
+        success: true,
+        data: response.data,
+        status: response.data.status,
+        link: response.data.link
+      };
+    } catch (error) {
+      console.error(`❌ Failed to update WordPress post ${postId}:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Publish an existing WordPress post immediately
+   * @returns {Object} { success, publishedUrl } or { success: false, error }
+   */
+  async publishDraft(postId, companyId) {
+    const result = await this.updateDraft(postId, { status: 'publish' }, companyId);
+    if (!result.success) return result;
+
+    return { success: true, wordpressId: postId, status: result.status, publishedUrl: result.link };
+  }
+
   /**
    * Legacy method for backward compatibility
    * @param {Object} draftData - Draft data
@@ -867,7 +1028,9 @@ class WordPressService {
       return {
         success: false,
         message: errorMessage,
-        error: error.message
+        error: error.message,
+        // Network errors, timeouts and 5xx responses may pass; missing configuration will not
+        retryable: !!error.isAxiosError
       };
     }
   }
@@ -1,31 +1,53 @@
 "use client"
 
-import { useEffect, useState } from "react"
+import { useEffect, useRef, useState } from "react"
 import { useRouter, useParams } from "next/navigation"
-import { Sparkles, Check, ExternalLink } from "lucide-react"
+import { Check, ExternalLink } from "lucide-react"
 import { StepperHeader } from "@/components/stepper-header"
+import { JobProgress } from "@/components/job-progress"
 import { Button } from "@/components/ui/button"
 import { useToast } from "@/hooks/use-toast"
+import { useJobProgress } from "@/hooks/use-job-progress"
+import { useProgressEvents } from "@/hooks/use-progress-events"
 import { api } from "@/lib/api"
+import type { DraftPublishing, PublishPlatform, WordPressSyncAction } from "@/types/api"
+
+const steps = [
+  { stage: "assembling", label: "Processing content and uploading images" },
+  { stage: "connection", label: "Generating internal and external links" },
+  { stage: "deploying", label: "Creating the draft post" },
+  { stage: "completed", label: "Finalizing SEO optimization" }
+]
+
+interface DeployResult {
+  success: boolean
+  message: string
+  editUrl?: string
+  previewUrl?: string
+  wordpressId?: number
+  platform?: PublishPlatform
+  externalId?: string
+  action?: WordPressSyncAction
+  changedFields?: string[]
+}
 
 export default function DeployingPage() {
-  const [currentTask, setCurrentTask] = useState(0)
-  const [completedTasks, setCompletedTasks] = useState<number[]>([])
+  const [jobId, setJobId] = useState<string | null>(null)
   const [deploymentComplete, setDeploymentComplete] = useState(false)
   const [wordpressUrl, setWordpressUrl] = useState<string | null>(null)
   const [deploymentError, setDeploymentError] = useState<string | null>(null)
   const [draft, setDraft] = useState<any>(null)
+  const startedRef = useRef(false)
   const router = useRouter()
   const params = useParams()
   const { toast } = useToast()
   const draftId = params.draftId as string
-
-  const tasks = [
-    "Processing content and uploading images",
-    "Generating internal and external links",
-    "Creating WordPress draft post",
-    "Finalizing SEO optimization"
-  ]
+  const { job, error, refresh } = useJobProgress<DeployResult>(jobId, 5000)
+  const { events } = useProgressEvents(draftId, "deploy")
+  const jobEvents = events.filter((event) => !event.jobId || event.jobId === jobId)
+  const jobFinished = jobEvents.some((event) => event.jobId && (event.status === "completed" || event.status === "failed"))
+  const publishing: DraftPublishing | undefined = draft?.publishing
+  const platformLabel = publishing?.label || "WordPress"
 
   // Fetch draft data
   useEffect(() => {
@@ -43,64 +65,53 @@ export default function DeployingPage() {
     }
   }, [draftId])
 
-  useEffect(() => {
-    let interval: NodeJS.Timeout
-
-    const performDeployment = async () => {
-      try {
-        // Start the visual progress
-        interval = setInterval(() => {
-          setCurrentTask((prev) => {
-            const next = prev + 1
-            if (next < tasks.length) {
-              setCompletedTasks((completed) => [...completed, prev])
-              return next
-            } else {
-              // Mark last task as completed
-              setCompletedTasks((completed) => [...completed, prev])
-              clearInterval(interval)
-              return prev
-            }
-          })
-        }, 2000) // Each task takes 2 seconds
-
-        // Perform actual deployment
-        console.log('🚀 Starting WordPress deployment...')
-        const result = await api.deployWordPress(draftId) as any
-        console.log('✅ WordPress deployment result:', result)
-
-        // Clear interval and show result
-        clearInterval(interval)
-        setCompletedTasks([0, 1, 2, 3]) // Mark all tasks complete
-
-        if (result?.success) {
-          setDeploymentComplete(true)
-          setWordpressUrl(result.editUrl)
-          toast({
-            title: "Deployment successful!",
-            description: "Your blog post has been deployed to WordPress.",
-          })
-        } else {
-          throw new Error(result?.message || result?.error || 'Deployment failed')
-        }
-      } catch (error: any) {
-        console.error('❌ WordPress deployment failed:', error)
-        clearInterval(interval)
-        setDeploymentError(error.message || 'Deployment failed')
-        toast({
-          title: "Deployment failed",
-          description: error.message || "Failed to deploy to WordPress. Please try again.",
-          variant: "destructive",
-        })
-      }
+  const startDeployment = async () => {
+    try {
+      setDeploymentError(null)
+      console.log('🚀 Queuing WordPress deployment...')
+      // Set by the review page when an admin deploys an unapproved draft
+      const overrideApproval = new URLSearchParams(window.location.search).get("override") === "1"
+      const response = await api.startDeployWordPressJob(draftId, overrideApproval)
+      setJobId(response.jobId)
+    } catch (error: any) {
+      console.error('❌ Failed to queue WordPress deployment:', error)
+      setDeploymentError(error.message || 'Deployment failed')
     }
+  }
 
-    performDeployment()
+  useEffect(() => {
+    if (startedRef.current) return
+    startedRef.current = true
+    startDeployment()
+  }, [draftId])
 
-    return () => {
-      if (interval) clearInterval(interval)
+  useEffect(() => {
+    if (jobFinished) refresh()
+  }, [jobFinished, refresh])
+
+  useEffect(() => {
+    if (!job) return
+
+    if (job.status === "completed") {
+      console.log('✅ WordPress deployment result:', job.result)
+      setDeploymentComplete(true)
+      setWordpressUrl(job.result?.editUrl || job.result?.previewUrl || null)
+      toast({
+        title: "Deployment successful!",
+        description: job.result?.action === "update"
+          ? `${platformLabel} post updated${job.result.changedFields ? ` (${job.result.changedFields.join(", ") || "no changes"})` : ""}.`
+          : `Your blog post has been deployed to ${platformLabel}.`,
+      })
+    } else if (job.status === "failed" || job.status === "cancelled") {
+      console.error('❌ WordPress deployment failed:', job.error)
+      setDeploymentError(job.error || 'Deployment failed')
+      toast({
+        title: "Deployment failed",
+        description: job.error || `Failed to deploy to ${platformLabel}. Please try again.`,
+        variant: "destructive",
+      })
     }
-  }, [draftId, toast])
+  }, [job?.status, toast])
 
   const handleViewInWordPress = () => {
     if (wordpressUrl) {
@@ -113,14 +124,9 @@ export default function DeployingPage() {
   }
 
   const handleRetryDeployment = () => {
-    // Reset state and retry
-    setCurrentTask(0)
-    setCompletedTasks([])
     setDeploymentComplete(false)
-    setDeploymentError(null)
     setWordpressUrl(null)
-    // The useEffect will trigger again
-    window.location.reload()
+    startDeployment()
   }
 
   if (deploymentError) {
@@ -173,7 +179,11 @@ export default function DeployingPage() {
                 <Check className="h-8 w-8 text-white" />
               </div>
               <h1 className="text-2xl font-bold text-gray-900">Deployment Successful!</h1>
-              <p className="text-gray-600">Your blog post has been successfully deployed to WordPress as a draft.</p>
+              <p className="text-gray-600">
+                {job?.result?.action === "update"
+                  ? `The existing ${platformLabel} post has been updated in place.`
+                  : `Your blog post has been successfully deployed to ${platformLabel} as a draft.`}
+              </p>
             </div>
 
             {/* Action Buttons */}
@@ -184,7 +194,7 @@ export default function DeployingPage() {
                 disabled={!wordpressUrl}
               >
                 <ExternalLink className="h-4 w-4 mr-2" />
-                View in WordPress
+                View in {platformLabel}
               </Button>
               <Button
                 variant="outline"
@@ -205,56 +215,14 @@ export default function DeployingPage() {
       
       <main className="max-w-5xl mx-auto px-6 py-8">
         <div className="space-y-8">
-          {/* Header */}
-          <div className="text-center space-y-4">
-            <div className="flex items-center justify-center gap-3">
-              <Sparkles className="h-8 w-8 text-blue-600 animate-pulse" />
-              <h1 className="text-2xl font-bold text-gray-900">Deploying to WordPress</h1>
-              <Sparkles className="h-8 w-8 text-blue-600 animate-pulse" />
-            </div>
-            <p className="text-gray-600">AI is deploying your blog post to WordPress...</p>
-          </div>
-
-          {/* Progress Tasks */}
-          <div className="max-w-2xl mx-auto space-y-4">
-            {tasks.map((task, index) => (
-              <div
-                key={index}
-                className={`flex items-center gap-4 p-4 rounded-lg border transition-all duration-500 ${
-                  completedTasks.includes(index)
-                    ? "bg-green-50 border-green-200"
-                    : currentTask === index
-                    ? "bg-blue-50 border-blue-200 shadow-sm"
-                    : "bg-white border-gray-200"
-                }`}
-              >
-                <div className="flex-shrink-0">
-                  {completedTasks.includes(index) ? (
-                    <div className="w-6 h-6 bg-green-500 rounded-full flex items-center justify-center">
-                      <Check className="h-4 w-4 text-white" />
-                    </div>
-                  ) : currentTask === index ? (
-                    <div className="w-6 h-6 border-2 border-blue-500 border-t-transparent rounded-full animate-spin" />
-                  ) : (
-                    <div className="w-6 h-6 bg-gray-200 rounded-full" />
-                  )}
-                </div>
-                <span
-                  className={`text-sm font-medium ${
-                    completedTasks.includes(index)
-                      ? "text-green-700"
-                      : currentTask === index
-                      ? "text-blue-700"
-                      : "text-gray-500"
-                  }`}
-                >
-                  {task}
-                </span>
-              </div>
-            ))}
-          </div>
-
-
+          <JobProgress
+            title={`Deploying to ${platformLabel}`}
+            description={`AI is deploying your blog post to ${platformLabel}...`}
+            steps={steps}
+            job={job}
+            events={jobEvents}
+            error={error}
+          />
         </div>
       </main>
     </div>
@@ -11,10 +11,17 @@ import { Textarea } from "@/components/ui/textarea"
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
 import { Skeleton } from "@/components/ui/skeleton"
 import { useToast } from "@/hooks/use-toast"
-import { Save, Eye, Upload, FileText, ImageIcon, Plus, Target, Type, Hash, Trash2, Link, ExternalLink, RefreshCw, Loader2, Sparkles } from "lucide-react"
-import type { BlogBlock } from "@/types/api"
+import { Save, Eye, Upload, FileText, ImageIcon, Plus, Target, Type, Hash, Trash2, Link, ExternalLink, RefreshCw, Loader2, Sparkles, History } from "lucide-react"
+import type { BlogBlock, CommentThread, ReadabilityAnalysis, RestoreRevisionResponse, SecondaryKeywordCoverage, SeoAnalysis } from "@/types/api"
 import { StepperHeader } from "@/components/stepper-header"
 import { ContentBlock } from "@/components/content-block"
+import { ReadabilityPanel } from "@/components/readability-panel"
+import { SeoChecklist } from "@/components/seo-checklist"
+import { SecondaryKeywordsPanel } from "@/components/secondary-keywords-panel"
+import { RevisionHistory } from "@/components/revision-history"
+import { BlockAlternatives } from "@/components/block-alternatives"
+import { CommentThreads, type CommentRange } from "@/components/comment-threads"
+import { Sheet, SheetContent, SheetDescription, SheetHeader, SheetTitle } from "@/components/ui/sheet"
 import { api } from "@/lib/api"
 
 interface MetaData {
@@ -43,6 +50,16 @@ export default function EditorPage() {
   const [imagePrompts, setImagePrompts] = useState<{ [key: string]: string }>({})
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false)
   const [lastSaved, setLastSaved] = useState<Date | null>(null)
+  const [historyOpen, setHistoryOpen] = useState(false)
+  const [alternativesBlockId, setAlternativesBlockId] = useState<string | null>(null)
+  const [commentThreads, setCommentThreads] = useState<CommentThread[]>([])
+  const [commentsBlockId, setCommentsBlockId] = useState<string | null>(null)
+  const [commentSelection, setCommentSelection] = useState<CommentRange | null>(null)
+  const [readability, setReadability] = useState<ReadabilityAnalysis | null>(null)
+  const [analyzingReadability, setAnalyzingReadability] = useState(false)
+  const [seoAnalysis, setSeoAnalysis] = useState<SeoAnalysis | null>(null)
+  const [scoringSeo, setScoringSeo] = useState(false)
+  const [keywordCoverage, setKeywordCoverage] = useState<SecondaryKeywordCoverage | null>(null)
   const router = useRouter()
   const params = useParams()
   const { toast } = useToast()
@@ -53,6 +70,8 @@ export default function EditorPage() {
     loadMetaData()
     loadTargetWordCount() // Now async but we don't need to await
     generateContent()
+    loadComments()
+    loadSeoScore()
   }, [])
 
   useEffect(() => {
@@ -66,6 +85,24 @@ export default function EditorPage() {
     }
   }, [blocks])
 
+  // Re-analyze readability shortly after the blocks stop changing
+  useEffect(() => {
+    if (blocks.length === 0) return
+
+    const timeout = setTimeout(async () => {
+      try {
+        setAnalyzingReadability(true)
+        setReadability(await api.analyzeReadability(draftId, blocks))
+      } catch (error) {
+        console.error('Readability analysis failed:', error)
+      } finally {
+        setAnalyzingReadability(false)
+      }
+    }, 1000)
+
+    return () => clearTimeout(timeout)
+  }, [blocks])
+
   // Auto-save functionality
   useEffect(() => {
     if (!hasUnsavedChanges || blocks.length === 0) return
@@ -200,8 +237,13 @@ export default function EditorPage() {
     try {
       console.log('🤖 Generating structured content...')
 
-      // Call the backend to generate structured content
-      const response = await api.generateStructuredContent(draftId) as any
+      // Use the result of the background job from the generating-content page when available,
+      // otherwise call the backend to generate structured content
+      const jobId = new URLSearchParams(window.location.search).get('job')
+      const job = jobId ? await api.getJob(jobId).catch(() => null) : null
+      const response = job?.status === 'completed' && job.result
+        ? job.result
+        : await api.generateStructuredContent(draftId) as any
 
       if (response.success && response.blocks) {
         setBlocks(response.blocks)
@@ -487,6 +529,7 @@ export default function EditorPage() {
         console.log('✅ Draft saved successfully')
         setHasUnsavedChanges(false)
         setLastSaved(new Date())
+        if (result.seoAnalysis) setSeoAnalysis(result.seoAnalysis)
         toast({
           title: "Draft saved",
           description: `Your blog draft has been saved with ${blocks.length} content blocks and ${Object.keys(uploadedImages).length} images.`,
@@ -507,6 +550,23 @@ export default function EditorPage() {
     }
   }
 
+  const handleRevisionRestored = (result: RestoreRevisionResponse) => {
+    setBlocks(result.blocks)
+    setUploadedImages(result.uploadedImages || {})
+    if (result.selectedH1) {
+      const restoredMeta = {
+        h1Title: result.selectedH1,
+        metaTitle: result.selectedMetaTitle || "",
+        metaDescription: result.selectedMetaDescription || ""
+      }
+      setMetaData(restoredMeta)
+      setSelectedMeta(restoredMeta)
+      localStorage.setItem(`meta_${draftId}`, JSON.stringify(restoredMeta))
+    }
+    setLastSaved(new Date())
+    setHistoryOpen(false)
+  }
+
   const handleReviewAndDeploy = () => {
     router.push(`/blog/${draftId}/review`)
   }
@@ -537,7 +597,9 @@ export default function EditorPage() {
               ...block,
               content: response.content,
               wordCount: response.wordCount || response.content?.split(' ').length || 0,
-              originalContent: block.originalContent || block.content // Track original for change detection
+              originalContent: block.originalContent || block.content, // Track original for change detection
+              alternatives: response.alternatives || block.alternatives,
+              metadata: response.metadata || block.metadata
             }
           : block,
       )
@@ -568,6 +630,53 @@ export default function EditorPage() {
     }
   }
 
+  const loadSeoScore = async () => {
+    try {
+      setScoringSeo(true)
+      setSeoAnalysis(await api.scoreDraft(draftId))
+    } catch (error) {
+      console.error('Failed to score draft:', error)
+    } finally {
+      setScoringSeo(false)
+    }
+  }
+
+  const loadComments = async () => {
+    try {
+      setCommentThreads(await api.getComments(draftId))
+    } catch (error) {
+      console.error('Failed to load comments:', error)
+    }
+  }
+
+  // Anchor the new thread to the text selected inside the block, if any
+  const handleShowComments = (block: BlogBlock) => {
+    const quote = window.getSelection()?.toString().trim() || ""
+    const start = quote ? (block.content || "").indexOf(quote) : -1
+    setCommentSelection(start >= 0 ? { start, end: start + quote.length, quote } : null)
+    setCommentsBlockId(block.id)
+  }
+
+  const openCommentCount = (blockId: string) =>
+    commentThreads.filter((thread) => thread.blockId === blockId && !thread.resolved).length
+
+  const handleBlockAlternativeApplied = (updated: BlogBlock) => {
+    const updatedBlocks = blocks.map((block) =>
+      block.id === updated.id
+        ? {
+            ...block,
+            content: updated.content,
+            wordCount: updated.wordCount || updated.content?.split(' ').length || 0,
+            alternatives: updated.alternatives,
+            metadata: updated.metadata
+          }
+        : block,
+    )
+
+    setBlocks(updatedBlocks)
+    setWordCount(updatedBlocks.reduce((total, block) => total + (block.wordCount || 0), 0))
+  }
+
   const handleDeleteBlock = (blockId: string) => {
     setBlocks(blocks.filter((block) => block.id !== blockId))
     toast({
@@ -696,6 +805,11 @@ export default function EditorPage() {
               ) : null}
             </div>
 
+            <Button variant="outline" size="sm" onClick={() => setHistoryOpen(true)}>
+              <History className="h-4 w-4 mr-1" />
+              History
+            </Button>
+
             <Button
               variant="outline"
               size="sm"
@@ -752,6 +866,23 @@ export default function EditorPage() {
             </div>
           )}
 
+          {/* SEO checklist for the saved content */}
+          <div className="bg-white border border-gray-300 mx-6 rounded-lg shadow-sm mb-6">
+            <SeoChecklist analysis={seoAnalysis} scoring={scoringSeo} />
+          </div>
+
+          {/* Secondary keywords; per-block counts are shown under each block */}
+          <div className="bg-white border border-gray-300 mx-6 rounded-lg shadow-sm mb-6">
+            <SecondaryKeywordsPanel draftId={draftId} blocks={blocks} onCoverageChange={setKeywordCoverage} />
+          </div>
+
+          {/* Readability analysis; per-block issues are shown under each block */}
+          {blocks.length > 0 && (
+            <div className="bg-white border border-gray-300 mx-6 rounded-lg shadow-sm mb-6">
+              <ReadabilityPanel analysis={readability} analyzing={analyzingReadability} />
+            </div>
+          )}
+
           {/* WordPress-style content editor */}
           <div className="bg-white border border-gray-300 mx-6 rounded-lg shadow-sm">
             {blocks.map((block, index) => (
@@ -893,8 +1024,13 @@ export default function EditorPage() {
                     onEdit={() => handleEditBlock(block)}
                     onRegenerate={() => handleRegenerateBlock(block.id, "ai")}
                     onDelete={block.editable ? () => handleDeleteBlock(block.id) : undefined}
+                    onShowAlternatives={() => setAlternativesBlockId(block.id)}
+                    onShowComments={() => handleShowComments(block)}
+                    commentCount={openCommentCount(block.id)}
                     showRegenerateButton={true}
                     selectedKeyword={selectedKeyword}
+                    readabilityIssues={readability?.blocks.find((entry) => entry.blockId === block.id)?.issues}
+                    secondaryKeywordCounts={keywordCoverage?.blocks.find((entry) => entry.blockId === block.id)?.keywords}
                   />
                 </div>
               )}
@@ -1065,6 +1201,43 @@ export default function EditorPage() {
             </div>
           </DialogContent>
         </Dialog>
+
+        <RevisionHistory
+          draftId={draftId}
+          open={historyOpen}
+          onOpenChange={setHistoryOpen}
+          onRestored={handleRevisionRestored}
+          hasUnsavedChanges={hasUnsavedChanges}
+        />
+
+        <BlockAlternatives
+          draftId={draftId}
+          blockId={alternativesBlockId}
+          onOpenChange={(open) => !open && setAlternativesBlockId(null)}
+          onBlockUpdated={handleBlockAlternativeApplied}
+        />
+
+        <Sheet open={!!commentsBlockId} onOpenChange={(open) => !open && setCommentsBlockId(null)}>
+          <SheetContent className="w-full sm:max-w-md overflow-y-auto">
+            <SheetHeader>
+              <SheetTitle>Comments</SheetTitle>
+              <SheetDescription>
+                {blocks.find((block) => block.id === commentsBlockId)?.h2 || "Discuss this block with your team."}
+              </SheetDescription>
+            </SheetHeader>
+            <div className="mt-6">
+              {commentsBlockId && (
+                <CommentThreads
+                  draftId={draftId}
+                  threads={commentThreads}
+                  blockId={commentsBlockId}
+                  selection={commentSelection}
+                  onChanged={loadComments}
+                />
+              )}
+            </div>
+          </SheetContent>
+        </Sheet>
       </main>
     </div>
   )
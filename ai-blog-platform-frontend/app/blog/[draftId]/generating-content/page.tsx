@@ -1,106 +1,80 @@
 "use client"
 
-import { useState, useEffect } from "react"
+import { useState, useEffect, useRef } from "react"
 import { useRouter, useParams } from "next/navigation"
 import { StepperHeader } from "@/components/stepper-header"
-import { Check, Loader2 } from "lucide-react"
+import { JobProgress } from "@/components/job-progress"
+import { useJobProgress } from "@/hooks/use-job-progress"
+import { useProgressEvents } from "@/hooks/use-progress-events"
+import { api } from "@/lib/api"
+
+const steps = [
+  { stage: "context", label: "Analyzing selected keyword and meta data" },
+  { stage: "trends", label: "Fetching trending topics for context" },
+  { stage: "blocks", label: "Generating content blocks with keyword focus" },
+  { stage: "seo-scoring", label: "Scoring SEO compliance" },
+  { stage: "links", label: "Creating image prompts and citations" },
+  { stage: "saving", label: "Preparing content for editing" }
+]
 
 export default function GeneratingContentPage() {
-  const [currentTask, setCurrentTask] = useState(0)
-  const [completedTasks, setCompletedTasks] = useState<number[]>([])
+  const [jobId, setJobId] = useState<string | null>(null)
+  const [startError, setStartError] = useState<string | null>(null)
+  const startedRef = useRef(false)
   const router = useRouter()
   const params = useParams()
   const draftId = params.draftId as string
+  // Live events drive the timeline; polling is only a fallback for the job status
+  const { job, error, refresh } = useJobProgress(jobId, 5000)
+  const { events } = useProgressEvents(draftId, "content")
+  const jobEvents = events.filter((event) => !event.jobId || event.jobId === jobId)
+  const jobFinished = jobEvents.some((event) => event.jobId && (event.status === "completed" || event.status === "failed"))
 
-  const tasks = [
-    "Analyzing selected keyword and meta data",
-    "Generating 9 content blocks with keyword focus",
-    "Creating image prompts and citations",
-    "Preparing content for editing"
-  ]
+  const startJob = async () => {
+    try {
+      setStartError(null)
+      const response = await api.startStructuredContentJob(draftId)
+      setJobId(response.jobId)
+    } catch (err) {
+      console.error('Failed to queue content generation:', err)
+      setStartError("Could not start content generation. Please try again.")
+    }
+  }
 
   useEffect(() => {
-    let interval: NodeJS.Timeout
+    if (startedRef.current) return
+    startedRef.current = true
+    startJob()
+  }, [draftId])
 
-    // Start the visual progress
-    interval = setInterval(() => {
-      setCurrentTask((prev) => {
-        const next = prev + 1
-        if (next < tasks.length) {
-          setCompletedTasks((completed) => [...completed, prev])
-          return next
-        } else {
-          // Mark last task as completed and redirect
-          setCompletedTasks((completed) => [...completed, prev])
-          clearInterval(interval)
-          setTimeout(() => {
-            router.push(`/blog/${draftId}/editor`)
-          }, 1000)
-          return prev
-        }
-      })
-    }, 2000) // Each task takes 2 seconds (total 8 seconds)
+  useEffect(() => {
+    if (jobFinished) refresh()
+  }, [jobFinished, refresh])
 
-    return () => {
-      if (interval) clearInterval(interval)
+  useEffect(() => {
+    if (job?.status === "completed") {
+      const timeout = setTimeout(() => {
+        router.push(`/blog/${draftId}/editor?job=${job._id}`)
+      }, 1000)
+      return () => clearTimeout(timeout)
     }
-  }, [draftId, router])
+  }, [job?.status, draftId, router])
 
   return (
     <div className="min-h-screen bg-gray-50">
       <StepperHeader currentStep={3} draftId={draftId} />
-      
+
       <main className="max-w-5xl mx-auto px-6 py-8">
         <div className="flex items-center justify-center min-h-[60vh]">
-          <div className="text-center space-y-8">
-            {/* Header */}
-            <div className="space-y-4">
-              <div className="w-16 h-16 bg-blue-100 rounded-full flex items-center justify-center mx-auto">
-                <Loader2 className="h-8 w-8 text-blue-600 animate-spin" />
-              </div>
-              <h1 className="text-2xl font-bold text-gray-900">Generating Your Content</h1>
-              <p className="text-gray-600">AI is creating keyword-focused content blocks, images, and citations</p>
-            </div>
-
-            {/* Progress Tasks */}
-            <div className="max-w-2xl mx-auto space-y-4">
-              {tasks.map((task, index) => (
-                <div
-                  key={index}
-                  className={`flex items-center gap-4 p-4 rounded-lg border transition-all duration-500 ${
-                    completedTasks.includes(index)
-                      ? "bg-green-50 border-green-200"
-                      : currentTask === index
-                      ? "bg-blue-50 border-blue-200 shadow-sm"
-                      : "bg-white border-gray-200"
-                  }`}
-                >
-                  <div className="flex-shrink-0">
-                    {completedTasks.includes(index) ? (
-                      <div className="w-6 h-6 bg-green-500 rounded-full flex items-center justify-center">
-                        <Check className="h-4 w-4 text-white" />
-                      </div>
-                    ) : currentTask === index ? (
-                      <div className="w-6 h-6 border-2 border-blue-500 border-t-transparent rounded-full animate-spin" />
-                    ) : (
-                      <div className="w-6 h-6 bg-gray-200 rounded-full" />
-                    )}
-                  </div>
-                  <span
-                    className={`text-sm font-medium ${
-                      completedTasks.includes(index)
-                        ? "text-green-700"
-                        : currentTask === index
-                        ? "text-blue-700"
-                        : "text-gray-500"
-                    }`}
-                  >
-                    {task}
-                  </span>
-                </div>
-              ))}
-            </div>
-          </div>
+          <JobProgress
+            title="Generating Your Content"
+            description="AI is creating keyword-focused content blocks, images, and citations"
+            steps={steps}
+            job={job}
+            events={jobEvents}
+            error={startError || error}
+            onRetry={startJob}
+          />
         </div>
       </main>
     </div>
@@ -49,6 +49,18 @@ export default function KeywordsPage() {
 
   const loadKeywords = async () => {
     try {
+      // Use the suggestions the generating-keywords page just produced
+      const cachedKeywords = localStorage.getItem(`keywords_${draftId}`)
+      if (cachedKeywords) {
+        localStorage.removeItem(`keywords_${draftId}`)
+        const parsedKeywords = JSON.parse(cachedKeywords)
+        if (parsedKeywords.length > 0) {
+          console.log(`✅ Using ${parsedKeywords.length} keywords from keyword generation`)
+          setKeywords(parsedKeywords)
+          return
+        }
+      }
+
       // Get the draft which already includes keywords
       const draft = await api.getDraft(draftId)
       console.log('🔍 Draft data:', draft)
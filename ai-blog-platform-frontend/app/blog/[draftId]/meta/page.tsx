@@ -13,6 +13,7 @@ import { RefreshCw, Tag } from "lucide-react"
 import { StepperHeader } from "@/components/stepper-header"
 import { SEOScoreCircle } from "@/components/seo-score-circle"
 import { api } from "@/lib/api"
+import { authHeaders } from "@/lib/auth"
 
 interface MetaBlock {
   id: string
@@ -61,9 +62,13 @@ export default function MetaPage() {
       console.log(`🎯 Using selected keyword for meta generation: ${selectedKeyword}`)
       console.log(`📝 Note: Backend should have this keyword saved in the draft from Step 1`)
 
-      // Generate meta content using Gemini AI with the selected keyword
-      // The backend will use the saved keyword from the draft
-      const metaData = await api.generateMetaScores(draftId, selectedKeyword)
+      // Use the result of the background job from the generating-meta page when available,
+      // otherwise generate meta content with the selected keyword (the backend uses the saved keyword from the draft)
+      const jobId = new URLSearchParams(window.location.search).get('job')
+      const job = jobId ? await api.getJob(jobId).catch(() => null) : null
+      const metaData: any = job?.status === 'completed' && job.result
+        ? job.result
+        : await api.generateMetaScores(draftId, selectedKeyword)
 
       // Create meta blocks from the real generated content
       const realMetaBlocks: MetaBlock[] = []
@@ -151,6 +156,7 @@ export default function MetaPage() {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...authHeaders(),
         },
         body: JSON.stringify({
           draftId,
@@ -238,7 +244,9 @@ export default function MetaPage() {
         description: "SEO meta information has been saved successfully.",
       })
 
-      router.push(`/blog/${draftId}/generating-content`)
+      // Uploaded documents already have content, so they go straight to review
+      const fromUpload = new URLSearchParams(window.location.search).get('source') === 'upload'
+      router.push(fromUpload ? `/blog/${draftId}/review` : `/blog/${draftId}/generating-content`)
     } catch (error) {
       toast({
         title: "Error saving meta",
@@ -8,10 +8,19 @@ import { Badge } from "@/components/ui/badge"
 import { Switch } from "@/components/ui/switch"
 import { Skeleton } from "@/components/ui/skeleton"
 import { useToast } from "@/hooks/use-toast"
-import { Link, ExternalLink, Upload, CheckCircle, AlertCircle, ArrowLeft, RefreshCw } from "lucide-react"
-import type { InternalLink, ExternalLink as ExternalLinkType, BlogBlock } from "@/types/api"
+import { Link, ExternalLink, Upload, CheckCircle, AlertCircle, ArrowLeft, RefreshCw, MessageSquare, Eye } from "lucide-react"
+import type { InternalLink, ExternalLink as ExternalLinkType, BlogBlock, ApprovalStatus, CommentThread, DraftPublishing } from "@/types/api"
 import { api } from "@/lib/api"
+import { hasRole } from "@/lib/auth"
 import { StepperHeader } from "@/components/stepper-header"
+import { ApprovalPanel } from "@/components/approval-panel"
+import { SchedulePanel } from "@/components/schedule-panel"
+import { RefreshPanel } from "@/components/refresh-panel"
+import { TaxonomyPanel } from "@/components/taxonomy-panel"
+import { ExportPanel } from "@/components/export-panel"
+import { CommentThreads } from "@/components/comment-threads"
+import { WordPressSyncDialog } from "@/components/wordpress-sync-dialog"
+import { DraftPreviewDialog } from "@/components/draft-preview-dialog"
 
 export default function ReviewPage() {
   const [internalLinks, setInternalLinks] = useState<InternalLink[]>([])
@@ -26,6 +35,14 @@ export default function ReviewPage() {
   const [wordpressUrl, setWordpressUrl] = useState<string | null>(null)
   const [reviewData, setReviewData] = useState<any>(null)
   const [regenerating, setRegenerating] = useState(false)
+  const [approvalStatus, setApprovalStatus] = useState<ApprovalStatus | null>(null)
+  const [isAdmin, setIsAdmin] = useState(false)
+  const [commentThreads, setCommentThreads] = useState<CommentThread[]>([])
+  // Remounts the approval panel when refresh decisions change the draft version or the deploy gate
+  const [approvalKey, setApprovalKey] = useState(0)
+  // Set while the update diff is open for an already deployed draft; remembers the admin override
+  const [syncRequest, setSyncRequest] = useState<{ overrideApproval: boolean } | null>(null)
+  const [previewOpen, setPreviewOpen] = useState(false)
   const router = useRouter()
   const params = useParams()
   const { toast } = useToast()
@@ -33,9 +50,34 @@ export default function ReviewPage() {
   const draftId = params.draftId as string
 
   useEffect(() => {
+    setIsAdmin(hasRole("admin"))
     loadReviewData()
+    loadComments()
   }, [])
 
+  const loadComments = async () => {
+    try {
+      setCommentThreads(await api.getComments(draftId))
+    } catch (error) {
+      console.error('Failed to load comments:', error)
+    }
+  }
+
+  // Label comment threads with the heading of the block they are anchored to
+  const blockLabels: Record<string, string> = Object.fromEntries(
+    (reviewData?.blocks || []).map((block: BlogBlock) => [block.id, block.h2 || block.type])
+  )
+  const openThreadCount = commentThreads.filter((thread) => !thread.resolved).length
+
+  const handleRefreshReviewed = async () => {
+    setApprovalKey((key) => key + 1)
+    try {
+      setReviewData(await api.getDraft(draftId))
+    } catch (error) {
+      console.error('Failed to reload draft:', error)
+    }
+  }
+
 
 
   const loadReviewData = async () => {
@@ -281,9 +323,24 @@ export default function ReviewPage() {
     }
   }
 
-  const handleDeploy = async () => {
+  const handleDeploy = async (overrideApproval = false) => {
     // Redirect to deployment loading page
-    router.push(`/blog/${draftId}/deploying`)
+    router.push(`/blog/${draftId}/deploying${overrideApproval ? "?override=1" : ""}`)
+  }
+
+  const deployBlocked = !approvalStatus?.deployable
+  const publishing: DraftPublishing | undefined = reviewData?.publishing
+  const platformLabel = publishing?.label || "WordPress"
+  const capabilities = publishing?.capabilities || { scheduling: true, taxonomy: true, syncPreview: true }
+  const alreadyDeployed = publishing ? !!publishing.externalId : !!reviewData?.wordpressId
+
+  // Deployed drafts update their existing post, so show what will change first
+  const requestDeploy = (overrideApproval = false) => {
+    if (alreadyDeployed && capabilities.syncPreview) {
+      setSyncRequest({ overrideApproval })
+    } else {
+      handleDeploy(overrideApproval)
+    }
   }
 
   const handleDeployOld = async () => {
@@ -487,22 +544,47 @@ export default function ReviewPage() {
                 </CardContent>
               </Card>
 
+              <RefreshPanel draftId={draftId} blockLabels={blockLabels} onReviewed={handleRefreshReviewed} />
+
+              {/* Review comments */}
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <MessageSquare className="h-5 w-5 text-[#0066cc]" />
+                    Comments ({openThreadCount} open)
+                  </CardTitle>
+                  <CardDescription>Threads left on content blocks in the editor</CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <CommentThreads
+                    draftId={draftId}
+                    threads={commentThreads}
+                    blockLabels={blockLabels}
+                    onChanged={loadComments}
+                  />
+                </CardContent>
+              </Card>
             </div>
 
-            {/* WordPress Deployment Section - Takes 1 column */}
+            {/* Deployment Section - Takes 1 column */}
             <div className="space-y-6">
+              <ApprovalPanel key={approvalKey} draftId={draftId} onStatusChange={setApprovalStatus} />
+              {capabilities.scheduling && <SchedulePanel draftId={draftId} deployable={!deployBlocked} />}
+              {capabilities.taxonomy && <TaxonomyPanel draftId={draftId} />}
+              <ExportPanel draftId={draftId} />
+
               <Card>
                 <CardHeader>
                   <CardTitle className="flex items-center gap-2">
                     <Upload className="h-5 w-5 text-[#0066cc]" />
-                    WordPress Deployment
+                    {platformLabel} Deployment
                   </CardTitle>
-                  <CardDescription>Deploy your blog post to WordPress</CardDescription>
+                  <CardDescription>Deploy your blog post to {platformLabel}</CardDescription>
                 </CardHeader>
                 <CardContent className="space-y-4">
                   <div className="flex items-center gap-2">
                     <CheckCircle className="h-4 w-4 text-green-600" />
-                    <span className="text-sm text-green-600">WordPress Ready</span>
+                    <span className="text-sm text-green-600">{platformLabel} Ready</span>
                   </div>
 
                   <div className="flex items-center justify-between">
@@ -512,6 +594,11 @@ export default function ReviewPage() {
                     <Switch id="publish-draft" checked={publishAsDraft} onCheckedChange={setPublishAsDraft} />
                   </div>
 
+                  <Button variant="outline" className="w-full" onClick={() => setPreviewOpen(true)}>
+                    <Eye className="h-4 w-4 mr-2" />
+                    Brand preview
+                  </Button>
+
                   {!deploymentSuccess ? (
                     <div className="space-y-3">
                       <Button
@@ -542,20 +629,44 @@ export default function ReviewPage() {
                       )}
 
                       <Button
-                        onClick={handleDeploy}
-                        disabled={deploying || regenerating}
+                        onClick={() => requestDeploy()}
+                        disabled={deploying || regenerating || deployBlocked}
                         className="w-full bg-[#0066cc] hover:bg-blue-700 disabled:opacity-50"
                       >
                         <Upload className="h-4 w-4 mr-2" />
-                        {deploying ? "Deploying..." : `Deploy to WordPress ${publishAsDraft ? "(Draft)" : "(Published)"}`}
+                        {deploying
+                          ? "Deploying..."
+                          : alreadyDeployed
+                            ? publishing && publishing.platform !== "wordpress"
+                              ? `Update ${platformLabel} post`
+                              : `Update WordPress post #${reviewData.wordpressId}`
+                            : `Deploy to ${platformLabel} ${publishAsDraft ? "(Draft)" : "(Published)"}`}
                       </Button>
 
+                      {deployBlocked && (
+                        <p className="text-xs text-orange-600 text-center">
+                          This draft needs editorial approval before it can be deployed.
+                        </p>
+                      )}
+
+                      {deployBlocked && isAdmin && (
+                        <Button
+                          onClick={() => requestDeploy(true)}
+                          disabled={deploying || regenerating}
+                          variant="outline"
+                          className="w-full border-red-300 text-red-700 hover:bg-red-50"
+                        >
+                          <AlertCircle className="h-4 w-4 mr-2" />
+                          Deploy without approval (admin override)
+                        </Button>
+                      )}
+
                       {deploying && (
                         <div className="space-y-2">
                           <div className="flex items-center justify-center p-3 bg-blue-50 border border-blue-200 rounded-lg">
                             <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-blue-600 mr-2"></div>
                             <span className="text-blue-800 text-sm font-medium">
-                              Deploying to WordPress...
+                              Deploying to {platformLabel}...
                             </span>
                           </div>
                           <div className="text-xs text-gray-600 text-center space-y-1">
@@ -571,7 +682,7 @@ export default function ReviewPage() {
                     <div className="space-y-3">
                       <div className="flex items-center justify-center p-4 bg-green-50 border border-green-200 rounded-lg">
                         <CheckCircle className="h-5 w-5 text-green-600 mr-2" />
-                        <span className="text-green-800 font-medium">Successfully deployed to WordPress!</span>
+                        <span className="text-green-800 font-medium">Successfully deployed to {platformLabel}!</span>
                       </div>
 
                       {wordpressUrl && (
@@ -598,6 +709,14 @@ export default function ReviewPage() {
                   )}
 
 
+                  <WordPressSyncDialog
+                    draftId={draftId}
+                    open={!!syncRequest}
+                    onOpenChange={(open) => !open && setSyncRequest(null)}
+                    onConfirm={() => handleDeploy(syncRequest?.overrideApproval)}
+                  />
+
+                  <DraftPreviewDialog draftId={draftId} open={previewOpen} onOpenChange={setPreviewOpen} />
                 </CardContent>
               </Card>
             </div>
@@ -0,0 +1,363 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { useRouter } from "next/navigation"
+import {
+  addMonths,
+  addWeeks,
+  eachDayOfInterval,
+  endOfMonth,
+  endOfWeek,
+  format,
+  isSameMonth,
+  isToday,
+  startOfMonth,
+  startOfWeek,
+} from "date-fns"
+import { AlertTriangle, ArrowLeft, CalendarDays, ChevronLeft, ChevronRight, Loader2, Plus } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Tabs, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { useToast } from "@/hooks/use-toast"
+import { CalendarEntryDialog } from "@/components/calendar-entry-dialog"
+import { api } from "@/lib/api"
+import { hasRole } from "@/lib/auth"
+import type { CalendarEntry, Company } from "@/types/api"
+
+type CalendarView = "month" | "week"
+
+const ALL_COMPANIES = "all"
+const WEEK_OPTIONS = { weekStartsOn: 1 as const }
+
+// Target dates are calendar days stored at UTC midnight
+const dayKey = (date: string) => date.slice(0, 10)
+
+const priorityStyles: Record<number, string> = {
+  1: "border-l-red-500",
+  2: "border-l-orange-400",
+  3: "border-l-yellow-400",
+  4: "border-l-blue-400",
+  5: "border-l-gray-300",
+}
+
+export default function CalendarPage() {
+  const [view, setView] = useState<CalendarView>("month")
+  const [cursor, setCursor] = useState(new Date())
+  const [companies, setCompanies] = useState<Company[]>([])
+  const [companyName, setCompanyName] = useState(ALL_COMPANIES)
+  const [entries, setEntries] = useState<CalendarEntry[]>([])
+  const [unplanned, setUnplanned] = useState<CalendarEntry[]>([])
+  const [conflictWindowDays, setConflictWindowDays] = useState(14)
+  const [loading, setLoading] = useState(true)
+  const [canPlan, setCanPlan] = useState(false)
+  const [dragOverDay, setDragOverDay] = useState<string | null>(null)
+  const [editingEntry, setEditingEntry] = useState<CalendarEntry | null>(null)
+  const [newKeyword, setNewKeyword] = useState("")
+  const [newDate, setNewDate] = useState("")
+  const [creating, setCreating] = useState(false)
+  const router = useRouter()
+  const { toast } = useToast()
+
+  const rangeStart = view === "month" ? startOfWeek(startOfMonth(cursor), WEEK_OPTIONS) : startOfWeek(cursor, WEEK_OPTIONS)
+  const rangeEnd = view === "month" ? endOfWeek(endOfMonth(cursor), WEEK_OPTIONS) : endOfWeek(cursor, WEEK_OPTIONS)
+  const days = eachDayOfInterval({ start: rangeStart, end: rangeEnd })
+  const selectedCompany = companyName === ALL_COMPANIES ? undefined : companyName
+
+  useEffect(() => {
+    setCanPlan(hasRole("admin", "editor", "writer"))
+    api.getCompanies()
+      .then((data: any) => setCompanies(data))
+      .catch((error) => console.error('Failed to load companies:', error))
+  }, [])
+
+  useEffect(() => {
+    loadCalendar()
+  }, [view, cursor, companyName])
+
+  const loadCalendar = async () => {
+    try {
+      setLoading(true)
+      const [calendar, backlog] = await Promise.all([
+        api.getCalendar({
+          from: format(rangeStart, "yyyy-MM-dd"),
+          to: `${format(rangeEnd, "yyyy-MM-dd")}T23:59:59Z`,
+          companyName: selectedCompany,
+        }),
+        api.getUnplannedEntries(selectedCompany),
+      ])
+      setEntries(calendar.entries)
+      setConflictWindowDays(calendar.conflictWindowDays)
+      setUnplanned(backlog)
+    } catch (error) {
+      console.error('Failed to load calendar:', error)
+      toast({
+        title: "Error",
+        description: "Failed to load the content calendar",
+        variant: "destructive",
+      })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const warnConflicts = (entry: CalendarEntry) => {
+    if (entry.conflicts.length === 0) return
+    toast({
+      title: "Keyword conflict",
+      description: `"${entry.focusKeyword}" is also planned ${entry.conflicts.map((conflict) => `${conflict.daysApart} day(s)`).join(", ")} away`,
+      variant: "destructive",
+    })
+  }
+
+  const handleEntrySaved = (entry: CalendarEntry) => {
+    warnConflicts(entry)
+    loadCalendar()
+  }
+
+  // Drag an entry onto a day to (re)schedule it, or onto the backlog to unplan it
+  const handleDrop = async (entryId: string, targetDate: string | null) => {
+    setDragOverDay(null)
+    const entry = [...entries, ...unplanned].find((item) => item._id === entryId)
+    if (!entry || (entry.targetDate && targetDate && dayKey(entry.targetDate) === targetDate)) return
+
+    try {
+      const saved = await api.updateCalendarEntry(entryId, { targetDate })
+      handleEntrySaved(saved)
+    } catch (error) {
+      console.error('Failed to reschedule entry:', error)
+      toast({
+        title: "Reschedule failed",
+        description: "Could not move the entry. Please try again.",
+        variant: "destructive",
+      })
+    }
+  }
+
+  const handleCreate = async () => {
+    if (!selectedCompany || !newKeyword.trim()) return
+
+    try {
+      setCreating(true)
+      const entry = await api.createCalendarEntry({
+        companyName: selectedCompany,
+        focusKeyword: newKeyword,
+        targetDate: newDate || undefined,
+      })
+      setNewKeyword("")
+      setNewDate("")
+      handleEntrySaved(entry)
+    } catch (error) {
+      console.error('Failed to plan post:', error)
+      toast({
+        title: "Error",
+        description: "Failed to add the planned post",
+        variant: "destructive",
+      })
+    } finally {
+      setCreating(false)
+    }
+  }
+
+  const move = (direction: number) => {
+    setCursor(view === "month" ? addMonths(cursor, direction) : addWeeks(cursor, direction))
+  }
+
+  const conflicted = entries.filter((entry) => entry.conflicts.length > 0)
+
+  const renderEntry = (entry: CalendarEntry) => (
+    <div
+      key={entry._id}
+      draggable={canPlan}
+      onDragStart={(e) => e.dataTransfer.setData("text/plain", entry._id)}
+      onClick={() => setEditingEntry(entry)}
+      title={entry.conflicts.length > 0 ? `Same keyword planned within ${conflictWindowDays} days` : entry.focusKeyword}
+      className={`text-xs bg-white border border-l-4 rounded px-2 py-1 cursor-pointer hover:shadow-sm ${priorityStyles[entry.priority] || ""} ${
+        entry.conflicts.length > 0 ? "border-amber-400 bg-amber-50" : "border-gray-200"
+      }`}
+    >
+      <p className="font-medium truncate flex items-center gap-1">
+        {entry.conflicts.length > 0 && <AlertTriangle className="h-3 w-3 text-amber-600 shrink-0" />}
+        {entry.focusKeyword}
+      </p>
+      <p className="text-[10px] text-gray-500 truncate">
+        {!selectedCompany && entry.companyName ? `${entry.companyName} · ` : ""}
+        {entry.assignee?.name || "Unassigned"}
+      </p>
+    </div>
+  )
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white border-b border-gray-200 px-6 py-4">
+        <div className="max-w-7xl mx-auto flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-[#0066cc]">Content Calendar</h1>
+            <p className="text-gray-600">Plan keywords, target dates and owners</p>
+          </div>
+          <Button variant="outline" size="sm" onClick={() => router.push("/")}>
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Dashboard
+          </Button>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-6 py-8">
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-6">
+          <div className="flex items-center gap-2">
+            <Button variant="outline" size="icon" onClick={() => move(-1)} aria-label="Previous">
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setCursor(new Date())}>
+              Today
+            </Button>
+            <Button variant="outline" size="icon" onClick={() => move(1)} aria-label="Next">
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+            <h2 className="text-lg font-semibold ml-2">
+              {view === "month"
+                ? format(cursor, "MMMM yyyy")
+                : `${format(rangeStart, "MMM d")} – ${format(rangeEnd, "MMM d, yyyy")}`}
+            </h2>
+            {loading && <Loader2 className="h-4 w-4 animate-spin text-gray-400" />}
+          </div>
+
+          <div className="flex items-center gap-3">
+            <Select value={companyName} onValueChange={setCompanyName}>
+              <SelectTrigger className="w-48">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={ALL_COMPANIES}>All companies</SelectItem>
+                {companies.map((company) => (
+                  <SelectItem key={company.id} value={company.companyName}>
+                    {company.companyName}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Tabs value={view} onValueChange={(value) => setView(value as CalendarView)}>
+              <TabsList>
+                <TabsTrigger value="month">Month</TabsTrigger>
+                <TabsTrigger value="week">Week</TabsTrigger>
+              </TabsList>
+            </Tabs>
+          </div>
+        </div>
+
+        {conflicted.length > 0 && (
+          <Alert className="mb-6 border-amber-200 bg-amber-50">
+            <AlertTriangle className="h-4 w-4 text-amber-600" />
+            <AlertDescription className="text-amber-800">
+              {conflicted.length} post(s) target a focus keyword that is planned again within {conflictWindowDays} days:{" "}
+              {[...new Set(conflicted.map((entry) => entry.focusKeyword.toLowerCase()))].join(", ")}
+            </AlertDescription>
+          </Alert>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+          <div className="lg:col-span-3">
+            <div className="grid grid-cols-7 gap-px bg-gray-200 border border-gray-200 rounded-lg overflow-hidden">
+              {days.slice(0, 7).map((day) => (
+                <div key={day.toISOString()} className="bg-gray-50 text-xs font-medium text-gray-600 text-center py-2">
+                  {format(day, "EEE")}
+                </div>
+              ))}
+
+              {days.map((day) => {
+                const key = format(day, "yyyy-MM-dd")
+                const dayEntries = entries.filter((entry) => entry.targetDate && dayKey(entry.targetDate) === key)
+                return (
+                  <div
+                    key={key}
+                    onDragOver={(e) => {
+                      if (!canPlan) return
+                      e.preventDefault()
+                      setDragOverDay(key)
+                    }}
+                    onDragLeave={() => setDragOverDay(null)}
+                    onDrop={(e) => {
+                      e.preventDefault()
+                      handleDrop(e.dataTransfer.getData("text/plain"), key)
+                    }}
+                    className={`bg-white p-1.5 space-y-1 ${view === "month" ? "min-h-[110px]" : "min-h-[360px]"} ${
+                      view === "month" && !isSameMonth(day, cursor) ? "bg-gray-50 text-gray-400" : ""
+                    } ${dragOverDay === key ? "ring-2 ring-inset ring-[#0066cc]" : ""}`}
+                  >
+                    <p className={`text-xs font-medium ${isToday(day) ? "text-[#0066cc]" : ""}`}>{format(day, "d")}</p>
+                    {dayEntries.map(renderEntry)}
+                  </div>
+                )
+              })}
+            </div>
+          </div>
+
+          <div className="space-y-6">
+            {canPlan && (
+              <Card>
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2 text-base">
+                    <Plus className="h-4 w-4 text-[#0066cc]" />
+                    Plan a post
+                  </CardTitle>
+                  <CardDescription>
+                    {selectedCompany ? `For ${selectedCompany}` : "Select a company to plan new posts"}
+                  </CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-2">
+                  <Input
+                    value={newKeyword}
+                    onChange={(e) => setNewKeyword(e.target.value)}
+                    placeholder="Focus keyword"
+                    disabled={!selectedCompany}
+                  />
+                  <Input type="date" value={newDate} onChange={(e) => setNewDate(e.target.value)} disabled={!selectedCompany} />
+                  <Button
+                    onClick={handleCreate}
+                    disabled={!selectedCompany || !newKeyword.trim() || creating}
+                    className="w-full bg-[#0066cc] hover:bg-blue-700"
+                    size="sm"
+                  >
+                    {creating && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                    Add to calendar
+                  </Button>
+                </CardContent>
+              </Card>
+            )}
+
+            <Card
+              onDragOver={(e) => canPlan && e.preventDefault()}
+              onDrop={(e) => {
+                e.preventDefault()
+                handleDrop(e.dataTransfer.getData("text/plain"), null)
+              }}
+            >
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2 text-base">
+                  <CalendarDays className="h-4 w-4 text-[#0066cc]" />
+                  Unplanned ({unplanned.length})
+                </CardTitle>
+                <CardDescription>Drag onto a day to set its target date</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-1 max-h-[480px] overflow-y-auto">
+                {unplanned.length === 0 ? (
+                  <p className="text-sm text-gray-500 text-center py-4">Everything is planned.</p>
+                ) : (
+                  unplanned.map(renderEntry)
+                )}
+              </CardContent>
+            </Card>
+          </div>
+        </div>
+      </main>
+
+      <CalendarEntryDialog
+        entry={editingEntry}
+        onOpenChange={(open) => !open && setEditingEntry(null)}
+        onSaved={handleEntrySaved}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,448 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { useRouter } from "next/navigation"
+import { Archive, ArchiveRestore, ArrowLeft, Building2, FileSpreadsheet, Loader2, Plus, Save } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Alert, AlertDescription } from "@/components/ui/alert"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Switch } from "@/components/ui/switch"
+import { Textarea } from "@/components/ui/textarea"
+import { useToast } from "@/hooks/use-toast"
+import { api } from "@/lib/api"
+import { hasRole } from "@/lib/auth"
+import { BrandThemeEditor } from "@/components/brand-theme-editor"
+import type { Company, CompanyInput, CompanyProfile, CompanyTone, PublishPlatform } from "@/types/api"
+
+const TONES: CompanyTone[] = ["professional", "casual", "technical", "friendly", "authoritative"]
+
+const PLATFORMS: { value: PublishPlatform; label: string }[] = [
+  { value: "wordpress", label: "WordPress" },
+  { value: "ghost", label: "Ghost" },
+  { value: "webflow", label: "Webflow" },
+  { value: "markdown", label: "Markdown files" },
+]
+
+interface CompanyForm {
+  name: string
+  services: string
+  serviceOverview: string
+  aboutCompany: string
+  tone: CompanyTone
+  brandVoice: string
+  targetAudience: string
+  timezone: string
+  requiredApprovals: string
+  platform: PublishPlatform
+  wordpressUrl: string
+  wordpressUsername: string
+  wordpressPassword: string
+}
+
+const emptyForm: CompanyForm = {
+  name: "",
+  services: "",
+  serviceOverview: "",
+  aboutCompany: "",
+  tone: "professional",
+  brandVoice: "",
+  targetAudience: "",
+  timezone: "UTC",
+  requiredApprovals: "1",
+  platform: "wordpress",
+  wordpressUrl: "",
+  wordpressUsername: "",
+  wordpressPassword: "",
+}
+
+// Services are edited one per line as "Name - description"
+function toForm(company: CompanyProfile): CompanyForm {
+  return {
+    name: company.name,
+    services: company.servicesOffered
+      .map((service) => (service.description ? `${service.name} - ${service.description}` : service.name))
+      .join("\n"),
+    serviceOverview: company.serviceOverview,
+    aboutCompany: company.aboutCompany,
+    tone: company.tone,
+    brandVoice: company.brandVoice,
+    targetAudience: (company.targetAudience || []).join(", "),
+    timezone: company.timezone || "UTC",
+    requiredApprovals: String(company.requiredApprovals ?? 1),
+    platform: company.publishingConfig?.platform || "wordpress",
+    wordpressUrl: company.wordpressConfig?.baseUrl || "",
+    wordpressUsername: company.wordpressConfig?.username || "",
+    wordpressPassword: "",
+  }
+}
+
+function toInput(form: CompanyForm): CompanyInput {
+  return {
+    name: form.name.trim(),
+    servicesOffered: form.services
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const [name, ...description] = line.split(" - ")
+        return description.length > 0 ? { name: name.trim(), description: description.join(" - ").trim() } : { name: name.trim() }
+      }),
+    serviceOverview: form.serviceOverview.trim(),
+    aboutCompany: form.aboutCompany.trim(),
+    tone: form.tone,
+    brandVoice: form.brandVoice.trim(),
+    targetAudience: form.targetAudience.split(",").map((audience) => audience.trim()).filter(Boolean),
+    timezone: form.timezone.trim() || "UTC",
+    requiredApprovals: Number(form.requiredApprovals) || 0,
+    publishingConfig: { platform: form.platform },
+    wordpressConfig: {
+      baseUrl: form.wordpressUrl.trim(),
+      username: form.wordpressUsername.trim(),
+      appPassword: form.wordpressPassword,
+    },
+  }
+}
+
+// Validation errors carry the failing rule in "details", e.g. "\"serviceOverview\" length must be ..."
+function errorMessage(error: any, fallback: string) {
+  const details = error.message?.match(/"details":"((?:[^"\\]|\\.)*)"/)?.[1]
+  if (details) return JSON.parse(`"${details}"`) as string
+  return error.message?.match(/"message":"([^"]+)"/)?.[1] || fallback
+}
+
+export default function CompaniesPage() {
+  const [companies, setCompanies] = useState<Company[]>([])
+  const [showArchived, setShowArchived] = useState(false)
+  const [selected, setSelected] = useState<CompanyProfile | null>(null)
+  const [creating, setCreating] = useState(false)
+  const [form, setForm] = useState<CompanyForm>(emptyForm)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const [isAdmin, setIsAdmin] = useState(false)
+  const router = useRouter()
+  const { toast } = useToast()
+
+  useEffect(() => {
+    setIsAdmin(hasRole("admin"))
+  }, [])
+
+  useEffect(() => {
+    loadCompanies()
+  }, [showArchived])
+
+  const loadCompanies = async () => {
+    try {
+      setCompanies(await api.getCompanies(showArchived))
+    } catch (error: any) {
+      toast({ title: "Failed to load companies", description: errorMessage(error, "Please try again."), variant: "destructive" })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const update = <K extends keyof CompanyForm>(key: K, value: CompanyForm[K]) => {
+    setForm((current) => ({ ...current, [key]: value }))
+  }
+
+  const openCompany = async (companyId: string) => {
+    try {
+      const company = await api.getCompany(companyId)
+      setSelected(company)
+      setCreating(false)
+      setForm(toForm(company))
+    } catch (error: any) {
+      toast({ title: "Failed to load company", description: errorMessage(error, "Please try again."), variant: "destructive" })
+    }
+  }
+
+  const startCreate = () => {
+    setSelected(null)
+    setCreating(true)
+    setForm(emptyForm)
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    try {
+      const company = selected
+        ? await api.updateCompany(selected.id, toInput(form))
+        : await api.createCompany(toInput(form))
+      toast({ title: selected ? "Company saved" : "Company created", description: company.name })
+      setSelected(company)
+      setCreating(false)
+      setForm(toForm(company))
+      loadCompanies()
+    } catch (error: any) {
+      toast({ title: "Save failed", description: errorMessage(error, "Could not save the company."), variant: "destructive" })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleArchive = async () => {
+    if (!selected) return
+    const archiving = !selected.archivedAt && selected.isActive
+    try {
+      const company = archiving ? await api.archiveCompany(selected.id) : await api.restoreCompany(selected.id)
+      toast({
+        title: archiving ? "Company archived" : "Company restored",
+        description: archiving ? "It no longer appears in company lists; its drafts are kept." : company.name,
+      })
+      setSelected(company)
+      loadCompanies()
+    } catch (error: any) {
+      toast({ title: "Update failed", description: errorMessage(error, "Please try again."), variant: "destructive" })
+    }
+  }
+
+  const handleImport = async () => {
+    setImporting(true)
+    try {
+      const result = await api.importCompaniesFromSheets()
+      toast({
+        title: `Imported ${result.created.length} compan${result.created.length === 1 ? "y" : "ies"}`,
+        description: `${result.skipped.length} already existed and were left unchanged${result.failed.length > 0 ? `, ${result.failed.length} failed` : ""}.`,
+        variant: result.failed.length > 0 ? "destructive" : "default",
+      })
+      loadCompanies()
+    } catch (error: any) {
+      toast({ title: "Import failed", description: errorMessage(error, "Could not read the company sheet."), variant: "destructive" })
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const archived = !!selected && !selected.isActive
+  const passwordStored = !!selected?.configuredSecrets.includes("wordpressConfig.appPassword")
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white border-b border-gray-200 px-6 py-4">
+        <div className="max-w-7xl mx-auto flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-[#0066cc]">Companies</h1>
+            <p className="text-gray-600">Profiles that shape generated content, publishing targets and brand themes</p>
+          </div>
+          <Button variant="outline" size="sm" onClick={() => router.push("/")}>
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Dashboard
+          </Button>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-6 py-8 grid gap-6 lg:grid-cols-[320px_1fr]">
+        <Card className="h-fit">
+          <CardHeader>
+            <CardTitle className="flex items-center gap-2">
+              <Building2 className="h-5 w-5" />
+              Companies
+            </CardTitle>
+            <CardDescription>Stored in the database; the company sheet only adds missing ones.</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {isAdmin && (
+              <div className="flex gap-2">
+                <Button size="sm" onClick={startCreate} className="bg-[#0066cc] hover:bg-blue-700">
+                  <Plus className="h-4 w-4 mr-1" />
+                  New
+                </Button>
+                <Button size="sm" variant="outline" onClick={handleImport} disabled={importing}>
+                  {importing ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <FileSpreadsheet className="h-4 w-4 mr-1" />}
+                  Import from sheet
+                </Button>
+              </div>
+            )}
+            {isAdmin && (
+              <div className="flex items-center gap-2">
+                <Switch id="show-archived" checked={showArchived} onCheckedChange={setShowArchived} />
+                <Label htmlFor="show-archived">Show archived</Label>
+              </div>
+            )}
+
+            {loading ? (
+              <div className="flex justify-center py-6">
+                <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+              </div>
+            ) : companies.length === 0 ? (
+              <p className="text-sm text-gray-500">No companies yet.</p>
+            ) : (
+              <div className="space-y-1">
+                {companies.map((company) => (
+                  <button
+                    key={company.id}
+                    onClick={() => openCompany(company.id)}
+                    className={`w-full text-left px-3 py-2 rounded-md text-sm hover:bg-gray-100 ${selected?.id === company.id ? "bg-blue-50 text-[#0066cc]" : ""}`}
+                  >
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="font-medium truncate">{company.companyName}</span>
+                      {company.isActive === false && <Badge variant="secondary">Archived</Badge>}
+                    </div>
+                    <p className="text-xs text-gray-500 capitalize">{company.tone} · {company.platform}</p>
+                  </button>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        <div className="space-y-6">
+          {!selected && !creating ? (
+            <Alert>
+              <AlertDescription>Select a company to view its profile{isAdmin ? ", or create a new one" : ""}.</AlertDescription>
+            </Alert>
+          ) : (
+            <Card>
+              <CardHeader className="flex flex-row items-start justify-between gap-4">
+                <div>
+                  <CardTitle className="flex items-center gap-2">
+                    {selected ? selected.name : "New company"}
+                    {archived && <Badge variant="secondary">Archived</Badge>}
+                  </CardTitle>
+                  <CardDescription>
+                    Used in every prompt for this company's articles. Tone and brand voice guide the writing style.
+                  </CardDescription>
+                </div>
+                {isAdmin && selected && (
+                  <Button variant="outline" size="sm" onClick={handleArchive}>
+                    {archived ? <ArchiveRestore className="h-4 w-4 mr-1" /> : <Archive className="h-4 w-4 mr-1" />}
+                    {archived ? "Restore" : "Archive"}
+                  </Button>
+                )}
+              </CardHeader>
+              <CardContent>
+                <form
+                  className="space-y-6"
+                  onSubmit={(e) => {
+                    e.preventDefault()
+                    handleSave()
+                  }}
+                >
+                  <fieldset disabled={!isAdmin || saving} className="space-y-4">
+                    <div className="grid gap-4 md:grid-cols-2">
+                      <div className="space-y-2">
+                        <Label htmlFor="company-name">Name</Label>
+                        <Input id="company-name" value={form.name} onChange={(e) => update("name", e.target.value)} required />
+                      </div>
+                      <div className="space-y-2">
+                        <Label>Tone</Label>
+                        <Select value={form.tone} onValueChange={(value) => update("tone", value as CompanyTone)} disabled={!isAdmin}>
+                          <SelectTrigger>
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {TONES.map((tone) => (
+                              <SelectItem key={tone} value={tone} className="capitalize">{tone}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    </div>
+
+                    <div className="space-y-2">
+                      <Label htmlFor="service-overview">Service overview</Label>
+                      <Textarea id="service-overview" rows={3} value={form.serviceOverview} onChange={(e) => update("serviceOverview", e.target.value)} required />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="about-company">About the company</Label>
+                      <Textarea id="about-company" rows={3} value={form.aboutCompany} onChange={(e) => update("aboutCompany", e.target.value)} required />
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="brand-voice">Brand voice</Label>
+                      <Textarea id="brand-voice" rows={2} value={form.brandVoice} onChange={(e) => update("brandVoice", e.target.value)} required />
+                    </div>
+
+                    <div className="grid gap-4 md:grid-cols-2">
+                      <div className="space-y-2">
+                        <Label htmlFor="services">Services (one per line, "Name - description")</Label>
+                        <Textarea id="services" rows={4} value={form.services} onChange={(e) => update("services", e.target.value)} />
+                      </div>
+                      <div className="space-y-2">
+                        <Label htmlFor="target-audience">Target audiences (comma separated)</Label>
+                        <Textarea id="target-audience" rows={4} value={form.targetAudience} onChange={(e) => update("targetAudience", e.target.value)} />
+                      </div>
+                    </div>
+
+                    <div className="grid gap-4 md:grid-cols-3">
+                      <div className="space-y-2">
+                        <Label htmlFor="timezone">Timezone</Label>
+                        <Input id="timezone" value={form.timezone} onChange={(e) => update("timezone", e.target.value)} placeholder="America/New_York" />
+                      </div>
+                      <div className="space-y-2">
+                        <Label htmlFor="required-approvals">Required approvals</Label>
+                        <Input id="required-approvals" type="number" min={0} max={10} value={form.requiredApprovals} onChange={(e) => update("requiredApprovals", e.target.value)} />
+                      </div>
+                      <div className="space-y-2">
+                        <Label>Publishing platform</Label>
+                        <Select value={form.platform} onValueChange={(value) => update("platform", value as PublishPlatform)} disabled={!isAdmin}>
+                          <SelectTrigger>
+                            <SelectValue />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {PLATFORMS.map((platform) => (
+                              <SelectItem key={platform.value} value={platform.value}>{platform.label}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      </div>
+                    </div>
+                  </fieldset>
+
+                  {isAdmin && (
+                    <fieldset disabled={saving} className="space-y-4 border-t pt-4">
+                      <div>
+                        <h3 className="font-medium">WordPress</h3>
+                        <p className="text-sm text-gray-500">
+                          Changing these marks the connection as untested; test it from WordPress Setup.
+                        </p>
+                      </div>
+                      <div className="grid gap-4 md:grid-cols-3">
+                        <div className="space-y-2">
+                          <Label htmlFor="wordpress-url">Site URL</Label>
+                          <Input id="wordpress-url" value={form.wordpressUrl} onChange={(e) => update("wordpressUrl", e.target.value)} placeholder="https://example.com" />
+                        </div>
+                        <div className="space-y-2">
+                          <Label htmlFor="wordpress-username">Username</Label>
+                          <Input id="wordpress-username" value={form.wordpressUsername} onChange={(e) => update("wordpressUsername", e.target.value)} />
+                        </div>
+                        <div className="space-y-2">
+                          <Label htmlFor="wordpress-password">Application password</Label>
+                          <Input
+                            id="wordpress-password"
+                            type="password"
+                            autoComplete="new-password"
+                            value={form.wordpressPassword}
+                            onChange={(e) => update("wordpressPassword", e.target.value)}
+                            placeholder={passwordStored ? "Stored - leave blank to keep" : ""}
+                          />
+                        </div>
+                      </div>
+                    </fieldset>
+                  )}
+
+                  {isAdmin && (
+                    <div className="flex justify-end gap-2">
+                      {creating && (
+                        <Button type="button" variant="outline" onClick={() => setCreating(false)}>Cancel</Button>
+                      )}
+                      <Button type="submit" disabled={saving} className="bg-[#0066cc] hover:bg-blue-700">
+                        {saving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+                        {selected ? "Save changes" : "Create company"}
+                      </Button>
+                    </div>
+                  )}
+                </form>
+              </CardContent>
+            </Card>
+          )}
+
+          {selected && <BrandThemeEditor key={selected.id} companyId={selected.id} />}
+        </div>
+      </main>
+    </div>
+  )
+}
@@ -0,0 +1,345 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { useRouter } from "next/navigation"
+import { ArrowLeft, ChevronLeft, ChevronRight, Download, ExternalLink, Loader2, Search, Upload } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Input } from "@/components/ui/input"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { useToast } from "@/hooks/use-toast"
+import { api } from "@/lib/api"
+import { hasRole } from "@/lib/auth"
+import { SheetsSyncCard } from "@/components/sheets-sync-card"
+import type { Company, WordPressImportPost, WordPressImportPostList } from "@/types/api"
+
+// The backend accepts Markdown and Word documents up to 10MB
+const DOCUMENT_TYPES = ".md,.markdown,.docx"
+
+// The backend imports at most this many posts per request
+const MAX_SELECTION = 20
+
+export default function ImportPage() {
+  const [companies, setCompanies] = useState<Company[]>([])
+  const [companyName, setCompanyName] = useState("")
+  const [status, setStatus] = useState("publish")
+  const [search, setSearch] = useState("")
+  const [query, setQuery] = useState("")
+  const [page, setPage] = useState(1)
+  const [list, setList] = useState<WordPressImportPostList | null>(null)
+  const [selected, setSelected] = useState<number[]>([])
+  const [loading, setLoading] = useState(false)
+  const [importing, setImporting] = useState(false)
+  const [documentCompany, setDocumentCompany] = useState("")
+  const [documentKeyword, setDocumentKeyword] = useState("")
+  const [documentFile, setDocumentFile] = useState<File | null>(null)
+  const [uploading, setUploading] = useState(false)
+  const [isAdmin, setIsAdmin] = useState(false)
+  const router = useRouter()
+  const { toast } = useToast()
+
+  useEffect(() => {
+    setIsAdmin(hasRole("admin"))
+    api.getCompanies()
+      .then((data: any) => {
+        setCompanies(data)
+        if (data.length > 0) {
+          setCompanyName(data[0].companyName)
+          setDocumentCompany(data[0].companyName)
+        }
+      })
+      .catch((error) => console.error('Failed to load companies:', error))
+  }, [])
+
+  useEffect(() => {
+    if (companyName) loadPosts()
+  }, [companyName, status, query, page])
+
+  const loadPosts = async () => {
+    try {
+      setLoading(true)
+      setList(await api.getWordPressPosts({ companyName, page, search: query, status }))
+    } catch (error: any) {
+      console.error('Failed to load WordPress posts:', error)
+      setList(null)
+      const message = error.message?.match(/"message":"([^"]+)"/)?.[1]
+      toast({
+        title: "Could not load posts",
+        description: message || "Check the company's WordPress connection and try again.",
+        variant: "destructive",
+      })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // Filters start over on the first page with nothing selected
+  const resetTo = (apply: () => void) => {
+    apply()
+    setPage(1)
+    setSelected([])
+  }
+
+  const toggle = (post: WordPressImportPost) => {
+    setSelected((current) =>
+      current.includes(post.wordpressId)
+        ? current.filter((id) => id !== post.wordpressId)
+        : current.length < MAX_SELECTION ? [...current, post.wordpressId] : current
+    )
+  }
+
+  const handleImport = async () => {
+    try {
+      setImporting(true)
+      const result = await api.importWordPressPosts(companyName, selected)
+      setSelected([])
+      await loadPosts()
+
+      toast({
+        title: `Imported ${result.imported.length} post(s)`,
+        description: [
+          result.skipped.length > 0 ? `${result.skipped.length} already imported` : "",
+          result.failed.length > 0 ? `${result.failed.length} failed: ${result.failed.map((failure) => `#${failure.wordpressId} ${failure.error}`).join("; ")}` : "",
+        ].filter(Boolean).join(" · ") || "Open a draft to re-score and refresh it.",
+        variant: result.failed.length > 0 ? "destructive" : "default",
+      })
+    } catch (error: any) {
+      console.error('WordPress import failed:', error)
+      const message = error.message?.match(/"message":"([^"]+)"/)?.[1]
+      toast({
+        title: "Import failed",
+        description: message || "Please try again.",
+        variant: "destructive",
+      })
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const handleDocumentImport = async () => {
+    if (!documentFile) return
+
+    try {
+      setUploading(true)
+      const result = await api.importDocument(documentCompany, documentFile, documentKeyword.trim() || undefined)
+
+      if (result.warnings.length > 0) {
+        toast({ title: `Imported "${result.title}" with warnings`, description: result.warnings.join(" · ") })
+      } else {
+        toast({ title: `Imported "${result.title}"`, description: `${result.blocks} blocks, ${result.wordCount} words. Choose its meta next.` })
+      }
+
+      // Imported documents continue at meta selection, then go to review
+      localStorage.setItem("currentDraftId", result.draftId)
+      localStorage.setItem(`keyword_${result.draftId}`, result.focusKeyword)
+      router.push(`/blog/${result.draftId}/meta?source=upload`)
+    } catch (error: any) {
+      console.error('Document import failed:', error)
+      const message = error.message?.match(/"message":"([^"]+)"/)?.[1]
+      toast({
+        title: "Import failed",
+        description: message || "Please try again.",
+        variant: "destructive",
+      })
+    } finally {
+      setUploading(false)
+    }
+  }
+
+  const openDraft = (draftId: string) => {
+    localStorage.setItem("currentDraftId", draftId)
+    router.push(`/blog/${draftId}/review`)
+  }
+
+  const pagination = list?.pagination
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white border-b border-gray-200 px-6 py-4">
+        <div className="max-w-7xl mx-auto flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-[#0066cc]">Import Content</h1>
+            <p className="text-gray-600">Bring live articles and existing documents into the editor to score, refresh and publish them</p>
+          </div>
+          <Button variant="outline" size="sm" onClick={() => router.push("/")}>
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Dashboard
+          </Button>
+        </div>
+      </header>
+
+      <main className="max-w-7xl mx-auto px-6 py-8 space-y-6">
+        <Card>
+          <CardHeader>
+            <CardTitle>Upload a document</CardTitle>
+            <CardDescription>
+              Markdown (.md) or Word (.docx) files become drafts with their headings, lists, quotes and images. Meta generation and SEO scoring follow as for generated articles.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <form
+              className="flex flex-wrap items-center gap-3"
+              onSubmit={(e) => {
+                e.preventDefault()
+                handleDocumentImport()
+              }}
+            >
+              <Select value={documentCompany} onValueChange={setDocumentCompany}>
+                <SelectTrigger className="w-56">
+                  <SelectValue placeholder="Select a company" />
+                </SelectTrigger>
+                <SelectContent>
+                  {companies.map((company) => (
+                    <SelectItem key={company.id} value={company.companyName}>{company.companyName}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Input
+                value={documentKeyword}
+                onChange={(e) => setDocumentKeyword(e.target.value)}
+                placeholder="Focus keyword (optional)"
+                className="w-56"
+              />
+              <Input
+                type="file"
+                accept={DOCUMENT_TYPES}
+                onChange={(e) => setDocumentFile(e.target.files?.[0] || null)}
+                className="w-72"
+              />
+              <Button
+                type="submit"
+                disabled={uploading || !documentFile || !documentCompany}
+                className="ml-auto bg-[#0066cc] hover:bg-blue-700"
+              >
+                {uploading ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Upload className="h-4 w-4 mr-2" />}
+                Import document
+              </Button>
+            </form>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>WordPress posts</CardTitle>
+            <CardDescription>
+              Imported posts become drafts linked to the original post; deploying them updates it in place.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="flex flex-wrap items-center gap-3">
+              <Select value={companyName} onValueChange={(value) => resetTo(() => setCompanyName(value))}>
+                <SelectTrigger className="w-56">
+                  <SelectValue placeholder="Select a company" />
+                </SelectTrigger>
+                <SelectContent>
+                  {companies.map((company) => (
+                    <SelectItem key={company.id} value={company.companyName}>{company.companyName}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+
+              <Select value={status} onValueChange={(value) => resetTo(() => setStatus(value))}>
+                <SelectTrigger className="w-36">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="publish">Published</SelectItem>
+                  <SelectItem value="draft">Drafts</SelectItem>
+                  <SelectItem value="future">Scheduled</SelectItem>
+                </SelectContent>
+              </Select>
+
+              <form
+                className="flex items-center gap-2"
+                onSubmit={(e) => {
+                  e.preventDefault()
+                  resetTo(() => setQuery(search.trim()))
+                }}
+              >
+                <Input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Search posts" className="w-64" />
+                <Button type="submit" variant="outline" size="icon" aria-label="Search">
+                  <Search className="h-4 w-4" />
+                </Button>
+              </form>
+
+              <Button
+                onClick={handleImport}
+                disabled={importing || selected.length === 0}
+                className="ml-auto bg-[#0066cc] hover:bg-blue-700"
+              >
+                {importing ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Download className="h-4 w-4 mr-2" />}
+                Import {selected.length > 0 ? `${selected.length} post(s)` : "selected"}
+              </Button>
+            </div>
+
+            {loading ? (
+              <div className="flex items-center justify-center py-12 text-sm text-gray-500">
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                Loading posts...
+              </div>
+            ) : !list || list.posts.length === 0 ? (
+              <p className="py-12 text-center text-sm text-gray-500">No posts found.</p>
+            ) : (
+              <div className="divide-y rounded-lg border bg-white">
+                {list.posts.map((post) => (
+                  <div key={post.wordpressId} className="flex items-center gap-3 px-4 py-3">
+                    {post.draftId ? (
+                      <div className="w-4" />
+                    ) : (
+                      <Checkbox
+                        checked={selected.includes(post.wordpressId)}
+                        onCheckedChange={() => toggle(post)}
+                        aria-label={`Select ${post.title}`}
+                      />
+                    )}
+                    <div className="flex-1 min-w-0">
+                      <p className="font-medium truncate">{post.title || `Post #${post.wordpressId}`}</p>
+                      <p className="text-xs text-gray-500">
+                        #{post.wordpressId} · updated {new Date(post.modified).toLocaleDateString()}
+                        {post.focusKeyword ? ` · ${post.focusKeyword}` : ""}
+                      </p>
+                    </div>
+                    {post.link && (
+                      <Button variant="ghost" size="icon" onClick={() => window.open(post.link, "_blank")} aria-label="View post">
+                        <ExternalLink className="h-4 w-4" />
+                      </Button>
+                    )}
+                    {post.draftId && (
+                      <Button variant="outline" size="sm" onClick={() => openDraft(post.draftId!)}>
+                        <Badge variant="secondary" className="mr-2">Imported</Badge>
+                        Open draft
+                      </Button>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {pagination && pagination.totalPages > 1 && (
+              <div className="flex items-center justify-between text-sm text-gray-600">
+                <span>
+                  Page {pagination.page} of {pagination.totalPages} ({pagination.total} posts)
+                </span>
+                <div className="flex gap-2">
+                  <Button variant="outline" size="icon" disabled={page <= 1 || loading} onClick={() => setPage(page - 1)} aria-label="Previous page">
+                    <ChevronLeft className="h-4 w-4" />
+                  </Button>
+                  <Button variant="outline" size="icon" disabled={page >= pagination.totalPages || loading} onClick={() => setPage(page + 1)} aria-label="Next page">
+                    <ChevronRight className="h-4 w-4" />
+                  </Button>
+                </div>
+              </div>
+            )}
+            {selected.length >= MAX_SELECTION && (
+              <p className="text-xs text-orange-600">Up to {MAX_SELECTION} posts can be imported at once.</p>
+            )}
+          </CardContent>
+        </Card>
+
+        {isAdmin && <SheetsSyncCard />}
+      </main>
+    </div>
+  )
+}
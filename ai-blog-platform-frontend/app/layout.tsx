@@ -2,6 +2,7 @@ import type { Metadata } from 'next'
 import { GeistSans } from 'geist/font/sans'
 import { GeistMono } from 'geist/font/mono'
 import ErrorBoundary from '@/components/error-boundary'
+import { AuthGuard } from '@/components/auth-guard'
 import './globals.css'
 
 export const metadata: Metadata = {
@@ -54,7 +55,9 @@ html {
       </head>
       <body>
         <ErrorBoundary>
-          {children}
+          <AuthGuard>
+            {children}
+          </AuthGuard>
         </ErrorBoundary>
       </body>
     </html>
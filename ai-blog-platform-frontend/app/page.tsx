@@ -8,9 +8,10 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Badge } from "@/components/ui/badge"
 import { Skeleton } from "@/components/ui/skeleton"
 import { useToast } from "@/hooks/use-toast"
-import { Building2, FileText, Clock, Trash2, Play, Loader2, Target, CheckCircle, AlertCircle } from "lucide-react"
-import type { Company, Draft } from "@/types/api"
+import { Building2, FileText, Clock, Trash2, Play, Loader2, AlertCircle, LogOut, MessageSquare, CalendarDays, Download } from "lucide-react"
+import type { Company, Draft, User } from "@/types/api"
 import { api } from "@/lib/api"
+import { getStoredUser } from "@/lib/auth"
 import { SEOScoreCircle } from "@/components/seo-score-circle"
 
 export default function HomePage() {
@@ -19,13 +20,20 @@ export default function HomePage() {
   const [selectedCompany, setSelectedCompany] = useState<Company | null>(null)
   const [loading, setLoading] = useState(true)
   const [startingBlog, setStartingBlog] = useState(false)
+  const [user, setUser] = useState<User | null>(null)
   const router = useRouter()
   const { toast } = useToast()
 
   useEffect(() => {
+    setUser(getStoredUser())
     loadData()
   }, [])
 
+  const handleLogout = async () => {
+    await api.logout().catch((error) => console.error('Logout failed:', error))
+    router.replace("/login")
+  }
+
   const loadData = async () => {
     try {
       // Load real data from API
@@ -127,60 +135,6 @@ export default function HomePage() {
     return steps[step - 1] || "Unknown"
   }
 
-  const calculateSEOScore = (draft: Draft) => {
-    let score = 0
-    let maxScore = 100
-
-    // Keyword selection (20 points)
-    if (draft.selectedKeyword) score += 20
-
-    // Meta information (30 points)
-    if (draft.metaTitle) score += 15
-    if (draft.metaDescription) score += 15
-
-    // Content (30 points)
-    if (draft.h1Title) score += 10
-    if (draft.content && draft.content.length > 500) score += 20
-
-    // SEO optimization (20 points)
-    if (draft.selectedKeyword && draft.metaTitle?.toLowerCase().includes(draft.selectedKeyword.toLowerCase())) score += 10
-    if (draft.selectedKeyword && draft.metaDescription?.toLowerCase().includes(draft.selectedKeyword.toLowerCase())) score += 10
-
-    return Math.min(score, maxScore)
-  }
-
-  const getSEOChecklist = (draft: Draft) => {
-    const checks = [
-      {
-        label: "Focus keyword selected",
-        passed: !!draft.selectedKeyword,
-        icon: Target
-      },
-      {
-        label: "SEO title optimized",
-        passed: !!draft.metaTitle && draft.metaTitle.length >= 30 && draft.metaTitle.length <= 60,
-        icon: CheckCircle
-      },
-      {
-        label: "Meta description set",
-        passed: !!draft.metaDescription && draft.metaDescription.length >= 120 && draft.metaDescription.length <= 160,
-        icon: CheckCircle
-      },
-      {
-        label: "H1 title created",
-        passed: !!draft.h1Title,
-        icon: CheckCircle
-      },
-      {
-        label: "Content generated",
-        passed: !!draft.content && draft.content.length > 500,
-        icon: CheckCircle
-      }
-    ]
-
-    return checks
-  }
-
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50">
@@ -208,9 +162,39 @@ export default function HomePage() {
   return (
     <div className="min-h-screen bg-gray-50">
       <header className="bg-white border-b border-gray-200 px-6 py-4">
-        <div className="max-w-7xl mx-auto">
-          <h1 className="text-2xl font-bold text-[#0066cc]">ArticleScribe</h1>
-          <p className="text-gray-600">AI Blog Builder with WordPress Deployment</p>
+        <div className="max-w-7xl mx-auto flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl font-bold text-[#0066cc]">ArticleScribe</h1>
+            <p className="text-gray-600">AI Blog Builder with WordPress Deployment</p>
+          </div>
+          {user && (
+            <div className="flex items-center gap-3">
+              <div className="text-right">
+                <p className="text-sm font-medium">{user.name}</p>
+                <Badge variant="outline" className="text-xs capitalize">{user.role}</Badge>
+              </div>
+              <Button onClick={() => router.push("/calendar")} variant="outline" size="sm">
+                <CalendarDays className="h-4 w-4 mr-1" />
+                Calendar
+              </Button>
+              {user.role !== "reviewer" && (
+                <Button onClick={() => router.push("/import")} variant="outline" size="sm">
+                  <Download className="h-4 w-4 mr-1" />
+                  Import
+                </Button>
+              )}
+              {user.role === "admin" && (
+                <Button onClick={() => router.push("/companies")} variant="outline" size="sm">
+                  <Building2 className="h-4 w-4 mr-1" />
+                  Companies
+                </Button>
+              )}
+              <Button onClick={handleLogout} variant="outline" size="sm">
+                <LogOut className="h-4 w-4 mr-1" />
+                Sign out
+              </Button>
+            </div>
+          )}
         </div>
       </header>
 
@@ -308,7 +292,16 @@ export default function HomePage() {
                             {draft.selectedKeyword || "No keyword selected"}
                           </CardDescription>
                         </div>
-                        <Badge variant={draft.status === "published" ? "default" : "secondary"}>{draft.status}</Badge>
+                        <div className="flex items-center gap-1">
+                          {!!draft.comments?.open && (
+                            <Badge variant="outline" className="bg-yellow-50 text-yellow-800 border-yellow-200">
+                              <MessageSquare className="h-3 w-3 mr-1" />
+                              {draft.comments.open}
+                            </Badge>
+                          )}
+                          {draft.imported && <Badge variant="outline">Imported</Badge>}
+                          <Badge variant={draft.status === "published" ? "default" : "secondary"}>{draft.status}</Badge>
+                        </div>
                       </div>
                     </CardHeader>
                     <CardContent className="space-y-3">
@@ -317,10 +310,11 @@ export default function HomePage() {
                         {new Date(draft.lastEdited).toLocaleDateString()}
                       </div>
 
-                      <div className="flex items-center gap-2">
+                      <div className="flex items-center justify-between gap-2">
                         <Badge variant="outline">
                           Step {draft.currentStep}: {getStepName(draft.currentStep, draft)}
                         </Badge>
+                        {draft.seoScore != null && <SEOScoreCircle score={draft.seoScore} size="sm" />}
                       </div>
 
                       <div className="flex gap-2">
@@ -11,6 +11,7 @@ import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
 import { useToast } from "@/hooks/use-toast"
 import { CheckCircle, AlertCircle, ExternalLink, Settings } from "lucide-react"
 import { api } from "@/lib/api"
+import { BrandThemeEditor } from "@/components/brand-theme-editor"
 
 interface Company {
   id: string
@@ -43,22 +44,12 @@ export default function WordPressSetupPage() {
 
   const loadCompanies = async () => {
     try {
-      // For now, we'll create a test company since the API returns Google Sheets data
-      const testCompanies = [
-        {
-          id: "688229dffa606661ade8ed83", // The company we created earlier
-          name: "Test Solar Company",
-          wordpressConfig: {
-            baseUrl: "",
-            username: "",
-            isActive: false,
-            connectionStatus: "not-tested"
-          }
-        }
-      ]
-      setCompanies(testCompanies)
-      if (testCompanies.length > 0) {
-        setSelectedCompany(testCompanies[0].id)
+      // The list has no WordPress settings; each company's profile has them (without the password)
+      const list = await api.getCompanies()
+      const profiles = await Promise.all(list.map((company) => api.getCompany(company.id)))
+      setCompanies(profiles.map((profile) => ({ id: profile.id, name: profile.name, wordpressConfig: profile.wordpressConfig })))
+      if (profiles.length > 0 && !selectedCompany) {
+        setSelectedCompany(profiles[0].id)
       }
     } catch (error) {
       console.error('Error loading companies:', error)
@@ -153,10 +144,11 @@ export default function WordPressSetupPage() {
         </div>
 
         <Tabs defaultValue="setup" className="space-y-6">
-          <TabsList className="grid w-full grid-cols-3">
+          <TabsList className="grid w-full grid-cols-4">
             <TabsTrigger value="setup">Setup</TabsTrigger>
             <TabsTrigger value="guide">Setup Guide</TabsTrigger>
             <TabsTrigger value="status">Connection Status</TabsTrigger>
+            <TabsTrigger value="theme">Brand Theme</TabsTrigger>
           </TabsList>
 
           <TabsContent value="setup" className="space-y-6">
@@ -353,6 +345,17 @@ export default function WordPressSetupPage() {
               </CardContent>
             </Card>
           </TabsContent>
+
+          <TabsContent value="theme" className="space-y-6">
+            {selectedCompany ? (
+              <BrandThemeEditor companyId={selectedCompany} />
+            ) : (
+              <Alert>
+                <AlertCircle className="h-4 w-4" />
+                <AlertDescription>Select a company on the Setup tab to edit its brand theme.</AlertDescription>
+              </Alert>
+            )}
+          </TabsContent>
         </Tabs>
       </div>
     </div>
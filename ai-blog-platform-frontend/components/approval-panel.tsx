@@ -0,0 +1,215 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { AlertCircle, CheckCircle, ClipboardCheck, Loader2, MessageSquare, Send, XCircle } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Textarea } from "@/components/ui/textarea"
+import { useToast } from "@/hooks/use-toast"
+import { api } from "@/lib/api"
+import { getStoredUser } from "@/lib/auth"
+import type { ApprovalAction, ApprovalState, ApprovalStatus, User } from "@/types/api"
+
+interface ApprovalPanelProps {
+  draftId: string
+  onStatusChange?: (status: ApprovalStatus) => void
+}
+
+const stateLabels: Record<ApprovalState, string> = {
+  not_submitted: "Not submitted",
+  submitted: "Submitted",
+  in_review: "In review",
+  changes_requested: "Changes requested",
+  approved: "Approved"
+}
+
+const stateStyles: Record<ApprovalState, string> = {
+  not_submitted: "bg-gray-100 text-gray-700",
+  submitted: "bg-blue-100 text-blue-800",
+  in_review: "bg-purple-100 text-purple-800",
+  changes_requested: "bg-orange-100 text-orange-800",
+  approved: "bg-green-100 text-green-800"
+}
+
+const actionLabels: Record<ApprovalAction, string> = {
+  submit: "submitted for review",
+  "start-review": "started reviewing",
+  "request-changes": "requested changes",
+  approve: "approved",
+  comment: "commented",
+  override: "deployed with admin override"
+}
+
+const AUTHOR_ROLES = ["admin", "editor", "writer"]
+const REVIEW_ROLES = ["admin", "editor", "reviewer"]
+
+export function ApprovalPanel({ draftId, onStatusChange }: ApprovalPanelProps) {
+  const [status, setStatus] = useState<ApprovalStatus | null>(null)
+  const [user, setUser] = useState<User | null>(null)
+  const [comment, setComment] = useState("")
+  const [busy, setBusy] = useState<string | null>(null)
+  const { toast } = useToast()
+
+  const applyStatus = (next: ApprovalStatus) => {
+    setStatus(next)
+    onStatusChange?.(next)
+  }
+
+  useEffect(() => {
+    setUser(getStoredUser())
+    api.getApprovalStatus(draftId)
+      .then(applyStatus)
+      .catch((error) => console.error('Failed to load approval status:', error))
+  }, [draftId])
+
+  const runAction = async (action: Exclude<ApprovalAction, "override">) => {
+    try {
+      setBusy(action)
+      applyStatus(await api.updateApproval(draftId, action, comment || undefined))
+      setComment("")
+    } catch (error: any) {
+      console.error(`Approval ${action} failed:`, error)
+      const message = error.message?.match(/"message":"([^"]+)"/)?.[1]
+      toast({
+        title: "Action failed",
+        description: message || "Could not update the approval status. Please try again.",
+        variant: "destructive",
+      })
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  if (!status) {
+    return (
+      <Card>
+        <CardContent className="flex items-center justify-center py-8">
+          <Loader2 className="h-5 w-5 animate-spin text-blue-600" />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  const role = user?.role || ""
+  const canAuthor = AUTHOR_ROLES.includes(role)
+  const canReview = REVIEW_ROLES.includes(role)
+  const reviewable = status.state === "submitted" || status.state === "in_review"
+  const alreadyApproved = status.approvals.some((approval) => approval.userId === user?._id)
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ClipboardCheck className="h-5 w-5 text-[#0066cc]" />
+          Editorial Approval
+        </CardTitle>
+        <CardDescription>
+          {status.requiredApprovals === 0
+            ? "Approval is not required for this company"
+            : `${status.approvals.length} of ${status.requiredApprovals} approval(s) collected`}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex items-center gap-2">
+          <Badge className={stateStyles[status.state]}>{stateLabels[status.state]}</Badge>
+          {status.deployable ? (
+            <span className="flex items-center gap-1 text-xs text-green-600">
+              <CheckCircle className="h-3 w-3" /> Ready to deploy
+            </span>
+          ) : (
+            <span className="flex items-center gap-1 text-xs text-orange-600">
+              <AlertCircle className="h-3 w-3" /> Deployment blocked
+            </span>
+          )}
+        </div>
+
+        {status.pendingRefreshChanges > 0 && (
+          <p className="text-xs text-orange-600">
+            {status.pendingRefreshChanges} refresh suggestion(s) waiting for a decision.
+          </p>
+        )}
+
+        {status.stale && (
+          <p className="text-xs text-orange-600">
+            Edited after approval (v{status.approvedVersion} → v{status.currentVersion}). Submit again for a new review.
+          </p>
+        )}
+
+        <Textarea
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          placeholder="Add a comment for the team..."
+          rows={3}
+        />
+
+        <div className="grid grid-cols-2 gap-2">
+          {canAuthor && ["not_submitted", "changes_requested", "approved"].includes(status.state) && (
+            <Button onClick={() => runAction("submit")} disabled={!!busy} size="sm" className="col-span-2 bg-[#0066cc] hover:bg-blue-700">
+              {busy === "submit" ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Send className="h-4 w-4 mr-1" />}
+              Submit for review
+            </Button>
+          )}
+          {canReview && status.state === "submitted" && (
+            <Button onClick={() => runAction("start-review")} disabled={!!busy} size="sm" variant="outline" className="col-span-2">
+              Start review
+            </Button>
+          )}
+          {canReview && reviewable && (
+            <>
+              <Button
+                onClick={() => runAction("approve")}
+                disabled={!!busy || alreadyApproved}
+                size="sm"
+                className="bg-green-600 hover:bg-green-700"
+              >
+                <CheckCircle className="h-4 w-4 mr-1" />
+                {alreadyApproved ? "Approved" : "Approve"}
+              </Button>
+              <Button
+                onClick={() => runAction("request-changes")}
+                disabled={!!busy || !comment.trim()}
+                size="sm"
+                variant="outline"
+                className="border-orange-300 text-orange-700 hover:bg-orange-50"
+              >
+                <XCircle className="h-4 w-4 mr-1" />
+                Request changes
+              </Button>
+            </>
+          )}
+          <Button
+            onClick={() => runAction("comment")}
+            disabled={!!busy || !comment.trim()}
+            size="sm"
+            variant="ghost"
+            className="col-span-2"
+          >
+            <MessageSquare className="h-4 w-4 mr-1" />
+            Comment
+          </Button>
+        </div>
+
+        {status.history.length > 0 && (
+          <div className="space-y-2 border-t pt-4">
+            <h4 className="text-sm font-semibold">History</h4>
+            <div className="space-y-2 max-h-72 overflow-y-auto">
+              {status.history.map((entry) => (
+                <div key={entry._id} className="text-xs border-l-2 border-gray-200 pl-3">
+                  <p>
+                    <span className="font-medium">{entry.userName}</span>
+                    <span className="text-gray-500"> ({entry.role}) {actionLabels[entry.action]}</span>
+                  </p>
+                  {entry.comment && <p className="text-gray-700 mt-1 whitespace-pre-wrap">{entry.comment}</p>}
+                  <p className="text-gray-400 mt-1">
+                    {new Date(entry.createdAt).toLocaleString()} · v{entry.version}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,27 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { usePathname, useRouter } from "next/navigation"
+import { getAccessToken } from "@/lib/auth"
+
+const PUBLIC_PATHS = ["/login"]
+
+// Sends signed-out visitors to the login page; the API client handles expired tokens
+export function AuthGuard({ children }: { children: React.ReactNode }) {
+  const [ready, setReady] = useState(false)
+  const pathname = usePathname()
+  const router = useRouter()
+  const isPublic = PUBLIC_PATHS.includes(pathname)
+
+  useEffect(() => {
+    if (!isPublic && !getAccessToken()) {
+      router.replace(`/login?next=${encodeURIComponent(pathname)}`)
+      return
+    }
+    setReady(true)
+  }, [pathname, isPublic, router])
+
+  if (!ready && !isPublic) return null
+
+  return <>{children}</>
+}
@@ -0,0 +1,221 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Check, GitMerge, Loader2, RotateCcw, Sparkles } from "lucide-react"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Textarea } from "@/components/ui/textarea"
+import { useToast } from "@/hooks/use-toast"
+import { api } from "@/lib/api"
+import type { BlogBlock } from "@/types/api"
+
+interface BlockAlternativesProps {
+  draftId: string
+  blockId: string | null
+  onOpenChange: (open: boolean) => void
+  onBlockUpdated: (block: BlogBlock) => void
+}
+
+interface Candidate {
+  id: string
+  content: string
+  source: string
+  provider?: string | null
+  model?: string | null
+  current: boolean
+}
+
+const CURRENT_ID = "current"
+
+const sourceLabels: Record<string, string> = {
+  original: "Original",
+  ai: "AI",
+  manual: "Manual edit",
+  merge: "Merged",
+  generated: "Generated"
+}
+
+export function BlockAlternatives({ draftId, blockId, onOpenChange, onBlockUpdated }: BlockAlternativesProps) {
+  const [block, setBlock] = useState<BlogBlock | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [notStored, setNotStored] = useState(false)
+  const [busy, setBusy] = useState<string | null>(null)
+  const [mergeIds, setMergeIds] = useState<string[]>([])
+  const [mergeContent, setMergeContent] = useState("")
+  const { toast } = useToast()
+
+  useEffect(() => {
+    if (!blockId) return
+
+    const loadBlock = async () => {
+      try {
+        setLoading(true)
+        setNotStored(false)
+        setMergeIds([])
+        setBlock(await api.getBlockAlternatives(draftId, blockId))
+      } catch (error) {
+        console.error('Failed to load block alternatives:', error)
+        setBlock(null)
+        setNotStored(true)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    loadBlock()
+  }, [draftId, blockId])
+
+  const candidates: Candidate[] = block
+    ? [
+        {
+          id: CURRENT_ID,
+          content: block.content || "",
+          source: block.metadata?.source || "original",
+          provider: block.metadata?.provider,
+          model: block.metadata?.model,
+          current: true
+        },
+        ...[...(block.alternatives || [])].reverse().map((alternative) => ({ ...alternative, current: false }))
+      ]
+    : []
+
+  // Pre-fill the merge editor with the picked candidates in display order
+  useEffect(() => {
+    const picked = candidates.filter((candidate) => mergeIds.includes(candidate.id))
+    setMergeContent(picked.map((candidate) => candidate.content).join("\n\n"))
+  }, [mergeIds])
+
+  const runAction = async (action: string, request: () => Promise<BlogBlock>, successMessage: string) => {
+    try {
+      setBusy(action)
+      const updated = await request()
+      setBlock(updated)
+      setMergeIds([])
+      onBlockUpdated(updated)
+      toast({ title: "Block updated", description: successMessage })
+    } catch (error) {
+      console.error(`Block ${action} failed:`, error)
+      toast({
+        title: "Update failed",
+        description: "Could not update this block. Please try again.",
+        variant: "destructive",
+      })
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleGenerate = () => {
+    if (!blockId) return
+    runAction("generate", () => api.generateBlockAlternatives(draftId, blockId, 2), "Generated 2 new candidates.")
+  }
+
+  const handlePick = (alternativeId: string) => {
+    if (!blockId) return
+    runAction("pick", () => api.selectBlockAlternative(draftId, blockId, alternativeId), "Picked the selected version.")
+  }
+
+  const handleMerge = () => {
+    if (!blockId || !mergeContent.trim()) return
+    const alternativeIds = mergeIds.filter((id) => id !== CURRENT_ID)
+    runAction("merge", () => api.mergeBlockAlternatives(draftId, blockId, mergeContent, alternativeIds), "Saved the merged version.")
+  }
+
+  const handleRevert = () => {
+    if (!blockId) return
+    runAction("revert", () => api.revertBlock(draftId, blockId), "Reverted to the original text.")
+  }
+
+  const toggleMerge = (id: string, checked: boolean) => {
+    setMergeIds((previous) => (checked ? [...previous, id] : previous.filter((existing) => existing !== id)))
+  }
+
+  return (
+    <Dialog open={!!blockId} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-6xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Block Versions</DialogTitle>
+          <DialogDescription>
+            Compare candidate versions side by side, pick one, or tick several and merge them into a new version.
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+          </div>
+        ) : notStored ? (
+          <p className="text-sm text-gray-500 py-8 text-center">
+            This block has not been saved yet. Save the draft to start keeping versions.
+          </p>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex flex-wrap gap-2">
+              <Button onClick={handleGenerate} disabled={!!busy} size="sm" variant="outline">
+                {busy === "generate" ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Sparkles className="h-4 w-4 mr-1" />}
+                Generate 2 candidates
+              </Button>
+              <Button
+                onClick={handleRevert}
+                disabled={!!busy || candidates.length < 2 || candidates[0]?.source === "original"}
+                size="sm"
+                variant="outline"
+              >
+                {busy === "revert" ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <RotateCcw className="h-4 w-4 mr-1" />}
+                Revert to original
+              </Button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+              {candidates.map((candidate) => (
+                <div
+                  key={candidate.id}
+                  className={`flex flex-col rounded-lg border p-4 ${candidate.current ? "border-blue-300 bg-blue-50" : "border-gray-200 bg-white"}`}
+                >
+                  <div className="flex items-center justify-between gap-2 mb-2">
+                    <div className="flex items-center gap-2">
+                      <Checkbox
+                        checked={mergeIds.includes(candidate.id)}
+                        onCheckedChange={(checked) => toggleMerge(candidate.id, checked === true)}
+                        aria-label="Include in merge"
+                      />
+                      <Badge variant={candidate.current ? "default" : "outline"} className="text-[10px]">
+                        {candidate.current ? "Current" : sourceLabels[candidate.source] || candidate.source}
+                      </Badge>
+                    </div>
+                    {candidate.model && <span className="text-[10px] text-gray-500">{candidate.model}</span>}
+                  </div>
+
+                  <p className="text-xs text-gray-700 whitespace-pre-wrap flex-1 max-h-64 overflow-y-auto">{candidate.content}</p>
+
+                  <div className="flex items-center justify-between mt-3 text-[10px] text-gray-500">
+                    <span>{candidate.content.split(" ").length} words</span>
+                    {!candidate.current && (
+                      <Button onClick={() => handlePick(candidate.id)} disabled={!!busy} size="sm" className="h-7 text-xs">
+                        <Check className="h-3 w-3 mr-1" />
+                        Use this
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {mergeIds.length > 0 && (
+              <div className="space-y-2 border-t pt-4">
+                <label className="text-sm font-medium block">Merged version</label>
+                <Textarea value={mergeContent} onChange={(e) => setMergeContent(e.target.value)} rows={8} />
+                <Button onClick={handleMerge} disabled={!!busy || !mergeContent.trim()} size="sm">
+                  {busy === "merge" ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <GitMerge className="h-4 w-4 mr-1" />}
+                  Save merged version
+                </Button>
+              </div>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,384 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Loader2, Palette, Plus, RotateCcw, Save, X } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Switch } from "@/components/ui/switch"
+import { useToast } from "@/hooks/use-toast"
+import { api } from "@/lib/api"
+import { hasRole } from "@/lib/auth"
+import type { BrandTheme, BrandThemePresets } from "@/types/api"
+
+interface BrandThemeEditorProps {
+  companyId: string
+}
+
+const MAX_RELATED_LINKS = 6
+
+const colorFields: { key: keyof BrandTheme["colors"]; label: string }[] = [
+  { key: "heading", label: "Headings (H1, H3)" },
+  { key: "subheading", label: "Subheadings (H2)" },
+  { key: "text", label: "Body text" },
+  { key: "link", label: "Links" },
+  { key: "accent", label: "Accent" },
+  { key: "background", label: "Card background" },
+]
+
+const ctaColorFields: { key: "backgroundColor" | "borderColor" | "textColor"; label: string }[] = [
+  { key: "backgroundColor", label: "Background" },
+  { key: "borderColor", label: "Border" },
+  { key: "textColor", label: "Text" },
+]
+
+function ColorInput({ id, label, value, disabled, onChange }: {
+  id: string
+  label: string
+  value: string
+  disabled: boolean
+  onChange: (value: string) => void
+}) {
+  return (
+    <div>
+      <Label htmlFor={id} className="text-xs">{label}</Label>
+      <div className="flex items-center gap-2 mt-1">
+        <input
+          type="color"
+          value={/^#[0-9a-f]{6}$/i.test(value) ? value : "#000000"}
+          onChange={(e) => onChange(e.target.value.toUpperCase())}
+          disabled={disabled}
+          className="h-9 w-10 cursor-pointer rounded border"
+          aria-label={label}
+        />
+        <Input id={id} value={value} onChange={(e) => onChange(e.target.value)} disabled={disabled} className="font-mono" />
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Edits a company's brand theme with a live preview rendered by the backend,
+ * so the sample matches what deployments produce.
+ */
+export function BrandThemeEditor({ companyId }: BrandThemeEditorProps) {
+  const [theme, setTheme] = useState<BrandTheme | null>(null)
+  const [presets, setPresets] = useState<BrandThemePresets | null>(null)
+  const [previewHtml, setPreviewHtml] = useState("")
+  const [previewError, setPreviewError] = useState<string | null>(null)
+  const [dirty, setDirty] = useState(false)
+  const [canEdit, setCanEdit] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const { toast } = useToast()
+
+  useEffect(() => {
+    setCanEdit(hasRole("admin"))
+    api.getThemePresets()
+      .then(setPresets)
+      .catch((error) => console.error('Failed to load theme presets:', error))
+  }, [])
+
+  useEffect(() => {
+    setTheme(null)
+    setDirty(false)
+    api.getCompanyTheme(companyId)
+      .then((result) => setTheme(result.theme))
+      .catch((error) => console.error('Failed to load brand theme:', error))
+  }, [companyId])
+
+  // Re-render the sample shortly after edits stop
+  useEffect(() => {
+    if (!theme) return
+
+    const timeout = setTimeout(async () => {
+      try {
+        const result = await api.previewCompanyTheme(companyId, theme)
+        setPreviewHtml(result.html)
+        setPreviewError(null)
+      } catch (error: any) {
+        setPreviewError(error.message?.match(/"message":"([^"]+)"/)?.[1] || "Preview failed")
+      }
+    }, 600)
+
+    return () => clearTimeout(timeout)
+  }, [companyId, theme])
+
+  const update = (change: (current: BrandTheme) => BrandTheme) => {
+    setTheme((current) => current && change(current))
+    setDirty(true)
+  }
+
+  const applyTheme = (next: BrandTheme) => {
+    setTheme(next)
+    setDirty(true)
+  }
+
+  const handleSave = async () => {
+    if (!theme) return
+    try {
+      setSaving(true)
+      const saved = await api.saveCompanyTheme(companyId, theme)
+      setTheme(saved.theme)
+      setDirty(false)
+      toast({ title: "Brand theme saved", description: "New deployments and previews use this theme." })
+    } catch (error: any) {
+      console.error('Brand theme save failed:', error)
+      const message = error.message?.match(/"message":"([^"]+)"/)?.[1]
+      toast({ title: "Could not save brand theme", description: message || "Please try again.", variant: "destructive" })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (!theme) {
+    return (
+      <Card>
+        <CardContent className="py-10 flex justify-center">
+          <Loader2 className="h-5 w-5 animate-spin text-gray-400" />
+        </CardContent>
+      </Card>
+    )
+  }
+
+  const links = theme.relatedArticles.links
+
+  return (
+    <div className="grid gap-6 lg:grid-cols-2">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <Palette className="h-5 w-5" />
+            Brand Theme
+          </CardTitle>
+          <CardDescription>
+            Colors, fonts and blocks applied to every post deployed for this company
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {canEdit && presets && (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-sm text-gray-600">Start from:</span>
+              <Button size="sm" variant="outline" onClick={() => applyTheme(presets.defaults)}>
+                <RotateCcw className="h-3 w-3 mr-1" />
+                Default
+              </Button>
+              {presets.presets.map((preset) => (
+                <Button key={preset.name} size="sm" variant="outline" className="capitalize" onClick={() => applyTheme(preset.theme)}>
+                  {preset.name}
+                </Button>
+              ))}
+            </div>
+          )}
+
+          <section className="space-y-3">
+            <h3 className="text-sm font-semibold text-gray-900">Colors</h3>
+            <div className="grid grid-cols-2 gap-3">
+              {colorFields.map((field) => (
+                <ColorInput
+                  key={field.key}
+                  id={`color-${field.key}`}
+                  label={field.label}
+                  value={theme.colors[field.key]}
+                  disabled={!canEdit}
+                  onChange={(value) => update((current) => ({ ...current, colors: { ...current.colors, [field.key]: value } }))}
+                />
+              ))}
+            </div>
+          </section>
+
+          <section className="space-y-3">
+            <h3 className="text-sm font-semibold text-gray-900">Typography</h3>
+            <div className="grid grid-cols-2 gap-3">
+              {(["heading", "body"] as const).map((key) => (
+                <div key={key}>
+                  <Label htmlFor={`font-${key}`} className="text-xs capitalize">{key} font</Label>
+                  <Input
+                    id={`font-${key}`}
+                    value={theme.fonts[key]}
+                    onChange={(e) => update((current) => ({ ...current, fonts: { ...current.fonts, [key]: e.target.value } }))}
+                    disabled={!canEdit}
+                    className="mt-1"
+                  />
+                </div>
+              ))}
+            </div>
+            <div className="grid grid-cols-5 gap-3">
+              {(["h1", "h2", "h3"] as const).map((key) => (
+                <div key={key}>
+                  <Label htmlFor={`size-${key}`} className="text-xs uppercase">{key}</Label>
+                  <Input
+                    id={`size-${key}`}
+                    value={theme.headingSizes[key]}
+                    onChange={(e) => update((current) => ({ ...current, headingSizes: { ...current.headingSizes, [key]: e.target.value } }))}
+                    disabled={!canEdit}
+                    className="mt-1"
+                  />
+                </div>
+              ))}
+              <div>
+                <Label htmlFor="size-body" className="text-xs">Body</Label>
+                <Input
+                  id="size-body"
+                  value={theme.bodyFontSize}
+                  onChange={(e) => update((current) => ({ ...current, bodyFontSize: e.target.value }))}
+                  disabled={!canEdit}
+                  className="mt-1"
+                />
+              </div>
+              <div>
+                <Label htmlFor="line-height" className="text-xs">Line height</Label>
+                <Input
+                  id="line-height"
+                  value={theme.lineHeight}
+                  onChange={(e) => update((current) => ({ ...current, lineHeight: e.target.value }))}
+                  disabled={!canEdit}
+                  className="mt-1"
+                />
+              </div>
+            </div>
+          </section>
+
+          <section className="space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm font-semibold text-gray-900">Call-to-action box</h3>
+              <Switch
+                checked={theme.ctaBox.enabled}
+                onCheckedChange={(enabled) => update((current) => ({ ...current, ctaBox: { ...current.ctaBox, enabled } }))}
+                disabled={!canEdit}
+                aria-label="Wrap the conclusion in a call-to-action box"
+              />
+            </div>
+            {theme.ctaBox.enabled && (
+              <div className="grid grid-cols-2 gap-3">
+                {ctaColorFields.map((field) => (
+                  <ColorInput
+                    key={field.key}
+                    id={`cta-${field.key}`}
+                    label={field.label}
+                    value={theme.ctaBox[field.key]}
+                    disabled={!canEdit}
+                    onChange={(value) => update((current) => ({ ...current, ctaBox: { ...current.ctaBox, [field.key]: value } }))}
+                  />
+                ))}
+                <div>
+                  <Label htmlFor="cta-radius" className="text-xs">Corner radius</Label>
+                  <Input
+                    id="cta-radius"
+                    value={theme.ctaBox.borderRadius}
+                    onChange={(e) => update((current) => ({ ...current, ctaBox: { ...current.ctaBox, borderRadius: e.target.value } }))}
+                    disabled={!canEdit}
+                    className="mt-1"
+                  />
+                </div>
+              </div>
+            )}
+          </section>
+
+          <section className="space-y-3">
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm font-semibold text-gray-900">Related articles</h3>
+              <Switch
+                checked={theme.relatedArticles.enabled}
+                onCheckedChange={(enabled) => update((current) => ({ ...current, relatedArticles: { ...current.relatedArticles, enabled } }))}
+                disabled={!canEdit}
+                aria-label="Show related articles"
+              />
+            </div>
+            {theme.relatedArticles.enabled && (
+              <>
+                <Input
+                  value={theme.relatedArticles.title}
+                  onChange={(e) => update((current) => ({ ...current, relatedArticles: { ...current.relatedArticles, title: e.target.value } }))}
+                  disabled={!canEdit}
+                  aria-label="Related articles heading"
+                />
+                <p className="text-xs text-gray-500">
+                  Without links, the company&apos;s other published posts are listed.
+                </p>
+                {links.map((link, index) => (
+                  <div key={index} className="flex gap-2">
+                    <Input
+                      value={link.title}
+                      placeholder="Title"
+                      onChange={(e) => update((current) => ({
+                        ...current,
+                        relatedArticles: {
+                          ...current.relatedArticles,
+                          links: current.relatedArticles.links.map((other, i) => i === index ? { ...other, title: e.target.value } : other),
+                        },
+                      }))}
+                      disabled={!canEdit}
+                    />
+                    <Input
+                      value={link.url}
+                      placeholder="https://"
+                      onChange={(e) => update((current) => ({
+                        ...current,
+                        relatedArticles: {
+                          ...current.relatedArticles,
+                          links: current.relatedArticles.links.map((other, i) => i === index ? { ...other, url: e.target.value } : other),
+                        },
+                      }))}
+                      disabled={!canEdit}
+                    />
+                    {canEdit && (
+                      <button
+                        onClick={() => update((current) => ({
+                          ...current,
+                          relatedArticles: { ...current.relatedArticles, links: current.relatedArticles.links.filter((_, i) => i !== index) },
+                        }))}
+                        aria-label={`Remove ${link.title || "link"}`}
+                      >
+                        <X className="h-4 w-4 text-gray-400 hover:text-gray-700" />
+                      </button>
+                    )}
+                  </div>
+                ))}
+                {canEdit && links.length < MAX_RELATED_LINKS && (
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => update((current) => ({
+                      ...current,
+                      relatedArticles: { ...current.relatedArticles, links: [...current.relatedArticles.links, { title: "", url: "" }] },
+                    }))}
+                  >
+                    <Plus className="h-3 w-3 mr-1" />
+                    Add link
+                  </Button>
+                )}
+              </>
+            )}
+          </section>
+
+          {canEdit && (
+            <Button onClick={handleSave} disabled={saving || !dirty} className="w-full bg-[#0066cc] hover:bg-blue-700">
+              {saving ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+              Save Theme
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Preview</CardTitle>
+          <CardDescription>A sample post rendered as it would be deployed to WordPress</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {previewError ? (
+            <p className="text-sm text-red-600">{previewError}</p>
+          ) : (
+            <iframe
+              title="Brand theme preview"
+              srcDoc={previewHtml}
+              sandbox=""
+              className="w-full h-[720px] rounded border bg-white"
+            />
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
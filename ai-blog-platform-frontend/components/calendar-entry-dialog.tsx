@@ -0,0 +1,157 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { AlertTriangle, Loader2 } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { useToast } from "@/hooks/use-toast"
+import { api } from "@/lib/api"
+import type { BlogDataStatus, CalendarAssignee, CalendarEntry } from "@/types/api"
+
+interface CalendarEntryDialogProps {
+  entry: CalendarEntry | null
+  onOpenChange: (open: boolean) => void
+  onSaved: (entry: CalendarEntry) => void
+}
+
+const UNASSIGNED = "unassigned"
+const STATUSES: BlogDataStatus[] = ["pending", "in-progress", "completed", "published"]
+
+export function CalendarEntryDialog({ entry, onOpenChange, onSaved }: CalendarEntryDialogProps) {
+  const [assignees, setAssignees] = useState<CalendarAssignee[]>([])
+  const [targetDate, setTargetDate] = useState("")
+  const [assigneeId, setAssigneeId] = useState(UNASSIGNED)
+  const [priority, setPriority] = useState("1")
+  const [status, setStatus] = useState<BlogDataStatus>("pending")
+  const [saving, setSaving] = useState(false)
+  const { toast } = useToast()
+
+  useEffect(() => {
+    if (!entry) return
+
+    setTargetDate(entry.targetDate?.slice(0, 10) || "")
+    setAssigneeId(entry.assignee?.userId || UNASSIGNED)
+    setPriority(String(entry.priority))
+    setStatus(entry.status)
+
+    if (entry.companyName) {
+      api.getCalendarAssignees(entry.companyName)
+        .then(setAssignees)
+        .catch((error) => console.error('Failed to load assignees:', error))
+    }
+  }, [entry])
+
+  const handleSave = async () => {
+    if (!entry) return
+
+    try {
+      setSaving(true)
+      const saved = await api.updateCalendarEntry(entry._id, {
+        targetDate: targetDate || null,
+        assigneeId: assigneeId === UNASSIGNED ? null : assigneeId,
+        priority: Number(priority),
+        status,
+      })
+      onSaved(saved)
+      onOpenChange(false)
+    } catch (error: any) {
+      console.error('Failed to update calendar entry:', error)
+      const message = error.message?.match(/"message":"([^"]+)"/)?.[1]
+      toast({
+        title: "Update failed",
+        description: message || "Could not update the entry. Please try again.",
+        variant: "destructive",
+      })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <Dialog open={!!entry} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>{entry?.focusKeyword}</DialogTitle>
+          <DialogDescription>
+            {entry?.companyName} · {entry?.articleFormat} · {entry?.wordCount} words
+          </DialogDescription>
+        </DialogHeader>
+
+        {entry && entry.conflicts.length > 0 && (
+          <div className="rounded-lg border border-amber-200 bg-amber-50 p-3 text-xs text-amber-800 space-y-1">
+            <p className="font-medium flex items-center gap-1">
+              <AlertTriangle className="h-3 w-3" />
+              Same focus keyword planned nearby
+            </p>
+            {entry.conflicts.map((conflict) => (
+              <p key={conflict._id}>
+                {new Date(conflict.targetDate).toLocaleDateString(undefined, { timeZone: "UTC" })} ({conflict.daysApart} day(s) apart)
+              </p>
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-4">
+          <div className="space-y-1">
+            <Label htmlFor="target-date">Target date</Label>
+            <Input id="target-date" type="date" value={targetDate} onChange={(e) => setTargetDate(e.target.value)} />
+          </div>
+
+          <div className="space-y-1">
+            <Label>Assignee</Label>
+            <Select value={assigneeId} onValueChange={setAssigneeId}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value={UNASSIGNED}>Unassigned</SelectItem>
+                {assignees.map((assignee) => (
+                  <SelectItem key={assignee.userId} value={assignee.userId}>
+                    {assignee.name} ({assignee.role})
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-1">
+              <Label>Priority</Label>
+              <Select value={priority} onValueChange={setPriority}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {[1, 2, 3, 4, 5].map((value) => (
+                    <SelectItem key={value} value={String(value)}>P{value}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="space-y-1">
+              <Label>Status</Label>
+              <Select value={status} onValueChange={(value) => setStatus(value as BlogDataStatus)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {STATUSES.map((value) => (
+                    <SelectItem key={value} value={value} className="capitalize">{value}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
+          <Button onClick={handleSave} disabled={saving} className="w-full bg-[#0066cc] hover:bg-blue-700">
+            {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Save
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
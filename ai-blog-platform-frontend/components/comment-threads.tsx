@@ -0,0 +1,228 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { AtSign, CheckCircle, Loader2, MessageSquare, RotateCcw, Trash2 } from "lucide-react"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Textarea } from "@/components/ui/textarea"
+import { useToast } from "@/hooks/use-toast"
+import { api } from "@/lib/api"
+import { getStoredUser } from "@/lib/auth"
+import type { BlockComment, CommentMention, CommentThread, User } from "@/types/api"
+
+export interface CommentRange {
+  start: number
+  end: number
+  quote: string
+}
+
+interface CommentThreadsProps {
+  draftId: string
+  threads: CommentThread[]
+  onChanged: () => void
+  // When set, only this block's threads are shown and new threads are anchored to it
+  blockId?: string
+  // Block titles used to label threads when showing every block
+  blockLabels?: Record<string, string>
+  // Text selected in the block, attached to the next new thread
+  selection?: CommentRange | null
+}
+
+// Highlight @email mentions in a comment body
+const renderBody = (comment: BlockComment) => {
+  const emails = comment.mentions.map((mention) => mention.email)
+  return comment.body.split(/(@[\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g).map((part, index) =>
+    emails.includes(part.slice(1).toLowerCase()) ? (
+      <span key={index} className="text-blue-700 font-medium">{part}</span>
+    ) : (
+      part
+    )
+  )
+}
+
+export function CommentThreads({ draftId, threads, onChanged, blockId, blockLabels, selection }: CommentThreadsProps) {
+  const [user, setUser] = useState<User | null>(null)
+  const [mentionable, setMentionable] = useState<CommentMention[]>([])
+  const [newComment, setNewComment] = useState("")
+  const [replies, setReplies] = useState<Record<string, string>>({})
+  const [showResolved, setShowResolved] = useState(false)
+  const [busy, setBusy] = useState<string | null>(null)
+  const { toast } = useToast()
+
+  useEffect(() => {
+    setUser(getStoredUser())
+    api.getMentionableUsers(draftId)
+      .then(setMentionable)
+      .catch((error) => console.error('Failed to load mentionable users:', error))
+  }, [draftId])
+
+  const visibleThreads = threads
+    .filter((thread) => !blockId || thread.blockId === blockId)
+    .filter((thread) => showResolved || !thread.resolved)
+  const resolvedCount = threads.filter((thread) => (!blockId || thread.blockId === blockId) && thread.resolved).length
+
+  const runAction = async (key: string, action: () => Promise<unknown>) => {
+    try {
+      setBusy(key)
+      await action()
+      onChanged()
+    } catch (error) {
+      console.error('Comment action failed:', error)
+      toast({
+        title: "Comment failed",
+        description: "Could not update the comment. Please try again.",
+        variant: "destructive",
+      })
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleAddThread = () => {
+    if (!blockId || !newComment.trim()) return
+    runAction("new", async () => {
+      await api.addComment(draftId, { blockId, body: newComment, range: selection || undefined })
+      setNewComment("")
+    })
+  }
+
+  const handleReply = (thread: CommentThread) => {
+    const body = replies[thread._id]
+    if (!body?.trim()) return
+    runAction(`reply-${thread._id}`, async () => {
+      await api.addComment(draftId, { parentId: thread._id, body })
+      setReplies((previous) => ({ ...previous, [thread._id]: "" }))
+    })
+  }
+
+  const insertMention = (mention: CommentMention) => {
+    setNewComment((previous) => `${previous}${previous && !previous.endsWith(" ") ? " " : ""}@${mention.email} `)
+  }
+
+  const renderComment = (comment: BlockComment) => (
+    <div key={comment._id} className="text-xs">
+      <div className="flex items-center justify-between gap-2">
+        <p>
+          <span className="font-medium">{comment.authorName}</span>
+          <span className="text-gray-400"> · {new Date(comment.createdAt).toLocaleString()}</span>
+        </p>
+        {(comment.authorId === user?._id || user?.role === "admin") && (
+          <button
+            onClick={() => runAction(`delete-${comment._id}`, () => api.deleteComment(comment._id))}
+            className="text-gray-400 hover:text-red-600"
+            aria-label="Delete comment"
+          >
+            <Trash2 className="h-3 w-3" />
+          </button>
+        )}
+      </div>
+      <p className="text-gray-700 mt-1 whitespace-pre-wrap">{renderBody(comment)}</p>
+    </div>
+  )
+
+  return (
+    <div className="space-y-4">
+      {blockId && (
+        <div className="space-y-2">
+          {selection && (
+            <p className="text-xs text-gray-600 border-l-2 border-yellow-400 bg-yellow-50 px-2 py-1 line-clamp-3">
+              “{selection.quote}”
+            </p>
+          )}
+          <Textarea
+            value={newComment}
+            onChange={(e) => setNewComment(e.target.value)}
+            placeholder="Leave a comment or suggestion... (@email to mention)"
+            rows={3}
+          />
+          {mentionable.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {mentionable.map((mention) => (
+                <button
+                  key={mention.userId}
+                  onClick={() => insertMention(mention)}
+                  className="text-[10px] px-2 py-0.5 rounded-full border border-gray-200 text-gray-600 hover:bg-gray-100 flex items-center gap-0.5"
+                >
+                  <AtSign className="h-2.5 w-2.5" />
+                  {mention.name}
+                </button>
+              ))}
+            </div>
+          )}
+          <Button onClick={handleAddThread} disabled={!!busy || !newComment.trim()} size="sm">
+            {busy === "new" ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <MessageSquare className="h-4 w-4 mr-1" />}
+            Comment
+          </Button>
+        </div>
+      )}
+
+      {resolvedCount > 0 && (
+        <button onClick={() => setShowResolved(!showResolved)} className="text-xs text-blue-600 hover:underline">
+          {showResolved ? "Hide" : "Show"} {resolvedCount} resolved thread(s)
+        </button>
+      )}
+
+      {visibleThreads.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">No open comments.</p>
+      ) : (
+        <div className="space-y-3">
+          {visibleThreads.map((thread) => (
+            <div
+              key={thread._id}
+              className={`rounded-lg border p-3 space-y-3 ${thread.resolved ? "bg-gray-50 border-gray-200 opacity-75" : "bg-white border-yellow-200"}`}
+            >
+              <div className="flex items-center justify-between gap-2">
+                {!blockId && blockLabels ? (
+                  <Badge variant="outline" className="text-[10px]">{blockLabels[thread.blockId] || "Removed block"}</Badge>
+                ) : (
+                  <span />
+                )}
+                <Button
+                  onClick={() => runAction(`resolve-${thread._id}`, () => api.setCommentResolved(thread._id, !thread.resolved))}
+                  disabled={!!busy}
+                  variant="ghost"
+                  size="sm"
+                  className="h-6 text-[10px]"
+                >
+                  {thread.resolved ? <RotateCcw className="h-3 w-3 mr-1" /> : <CheckCircle className="h-3 w-3 mr-1" />}
+                  {thread.resolved ? "Reopen" : "Resolve"}
+                </Button>
+              </div>
+
+              {thread.range?.quote && (
+                <p className="text-xs text-gray-600 border-l-2 border-yellow-400 pl-2 line-clamp-2">“{thread.range.quote}”</p>
+              )}
+
+              {renderComment(thread)}
+              {thread.replies.length > 0 && (
+                <div className="space-y-2 pl-3 border-l border-gray-200">{thread.replies.map(renderComment)}</div>
+              )}
+
+              {thread.resolved ? (
+                <p className="text-[10px] text-gray-500">Resolved by {thread.resolvedBy}</p>
+              ) : (
+                <div className="flex gap-2">
+                  <Textarea
+                    value={replies[thread._id] || ""}
+                    onChange={(e) => setReplies((previous) => ({ ...previous, [thread._id]: e.target.value }))}
+                    placeholder="Reply..."
+                    rows={1}
+                    className="text-xs min-h-[32px]"
+                  />
+                  <Button
+                    onClick={() => handleReply(thread)}
+                    disabled={!!busy || !replies[thread._id]?.trim()}
+                    size="sm"
+                    variant="outline"
+                  >
+                    Reply
+                  </Button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
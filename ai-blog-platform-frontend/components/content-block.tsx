@@ -3,16 +3,22 @@
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
 import { Badge } from "@/components/ui/badge"
-import { Edit3, Trash2, FileText, ExternalLink, Link, RefreshCw } from "lucide-react"
-import type { BlogBlock } from "@/types/api"
+import { Edit3, Trash2, FileText, ExternalLink, Link, RefreshCw, Layers, MessageSquare, AlertTriangle } from "lucide-react"
+import type { BlogBlock, ReadabilityIssue } from "@/types/api"
 
 interface ContentBlockProps {
   block: BlogBlock
   onEdit: () => void
   onRegenerate: () => void
   onDelete?: () => void
+  onShowAlternatives?: () => void
+  onShowComments?: () => void
+  commentCount?: number
   showRegenerateButton?: boolean
   selectedKeyword?: string
+  readabilityIssues?: ReadabilityIssue[]
+  // Secondary keyword occurrences in this block, from the coverage report
+  secondaryKeywordCounts?: Record<string, number>
 }
 
 // Helper function to make links clickable and clean markdown
@@ -66,8 +72,13 @@ export function ContentBlock({
   onEdit,
   onRegenerate,
   onDelete,
+  onShowAlternatives,
+  onShowComments,
+  commentCount = 0,
   showRegenerateButton = true,
   selectedKeyword,
+  readabilityIssues = [],
+  secondaryKeywordCounts = {},
 }: ContentBlockProps) {
   const getBlockIcon = () => {
     return <FileText className="h-4 w-4" />
@@ -121,13 +132,61 @@ export function ContentBlock({
             </Badge>
           </div>
         )}
+        {Object.values(secondaryKeywordCounts).some((count) => count > 0) && (
+          <div className="mt-3 flex flex-wrap gap-1">
+            {Object.entries(secondaryKeywordCounts).filter(([, count]) => count > 0).map(([keyword, count]) => (
+              <Badge key={keyword} variant="outline" className="text-xs text-gray-600">
+                {keyword}{count > 1 && ` ×${count}`}
+              </Badge>
+            ))}
+          </div>
+        )}
+        {readabilityIssues.length > 0 && (
+          <ul className="mt-3 space-y-1 rounded-md border border-yellow-200 bg-yellow-50 px-3 py-2">
+            {readabilityIssues.map((issue, index) => (
+              <li key={index} className="flex items-start gap-2 text-xs text-yellow-900">
+                <AlertTriangle className="h-3 w-3 mt-0.5 shrink-0 text-yellow-600" />
+                <span>
+                  {issue.message}
+                  {issue.excerpt && <span className="italic text-yellow-700"> "{issue.excerpt}"</span>}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
       </div>
 
+      {/* Open comment threads stay visible without hovering */}
+      {commentCount > 0 && onShowComments && (
+        <button
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={onShowComments}
+          className="absolute top-2 left-2 flex items-center gap-1 rounded-full bg-yellow-100 text-yellow-800 px-2 py-0.5 text-[10px] font-medium"
+        >
+          <MessageSquare className="h-3 w-3" />
+          {commentCount}
+        </button>
+      )}
+
       {/* Hidden edit controls that appear on hover */}
       <div className="absolute top-2 right-2 opacity-0 group-hover:opacity-100 transition-opacity flex items-center gap-1">
+        {onShowComments && (
+          // Keep the text selection so the comment can quote it
+          <Button onMouseDown={(e) => e.preventDefault()} onClick={onShowComments} variant="ghost" size="sm" className="h-7 w-7 p-0 hover:bg-yellow-50 text-yellow-600 hover:text-yellow-700 rounded">
+            <MessageSquare className="h-3 w-3" />
+          </Button>
+        )}
         <Button onClick={onRegenerate} variant="ghost" size="sm" className="h-7 w-7 p-0 hover:bg-blue-50 text-blue-500 hover:text-blue-600 rounded">
           <RefreshCw className="h-3 w-3" />
         </Button>
+        {onShowAlternatives && (
+          <Button onClick={onShowAlternatives} variant="ghost" size="sm" className="h-7 px-2 hover:bg-purple-50 text-purple-500 hover:text-purple-600 rounded">
+            <Layers className="h-3 w-3" />
+            {block.alternatives && block.alternatives.length > 0 && (
+              <span className="text-[10px] ml-1">{block.alternatives.length}</span>
+            )}
+          </Button>
+        )}
         <Button onClick={onEdit} variant="ghost" size="sm" className="h-7 w-7 p-0 hover:bg-gray-100 rounded">
           <Edit3 className="h-3 w-3 text-gray-500" />
         </Button>
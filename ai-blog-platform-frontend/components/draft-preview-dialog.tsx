@@ -0,0 +1,62 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Loader2 } from "lucide-react"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { api } from "@/lib/api"
+import type { DraftPreview } from "@/types/api"
+
+interface DraftPreviewDialogProps {
+  draftId: string
+  open: boolean
+  onOpenChange: (open: boolean) => void
+}
+
+export function DraftPreviewDialog({ draftId, open, onOpenChange }: DraftPreviewDialogProps) {
+  const [preview, setPreview] = useState<DraftPreview | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    if (!open) return
+
+    setLoading(true)
+    setError(null)
+    api.getDraftPreview(draftId)
+      .then(setPreview)
+      .catch((error) => {
+        console.error('Failed to load draft preview:', error)
+        setError(error.message?.match(/"message":"([^"]+)"/)?.[1] || "Could not render the preview.")
+      })
+      .finally(() => setLoading(false))
+  }, [open, draftId])
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-4xl">
+        <DialogHeader>
+          <DialogTitle>Brand preview</DialogTitle>
+          <DialogDescription>
+            The post body as it will be sent to {preview?.platform || "the publishing platform"}, styled with the company&apos;s brand theme
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-10 text-sm text-gray-500">
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            Rendering preview...
+          </div>
+        ) : error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : (
+          <iframe
+            title="Draft preview"
+            srcDoc={preview?.html || ""}
+            sandbox=""
+            className="w-full h-[70vh] rounded border bg-white"
+          />
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
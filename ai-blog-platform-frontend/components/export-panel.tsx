@@ -0,0 +1,73 @@
+"use client"
+
+import { useState } from "react"
+import { Download, FileCode, FileText, FileType, Loader2 } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Button } from "@/components/ui/button"
+import { useToast } from "@/hooks/use-toast"
+import { api } from "@/lib/api"
+import type { DraftExportFormat } from "@/types/api"
+
+interface ExportPanelProps {
+  draftId: string
+}
+
+const formats: { format: DraftExportFormat; label: string; extension: string; icon: typeof FileText }[] = [
+  { format: "docx", label: "Word", extension: "docx", icon: FileText },
+  { format: "pdf", label: "PDF", extension: "pdf", icon: FileType },
+  { format: "markdown", label: "Markdown", extension: "md", icon: FileCode },
+  { format: "html", label: "HTML", extension: "html", icon: FileCode },
+]
+
+export function ExportPanel({ draftId }: ExportPanelProps) {
+  const [exporting, setExporting] = useState<DraftExportFormat | null>(null)
+  const { toast } = useToast()
+
+  const handleExport = async (format: DraftExportFormat, extension: string) => {
+    try {
+      setExporting(format)
+      const { blob, fileName } = await api.exportDraft(draftId, format)
+
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement("a")
+      link.href = url
+      link.download = fileName || `draft-${draftId}.${extension}`
+      document.body.appendChild(link)
+      link.click()
+      link.remove()
+      URL.revokeObjectURL(url)
+    } catch (error: any) {
+      console.error(`Draft export (${format}) failed:`, error)
+      const message = error.message?.match(/"message":"([^"]+)"/)?.[1]
+      toast({ title: "Export failed", description: message || "Please try again.", variant: "destructive" })
+    } finally {
+      setExporting(null)
+    }
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Download className="h-5 w-5 text-[#0066cc]" />
+          Export
+        </CardTitle>
+        <CardDescription>Download the draft with its meta for review outside the platform</CardDescription>
+      </CardHeader>
+      <CardContent className="grid grid-cols-2 gap-2">
+        {formats.map(({ format, label, extension, icon: Icon }) => (
+          <Button
+            key={format}
+            variant="outline"
+            size="sm"
+            disabled={!!exporting}
+            onClick={() => handleExport(format, extension)}
+          >
+            {exporting === format ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Icon className="h-4 w-4 mr-2" />}
+            {label}
+          </Button>
+        ))}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,151 @@
+"use client"
+
+import { Check, Loader2, AlertCircle, RefreshCw } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { Progress } from "@/components/ui/progress"
+import type { Job, ProgressEvent } from "@/types/api"
+
+export interface JobProgressStep {
+  stage: string
+  label: string
+}
+
+interface JobProgressProps {
+  title: string
+  description: string
+  steps: JobProgressStep[]
+  job: Job | null
+  // Live events from useProgressEvents; the job's stored logs are used when omitted
+  events?: ProgressEvent[]
+  complete?: boolean
+  error?: string | null
+  onRetry?: () => void
+}
+
+interface TimelineEntry {
+  stage: string
+  message: string
+  progress?: number | null
+  level?: string
+  createdAt: string
+}
+
+export function JobProgress({ title, description, steps, job, events, complete, error, onRetry }: JobProgressProps) {
+  const failed = job?.status === "failed" || job?.status === "cancelled"
+  const completed = complete || job?.status === "completed"
+
+  const timeline: TimelineEntry[] = events
+    ? events.map((event) => ({ ...event, createdAt: event.timestamp }))
+    : job?.logs || []
+
+  // The furthest step that has reported progress is the current one
+  const reachedStages = new Set(timeline.map((entry) => entry.stage))
+  const currentIndex = steps.reduce((latest, step, index) => (reachedStages.has(step.stage) ? index : latest), 0)
+
+  const latestProgress = [...timeline].reverse().find((entry) => typeof entry.progress === "number")?.progress
+  const progress = completed ? 100 : latestProgress ?? job?.progress ?? 0
+
+  const newestFirst = [...timeline].reverse()
+
+  return (
+    <div className="text-center space-y-8 w-full">
+      {/* Header */}
+      <div className="space-y-4">
+        <div className={`w-16 h-16 rounded-full flex items-center justify-center mx-auto ${failed ? "bg-red-100" : "bg-blue-100"}`}>
+          {failed ? (
+            <AlertCircle className="h-8 w-8 text-red-600" />
+          ) : (
+            <Loader2 className="h-8 w-8 text-blue-600 animate-spin" />
+          )}
+        </div>
+        <h1 className="text-2xl font-bold text-gray-900">{title}</h1>
+        <p className="text-gray-600">{description}</p>
+      </div>
+
+      <div className="max-w-2xl mx-auto space-y-2">
+        <Progress value={progress} className="h-2" />
+        <p className="text-xs text-gray-500">
+          {job
+            ? `${progress}% · ${job.status}${job.attempts > 1 ? ` (attempt ${job.attempts}/${job.maxAttempts})` : ""}`
+            : timeline.length > 0
+            ? `${progress}%`
+            : "Starting..."}
+        </p>
+      </div>
+
+      {/* Progress Steps */}
+      <div className="max-w-2xl mx-auto space-y-4">
+        {steps.map((step, index) => {
+          const isDone = completed || index < currentIndex
+          const isCurrent = !completed && !failed && index === currentIndex
+
+          return (
+            <div
+              key={step.stage}
+              className={`flex items-center gap-4 p-4 rounded-lg border transition-all duration-500 ${
+                isDone
+                  ? "bg-green-50 border-green-200"
+                  : isCurrent
+                  ? "bg-blue-50 border-blue-200 shadow-sm"
+                  : "bg-white border-gray-200"
+              }`}
+            >
+              <div className="flex-shrink-0">
+                {isDone ? (
+                  <div className="w-6 h-6 bg-green-500 rounded-full flex items-center justify-center">
+                    <Check className="h-4 w-4 text-white" />
+                  </div>
+                ) : isCurrent ? (
+                  <div className="w-6 h-6 border-2 border-blue-500 border-t-transparent rounded-full animate-spin" />
+                ) : (
+                  <div className="w-6 h-6 bg-gray-200 rounded-full" />
+                )}
+              </div>
+              <span
+                className={`text-sm font-medium ${
+                  isDone ? "text-green-700" : isCurrent ? "text-blue-700" : "text-gray-500"
+                }`}
+              >
+                {step.label}
+              </span>
+            </div>
+          )
+        })}
+      </div>
+
+      {/* Timeline, newest first */}
+      {newestFirst.length > 0 && (
+        <div className="max-w-2xl mx-auto text-left bg-white border border-gray-200 rounded-lg p-4 max-h-64 overflow-y-auto">
+          <ol className="relative border-l border-gray-200 ml-1 space-y-2">
+            {newestFirst.map((entry, index) => (
+              <li key={`${entry.createdAt}-${index}`} className="ml-4">
+                <span
+                  className={`absolute -left-1 mt-1.5 w-2 h-2 rounded-full ${
+                    entry.level === "error" ? "bg-red-500" : entry.level === "warn" ? "bg-orange-500" : index === 0 ? "bg-blue-500" : "bg-gray-300"
+                  }`}
+                />
+                <p
+                  className={`text-xs ${entry.level === "error" ? "text-red-600" : entry.level === "warn" ? "text-orange-600" : "text-gray-600"}`}
+                >
+                  <span className="text-gray-400">{new Date(entry.createdAt).toLocaleTimeString()}</span> {entry.message}
+                </p>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {(failed || error) && (
+        <div className="max-w-2xl mx-auto space-y-3">
+          <p className="text-sm text-red-600">{job?.error || error}</p>
+          {failed && onRetry && (
+            <Button onClick={onRetry} variant="outline" size="sm">
+              <RefreshCw className="h-4 w-4 mr-1" />
+              Retry
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,62 @@
+"use client"
+
+import type { ReactNode } from "react"
+import { AlertTriangle, BookOpen, CheckCircle2, Loader2, XCircle } from "lucide-react"
+import { SEOScoreCircle } from "@/components/seo-score-circle"
+import type { ReadabilityAnalysis, ReadabilityStatus } from "@/types/api"
+
+interface ReadabilityPanelProps {
+  analysis: ReadabilityAnalysis | null
+  analyzing?: boolean
+}
+
+const statusIcons: Record<ReadabilityStatus, ReactNode> = {
+  good: <CheckCircle2 className="h-4 w-4 text-green-600 shrink-0" />,
+  ok: <AlertTriangle className="h-4 w-4 text-yellow-600 shrink-0" />,
+  poor: <XCircle className="h-4 w-4 text-red-600 shrink-0" />,
+}
+
+const formatValue = (id: string, value: number | null) => {
+  if (value === null) return "–"
+  if (["sentenceLength", "passiveVoice", "transitionWords"].includes(id)) return `${value}%`
+  return String(value)
+}
+
+export function ReadabilityPanel({ analysis, analyzing = false }: ReadabilityPanelProps) {
+  return (
+    <div className="p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+        <BookOpen className="h-5 w-5" />
+        Readability
+        {analyzing && <Loader2 className="h-4 w-4 animate-spin text-gray-400" />}
+      </h2>
+
+      {!analysis || analysis.sentenceCount === 0 ? (
+        <p className="text-sm text-gray-500">{analyzing ? "Analyzing content..." : "Add content to see its readability."}</p>
+      ) : (
+        <div className="flex flex-col md:flex-row gap-6">
+          <div className="flex flex-col items-center gap-1">
+            <SEOScoreCircle score={analysis.score} size="lg" />
+            <span className="text-xs text-gray-500">
+              {analysis.sentenceCount} sentences · avg {analysis.sentenceLength.average} words
+            </span>
+          </div>
+
+          <ul className="flex-1 grid gap-2 sm:grid-cols-2">
+            {analysis.checks.map((check) => (
+              <li key={check.id} className="flex items-start gap-2 text-sm" title={check.message || undefined}>
+                {statusIcons[check.status]}
+                <div className="min-w-0">
+                  <p className="text-gray-900">
+                    {check.label}: <span className="font-medium">{formatValue(check.id, check.value)}</span>
+                  </p>
+                  {check.message && <p className="text-xs text-gray-500">{check.message}</p>}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
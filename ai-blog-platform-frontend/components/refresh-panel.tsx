@@ -0,0 +1,230 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { AlertCircle, Check, Link2Off, Loader2, RefreshCcw, TrendingUp, X } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Progress } from "@/components/ui/progress"
+import { useJobProgress } from "@/hooks/use-job-progress"
+import { useToast } from "@/hooks/use-toast"
+import { api } from "@/lib/api"
+import { hasRole } from "@/lib/auth"
+import type { ContentRefresh, RefreshSuggestion, RefreshSuggestionStatus } from "@/types/api"
+
+interface RefreshPanelProps {
+  draftId: string
+  // Block headings/types by block ID, to say where a rewrite applies
+  blockLabels: Record<string, string>
+  // Called after a suggestion was accepted or rejected (content and approval state change)
+  onReviewed?: () => void
+}
+
+const statusStyles: Record<RefreshSuggestionStatus, string> = {
+  pending: "bg-blue-100 text-blue-800",
+  accepted: "bg-green-100 text-green-800",
+  rejected: "bg-gray-100 text-gray-700"
+}
+
+export function RefreshPanel({ draftId, blockLabels, onReviewed }: RefreshPanelProps) {
+  const [refresh, setRefresh] = useState<ContentRefresh | null>(null)
+  const [jobId, setJobId] = useState<string | null>(null)
+  const [canStart, setCanStart] = useState(false)
+  const [canReview, setCanReview] = useState(false)
+  const [busy, setBusy] = useState<string | null>(null)
+  const { job } = useJobProgress(jobId)
+  const { toast } = useToast()
+
+  const loadRefresh = async () => {
+    try {
+      const latest = await api.getContentRefresh(draftId)
+      setRefresh(latest)
+      if (latest.status === "analyzing" && latest.jobId) setJobId(latest.jobId)
+    } catch (error) {
+      console.error('Failed to load content refresh:', error)
+    }
+  }
+
+  useEffect(() => {
+    setCanStart(hasRole("admin", "editor", "writer"))
+    setCanReview(hasRole("admin", "editor", "reviewer"))
+    loadRefresh()
+  }, [draftId])
+
+  useEffect(() => {
+    if (job && ["completed", "failed", "cancelled"].includes(job.status)) {
+      setJobId(null)
+      loadRefresh()
+      onReviewed?.()
+    }
+  }, [job?.status])
+
+  const showError = (title: string, error: any) => {
+    const message = error.message?.match(/"message":"([^"]+)"/)?.[1]
+    toast({ title, description: message || "Please try again.", variant: "destructive" })
+  }
+
+  const startRefresh = async () => {
+    try {
+      setBusy("start")
+      const result = await api.startContentRefresh(draftId)
+      setRefresh(result.refresh)
+      setJobId(result.jobId)
+    } catch (error: any) {
+      console.error('Content refresh failed to start:', error)
+      showError("Refresh failed to start", error)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const review = async (suggestion: RefreshSuggestion, decision: "accept" | "reject") => {
+    try {
+      setBusy(suggestion.id)
+      const result = await api.reviewRefreshSuggestion(draftId, suggestion.id, decision)
+      setRefresh(result.refresh)
+      onReviewed?.()
+    } catch (error: any) {
+      console.error(`Refresh suggestion ${decision} failed:`, error)
+      showError(decision === "accept" ? "Could not apply suggestion" : "Could not reject suggestion", error)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const analyzing = !!jobId || refresh?.status === "analyzing"
+  const findings = refresh?.findings
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <RefreshCcw className="h-5 w-5 text-[#0066cc]" />
+          Content Refresh
+        </CardTitle>
+        <CardDescription>
+          Finds outdated statistics, broken links and topics competitors cover, and suggests targeted rewrites
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {analyzing ? (
+          <div className="space-y-2">
+            <p className="flex items-center gap-2 text-sm text-gray-600">
+              <Loader2 className="h-4 w-4 animate-spin" />
+              {job?.logs?.[job.logs.length - 1]?.message || "Analyzing article..."}
+            </p>
+            <Progress value={job?.progress || 0} />
+          </div>
+        ) : (
+          canStart && (
+            <Button variant="outline" onClick={startRefresh} disabled={!!busy}>
+              {busy === "start" ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <RefreshCcw className="h-4 w-4 mr-2" />}
+              {refresh?.status ? "Analyze again" : "Analyze for refresh"}
+            </Button>
+          )
+        )}
+
+        {refresh?.status === "failed" && (
+          <p className="text-sm text-red-600 flex items-start gap-1">
+            <AlertCircle className="h-4 w-4 mt-0.5 shrink-0" />
+            {refresh.error || "The refresh analysis failed."}
+          </p>
+        )}
+
+        {findings && !analyzing && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            <div className="rounded-lg border p-3">
+              <p className="text-2xl font-semibold">{findings.outdatedStats.length}</p>
+              <p className="text-gray-500">Outdated statistics</p>
+            </div>
+            <div className="rounded-lg border p-3">
+              <p className="text-2xl font-semibold">{findings.deadLinks.length}</p>
+              <p className="text-gray-500">Broken links</p>
+            </div>
+            <div className="rounded-lg border p-3">
+              <p className="text-2xl font-semibold">{findings.missingSections.length}</p>
+              <p className="text-gray-500">Missing sections</p>
+            </div>
+            <div className="rounded-lg border p-3">
+              <p className="text-2xl font-semibold">{findings.seoScore}</p>
+              <p className="text-gray-500">SEO score</p>
+            </div>
+          </div>
+        )}
+
+        {findings && findings.deadLinks.length > 0 && !analyzing && (
+          <div className="space-y-1 text-xs">
+            {findings.deadLinks.map((link) => (
+              <p key={`${link.blockId}-${link.url}`} className="flex items-center gap-1 text-red-700 break-all">
+                <Link2Off className="h-3 w-3 shrink-0" />
+                {link.url} <span className="text-gray-500">({link.reason})</span>
+              </p>
+            ))}
+          </div>
+        )}
+
+        {findings && findings.seoRecommendations.length > 0 && !analyzing && (
+          <ul className="list-disc pl-5 text-xs text-gray-600 space-y-1">
+            {findings.seoRecommendations.map((recommendation) => (
+              <li key={recommendation}>{recommendation}</li>
+            ))}
+          </ul>
+        )}
+
+        {refresh && refresh.suggestions.length > 0 && (
+          <div className="space-y-3">
+            <h4 className="text-sm font-medium">
+              Suggested changes ({refresh.pending} pending)
+            </h4>
+            {refresh.suggestions.map((suggestion) => (
+              <div key={suggestion.id} className="rounded-lg border p-3 space-y-2 text-sm">
+                <div className="flex items-center justify-between gap-2">
+                  <p className="font-medium">
+                    {suggestion.type === "rewrite"
+                      ? `Rewrite: ${blockLabels[suggestion.blockId || ""] || suggestion.blockId}`
+                      : `New section: ${suggestion.heading}`}
+                  </p>
+                  <Badge className={statusStyles[suggestion.status]}>{suggestion.status}</Badge>
+                </div>
+                <div className="flex flex-wrap gap-1">
+                  {suggestion.reasons.map((reason) => (
+                    <Badge key={reason} variant="outline" className="text-xs font-normal">
+                      {reason.startsWith("Covered by") && <TrendingUp className="h-3 w-3 mr-1" />}
+                      {reason}
+                    </Badge>
+                  ))}
+                </div>
+                {suggestion.before && (
+                  <p className="text-red-700 bg-red-50 px-2 py-1 rounded whitespace-pre-line line-through">{suggestion.before}</p>
+                )}
+                <p className="text-green-700 bg-green-50 px-2 py-1 rounded whitespace-pre-line">{suggestion.content}</p>
+                {suggestion.reviewedBy && (
+                  <p className="text-xs text-gray-500">
+                    {suggestion.status} by {suggestion.reviewedBy}
+                    {suggestion.reviewedAt ? ` · ${new Date(suggestion.reviewedAt).toLocaleString()}` : ""}
+                  </p>
+                )}
+                {canReview && suggestion.status === "pending" && (
+                  <div className="flex gap-2">
+                    <Button size="sm" onClick={() => review(suggestion, "accept")} disabled={!!busy} className="bg-[#0066cc] hover:bg-blue-700">
+                      {busy === suggestion.id ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <Check className="h-4 w-4 mr-1" />}
+                      Accept
+                    </Button>
+                    <Button size="sm" variant="outline" onClick={() => review(suggestion, "reject")} disabled={!!busy}>
+                      <X className="h-4 w-4 mr-1" />
+                      Reject
+                    </Button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {refresh?.status === "ready" && refresh.suggestions.length === 0 && !analyzing && (
+          <p className="text-sm text-gray-600">Nothing to refresh — the article looks current.</p>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,264 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { History, Loader2, RotateCcw } from "lucide-react"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Sheet, SheetContent, SheetDescription, SheetHeader, SheetTitle } from "@/components/ui/sheet"
+import { useToast } from "@/hooks/use-toast"
+import { api } from "@/lib/api"
+import type { BlockDiff, DraftRevision, RestoreRevisionResponse, RevisionDiff } from "@/types/api"
+
+interface RevisionHistoryProps {
+  draftId: string
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  onRestored: (result: RestoreRevisionResponse) => void
+  hasUnsavedChanges?: boolean
+}
+
+const stageLabels: Record<string, string> = {
+  "content-generation": "Generated",
+  save: "Saved",
+  "block-regeneration": "AI rewrite",
+  "block-edit": "Block edit",
+  "block-selection": "Block pick",
+  "meta-selection": "Meta change",
+  restore: "Restore",
+  import: "Imported",
+  refresh: "Refresh"
+}
+
+const statusStyles: Record<BlockDiff["status"], string> = {
+  added: "bg-green-50 border-green-200",
+  removed: "bg-red-50 border-red-200",
+  modified: "bg-yellow-50 border-yellow-200",
+  moved: "bg-blue-50 border-blue-200",
+  unchanged: "bg-white border-gray-200"
+}
+
+const blockLabel = (block?: BlockDiff["before"]) => block?.h2 || block?.type || "block"
+
+export function RevisionHistory({ draftId, open, onOpenChange, onRestored, hasUnsavedChanges }: RevisionHistoryProps) {
+  const [revisions, setRevisions] = useState<DraftRevision[]>([])
+  const [selectedVersion, setSelectedVersion] = useState<number | null>(null)
+  const [compareVersion, setCompareVersion] = useState<number | null>(null)
+  const [diff, setDiff] = useState<RevisionDiff | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [restoring, setRestoring] = useState(false)
+  const { toast } = useToast()
+
+  const loadRevisions = async () => {
+    try {
+      setLoading(true)
+      const history = await api.getDraftRevisions(draftId)
+      setRevisions(history)
+      if (history.length > 0) {
+        setSelectedVersion(history[0].version)
+        setCompareVersion(history[1]?.version ?? null)
+      }
+    } catch (error) {
+      console.error('Failed to load revisions:', error)
+      toast({
+        title: "Could not load history",
+        description: "Failed to load the revision history for this draft.",
+        variant: "destructive",
+      })
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    if (open) loadRevisions()
+  }, [open, draftId])
+
+  useEffect(() => {
+    if (!selectedVersion || !compareVersion) {
+      setDiff(null)
+      return
+    }
+
+    api.diffDraftRevisions(draftId, compareVersion, selectedVersion)
+      .then(setDiff)
+      .catch((error) => {
+        console.error('Failed to diff revisions:', error)
+        setDiff(null)
+      })
+  }, [draftId, selectedVersion, compareVersion])
+
+  const handleSelect = (version: number) => {
+    setSelectedVersion(version)
+    const older = revisions.find((revision) => revision.version < version)
+    setCompareVersion(older?.version ?? null)
+  }
+
+  const handleRestore = async () => {
+    if (!selectedVersion) return
+
+    try {
+      setRestoring(true)
+      const result = await api.restoreDraftRevision(draftId, selectedVersion)
+      onRestored(result)
+      toast({
+        title: "Version restored",
+        description: `Restored version ${selectedVersion} as version ${result.version}.`,
+      })
+      await loadRevisions()
+    } catch (error) {
+      console.error('Failed to restore revision:', error)
+      toast({
+        title: "Restore failed",
+        description: "Failed to restore this version. Please try again.",
+        variant: "destructive",
+      })
+    } finally {
+      setRestoring(false)
+    }
+  }
+
+  const changedBlocks = diff?.blocks.filter((block) => block.status !== "unchanged") || []
+  const unchangedCount = (diff?.blocks.length || 0) - changedBlocks.length
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="w-full sm:max-w-3xl overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle className="flex items-center gap-2">
+            <History className="h-5 w-5" />
+            Version History
+          </SheetTitle>
+          <SheetDescription>
+            Every save, block rewrite and meta change is kept as a version. Restoring adds a new version.
+          </SheetDescription>
+        </SheetHeader>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader2 className="h-6 w-6 animate-spin text-blue-600" />
+          </div>
+        ) : revisions.length === 0 ? (
+          <p className="text-sm text-gray-500 py-8 text-center">No versions yet. Save the draft to create one.</p>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-[220px_1fr] gap-4 mt-6">
+            {/* Revision list */}
+            <div className="space-y-2">
+              {revisions.map((revision) => (
+                <button
+                  key={revision._id}
+                  onClick={() => handleSelect(revision.version)}
+                  className={`w-full text-left p-3 rounded-lg border text-xs transition-colors ${
+                    selectedVersion === revision.version ? "bg-blue-50 border-blue-300" : "bg-white border-gray-200 hover:bg-gray-50"
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="font-semibold text-sm">v{revision.version}</span>
+                    <Badge variant="outline" className="text-[10px]">
+                      {stageLabels[revision.stage] || revision.stage}
+                    </Badge>
+                  </div>
+                  <p className="text-gray-500 mt-1">
+                    {new Date(revision.createdAt).toLocaleString()} · {revision.createdBy}
+                  </p>
+                  {revision.summary && <p className="text-gray-600 mt-1 line-clamp-2">{revision.summary}</p>}
+                </button>
+              ))}
+            </div>
+
+            {/* Diff */}
+            <div className="space-y-4">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-sm text-gray-600">Compare v{selectedVersion} with</span>
+                <Select
+                  value={compareVersion ? String(compareVersion) : ""}
+                  onValueChange={(value) => setCompareVersion(Number(value))}
+                >
+                  <SelectTrigger className="w-28 h-8">
+                    <SelectValue placeholder="version" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {revisions
+                      .filter((revision) => revision.version !== selectedVersion)
+                      .map((revision) => (
+                        <SelectItem key={revision._id} value={String(revision.version)}>
+                          v{revision.version}
+                        </SelectItem>
+                      ))}
+                  </SelectContent>
+                </Select>
+
+                <Button
+                  onClick={handleRestore}
+                  disabled={restoring || selectedVersion === revisions[0]?.version}
+                  size="sm"
+                  className="ml-auto bg-[#0066cc] hover:bg-blue-700"
+                >
+                  {restoring ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <RotateCcw className="h-4 w-4 mr-1" />}
+                  Restore v{selectedVersion}
+                </Button>
+              </div>
+
+              {hasUnsavedChanges && (
+                <p className="text-xs text-orange-600">Restoring replaces your unsaved editor changes.</p>
+              )}
+
+              {!diff ? (
+                <p className="text-sm text-gray-500">
+                  {compareVersion ? "Loading differences..." : "This is the first version of the draft."}
+                </p>
+              ) : (
+                <>
+                  {diff.meta.length > 0 && (
+                    <div className="space-y-2">
+                      <h3 className="text-sm font-semibold">Meta changes</h3>
+                      {diff.meta.map((change) => (
+                        <div key={change.field} className="text-xs p-3 rounded-lg border bg-yellow-50 border-yellow-200">
+                          <p className="font-medium mb-1">{change.field}</p>
+                          <p className="text-red-700 line-through">{change.before || "(empty)"}</p>
+                          <p className="text-green-700">{change.after || "(empty)"}</p>
+                        </div>
+                      ))}
+                    </div>
+                  )}
+
+                  <div className="space-y-2">
+                    <h3 className="text-sm font-semibold">
+                      Block changes ({changedBlocks.length})
+                      {unchangedCount > 0 && <span className="font-normal text-gray-500"> · {unchangedCount} unchanged</span>}
+                    </h3>
+
+                    {changedBlocks.length === 0 && <p className="text-xs text-gray-500">No block differences.</p>}
+
+                    {changedBlocks.map((block) => (
+                      <div key={`${block.status}-${block.id}`} className={`text-xs p-3 rounded-lg border ${statusStyles[block.status]}`}>
+                        <div className="flex items-center gap-2 mb-2">
+                          <Badge variant="outline" className="text-[10px] capitalize">{block.status}</Badge>
+                          <span className="font-medium">{blockLabel(block.after || block.before)}</span>
+                          {block.changedFields && block.changedFields.length > 0 && (
+                            <span className="text-gray-500">({block.changedFields.join(", ")})</span>
+                          )}
+                        </div>
+
+                        {block.status === "modified" ? (
+                          <div className="grid grid-cols-2 gap-2">
+                            <p className="whitespace-pre-wrap text-red-700 max-h-48 overflow-y-auto">{block.before?.content || "(empty)"}</p>
+                            <p className="whitespace-pre-wrap text-green-700 max-h-48 overflow-y-auto">{block.after?.content || "(empty)"}</p>
+                          </div>
+                        ) : block.status !== "moved" ? (
+                          <p className="whitespace-pre-wrap text-gray-700 max-h-48 overflow-y-auto">
+                            {(block.after || block.before)?.content || "(empty)"}
+                          </p>
+                        ) : null}
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </SheetContent>
+    </Sheet>
+  )
+}
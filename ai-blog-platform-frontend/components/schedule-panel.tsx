@@ -0,0 +1,145 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { AlertCircle, CalendarClock, Loader2, XCircle } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { useToast } from "@/hooks/use-toast"
+import { api } from "@/lib/api"
+import { hasRole } from "@/lib/auth"
+import type { DraftSchedule, ScheduleStatus } from "@/types/api"
+
+interface SchedulePanelProps {
+  draftId: string
+  // Approval gate from the approval panel; admins may schedule anyway
+  deployable: boolean
+}
+
+const statusStyles: Record<ScheduleStatus, string> = {
+  scheduled: "bg-blue-100 text-blue-800",
+  published: "bg-green-100 text-green-800",
+  failed: "bg-red-100 text-red-800",
+  cancelled: "bg-gray-100 text-gray-700"
+}
+
+export function SchedulePanel({ draftId, deployable }: SchedulePanelProps) {
+  const [schedule, setSchedule] = useState<DraftSchedule | null>(null)
+  const [scheduledAt, setScheduledAt] = useState("")
+  const [canPublish, setCanPublish] = useState(false)
+  const [isAdmin, setIsAdmin] = useState(false)
+  const [busy, setBusy] = useState<"schedule" | "cancel" | null>(null)
+  const { toast } = useToast()
+
+  useEffect(() => {
+    setCanPublish(hasRole("admin", "editor"))
+    setIsAdmin(hasRole("admin"))
+    api.getSchedule(draftId)
+      .then(setSchedule)
+      .catch((error) => console.error('Failed to load schedule:', error))
+  }, [draftId])
+
+  const runAction = async (action: "schedule" | "cancel", request: () => Promise<DraftSchedule>) => {
+    try {
+      setBusy(action)
+      const next = await request()
+      setSchedule(next)
+      if (action === "schedule") {
+        setScheduledAt("")
+        toast({
+          title: "Publishing scheduled",
+          description: `Goes live ${next.localTime} (${next.timezone})`,
+        })
+      }
+    } catch (error: any) {
+      console.error(`Schedule ${action} failed:`, error)
+      const message = error.message?.match(/"message":"([^"]+)"/)?.[1]
+      toast({
+        title: action === "schedule" ? "Scheduling failed" : "Could not cancel schedule",
+        description: message || "Please try again.",
+        variant: "destructive",
+      })
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const isScheduled = schedule?.status === "scheduled"
+  const isPublished = schedule?.wordpressStatus === "published"
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <CalendarClock className="h-5 w-5 text-[#0066cc]" />
+          Schedule Publishing
+        </CardTitle>
+        <CardDescription>
+          Publish on WordPress at a set time{schedule ? ` (${schedule.timezone})` : ""}
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {schedule?.status && (
+          <div className="space-y-1">
+            <div className="flex items-center justify-between">
+              <Badge className={statusStyles[schedule.status]}>{schedule.status}</Badge>
+              {schedule.mode && (
+                <span className="text-xs text-gray-500">
+                  {schedule.mode === "wordpress" ? "Scheduled in WordPress" : "Platform scheduler"}
+                </span>
+              )}
+            </div>
+            {schedule.localTime && (
+              <p className="text-sm text-gray-700">
+                {schedule.localTime} <span className="text-gray-500">{schedule.timezone}</span>
+              </p>
+            )}
+            {schedule.scheduledBy && <p className="text-xs text-gray-500">by {schedule.scheduledBy}</p>}
+            {schedule.error && (
+              <p className="text-xs text-red-600 flex items-start gap-1">
+                <AlertCircle className="h-3 w-3 mt-0.5 shrink-0" />
+                {schedule.error}
+              </p>
+            )}
+          </div>
+        )}
+
+        {canPublish && !isPublished && (
+          <div className="space-y-2">
+            <Input
+              type="datetime-local"
+              value={scheduledAt}
+              onChange={(e) => setScheduledAt(e.target.value)}
+              aria-label="Publish date and time"
+            />
+            <Button
+              onClick={() => runAction("schedule", () => api.scheduleDraft(draftId, scheduledAt, { overrideApproval: !deployable && isAdmin }))}
+              disabled={!!busy || !scheduledAt || (!deployable && !isAdmin)}
+              className="w-full bg-[#0066cc] hover:bg-blue-700"
+            >
+              {busy === "schedule" ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <CalendarClock className="h-4 w-4 mr-2" />}
+              {isScheduled ? "Reschedule" : "Schedule"}
+              {!deployable && isAdmin ? " (admin override)" : ""}
+            </Button>
+            {!deployable && !isAdmin && (
+              <p className="text-xs text-orange-600 text-center">Approve the draft before scheduling it.</p>
+            )}
+
+            {isScheduled && (
+              <Button
+                onClick={() => runAction("cancel", () => api.cancelSchedule(draftId))}
+                disabled={!!busy}
+                variant="outline"
+                className="w-full"
+              >
+                {busy === "cancel" ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <XCircle className="h-4 w-4 mr-2" />}
+                Cancel schedule
+              </Button>
+            )}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,243 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import type { ReactNode } from "react"
+import { AlertTriangle, CheckCircle2, KeyRound, Loader2, Plus, Save, Sparkles, X, XCircle } from "lucide-react"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Input } from "@/components/ui/input"
+import { useToast } from "@/hooks/use-toast"
+import { api } from "@/lib/api"
+import { hasRole } from "@/lib/auth"
+import type { BlogBlock, SecondaryKeyword, SecondaryKeywordCoverage, SecondaryKeywordStatus, SecondaryKeywordSuggestions } from "@/types/api"
+
+interface SecondaryKeywordsPanelProps {
+  draftId: string
+  blocks: BlogBlock[]
+  onCoverageChange?: (coverage: SecondaryKeywordCoverage | null) => void
+}
+
+const MAX_KEYWORDS = 10
+const MAX_TARGET_COUNT = 20
+
+const statusIcons: Record<SecondaryKeywordStatus, ReactNode> = {
+  met: <CheckCircle2 className="h-4 w-4 text-green-600 shrink-0" />,
+  over: <AlertTriangle className="h-4 w-4 text-yellow-600 shrink-0" />,
+  under: <AlertTriangle className="h-4 w-4 text-yellow-600 shrink-0" />,
+  missing: <XCircle className="h-4 w-4 text-red-600 shrink-0" />,
+}
+
+const statusLabels: Record<SecondaryKeywordStatus, string> = {
+  met: "Target met",
+  over: "Used more than twice the target",
+  under: "Below target",
+  missing: "Not used yet",
+}
+
+const sameKeyword = (a: string, b: string) => a.trim().toLowerCase() === b.trim().toLowerCase()
+
+export function SecondaryKeywordsPanel({ draftId, blocks, onCoverageChange }: SecondaryKeywordsPanelProps) {
+  const [keywords, setKeywords] = useState<SecondaryKeyword[]>([])
+  const [coverage, setCoverage] = useState<SecondaryKeywordCoverage | null>(null)
+  const [suggestions, setSuggestions] = useState<SecondaryKeywordSuggestions | null>(null)
+  const [keywordInput, setKeywordInput] = useState("")
+  const [dirty, setDirty] = useState(false)
+  const [canEdit, setCanEdit] = useState(false)
+  const [busy, setBusy] = useState<"suggest" | "save" | null>(null)
+  const { toast } = useToast()
+
+  useEffect(() => {
+    setCanEdit(hasRole("admin", "editor", "writer"))
+    api.getSecondaryKeywords(draftId)
+      .then((result) => {
+        setKeywords(result.secondaryKeywords)
+        setCoverage(result.coverage)
+      })
+      .catch((error) => console.error('Failed to load secondary keywords:', error))
+  }, [draftId])
+
+  // Recount shortly after the blocks or the keyword list stop changing
+  useEffect(() => {
+    if (blocks.length === 0 || keywords.length === 0) {
+      setCoverage(null)
+      return
+    }
+
+    const timeout = setTimeout(async () => {
+      try {
+        setCoverage(await api.secondaryKeywordCoverage(draftId, blocks, keywords))
+      } catch (error) {
+        console.error('Secondary keyword coverage failed:', error)
+      }
+    }, 1000)
+
+    return () => clearTimeout(timeout)
+  }, [blocks, keywords])
+
+  useEffect(() => {
+    onCoverageChange?.(coverage)
+  }, [coverage])
+
+  const addKeyword = (keyword: SecondaryKeyword) => {
+    const name = keyword.keyword.trim()
+    if (!name || keywords.length >= MAX_KEYWORDS || keywords.some((other) => sameKeyword(other.keyword, name))) return
+    setKeywords((current) => [...current, { ...keyword, keyword: name }])
+    setDirty(true)
+  }
+
+  const removeKeyword = (name: string) => {
+    setKeywords((current) => current.filter((keyword) => !sameKeyword(keyword.keyword, name)))
+    setDirty(true)
+  }
+
+  const setTargetCount = (name: string, value: string) => {
+    const targetCount = Math.min(MAX_TARGET_COUNT, Math.max(1, parseInt(value, 10) || 1))
+    setKeywords((current) => current.map((keyword) => keyword.keyword === name ? { ...keyword, targetCount } : keyword))
+    setDirty(true)
+  }
+
+  const showError = (title: string, error: any) => {
+    const message = error.message?.match(/"message":"([^"]+)"/)?.[1]
+    toast({ title, description: message || "Please try again.", variant: "destructive" })
+  }
+
+  const handleSuggest = async () => {
+    try {
+      setBusy("suggest")
+      setSuggestions(await api.suggestSecondaryKeywords(draftId))
+    } catch (error: any) {
+      console.error('Secondary keyword suggestion failed:', error)
+      showError("Could not suggest keywords", error)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleSave = async () => {
+    try {
+      setBusy("save")
+      const saved = await api.saveSecondaryKeywords(draftId, keywords)
+      setKeywords(saved.secondaryKeywords)
+      setDirty(false)
+      toast({ title: "Secondary keywords saved", description: "They are used when regenerating blocks and sent to RankMath on deploy." })
+    } catch (error: any) {
+      console.error('Secondary keywords save failed:', error)
+      showError("Could not save secondary keywords", error)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const coverageOf = (name: string) => coverage?.keywords.find((entry) => entry.keyword === name)
+
+  return (
+    <div className="p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-1 flex items-center gap-2">
+        <KeyRound className="h-5 w-5" />
+        Secondary Keywords
+        {coverage && coverage.total > 0 && (
+          <span className="text-sm font-normal text-gray-500">
+            {coverage.covered}/{coverage.total} on target
+          </span>
+        )}
+      </h2>
+      <p className="text-xs text-gray-500 mb-4">
+        Related keywords woven into the content; the first four are sent to RankMath with the focus keyword.
+      </p>
+
+      {keywords.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">No secondary keywords yet.</p>
+      ) : (
+        <ul className="space-y-2 mb-4">
+          {keywords.map((keyword) => {
+            const entry = coverageOf(keyword.keyword)
+            return (
+              <li key={keyword.keyword} className="flex items-center gap-2 text-sm">
+                {entry ? <span title={statusLabels[entry.status]}>{statusIcons[entry.status]}</span> : <span className="w-4" />}
+                <span className="flex-1 min-w-0 truncate text-gray-900">{keyword.keyword}</span>
+                {keyword.source !== "manual" && (
+                  <Badge variant="outline" className="text-[10px]">{keyword.source}</Badge>
+                )}
+                <span className="text-xs text-gray-500 whitespace-nowrap">{entry ? entry.count : "–"} /</span>
+                <Input
+                  type="number"
+                  min={1}
+                  max={MAX_TARGET_COUNT}
+                  value={keyword.targetCount}
+                  onChange={(e) => setTargetCount(keyword.keyword, e.target.value)}
+                  disabled={!canEdit}
+                  className="h-7 w-16"
+                  aria-label={`Target count for ${keyword.keyword}`}
+                />
+                {canEdit && (
+                  <button onClick={() => removeKeyword(keyword.keyword)} aria-label={`Remove ${keyword.keyword}`}>
+                    <X className="h-4 w-4 text-gray-400 hover:text-gray-700" />
+                  </button>
+                )}
+              </li>
+            )
+          })}
+        </ul>
+      )}
+
+      {canEdit && keywords.length < MAX_KEYWORDS && (
+        <form
+          className="flex gap-2 mb-4"
+          onSubmit={(e) => {
+            e.preventDefault()
+            addKeyword({ keyword: keywordInput, targetCount: 1, source: "manual" })
+            setKeywordInput("")
+          }}
+        >
+          <Input
+            value={keywordInput}
+            onChange={(e) => setKeywordInput(e.target.value)}
+            placeholder="Add a keyword"
+            maxLength={80}
+          />
+          <Button type="submit" variant="outline" size="icon" aria-label="Add keyword">
+            <Plus className="h-4 w-4" />
+          </Button>
+        </form>
+      )}
+
+      {suggestions && (
+        <div className="rounded-lg border border-blue-100 bg-blue-50 p-3 space-y-2 text-sm mb-4">
+          <p className="font-medium text-blue-900">Suggestions</p>
+          <div className="flex flex-wrap gap-1">
+            {suggestions.suggestions.map((suggestion) => (
+              <Button
+                key={suggestion.keyword}
+                size="sm"
+                variant="outline"
+                className="h-7"
+                disabled={keywords.length >= MAX_KEYWORDS || keywords.some((other) => sameKeyword(other.keyword, suggestion.keyword))}
+                onClick={() => addKeyword({ keyword: suggestion.keyword, targetCount: suggestion.targetCount, source: suggestion.source })}
+                title={`From ${suggestion.source}`}
+              >
+                <Plus className="h-3 w-3 mr-1" />
+                {suggestion.keyword}
+              </Button>
+            ))}
+          </div>
+          {suggestions.suggestions.length === 0 && (
+            <p className="text-xs text-gray-600">No related keywords found.</p>
+          )}
+        </div>
+      )}
+
+      {canEdit && (
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={handleSuggest} disabled={!!busy}>
+            {busy === "suggest" ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Sparkles className="h-4 w-4 mr-2" />}
+            Suggest
+          </Button>
+          <Button onClick={handleSave} disabled={!!busy || !dirty} className="flex-1 bg-[#0066cc] hover:bg-blue-700">
+            {busy === "save" ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+            Save
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
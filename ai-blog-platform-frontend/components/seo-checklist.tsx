@@ -0,0 +1,82 @@
+"use client"
+
+import { useState } from "react"
+import { AlertTriangle, CheckCircle2, ChevronDown, ChevronRight, Loader2, Search, XCircle } from "lucide-react"
+import { SEOScoreCircle } from "@/components/seo-score-circle"
+import type { SeoAnalysis, SeoTest } from "@/types/api"
+
+interface SeoChecklistProps {
+  analysis: SeoAnalysis | null
+  scoring?: boolean
+}
+
+const testIcon = (test: SeoTest) => {
+  if (test.passed) return <CheckCircle2 className="h-4 w-4 text-green-600 shrink-0" />
+  if (test.points > 0) return <AlertTriangle className="h-4 w-4 text-yellow-600 shrink-0" />
+  return <XCircle className="h-4 w-4 text-red-600 shrink-0" />
+}
+
+export function SeoChecklist({ analysis, scoring = false }: SeoChecklistProps) {
+  // Groups with failing tests start expanded
+  const [collapsed, setCollapsed] = useState<Record<string, boolean>>({})
+
+  return (
+    <div className="p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+        <Search className="h-5 w-5" />
+        SEO Score
+        {scoring && <Loader2 className="h-4 w-4 animate-spin text-gray-400" />}
+      </h2>
+
+      {!analysis ? (
+        <p className="text-sm text-gray-500">{scoring ? "Scoring the draft..." : "Save the draft to score it."}</p>
+      ) : (
+        <div className="flex flex-col md:flex-row gap-6">
+          <div className="flex flex-col items-center gap-1">
+            <SEOScoreCircle score={analysis.score} size="lg" />
+            <span className="text-xs text-gray-500">{analysis.stats.wordCount} words</span>
+            <span className="text-xs text-gray-500">
+              Keyword density {analysis.stats.keywordDensity}%
+            </span>
+          </div>
+
+          <div className="flex-1 space-y-3">
+            {analysis.groups.map((group) => {
+              const failing = group.tests.filter((test) => !test.passed).length
+              const isCollapsed = collapsed[group.id] ?? failing === 0
+              return (
+                <div key={group.id} className="rounded-md border border-gray-200">
+                  <button
+                    onClick={() => setCollapsed((current) => ({ ...current, [group.id]: !isCollapsed }))}
+                    className="w-full flex items-center justify-between px-3 py-2 text-sm font-medium text-gray-900 hover:bg-gray-50"
+                  >
+                    <span className="flex items-center gap-2">
+                      {isCollapsed ? <ChevronRight className="h-4 w-4" /> : <ChevronDown className="h-4 w-4" />}
+                      {group.label}
+                    </span>
+                    <span className={failing === 0 ? "text-green-600" : "text-gray-500"}>
+                      {failing === 0 ? "All good" : `${failing} to fix`} · {group.score}/{group.maxScore}
+                    </span>
+                  </button>
+                  {!isCollapsed && (
+                    <ul className="border-t border-gray-200 px-3 py-2 space-y-2">
+                      {group.tests.map((test) => (
+                        <li key={test.id} className="flex items-start gap-2 text-sm">
+                          {testIcon(test)}
+                          <div className="min-w-0">
+                            <p className="text-gray-900">{test.label}</p>
+                            <p className="text-xs text-gray-500">{test.message}</p>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -14,9 +14,10 @@ interface SEOScoreCircleProps {
 }
 
 export function SEOScoreCircle({ score, size = "md", showBreakdown = false, breakdown }: SEOScoreCircleProps) {
+  // RankMath's bands, matching the rating from services/seoScoringService.js
   const getColor = (score: number) => {
-    if (score >= 90) return "#00aa66"
-    if (score >= 70) return "#f59e0b"
+    if (score >= 81) return "#00aa66"
+    if (score >= 51) return "#f59e0b"
     return "#ef4444"
   }
 
@@ -0,0 +1,139 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { AlertTriangle, FileSpreadsheet, Loader2, RefreshCw } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { useToast } from "@/hooks/use-toast"
+import { api } from "@/lib/api"
+import type { SheetsSyncStatus } from "@/types/api"
+
+// How often a running sync is checked
+const POLL_INTERVAL_MS = 3000
+
+const resolutionLabels: Record<string, string> = {
+  "kept-app": "kept the app's value",
+  "overwrote-sheet": "sheet edit overwritten",
+  "skipped-duplicate": "copied row skipped",
+  "skipped-unknown": "unknown row ID",
+}
+
+export function SheetsSyncCard() {
+  const [status, setStatus] = useState<SheetsSyncStatus | null>(null)
+  const [jobId, setJobId] = useState<string | null>(null)
+  const { toast } = useToast()
+
+  const loadStatus = () => {
+    api.getSheetsSync()
+      .then(setStatus)
+      .catch((error) => console.error('Failed to load sheet sync status:', error))
+  }
+
+  useEffect(() => {
+    loadStatus()
+  }, [])
+
+  useEffect(() => {
+    if (!jobId) return
+
+    const timer = setInterval(async () => {
+      const job = await api.getJob(jobId).catch(() => null)
+      if (job && ["completed", "failed", "cancelled"].includes(job.status)) {
+        setJobId(null)
+        loadStatus()
+        toast({
+          title: job.status === "completed" ? "Sheet sync finished" : "Sheet sync failed",
+          description: job.error || undefined,
+          variant: job.status === "completed" ? "default" : "destructive",
+        })
+      }
+    }, POLL_INTERVAL_MS)
+
+    return () => clearInterval(timer)
+  }, [jobId])
+
+  const handleSync = async () => {
+    try {
+      const result = await api.startSheetsSync()
+      setJobId(result.jobId)
+    } catch (error: any) {
+      const message = error.message?.match(/"message":"([^"]+)"/)?.[1]
+      toast({ title: "Could not start the sync", description: message || "Please try again.", variant: "destructive" })
+    }
+  }
+
+  const result = status?.lastRun?.result
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-start justify-between gap-4">
+        <div>
+          <CardTitle className="flex items-center gap-2">
+            <FileSpreadsheet className="h-5 w-5" />
+            Keyword sheet sync
+          </CardTitle>
+          <CardDescription>
+            Keywords planned in the "Manual Keywords" sheet become blog entries. Draft status, published URL, SEO score and publish date are written back to each row.
+          </CardDescription>
+        </div>
+        <Button variant="outline" size="sm" onClick={handleSync} disabled={!!jobId || !status?.spreadsheetConfigured}>
+          {jobId ? <Loader2 className="h-4 w-4 mr-1 animate-spin" /> : <RefreshCw className="h-4 w-4 mr-1" />}
+          Sync now
+        </Button>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        {!status ? (
+          <Loader2 className="h-4 w-4 animate-spin text-gray-400" />
+        ) : !status.spreadsheetConfigured ? (
+          <p className="text-gray-500">Set BLOG_DATA_SPREADSHEET_ID on the backend to sync the keyword sheet.</p>
+        ) : (
+          <>
+            <p className="text-gray-600">
+              {status.enabled ? `Runs every ${status.intervalMinutes} minutes` : "No schedule (set SHEETS_SYNC_INTERVAL_MINUTES)"}
+              {status.nextRunAt ? ` · next run ${new Date(status.nextRunAt).toLocaleString()}` : ""}
+            </p>
+
+            {status.lastRun && (
+              <div className="space-y-2">
+                <div className="flex items-center gap-2">
+                  <Badge variant={status.lastRun.status === "completed" ? "secondary" : "destructive"}>{status.lastRun.status}</Badge>
+                  <span className="text-gray-500">{new Date(status.lastRun.completedAt).toLocaleString()}</span>
+                </div>
+                {status.lastRun.error && <p className="text-red-600">{status.lastRun.error}</p>}
+                {result && (
+                  <p className="text-gray-600">
+                    {result.rows} rows · {result.created} new · {result.linked} linked · {result.updated} updated · {result.written} rows written back
+                  </p>
+                )}
+                {result && result.conflicts.length > 0 && (
+                  <div className="rounded-md border border-orange-200 bg-orange-50 p-3 space-y-1">
+                    <p className="flex items-center gap-1 font-medium text-orange-700">
+                      <AlertTriangle className="h-4 w-4" />
+                      {result.conflicts.length} conflict(s)
+                    </p>
+                    {result.conflicts.slice(0, 10).map((conflict, index) => (
+                      <p key={index} className="text-xs text-orange-700">
+                        Row {conflict.rowNumber} ({conflict.focusKeyword}): {conflict.column}, {resolutionLabels[conflict.resolution] || conflict.resolution}
+                        {conflict.sheetValue ? ` - sheet had "${conflict.sheetValue}"` : ""}
+                      </p>
+                    ))}
+                  </div>
+                )}
+                {result && result.failed.length > 0 && (
+                  <div className="space-y-1">
+                    {result.failed.map((failure) => (
+                      <p key={failure.rowNumber} className="text-xs text-red-600">
+                        Row {failure.rowNumber} ({failure.focusKeyword}): {failure.error}
+                      </p>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
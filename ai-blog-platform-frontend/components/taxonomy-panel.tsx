@@ -0,0 +1,235 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { Loader2, Plus, Save, Sparkles, Tags, X } from "lucide-react"
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Input } from "@/components/ui/input"
+import { ScrollArea } from "@/components/ui/scroll-area"
+import { useToast } from "@/hooks/use-toast"
+import { api } from "@/lib/api"
+import { hasRole } from "@/lib/auth"
+import type { DraftTerm, TaxonomySuggestions, WordPressTerm } from "@/types/api"
+
+interface TaxonomyPanelProps {
+  draftId: string
+}
+
+const sameName = (a: string, b: string) => a.trim().toLowerCase() === b.trim().toLowerCase()
+
+export function TaxonomyPanel({ draftId }: TaxonomyPanelProps) {
+  const [available, setAvailable] = useState<{ categories: WordPressTerm[]; tags: WordPressTerm[] }>({ categories: [], tags: [] })
+  const [categoryIds, setCategoryIds] = useState<number[]>([])
+  const [tags, setTags] = useState<DraftTerm[]>([])
+  const [tagInput, setTagInput] = useState("")
+  const [suggestions, setSuggestions] = useState<TaxonomySuggestions | null>(null)
+  const [loadError, setLoadError] = useState<string | null>(null)
+  const [dirty, setDirty] = useState(false)
+  const [canEdit, setCanEdit] = useState(false)
+  const [busy, setBusy] = useState<"suggest" | "save" | null>(null)
+  const { toast } = useToast()
+
+  useEffect(() => {
+    setCanEdit(hasRole("admin", "editor", "writer"))
+    api.getDraftTaxonomy(draftId)
+      .then((taxonomy) => {
+        setAvailable(taxonomy.available)
+        setCategoryIds(taxonomy.selected.categories?.map((category) => category.id!) || [])
+        setTags(taxonomy.selected.tags || [])
+        setLoadError(taxonomy.error || null)
+      })
+      .catch((error) => {
+        console.error('Failed to load categories and tags:', error)
+        setLoadError("Could not load categories and tags.")
+      })
+  }, [draftId])
+
+  const toggleCategory = (id: number) => {
+    setCategoryIds((current) => current.includes(id) ? current.filter((other) => other !== id) : [...current, id])
+    setDirty(true)
+  }
+
+  const addTag = (tag: DraftTerm) => {
+    const name = tag.name.trim()
+    if (!name || tags.some((other) => sameName(other.name, name))) return
+    // Typed names that match an existing tag reuse it instead of creating a duplicate
+    const existing = tag.id ? tag : available.tags.find((other) => sameName(other.name, name))
+    setTags((current) => [...current, existing ? { id: existing.id, name: existing.name } : { name }])
+    setDirty(true)
+  }
+
+  const removeTag = (name: string) => {
+    setTags((current) => current.filter((tag) => !sameName(tag.name, name)))
+    setDirty(true)
+  }
+
+  const showError = (title: string, error: any) => {
+    const message = error.message?.match(/"message":"([^"]+)"/)?.[1]
+    toast({ title, description: message || "Please try again.", variant: "destructive" })
+  }
+
+  const handleSuggest = async () => {
+    try {
+      setBusy("suggest")
+      setSuggestions(await api.suggestDraftTaxonomy(draftId))
+    } catch (error: any) {
+      console.error('Taxonomy suggestion failed:', error)
+      showError("Could not suggest terms", error)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const handleSave = async () => {
+    try {
+      setBusy("save")
+      const saved = await api.saveDraftTaxonomy(draftId, categoryIds, tags)
+      setCategoryIds(saved.categories?.map((category) => category.id!) || [])
+      setTags(saved.tags || [])
+      setDirty(false)
+      toast({ title: "Categories and tags saved", description: "They are applied to the WordPress post on the next deploy." })
+    } catch (error: any) {
+      console.error('Taxonomy save failed:', error)
+      showError("Could not save categories and tags", error)
+    } finally {
+      setBusy(null)
+    }
+  }
+
+  const tagOptions = available.tags.filter((tag) => !tags.some((other) => sameName(other.name, tag.name)))
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <Tags className="h-5 w-5 text-[#0066cc]" />
+          Categories & Tags
+        </CardTitle>
+        <CardDescription>WordPress terms for this post; new tags are created on deploy</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {loadError && <p className="text-xs text-red-600">{loadError}</p>}
+
+        <div className="space-y-2">
+          <h4 className="text-sm font-medium">Categories</h4>
+          {available.categories.length === 0 ? (
+            <p className="text-xs text-gray-500">No categories found on the WordPress site.</p>
+          ) : (
+            <ScrollArea className="max-h-40 pr-3">
+              <div className="space-y-1">
+                {available.categories.map((category) => (
+                  <label key={category.id} className="flex items-center gap-2 text-sm">
+                    <Checkbox
+                      checked={categoryIds.includes(category.id)}
+                      onCheckedChange={() => toggleCategory(category.id)}
+                      disabled={!canEdit}
+                    />
+                    {category.name}
+                    <span className="text-xs text-gray-400">({category.count})</span>
+                  </label>
+                ))}
+              </div>
+            </ScrollArea>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          <h4 className="text-sm font-medium">Tags</h4>
+          <div className="flex flex-wrap gap-1">
+            {tags.length === 0 && <span className="text-xs text-gray-500">No tags</span>}
+            {tags.map((tag) => (
+              <Badge key={tag.name} variant={tag.id ? "secondary" : "outline"} className="gap-1">
+                {tag.name}
+                {!tag.id && <span className="text-[10px] text-green-700">new</span>}
+                {canEdit && (
+                  <button onClick={() => removeTag(tag.name)} aria-label={`Remove ${tag.name}`}>
+                    <X className="h-3 w-3" />
+                  </button>
+                )}
+              </Badge>
+            ))}
+          </div>
+          {canEdit && (
+            <form
+              className="flex gap-2"
+              onSubmit={(e) => {
+                e.preventDefault()
+                addTag({ name: tagInput })
+                setTagInput("")
+              }}
+            >
+              <Input
+                value={tagInput}
+                onChange={(e) => setTagInput(e.target.value)}
+                placeholder="Add a tag"
+                list={`tag-options-${draftId}`}
+                maxLength={60}
+              />
+              <datalist id={`tag-options-${draftId}`}>
+                {tagOptions.map((tag) => (
+                  <option key={tag.id} value={tag.name} />
+                ))}
+              </datalist>
+              <Button type="submit" variant="outline" size="icon" aria-label="Add tag">
+                <Plus className="h-4 w-4" />
+              </Button>
+            </form>
+          )}
+        </div>
+
+        {suggestions && (
+          <div className="rounded-lg border border-blue-100 bg-blue-50 p-3 space-y-2 text-sm">
+            <p className="font-medium text-blue-900">Suggestions</p>
+            <div className="flex flex-wrap gap-1">
+              {suggestions.categories.map((category) => (
+                <Button
+                  key={`category-${category.id}`}
+                  size="sm"
+                  variant="outline"
+                  className="h-7"
+                  disabled={categoryIds.includes(category.id)}
+                  onClick={() => toggleCategory(category.id)}
+                  title={category.reason}
+                >
+                  <Plus className="h-3 w-3 mr-1" />
+                  {category.name}
+                </Button>
+              ))}
+              {suggestions.tags.map((tag) => (
+                <Button
+                  key={`tag-${tag.name}`}
+                  size="sm"
+                  variant="ghost"
+                  className="h-7"
+                  disabled={tags.some((other) => sameName(other.name, tag.name))}
+                  onClick={() => addTag({ id: tag.id ?? undefined, name: tag.name })}
+                >
+                  #{tag.name}
+                  {!tag.existing && <span className="ml-1 text-[10px] text-green-700">new</span>}
+                </Button>
+              ))}
+            </div>
+            {suggestions.categories.length === 0 && suggestions.tags.length === 0 && (
+              <p className="text-xs text-gray-600">No matching terms found.</p>
+            )}
+          </div>
+        )}
+
+        {canEdit && (
+          <div className="flex gap-2">
+            <Button variant="outline" onClick={handleSuggest} disabled={!!busy || !!loadError}>
+              {busy === "suggest" ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Sparkles className="h-4 w-4 mr-2" />}
+              Suggest
+            </Button>
+            <Button onClick={handleSave} disabled={!!busy || !dirty} className="flex-1 bg-[#0066cc] hover:bg-blue-700">
+              {busy === "save" ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Save className="h-4 w-4 mr-2" />}
+              Save
+            </Button>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  )
+}
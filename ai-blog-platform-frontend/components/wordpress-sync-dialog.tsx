@@ -0,0 +1,162 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { AlertTriangle, History, Loader2, Upload } from "lucide-react"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from "@/components/ui/dialog"
+import { ScrollArea } from "@/components/ui/scroll-area"
+import { api } from "@/lib/api"
+import type { WordPressSyncPreview } from "@/types/api"
+
+interface WordPressSyncDialogProps {
+  draftId: string
+  open: boolean
+  onOpenChange: (open: boolean) => void
+  onConfirm: () => void
+}
+
+const fieldLabels: Record<string, string> = {
+  title: "Title (H1)",
+  excerpt: "Excerpt",
+  metaTitle: "SEO title",
+  metaDescription: "Meta description",
+  focusKeyword: "Focus keyword",
+  featuredImage: "Featured image",
+  categories: "Categories",
+  tags: "Tags",
+  content: "Content",
+}
+
+export function WordPressSyncDialog({ draftId, open, onOpenChange, onConfirm }: WordPressSyncDialogProps) {
+  const [preview, setPreview] = useState<WordPressSyncPreview | null>(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    if (!open) return
+
+    setLoading(true)
+    setError(null)
+    api.getWordPressSyncPreview(draftId)
+      .then(setPreview)
+      .catch((error) => {
+        console.error('Failed to load WordPress sync preview:', error)
+        setError(error.message?.match(/"message":"([^"]+)"/)?.[1] || "Could not compare with the WordPress post.")
+      })
+      .finally(() => setLoading(false))
+  }, [open, draftId])
+
+  const fieldChanges = preview?.changes.filter((change) => change.field !== "content") || []
+  const nothingChanged = !!preview?.exists && preview.changes.length === 0
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl">
+        <DialogHeader>
+          <DialogTitle>Update WordPress post</DialogTitle>
+          <DialogDescription>
+            {preview?.wordpressId ? `Post #${preview.wordpressId}` : "WordPress post"}
+            {preview?.postStatus ? ` · ${preview.postStatus}` : ""} — review what will change before syncing
+          </DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="flex items-center justify-center py-10 text-sm text-gray-500">
+            <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+            Comparing with WordPress...
+          </div>
+        ) : (
+          <ScrollArea className="max-h-[60vh] pr-3">
+            <div className="space-y-4">
+              {error && (
+                <p className="text-sm text-red-600">{error}</p>
+              )}
+
+              {preview && !preview.exists && preview.wordpressId && (
+                <div className="rounded-lg border border-amber-200 bg-amber-50 p-3 text-sm text-amber-800 flex items-start gap-2">
+                  <AlertTriangle className="h-4 w-4 mt-0.5 shrink-0" />
+                  The post could not be found in WordPress{preview.error ? ` (${preview.error})` : ""}. Syncing creates a new post.
+                </div>
+              )}
+
+              {nothingChanged && (
+                <p className="text-sm text-gray-600">The WordPress post already matches this draft.</p>
+              )}
+
+              {fieldChanges.length > 0 && (
+                <div className="space-y-2">
+                  <h4 className="text-sm font-medium">Fields</h4>
+                  {fieldChanges.map((change) => (
+                    <div key={change.field} className="rounded-lg border p-3 text-sm space-y-1">
+                      <p className="font-medium">{fieldLabels[change.field] || change.field}</p>
+                      <p className="text-red-700 bg-red-50 px-2 py-1 rounded break-all line-through">{change.before || "(empty)"}</p>
+                      <p className="text-green-700 bg-green-50 px-2 py-1 rounded break-all">{change.after || "(empty)"}</p>
+                    </div>
+                  ))}
+                </div>
+              )}
+
+              {preview?.content?.changed && (
+                <div className="space-y-2">
+                  <h4 className="text-sm font-medium">
+                    Content <span className="text-green-700">+{preview.content.added}</span>{" "}
+                    <span className="text-red-700">-{preview.content.removed}</span>
+                  </h4>
+                  <div className="rounded-lg border font-mono text-xs divide-y">
+                    {preview.content.lines.map((line, index) => (
+                      <p
+                        key={index}
+                        className={`px-2 py-1 break-all ${line.type === "added" ? "bg-green-50 text-green-800" : "bg-red-50 text-red-800"}`}
+                      >
+                        {line.type === "added" ? "+ " : "- "}
+                        {line.text}
+                      </p>
+                    ))}
+                  </div>
+                  {preview.content.lines.length < preview.content.added + preview.content.removed && (
+                    <p className="text-xs text-gray-500">
+                      Showing the first {preview.content.lines.length} of {preview.content.added + preview.content.removed} changed lines
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {preview && preview.history.length > 0 && (
+                <div className="space-y-2">
+                  <h4 className="text-sm font-medium flex items-center gap-1">
+                    <History className="h-4 w-4" />
+                    Sync history
+                  </h4>
+                  {preview.history.map((sync) => (
+                    <div key={sync._id} className="flex items-start justify-between gap-3 text-xs border-b pb-2">
+                      <div>
+                        <Badge variant={sync.success ? "secondary" : "destructive"} className="mr-2 capitalize">{sync.action}</Badge>
+                        v{sync.version} by {sync.syncedBy}
+                        {sync.changedFields.length > 0 && (
+                          <span className="text-gray-500"> · {sync.changedFields.map((field) => fieldLabels[field] || field).join(", ")}</span>
+                        )}
+                        {sync.error && <p className="text-red-600 mt-1">{sync.error}</p>}
+                      </div>
+                      <span className="text-gray-500 whitespace-nowrap">{new Date(sync.createdAt).toLocaleString()}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </ScrollArea>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Cancel
+          </Button>
+          <Button onClick={onConfirm} disabled={loading} className="bg-[#0066cc] hover:bg-blue-700">
+            <Upload className="h-4 w-4 mr-2" />
+            {preview && !preview.exists ? "Create new post" : "Update WordPress post"}
+          </Button>
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,55 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { api } from "@/lib/api"
+import type { Job } from "@/types/api"
+
+const FINISHED_STATUSES = ["completed", "failed", "cancelled"]
+
+// Poll a background job until it finishes
+export function useJobProgress<TResult = any>(jobId: string | null, intervalMs = 1500) {
+  const [job, setJob] = useState<Job<TResult> | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    setJob(null)
+    setError(null)
+    if (!jobId) return
+
+    let cancelled = false
+    let timer: ReturnType<typeof setTimeout> | undefined
+
+    const poll = async () => {
+      try {
+        const latest = await api.getJob<TResult>(jobId)
+        if (cancelled) return
+        setJob(latest)
+        setError(null)
+        if (FINISHED_STATUSES.includes(latest.status)) return
+      } catch (err) {
+        if (cancelled) return
+        setError(err instanceof Error ? err.message : "Failed to load job status")
+      }
+      timer = setTimeout(poll, intervalMs)
+    }
+
+    poll()
+
+    return () => {
+      cancelled = true
+      if (timer) clearTimeout(timer)
+    }
+  }, [jobId, intervalMs])
+
+  // Fetch the job right away, e.g. when a live event reports it finished
+  const refresh = useCallback(async () => {
+    if (!jobId) return
+    try {
+      setJob(await api.getJob<TResult>(jobId))
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to load job status")
+    }
+  }, [jobId])
+
+  return { job, error, refresh }
+}
@@ -0,0 +1,30 @@
+"use client"
+
+import { useEffect, useState } from "react"
+import { api } from "@/lib/api"
+import type { ProgressEvent, ProgressFlow } from "@/types/api"
+
+// Subscribe to the live stage events of a draft over Server-Sent Events
+export function useProgressEvents(draftId: string | null, flow?: ProgressFlow) {
+  const [events, setEvents] = useState<ProgressEvent[]>([])
+  const [connected, setConnected] = useState(false)
+
+  useEffect(() => {
+    if (!draftId || typeof EventSource === "undefined") return
+
+    setEvents([])
+    const source = new EventSource(api.getDraftEventsUrl(draftId, flow))
+
+    source.onopen = () => setConnected(true)
+    // EventSource reconnects by itself and resumes from the last event ID
+    source.onerror = () => setConnected(false)
+    source.addEventListener("progress", (message) => {
+      const event: ProgressEvent = JSON.parse((message as MessageEvent).data)
+      setEvents((previous) => (previous.some((e) => e.id === event.id) ? previous : [...previous, event]))
+    })
+
+    return () => source.close()
+  }, [draftId, flow])
+
+  return { events, connected }
+}
@@ -1,7 +1,44 @@
+import type { ApprovalAction, ApprovalStatus, AuthResponse, BlockComment, BlogBlock, BrandTheme, BrandThemePresets, BrandThemePreview, CalendarAssignee, CalendarEntry, CalendarEntryChanges, CalendarResponse, CommentMention, CommentThread, Company, CompanyInput, CompanyProfile, CompanyPublishingCalendar, CompanySheetsImport, ContentRefresh, DocumentImportResult, DraftSecondaryKeywords, DraftExportFormat, DraftPreview, DraftRevision, DraftSchedule, DraftTaxonomy, DraftTaxonomySelection, DraftTerm, Job, JobStartResponse, ProgressFlow, PublisherInfo, ReadabilityAnalysis, RestoreRevisionResponse, RevisionDiff, SaveDraftResponse, SecondaryKeyword, SecondaryKeywordCoverage, SecondaryKeywordSuggestions, SeoAnalysis, SheetsSyncStatus, TaxonomySuggestions, User, UserRole, WordPressImportPostList, WordPressImportResult, WordPressSyncPreview } from "@/types/api"
+import { authHeaders, clearSession, getAccessToken, getRefreshToken, saveSession } from "@/lib/auth"
+
 const API_BASE_URL = process.env.NEXT_PUBLIC_API_URL || "http://localhost:5000/api"
 
 class ApiClient {
-  private async request<T>(endpoint: string, options?: RequestInit): Promise<T> {
+  private refreshing: Promise<boolean> | null = null
+
+  // Swap the refresh token for a new pair; concurrent 401s share one refresh call
+  private refreshSession(): Promise<boolean> {
+    const refreshToken = getRefreshToken()
+    if (!refreshToken) return Promise.resolve(false)
+
+    if (!this.refreshing) {
+      this.refreshing = fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: "POST",
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      })
+        .then(async (response) => {
+          if (!response.ok) return false
+          saveSession(await response.json())
+          return true
+        })
+        .catch(() => false)
+        .finally(() => {
+          this.refreshing = null
+        })
+    }
+
+    return this.refreshing
+  }
+
+  private redirectToLogin() {
+    clearSession()
+    if (typeof window !== "undefined" && window.location.pathname !== "/login") {
+      window.location.href = `/login?next=${encodeURIComponent(window.location.pathname)}`
+    }
+  }
+
+  private async request<T>(endpoint: string, options?: RequestInit, retryOnUnauthorized = true): Promise<T> {
     const url = `${API_BASE_URL}${endpoint}`
 
     console.log('🔥 API Request:', {
@@ -19,10 +56,12 @@ class ApiClient {
     if (!(options?.body instanceof FormData)) {
       config.headers = {
         'Content-Type': 'application/json',
+        ...authHeaders(),
         ...options?.headers,
       }
     } else {
       config.headers = {
+        ...authHeaders(),
         ...options?.headers,
       }
     }
@@ -38,6 +77,13 @@ class ApiClient {
         ok: response.ok
       });
 
+      if (response.status === 401 && !endpoint.startsWith('/auth/')) {
+        if (retryOnUnauthorized && await this.refreshSession()) {
+          return this.request<T>(endpoint, options, false)
+        }
+        this.redirectToLogin()
+      }
+
       if (!response.ok) {
         const errorText = await response.text();
         console.error('❌ API Error Response:', errorText);
@@ -62,9 +108,174 @@ class ApiClient {
     }
   }
 
+  // Authentication
+  async login(email: string, password: string) {
+    const session = await this.request<AuthResponse>("/auth/login", {
+      method: "POST",
+      body: JSON.stringify({ email, password }),
+    })
+    saveSession(session)
+    return session
+  }
+
+  async logout() {
+    try {
+      await this.request("/auth/logout", { method: "POST" })
+    } finally {
+      clearSession()
+    }
+  }
+
+  async getCurrentUser() {
+    return this.request<User>("/auth/me")
+  }
+
+  async getUsers() {
+    return this.request<User[]>("/auth/users")
+  }
+
+  async createUser(user: { email: string; name: string; password: string; role: UserRole; companies: string[] }) {
+    return this.request<User>("/auth/users", {
+      method: "POST",
+      body: JSON.stringify(user),
+    })
+  }
+
+  async updateUser(userId: string, updates: Partial<Pick<User, "name" | "role" | "companies" | "isActive">> & { password?: string }) {
+    return this.request<User>(`/auth/users/${userId}`, {
+      method: "PUT",
+      body: JSON.stringify(updates),
+    })
+  }
+
+  // Authenticated file download; errors are thrown like request()'s
+  private async requestBlob(endpoint: string, retryOnUnauthorized = true): Promise<{ blob: Blob; fileName: string | null }> {
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, { headers: authHeaders() })
+
+    if (response.status === 401) {
+      if (retryOnUnauthorized && await this.refreshSession()) {
+        return this.requestBlob(endpoint, false)
+      }
+      this.redirectToLogin()
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}, message: ${await response.text()}`)
+    }
+
+    const fileName = response.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1] || null
+    return { blob: await response.blob(), fileName }
+  }
+
   // API methods that make real HTTP requests
-  async getCompanies() {
-    return this.request("/company")
+  async getCompanies(includeArchived = false) {
+    return this.request<Company[]>(`/company${includeArchived ? "?includeArchived=true" : ""}`)
+  }
+
+  async getCompany(companyId: string) {
+    return this.request<CompanyProfile>(`/company/${companyId}`)
+  }
+
+  async createCompany(company: CompanyInput) {
+    return this.request<CompanyProfile>("/company", {
+      method: "POST",
+      body: JSON.stringify(company),
+    })
+  }
+
+  async updateCompany(companyId: string, changes: CompanyInput) {
+    return this.request<CompanyProfile>(`/company/${companyId}`, {
+      method: "PUT",
+      body: JSON.stringify(changes),
+    })
+  }
+
+  async archiveCompany(companyId: string) {
+    return this.request<CompanyProfile>(`/company/${companyId}/archive`, { method: "POST" })
+  }
+
+  async restoreCompany(companyId: string) {
+    return this.request<CompanyProfile>(`/company/${companyId}/restore`, { method: "POST" })
+  }
+
+  async importCompaniesFromSheets() {
+    return this.request<CompanySheetsImport>("/company/import/sheets", { method: "POST" })
+  }
+
+  async getThemePresets() {
+    return this.request<BrandThemePresets>("/company/theme/presets")
+  }
+
+  async getCompanyTheme(companyId: string) {
+    return this.request<{ theme: BrandTheme }>(`/company/${companyId}/theme`)
+  }
+
+  async saveCompanyTheme(companyId: string, theme: BrandTheme) {
+    return this.request<{ theme: BrandTheme }>(`/company/${companyId}/theme`, {
+      method: "PUT",
+      body: JSON.stringify({ theme }),
+    })
+  }
+
+  // Sample post rendered with an unsaved theme
+  async previewCompanyTheme(companyId: string, theme: BrandTheme) {
+    return this.request<BrandThemePreview>(`/company/${companyId}/theme/preview`, {
+      method: "POST",
+      body: JSON.stringify({ theme }),
+    })
+  }
+
+  async getDraftPreview(draftId: string) {
+    return this.request<DraftPreview>(`/blogs/draft/${draftId}/preview`)
+  }
+
+  async exportDraft(draftId: string, format: DraftExportFormat) {
+    return this.requestBlob(`/blogs/draft/${draftId}/export/${format}`)
+  }
+
+  async scoreDraft(draftId: string) {
+    return this.request<SeoAnalysis>(`/blogs/draft/${draftId}/seo-score`, { method: "POST" })
+  }
+
+  // Without contentBlocks the saved blocks are analyzed
+  async analyzeReadability(draftId: string, contentBlocks?: BlogBlock[]) {
+    return this.request<ReadabilityAnalysis>(`/blogs/draft/${draftId}/readability`, {
+      method: "POST",
+      body: JSON.stringify({ contentBlocks }),
+    })
+  }
+
+  async getSecondaryKeywords(draftId: string) {
+    return this.request<DraftSecondaryKeywords>(`/blogs/draft/${draftId}/secondary-keywords`)
+  }
+
+  async saveSecondaryKeywords(draftId: string, secondaryKeywords: SecondaryKeyword[]) {
+    return this.request<DraftSecondaryKeywords>(`/blogs/draft/${draftId}/secondary-keywords`, {
+      method: "PUT",
+      body: JSON.stringify({ secondaryKeywords }),
+    })
+  }
+
+  async suggestSecondaryKeywords(draftId: string) {
+    return this.request<SecondaryKeywordSuggestions>(`/blogs/draft/${draftId}/secondary-keywords/suggestions`, { method: "POST" })
+  }
+
+  // Coverage of unsaved editor blocks against the given keyword list
+  async secondaryKeywordCoverage(draftId: string, contentBlocks: BlogBlock[], secondaryKeywords: SecondaryKeyword[]) {
+    return this.request<SecondaryKeywordCoverage>(`/blogs/draft/${draftId}/secondary-keywords/coverage`, {
+      method: "POST",
+      body: JSON.stringify({ contentBlocks, secondaryKeywords }),
+    })
+  }
+
+  async getPublishers() {
+    return this.request<PublisherInfo[]>("/company/publishers")
+  }
+
+  async testCompanyPublisher(companyId: string) {
+    return this.request<{ platform: string; label: string; success: boolean; message: string; error?: string }>(`/company/${companyId}/publisher/test`, {
+      method: "POST",
+    })
   }
 
   async getKeywords(companyName: string) {
@@ -113,6 +324,222 @@ class ApiClient {
     })
   }
 
+  // Background job variants: return a job ID that the generating-* pages poll
+  async startStructuredContentJob(draftId: string) {
+    return this.request<JobStartResponse>("/blogs/generate-structured-content", {
+      method: "POST",
+      body: JSON.stringify({ draftId, async: true }),
+    })
+  }
+
+  async startMetaScoresJob(draftId: string, selectedKeyword?: string) {
+    return this.request<JobStartResponse>("/blogs/generate-meta-scores", {
+      method: "POST",
+      body: JSON.stringify({ draftId, selectedKeyword, async: true }),
+    })
+  }
+
+  // Review comments
+  async getComments(draftId: string, blockId?: string) {
+    const query = blockId ? `?blockId=${encodeURIComponent(blockId)}` : ""
+    return this.request<CommentThread[]>(`/comments/draft/${draftId}${query}`)
+  }
+
+  async getMentionableUsers(draftId: string) {
+    return this.request<CommentMention[]>(`/comments/draft/${draftId}/mentionable`)
+  }
+
+  async addComment(
+    draftId: string,
+    comment: { blockId?: string; parentId?: string; body: string; range?: { start: number; end: number; quote?: string } }
+  ) {
+    return this.request<BlockComment>(`/comments/draft/${draftId}`, {
+      method: "POST",
+      body: JSON.stringify(comment),
+    })
+  }
+
+  async updateComment(commentId: string, body: string) {
+    return this.request<BlockComment>(`/comments/${commentId}`, {
+      method: "PUT",
+      body: JSON.stringify({ body }),
+    })
+  }
+
+  async deleteComment(commentId: string) {
+    return this.request<{ success: boolean }>(`/comments/${commentId}`, { method: "DELETE" })
+  }
+
+  async setCommentResolved(commentId: string, resolved: boolean) {
+    return this.request<BlockComment>(`/comments/${commentId}/${resolved ? "resolve" : "reopen"}`, { method: "POST" })
+  }
+
+  async startDeployWordPressJob(draftId: string, overrideApproval = false) {
+    return this.request<JobStartResponse>("/blogs/deploy-wordpress", {
+      method: "POST",
+      body: JSON.stringify({ draftId, async: true, overrideApproval }),
+    })
+  }
+
+  // Editorial approval
+  async getApprovalStatus(draftId: string) {
+    return this.request<ApprovalStatus>(`/approvals/${draftId}`)
+  }
+
+  async updateApproval(draftId: string, action: Exclude<ApprovalAction, "override">, comment?: string) {
+    return this.request<ApprovalStatus>(`/approvals/${draftId}/${action}`, {
+      method: "POST",
+      body: JSON.stringify({ comment }),
+    })
+  }
+
+  // Content refresh
+  async getContentRefresh(draftId: string) {
+    return this.request<ContentRefresh>(`/refresh/drafts/${draftId}`)
+  }
+
+  async startContentRefresh(draftId: string, llmProvider?: string) {
+    return this.request<{ jobId: string; refresh: ContentRefresh }>(`/refresh/drafts/${draftId}`, {
+      method: "POST",
+      body: JSON.stringify({ llmProvider }),
+    })
+  }
+
+  async reviewRefreshSuggestion(draftId: string, suggestionId: string, decision: "accept" | "reject", note?: string) {
+    return this.request<{ refresh: ContentRefresh; version?: number }>(`/refresh/drafts/${draftId}/suggestions/${suggestionId}/${decision}`, {
+      method: "POST",
+      body: JSON.stringify({ note }),
+    })
+  }
+
+  async getWordPressSyncPreview(draftId: string) {
+    return this.request<WordPressSyncPreview>(`/blogs/draft/${draftId}/wordpress-sync`)
+  }
+
+  async getDraftTaxonomy(draftId: string) {
+    return this.request<DraftTaxonomy>(`/blogs/draft/${draftId}/taxonomy`)
+  }
+
+  async suggestDraftTaxonomy(draftId: string, llmProvider?: string) {
+    return this.request<TaxonomySuggestions>(`/blogs/draft/${draftId}/taxonomy/suggestions`, {
+      method: "POST",
+      body: JSON.stringify({ llmProvider }),
+    })
+  }
+
+  async saveDraftTaxonomy(draftId: string, categories: number[], tags: DraftTerm[]) {
+    return this.request<DraftTaxonomySelection>(`/blogs/draft/${draftId}/taxonomy`, {
+      method: "PUT",
+      body: JSON.stringify({ categories, tags }),
+    })
+  }
+
+  async getWordPressPosts(params: { companyName: string; page?: number; search?: string; status?: string }) {
+    const query = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value).map(([key, value]) => [key, String(value)])
+    )
+    return this.request<WordPressImportPostList>(`/import/wordpress/posts?${query}`)
+  }
+
+  async importWordPressPosts(companyName: string, postIds: number[]) {
+    return this.request<WordPressImportResult>("/import/wordpress", {
+      method: "POST",
+      body: JSON.stringify({ companyName, postIds }),
+    })
+  }
+
+  async importDocument(companyName: string, file: File, focusKeyword?: string) {
+    const formData = new FormData()
+    formData.append("companyName", companyName)
+    if (focusKeyword) formData.append("focusKeyword", focusKeyword)
+    formData.append("file", file)
+
+    return this.request<DocumentImportResult>("/import/document", {
+      method: "POST",
+      body: formData,
+    })
+  }
+
+  async getSheetsSync() {
+    return this.request<SheetsSyncStatus>("/import/sheets/sync")
+  }
+
+  async startSheetsSync() {
+    return this.request<{ jobId: string }>("/import/sheets/sync", { method: "POST" })
+  }
+
+  async getSchedule(draftId: string) {
+    return this.request<DraftSchedule>(`/schedule/drafts/${draftId}`)
+  }
+
+  // scheduledAt is wall-clock time ("2025-03-01T09:30") in the company timezone unless timezone is given
+  async scheduleDraft(draftId: string, scheduledAt: string, options: { timezone?: string; overrideApproval?: boolean } = {}) {
+    return this.request<DraftSchedule>(`/schedule/drafts/${draftId}`, {
+      method: "POST",
+      body: JSON.stringify({ scheduledAt, ...options }),
+    })
+  }
+
+  async cancelSchedule(draftId: string) {
+    return this.request<DraftSchedule>(`/schedule/drafts/${draftId}`, {
+      method: "DELETE",
+    })
+  }
+
+  async getPublishingCalendar(params: { companyName?: string; from?: string; to?: string } = {}) {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value) as [string, string][])
+    return this.request<CompanyPublishingCalendar[]>(`/schedule/calendar${query.toString() ? `?${query}` : ""}`)
+  }
+
+  async getCalendar(params: { from?: string; to?: string; companyName?: string; assigneeId?: string } = {}) {
+    const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value) as [string, string][])
+    return this.request<CalendarResponse>(`/calendar${query.toString() ? `?${query}` : ""}`)
+  }
+
+  async getUnplannedEntries(companyName?: string) {
+    return this.request<CalendarEntry[]>(`/calendar/unplanned${companyName ? `?companyName=${encodeURIComponent(companyName)}` : ""}`)
+  }
+
+  async getCalendarAssignees(companyName: string) {
+    return this.request<CalendarAssignee[]>(`/calendar/assignees?companyName=${encodeURIComponent(companyName)}`)
+  }
+
+  async createCalendarEntry(input: { companyName: string; focusKeyword: string; targetDate?: string; assigneeId?: string; priority?: number }) {
+    return this.request<CalendarEntry>("/calendar/entries", {
+      method: "POST",
+      body: JSON.stringify(input),
+    })
+  }
+
+  // Returns the entry with the keyword conflicts at its new date
+  async updateCalendarEntry(id: string, changes: CalendarEntryChanges) {
+    return this.request<CalendarEntry>(`/calendar/entries/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(changes),
+    })
+  }
+
+  async getJob<TResult = any>(jobId: string) {
+    return this.request<Job<TResult>>(`/jobs/${jobId}`)
+  }
+
+  async retryJob(jobId: string) {
+    return this.request<JobStartResponse>(`/jobs/${jobId}/retry`, {
+      method: "POST",
+    })
+  }
+
+  // EventSource URL for live progress on a draft
+  // EventSource cannot send an Authorization header, so the token goes in the query string
+  getDraftEventsUrl(draftId: string, flow?: ProgressFlow) {
+    const params = new URLSearchParams()
+    if (flow) params.set("flow", flow)
+    const token = getAccessToken()
+    if (token) params.set("access_token", token)
+    const query = params.toString()
+    return `${API_BASE_URL}/blogs/draft/${draftId}/events${query ? `?${query}` : ""}`
+  }
+
   async regenerateBlock(
     draftId: string,
     blockId: string,
@@ -126,6 +553,37 @@ class ApiClient {
     })
   }
 
+  async getBlockAlternatives(draftId: string, blockId: string) {
+    return this.request<BlogBlock>(`/blogs/draft/${draftId}/blocks/${blockId}/alternatives`)
+  }
+
+  async generateBlockAlternatives(draftId: string, blockId: string, count = 2, customPrompt?: string) {
+    return this.request<BlogBlock>(`/blogs/draft/${draftId}/blocks/${blockId}/alternatives`, {
+      method: "POST",
+      body: JSON.stringify({ count, customPrompt }),
+    })
+  }
+
+  async selectBlockAlternative(draftId: string, blockId: string, alternativeId: string) {
+    return this.request<BlogBlock>(`/blogs/draft/${draftId}/blocks/${blockId}/select`, {
+      method: "POST",
+      body: JSON.stringify({ alternativeId }),
+    })
+  }
+
+  async mergeBlockAlternatives(draftId: string, blockId: string, content: string, alternativeIds: string[]) {
+    return this.request<BlogBlock>(`/blogs/draft/${draftId}/blocks/${blockId}/merge`, {
+      method: "POST",
+      body: JSON.stringify({ content, alternativeIds }),
+    })
+  }
+
+  async revertBlock(draftId: string, blockId: string) {
+    return this.request<BlogBlock>(`/blogs/draft/${draftId}/blocks/${blockId}/revert`, {
+      method: "POST",
+    })
+  }
+
   async generateLinks(draftId: string) {
     return this.request("/blogs/generate-links", {
       method: "POST",
@@ -155,7 +613,7 @@ class ApiClient {
     wordCount?: number,
     lastModified?: Date
   }) {
-    return this.request(`/blogs/draft/${draftId}/save`, {
+    return this.request<SaveDraftResponse>(`/blogs/draft/${draftId}/save`, {
       method: "PUT",
       body: JSON.stringify(draftData),
     })
@@ -165,6 +623,24 @@ class ApiClient {
     return this.request(`/blogs/draft/${draftId}`)
   }
 
+  async getDraftRevisions(draftId: string) {
+    return this.request<DraftRevision[]>(`/blogs/draft/${draftId}/revisions`)
+  }
+
+  async getDraftRevision(draftId: string, version: number) {
+    return this.request<DraftRevision>(`/blogs/draft/${draftId}/revisions/${version}`)
+  }
+
+  async diffDraftRevisions(draftId: string, from: number, to: number) {
+    return this.request<RevisionDiff>(`/blogs/draft/${draftId}/revisions/diff?from=${from}&to=${to}`)
+  }
+
+  async restoreDraftRevision(draftId: string, version: number) {
+    return this.request<RestoreRevisionResponse>(`/blogs/draft/${draftId}/revisions/${version}/restore`, {
+      method: "POST",
+    })
+  }
+
   async listDrafts() {
     return this.request("/blogs/drafts")
   }
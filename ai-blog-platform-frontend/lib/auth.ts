@@ -0,0 +1,44 @@
+import type { AuthResponse, User, UserRole } from "@/types/api"
+
+const TOKEN_KEY = "auth_token"
+const REFRESH_TOKEN_KEY = "auth_refresh_token"
+const USER_KEY = "auth_user"
+
+// Session is kept in localStorage so it survives reloads and new tabs
+export function getAccessToken(): string | null {
+  if (typeof window === "undefined") return null
+  return localStorage.getItem(TOKEN_KEY)
+}
+
+export function getRefreshToken(): string | null {
+  if (typeof window === "undefined") return null
+  return localStorage.getItem(REFRESH_TOKEN_KEY)
+}
+
+export function getStoredUser(): User | null {
+  if (typeof window === "undefined") return null
+  const stored = localStorage.getItem(USER_KEY)
+  return stored ? JSON.parse(stored) : null
+}
+
+export function saveSession(session: AuthResponse) {
+  localStorage.setItem(TOKEN_KEY, session.token)
+  localStorage.setItem(REFRESH_TOKEN_KEY, session.refreshToken)
+  localStorage.setItem(USER_KEY, JSON.stringify(session.user))
+}
+
+export function clearSession() {
+  localStorage.removeItem(TOKEN_KEY)
+  localStorage.removeItem(REFRESH_TOKEN_KEY)
+  localStorage.removeItem(USER_KEY)
+}
+
+export function authHeaders(): Record<string, string> {
+  const token = getAccessToken()
+  return token ? { Authorization: `Bearer ${token}` } : {}
+}
+
+export function hasRole(...roles: UserRole[]) {
+  const user = getStoredUser()
+  return !!user && roles.includes(user.role)
+}
@@ -4,8 +4,14 @@ export interface Company {
   servicesOffered: string
   serviceOverview: string
   aboutTheCompany: string
+  tone?: CompanyTone
+  platform?: PublishPlatform
+  isActive?: boolean
+  archivedAt?: string | null
 }
 
+export type CompanyTone = 'professional' | 'casual' | 'technical' | 'friendly' | 'authoritative'
+
 // Backend Company model structure (for reference)
 export interface BackendCompany {
   _id: string
@@ -13,12 +19,62 @@ export interface BackendCompany {
   servicesOffered: Array<{name: string, description?: string}> | string
   serviceOverview: string
   aboutCompany: string
-  tone: 'professional' | 'casual' | 'technical' | 'friendly' | 'authoritative'
+  tone: CompanyTone
   brandVoice: string
   targetAudience: string[]
+  timezone?: string
   isActive: boolean
 }
 
+// GET /company/:id; secrets are never sent back, configuredSecrets lists the ones that are set
+export interface CompanyProfile extends Omit<BackendCompany, 'servicesOffered'> {
+  id: string
+  servicesOffered: { name: string; description?: string }[]
+  requiredApprovals?: number
+  archivedAt?: string | null
+  wordpressConfig?: {
+    baseUrl?: string
+    username?: string
+    isActive?: boolean
+    connectionStatus?: 'connected' | 'failed' | 'not-tested'
+    lastConnectionTest?: string
+    nativeScheduling?: boolean
+  }
+  publishingConfig?: {
+    platform?: PublishPlatform
+  }
+  theme: BrandTheme
+  configuredSecrets: string[]
+}
+
+// POST /company and PUT /company/:id; a blank secret keeps the stored one on update
+export interface CompanyInput {
+  name?: string
+  servicesOffered?: { name: string; description?: string }[]
+  serviceOverview?: string
+  aboutCompany?: string
+  tone?: CompanyTone
+  brandVoice?: string
+  targetAudience?: string[]
+  timezone?: string
+  requiredApprovals?: number
+  wordpressConfig?: {
+    baseUrl?: string
+    username?: string
+    appPassword?: string
+    nativeScheduling?: boolean
+  }
+  publishingConfig?: {
+    platform?: PublishPlatform
+  }
+}
+
+export interface CompanySheetsImport {
+  created: string[]
+  skipped: string[]
+  failed: { name: string; error: string }[]
+}
+
 export interface Draft {
   id: string
   companyName: string
@@ -26,6 +82,11 @@ export interface Draft {
   currentStep: number
   status: "draft" | "published"
   lastEdited: string
+  // Created from an existing WordPress post or an uploaded document
+  imported?: boolean
+  // Latest SEO score, null until the draft is first saved
+  seoScore?: number | null
+  comments?: { open: number; total: number }
 }
 
 // Backend Draft model structure (for reference)
@@ -42,13 +103,18 @@ export interface BackendDraft {
     caption: string
   }
   contentBlocks: string[]
-  wordpressStatus: 'not-sent' | 'draft' | 'published' | 'failed'
+  wordpressStatus: 'not-sent' | 'draft' | 'scheduled' | 'published' | 'failed'
   wordpressId?: number
-  seoAnalysis?: {
-    score: number
-    issues: string[]
-    suggestions: string[]
+  // Post the draft was last deployed as, on any platform
+  publication?: {
+    platform: PublishPlatform
+    externalId: string | null
+    url: string | null
+    editUrl: string | null
+    status: string | null
+    updatedAt: string | null
   }
+  seoAnalysis?: SeoAnalysis
   version: number
 }
 
@@ -111,6 +177,28 @@ export interface BlogBlock {
     title: string
     description?: string
   }>
+  alternatives?: BlockAlternative[]
+  metadata?: BlockMetadata
+}
+
+// Earlier or candidate text of a block (see backend services/blockAlternativeService.js)
+export interface BlockAlternative {
+  id: string
+  content: string
+  source: string
+  provider?: string | null
+  model?: string | null
+  createdAt: string
+}
+
+// Where the current block text came from
+export interface BlockMetadata {
+  source?: string
+  provider?: string | null
+  model?: string | null
+  selectedAlternativeId?: string | null
+  mergedFrom?: string[]
+  updatedAt?: string
 }
 
 export interface InternalLink {
@@ -167,3 +255,670 @@ export interface BackendContentBlock {
     createdAt: Date
   }>
 }
+
+// Background job (see backend models/Job.js)
+export type JobType = 'generate-structured-content' | 'generate-meta-scores' | 'generate-image' | 'deploy-wordpress' | 'publish-wordpress' | 'refresh-content' | 'sync-sheets'
+export type JobStatus = 'queued' | 'running' | 'completed' | 'failed' | 'cancelled'
+
+export interface JobLog {
+  stage: string
+  message: string
+  progress?: number
+  level: 'info' | 'warn' | 'error'
+  createdAt: string
+}
+
+export interface Job<TResult = any> {
+  _id: string
+  type: JobType
+  status: JobStatus
+  draftId?: string
+  progress: number
+  stage?: string
+  logs: JobLog[]
+  result?: TResult
+  error?: string
+  attempts: number
+  maxAttempts: number
+  createdAt: string
+  completedAt?: string
+}
+
+export interface JobStartResponse {
+  success: boolean
+  jobId: string
+  status: JobStatus
+}
+
+// Live stage event streamed from /blogs/draft/:draftId/events
+export type ProgressFlow = 'keywords' | 'meta' | 'content' | 'image' | 'deploy' | 'refresh'
+
+export interface ProgressEvent {
+  id: number
+  draftId: string
+  flow: ProgressFlow | null
+  stage: string
+  message: string
+  progress: number | null
+  level: 'info' | 'warn' | 'error'
+  jobId: string | null
+  status: JobStatus | null
+  timestamp: string
+}
+
+// Immutable draft revision (see backend models/DraftRevision.js)
+export type RevisionStage = 'content-generation' | 'save' | 'block-regeneration' | 'block-edit' | 'block-selection' | 'meta-selection' | 'restore' | 'import' | 'refresh'
+
+export interface DraftRevision {
+  _id: string
+  draftId: string
+  version: number
+  stage: RevisionStage
+  createdBy: string
+  summary?: string
+  restoredFrom?: number
+  createdAt: string
+  snapshot?: {
+    title?: string
+    metaTitle?: string
+    metaDescription?: string
+    selectedKeyword?: string
+    selectedH1?: string
+    selectedMetaTitle?: string
+    selectedMetaDescription?: string
+    generatedContent?: any
+  }
+}
+
+export interface BlockDiff {
+  id: string
+  status: 'added' | 'removed' | 'modified' | 'moved' | 'unchanged'
+  type?: string
+  changedFields?: string[]
+  before?: BlogBlock
+  after?: BlogBlock
+}
+
+export interface RevisionDiff {
+  from: Pick<DraftRevision, 'version' | 'stage' | 'createdBy' | 'createdAt'>
+  to: Pick<DraftRevision, 'version' | 'stage' | 'createdBy' | 'createdAt'>
+  meta: Array<{ field: string; before: string | null; after: string | null }>
+  blocks: BlockDiff[]
+}
+
+export interface RestoreRevisionResponse {
+  success: boolean
+  message: string
+  version: number
+  blocks: BlogBlock[]
+  uploadedImages: Record<string, string>
+  selectedH1?: string
+  selectedMetaTitle?: string
+  selectedMetaDescription?: string
+}
+
+// Users and authentication
+export type UserRole = 'admin' | 'editor' | 'writer' | 'reviewer'
+
+export interface User {
+  _id: string
+  email: string
+  name: string
+  role: UserRole
+  companies: string[]
+  isActive: boolean
+  lastLoginAt?: string
+  createdAt: string
+  updatedAt: string
+}
+
+export interface AuthResponse {
+  token: string
+  refreshToken: string
+  user: User
+}
+
+// Editorial approval workflow
+export type ApprovalState = 'not_submitted' | 'submitted' | 'in_review' | 'changes_requested' | 'approved'
+export type ApprovalAction = 'submit' | 'start-review' | 'request-changes' | 'approve' | 'comment' | 'override'
+
+export interface ApprovalHistoryEntry {
+  _id: string
+  action: ApprovalAction
+  fromState: ApprovalState
+  toState: ApprovalState
+  userId: string
+  userName: string
+  role: UserRole
+  comment?: string
+  version: number
+  createdAt: string
+}
+
+export interface ApprovalStatus {
+  state: ApprovalState
+  requiredApprovals: number
+  approvals: { userId: string; name: string; approvedAt: string }[]
+  submittedBy: string | null
+  submittedAt: string | null
+  approvedAt: string | null
+  approvedVersion: number | null
+  currentVersion: number
+  stale: boolean
+  deployable: boolean
+  // Refresh suggestions still waiting for a reviewer; deployment is blocked until there are none
+  pendingRefreshChanges: number
+  history: ApprovalHistoryEntry[]
+}
+
+// Content refresh of stale articles
+export type RefreshStatus = 'analyzing' | 'ready' | 'failed'
+export type RefreshSuggestionStatus = 'pending' | 'accepted' | 'rejected'
+
+export interface RefreshFindings {
+  outdatedStats: { blockId: string; sentence: string; year: number }[]
+  deadLinks: { blockId: string; url: string; status: number | null; reason: string }[]
+  missingSections: { heading: string; competitors: string[] }[]
+  seoScore: number
+  seoRecommendations: string[]
+  sources: { title: string; url: string; publishedAt?: string }[]
+}
+
+export interface RefreshSuggestion {
+  id: string
+  type: 'rewrite' | 'new-section'
+  blockId?: string
+  afterBlockId?: string
+  heading?: string
+  reasons: string[]
+  before?: string
+  content: string
+  provider?: string
+  model?: string
+  status: RefreshSuggestionStatus
+  reviewedBy?: string
+  reviewedAt?: string
+  note?: string
+}
+
+export interface ContentRefresh {
+  status: RefreshStatus | null
+  jobId: string | null
+  requestedBy: string | null
+  startedAt: string | null
+  completedAt: string | null
+  error: string | null
+  findings: RefreshFindings | null
+  suggestions: RefreshSuggestion[]
+  pending: number
+}
+
+// Review comments anchored to content blocks
+export interface CommentMention {
+  userId: string
+  name: string
+  email: string
+}
+
+export interface BlockComment {
+  _id: string
+  draftId: string
+  blockId: string
+  range?: { start: number; end: number; quote?: string }
+  parentId: string | null
+  body: string
+  authorId: string
+  authorName: string
+  authorRole: UserRole
+  mentions: CommentMention[]
+  resolved: boolean
+  resolvedBy?: string | null
+  resolvedAt?: string | null
+  createdAt: string
+  updatedAt: string
+}
+
+export interface CommentThread extends BlockComment {
+  replies: BlockComment[]
+}
+
+// Scheduled WordPress publishing
+export type ScheduleStatus = 'scheduled' | 'published' | 'failed' | 'cancelled'
+// 'wordpress' = WordPress publishes the post itself ("future" status), 'internal' = platform job queue
+export type ScheduleMode = 'wordpress' | 'internal'
+
+export interface DraftSchedule {
+  status: ScheduleStatus | null
+  scheduledAt: string | null
+  localTime: string | null
+  timezone: string
+  mode: ScheduleMode | null
+  jobId: string | null
+  scheduledBy: string | null
+  error: string | null
+  wordpressStatus: BackendDraft['wordpressStatus']
+  wordpressId: number | null
+  publishedAt: string | null
+}
+
+export interface CalendarPost {
+  draftId: string
+  title: string
+  keyword: string
+  wordpressStatus: BackendDraft['wordpressStatus']
+  wordpressId: number | null
+  approvalState: ApprovalState
+  scheduleStatus: ScheduleStatus | null
+  scheduledAt: string | null
+  localTime: string | null
+  mode: ScheduleMode | null
+  error: string | null
+  publishedAt: string | null
+  updatedAt: string
+}
+
+export interface CompanyPublishingCalendar {
+  companyId: string
+  companyName: string
+  timezone: string
+  scheduled: CalendarPost[]
+  published: CalendarPost[]
+  pending: CalendarPost[]
+}
+
+// Content calendar (planned BlogData entries)
+export type BlogDataStatus = 'pending' | 'in-progress' | 'completed' | 'published'
+
+export interface CalendarAssignee {
+  userId: string
+  name: string
+  email: string
+  role?: UserRole
+}
+
+// Another entry of the same company targeting the same focus keyword within the conflict window
+export interface CalendarConflict {
+  _id: string
+  focusKeyword: string
+  targetDate: string
+  daysApart: number
+}
+
+export interface CalendarEntry {
+  _id: string
+  focusKeyword: string
+  articleFormat: string
+  wordCount: number
+  companyId: string
+  companyName: string | null
+  priority: number
+  status: BlogDataStatus
+  targetDate: string | null
+  assignee: CalendarAssignee | null
+  conflicts: CalendarConflict[]
+}
+
+export interface CalendarResponse {
+  entries: CalendarEntry[]
+  conflictWindowDays: number
+}
+
+export interface CalendarEntryChanges {
+  targetDate?: string | null
+  assigneeId?: string | null
+  priority?: number
+  status?: BlogDataStatus
+}
+
+// Downloadable draft formats (GET /blogs/draft/:draftId/export/:format)
+export type DraftExportFormat = 'markdown' | 'html' | 'docx' | 'pdf'
+
+// RankMath-style SEO score (POST /blogs/draft/:draftId/seo-score, recomputed on every save)
+export type SeoRating = 'good' | 'ok' | 'poor'
+
+export interface SeoTest {
+  id: string
+  label: string
+  passed: boolean
+  points: number
+  maxPoints: number
+  message: string
+}
+
+export interface SeoTestGroup {
+  id: 'basic' | 'additional' | 'titleReadability' | 'contentReadability'
+  label: string
+  score: number
+  maxScore: number
+  tests: SeoTest[]
+}
+
+export interface SeoAnalysis {
+  score: number
+  rating: SeoRating
+  // Messages of failed and partially passed tests
+  issues: string[]
+  suggestions: string[]
+  groups: SeoTestGroup[]
+  stats: {
+    wordCount: number
+    keywordCount: number
+    keywordDensity: number
+    internalLinks: number
+    externalLinks: number
+    images: number
+    readabilityScore: number
+  }
+  analyzedAt: string
+}
+
+export interface SaveDraftResponse {
+  success: boolean
+  message: string
+  lastSaved: string
+  wordCount: number
+  version?: number
+  seoAnalysis: SeoAnalysis | null
+}
+
+// Readability analysis of a draft's blocks (POST /blogs/draft/:draftId/readability)
+export type ReadabilityStatus = 'good' | 'ok' | 'poor'
+
+export interface ReadabilityCheck {
+  id: 'fleschReadingEase' | 'sentenceLength' | 'paragraphLength' | 'passiveVoice' | 'transitionWords' | 'consecutiveStarts'
+  label: string
+  status: ReadabilityStatus
+  value: number | null
+  points: number
+  maxPoints: number
+  message: string | null
+}
+
+export interface ReadabilityIssue {
+  type: ReadabilityCheck['id'] | 'flesch'
+  message: string
+  // Start of the sentence the issue is about
+  excerpt?: string
+}
+
+export interface ReadabilityAnalysis {
+  score: number
+  wordCount: number
+  sentenceCount: number
+  paragraphCount: number
+  fleschReadingEase: number | null
+  sentenceLength: {
+    average: number
+    longSentences: number
+    longSentenceRatio: number
+    distribution: { short: number; medium: number; long: number; veryLong: number }
+  }
+  paragraphLength: { average: number; longParagraphs: number }
+  passiveVoice: { count: number; ratio: number }
+  transitionWords: { count: number; ratio: number }
+  consecutiveStarts: { blockId: string; word: string; count: number; excerpt: string }[]
+  checks: ReadabilityCheck[]
+  recommendations: string[]
+  // Only blocks with issues are listed
+  blocks: { blockId: string; fleschReadingEase: number | null; issues: ReadabilityIssue[] }[]
+}
+
+// Secondary/LSI keywords of a draft (/blogs/draft/:draftId/secondary-keywords)
+export type SecondaryKeywordSource = 'serp' | 'perplexity' | 'manual'
+
+export interface SecondaryKeyword {
+  keyword: string
+  targetCount: number
+  source: SecondaryKeywordSource
+}
+
+export type SecondaryKeywordStatus = 'missing' | 'under' | 'met' | 'over'
+
+export interface SecondaryKeywordCoverage {
+  keywords: {
+    keyword: string
+    targetCount: number
+    count: number
+    status: SecondaryKeywordStatus
+    blockIds: string[]
+  }[]
+  // Occurrences of each keyword per text block
+  blocks: { blockId: string; type: string; keywords: Record<string, number> }[]
+  covered: number
+  total: number
+}
+
+export interface DraftSecondaryKeywords {
+  secondaryKeywords: SecondaryKeyword[]
+  coverage: SecondaryKeywordCoverage
+}
+
+export interface SecondaryKeywordSuggestions {
+  suggestions: (SecondaryKeyword & { selected: boolean })[]
+}
+
+// Platform a company's drafts are deployed to (Company.publishingConfig.platform)
+export type PublishPlatform = 'wordpress' | 'ghost' | 'webflow' | 'markdown'
+
+export interface PublisherCapabilities {
+  scheduling: boolean
+  taxonomy: boolean
+  syncPreview: boolean
+}
+
+export interface PublisherInfo {
+  name: PublishPlatform
+  label: string
+  capabilities: PublisherCapabilities
+}
+
+// Returned with a draft: where it deploys to and the post it was last deployed as
+export interface DraftPublishing {
+  platform: PublishPlatform
+  label: string
+  capabilities: PublisherCapabilities
+  externalId: string | null
+  url: string | null
+  editUrl: string | null
+}
+
+// Re-syncing a deployed draft to its existing WordPress post
+export type WordPressSyncAction = 'import' | 'create' | 'update' | 'recreate'
+
+export interface WordPressSync {
+  _id: string
+  action: WordPressSyncAction
+  wordpressId: number | null
+  platform?: PublishPlatform
+  externalId?: string | null
+  changedFields: string[]
+  featuredImageUrl?: string
+  version: number
+  syncedBy: string
+  success: boolean
+  error?: string
+  createdAt: string
+}
+
+export interface WordPressFieldChange {
+  field: string
+  before: string | null
+  after: string | null
+}
+
+export interface WordPressSyncPreview {
+  wordpressId: number | null
+  // false when the draft was never deployed or its post was deleted in WordPress
+  exists: boolean
+  error?: string
+  postStatus?: string
+  link?: string
+  changes: WordPressFieldChange[]
+  content: {
+    changed: boolean
+    added: number
+    removed: number
+    lines: { type: 'added' | 'removed'; text: string }[]
+  } | null
+  history: WordPressSync[]
+}
+
+// WordPress categories and tags
+export interface WordPressTerm {
+  id: number
+  name: string
+  slug: string
+  count: number
+  parent: number
+}
+
+// Picked terms on a draft; tags without an id are created in WordPress on deploy
+export interface DraftTerm {
+  id?: number
+  name: string
+}
+
+export interface DraftTaxonomySelection {
+  // null until terms were picked for the draft
+  categories: DraftTerm[] | null
+  tags: DraftTerm[] | null
+}
+
+export interface DraftTaxonomy {
+  selected: DraftTaxonomySelection
+  available: { categories: WordPressTerm[]; tags: WordPressTerm[] }
+  error?: string
+}
+
+export interface TaxonomySuggestions {
+  categories: { id: number; name: string; reason: string }[]
+  tags: { id: number | null; name: string; existing: boolean }[]
+  source: string
+}
+
+// Importing existing WordPress posts as drafts
+export interface WordPressImportPost {
+  wordpressId: number
+  title: string
+  status: string
+  link: string
+  date: string
+  modified: string
+  focusKeyword: string | null
+  // Set once the post has been imported
+  draftId: string | null
+}
+
+export interface WordPressImportPostList {
+  posts: WordPressImportPost[]
+  pagination: { page: number; perPage: number; total: number; totalPages: number }
+}
+
+export interface WordPressImportResult {
+  imported: { wordpressId: number; draftId: string; title: string; blocks: number }[]
+  skipped: { wordpressId: number; draftId: string }[]
+  failed: { wordpressId: number; error: string }[]
+}
+
+// Two-way sync of the "Manual Keywords" sheet (result of a sync-sheets job)
+export interface SheetsSyncConflict {
+  rowNumber: number
+  focusKeyword: string
+  column: string
+  sheetValue: string
+  appValue: string
+  // kept-app, overwrote-sheet, skipped-duplicate or skipped-unknown
+  resolution: string
+}
+
+export interface SheetsSyncResult {
+  spreadsheetId: string
+  sheetTitle: string
+  syncedAt: string
+  rows: number
+  created: number
+  linked: number
+  updated: number
+  written: number
+  conflicts: SheetsSyncConflict[]
+  failed: { rowNumber: number; focusKeyword: string; error: string }[]
+}
+
+export interface SheetsSyncStatus {
+  enabled: boolean
+  intervalMinutes: number
+  spreadsheetConfigured: boolean
+  nextRunAt: string | null
+  running: boolean
+  lastRun: {
+    jobId: string
+    status: JobStatus
+    completedAt: string
+    error: string | null
+    result: SheetsSyncResult | null
+  } | null
+}
+
+// Importing a Markdown or Word document as a draft
+export interface DocumentImportResult {
+  draftId: string
+  title: string
+  focusKeyword: string
+  blocks: number
+  wordCount: number
+  // Parts of the document that could not be imported (e.g. relative image paths)
+  warnings: string[]
+}
+
+// Per-company brand theme used when rendering posts
+export interface BrandThemeLink {
+  title: string
+  url: string
+  description?: string
+}
+
+export interface BrandTheme {
+  colors: {
+    heading: string
+    subheading: string
+    text: string
+    link: string
+    accent: string
+    background: string
+  }
+  fonts: { heading: string; body: string }
+  headingSizes: { h1: string; h2: string; h3: string }
+  bodyFontSize: string
+  lineHeight: string
+  ctaBox: {
+    enabled: boolean
+    backgroundColor: string
+    borderColor: string
+    textColor: string
+    borderRadius: string
+  }
+  relatedArticles: {
+    enabled: boolean
+    title: string
+    // Without links, the company's other published drafts are listed
+    links: BrandThemeLink[]
+  }
+}
+
+export interface BrandThemePresets {
+  defaults: BrandTheme
+  presets: { name: string; theme: BrandTheme }[]
+}
+
+export interface BrandThemePreview {
+  html: string
+  theme: BrandTheme
+}
+
+// A draft rendered the way its company's platform will receive it
+export interface DraftPreview extends BrandThemePreview {
+  platform: string
+  target: "gutenberg" | "classic" | "amp"
+  // The post HTML itself; html is a page around it
+  body: string
+}